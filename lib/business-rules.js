@@ -0,0 +1,225 @@
+/**
+ * Business Rules Module
+ * Runs a declarative rule set written in a subset of ISO Schematron (ns, let, pattern,
+ * rule, assert, report, value-of) against instance documents. Used after XSD validation
+ * for cross-field constraints the schema cannot express.
+ */
+
+const fs = require('fs-extra');
+const xpath = require('xpath');
+const { parseDocument, nodeXPath, createError } = require('./xsd-validator');
+
+const SCH_NS = 'http://purl.oclc.org/dsdl/schematron';
+
+function schChildren(node, localName) {
+  const result = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    const child = node.childNodes[i];
+    if (child.nodeType === 1 && child.namespaceURI === SCH_NS && (!localName || child.localName === localName)) {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+function compileExpression(expr, where) {
+  try {
+    return xpath.parse(expr);
+  } catch (error) {
+    throw new Error(`Invalid rule set: bad XPath in ${where} '${expr}': ${error.message}`);
+  }
+}
+
+function compileLets(node) {
+  return schChildren(node, 'let').map(letNode => ({
+    name: letNode.getAttribute('name'),
+    value: compileExpression(letNode.getAttribute('value'), `let '${letNode.getAttribute('name')}'`)
+  }));
+}
+
+function compileMessage(node) {
+  const parts = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    const child = node.childNodes[i];
+    if (child.nodeType === 3 || child.nodeType === 4) {
+      parts.push(child.data);
+    } else if (child.nodeType === 1 && child.namespaceURI === SCH_NS && child.localName === 'value-of') {
+      parts.push(compileExpression(child.getAttribute('select'), 'value-of'));
+    }
+  }
+  return parts;
+}
+
+function compileCheck(node) {
+  const id = node.getAttribute('id');
+  if (!id) {
+    throw new Error(`Invalid rule set: every ${node.localName} needs an id to use as its error code`);
+  }
+  return {
+    kind: node.localName,
+    id,
+    severity: node.getAttribute('role') || 'error',
+    test: compileExpression(node.getAttribute('test'), `${node.localName} '${id}'`),
+    subject: node.hasAttribute('subject') ? compileExpression(node.getAttribute('subject'), `subject of '${id}'`) : null,
+    message: compileMessage(node)
+  };
+}
+
+/**
+ * Compile a Schematron document into a rule set
+ * @param {string} schContent - Raw Schematron content
+ * @returns {Object} - Compiled rule set
+ */
+function compileRules(schContent) {
+  const { doc, errors } = parseDocument(schContent);
+  if (!doc || errors.length > 0) {
+    throw new Error(`Invalid rule set: ${errors.map(e => e.message).join('; ')}`);
+  }
+
+  const root = doc.documentElement;
+  if (root.namespaceURI !== SCH_NS || root.localName !== 'schema') {
+    throw new Error('Invalid rule set: root element must be sch:schema');
+  }
+
+  const namespaces = {};
+  schChildren(root, 'ns').forEach(ns => {
+    namespaces[ns.getAttribute('prefix')] = ns.getAttribute('uri');
+  });
+
+  const patterns = schChildren(root, 'pattern').map(pattern => ({
+    id: pattern.getAttribute('id') || null,
+    rules: schChildren(pattern, 'rule').map(rule => {
+      const context = rule.getAttribute('context');
+      return {
+        context: compileExpression(context.startsWith('/') ? context : `//${context}`, 'rule context'),
+        lets: compileLets(rule),
+        checks: [...schChildren(rule, 'assert'), ...schChildren(rule, 'report')].map(compileCheck)
+      };
+    })
+  }));
+
+  const title = schChildren(root, 'title')[0];
+  return {
+    title: title ? title.textContent.trim() : null,
+    namespaces,
+    lets: compileLets(root),
+    patterns
+  };
+}
+
+function evaluateLets(lets, node, options) {
+  const variables = { ...options.variables };
+  for (const { name, value } of lets) {
+    const result = value.evaluate({ ...options, node, variables });
+    variables[name] = Array.isArray(result) ? result.map(n => n.textContent).join('') : result;
+  }
+  return variables;
+}
+
+function renderMessage(parts, options) {
+  const params = [];
+  const message = parts
+    .map(part => {
+      if (typeof part === 'string') return part;
+      const value = part.evaluateString(options);
+      params.push(value);
+      return value;
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // The value-of results, in order, let the message be rendered from a translated template
+  return { message, params };
+}
+
+/**
+ * Check a parsed document against a compiled rule set
+ * @param {Object} rules - Compiled rule set (see compileRules)
+ * @param {Document} doc - Parsed instance document
+ * @returns {Object} - { valid: boolean, errors: Array<{code, severity, message, xpath, line, column, schemaType}> }
+ */
+function checkDocument(rules, doc) {
+  const base = { namespaces: rules.namespaces };
+  base.variables = evaluateLets(rules.lets, doc, { ...base, variables: {} });
+
+  const errors = [];
+  for (const pattern of rules.patterns) {
+    // As in Schematron, a node is only handled by the first rule of a pattern that matches it
+    const fired = new Set();
+    for (const rule of pattern.rules) {
+      for (const node of rule.context.select({ ...base, node: doc })) {
+        if (fired.has(node)) continue;
+        fired.add(node);
+
+        const options = { ...base, node, variables: evaluateLets(rule.lets, node, base) };
+        for (const check of rule.checks) {
+          const outcome = check.test.evaluateBoolean(options);
+          if (check.kind === 'assert' ? outcome : !outcome) continue;
+
+          const subject = (check.subject && check.subject.select1(options)) || node;
+          const located = subject.lineNumber ? subject : (subject.ownerElement || subject);
+          const { message, params } = renderMessage(check.message, options);
+          errors.push({
+            ...createError(check.id, message, {
+              xpath: nodeXPath(subject),
+              line: located.lineNumber,
+              column: located.columnNumber
+            }, params),
+            severity: check.severity,
+            pattern: pattern.id
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    valid: !errors.some(e => e.severity === 'error' || e.severity === 'fatal'),
+    errors
+  };
+}
+
+/**
+ * Check XML content against a compiled rule set
+ * @param {Object} rules - Compiled rule set (see compileRules)
+ * @param {string} xmlContent - Raw XML content
+ * @returns {Object} - { valid: boolean, errors: Array<Object> }
+ */
+function validate(rules, xmlContent) {
+  const { doc, errors } = parseDocument(xmlContent);
+  if (!doc || errors.length > 0) {
+    return {
+      valid: false,
+      errors: errors.map(e => createError('XML_PARSE_ERROR', `XML parsing error: ${e.message}`, e, { detail: e.message }))
+    };
+  }
+  return checkDocument(rules, doc);
+}
+
+// Compiled rule sets keyed by path; recompiled whenever the file's mtime changes
+const rulesCache = new Map();
+
+/**
+ * Load and compile a Schematron file, reusing the compiled rules until the file changes
+ * @param {string} schPath - Path to the Schematron file
+ * @returns {Promise<Object>} - Compiled rule set
+ */
+async function loadRules(schPath) {
+  const stats = await fs.stat(schPath);
+  const cached = rulesCache.get(schPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.rules;
+  }
+
+  const rules = compileRules(await fs.readFile(schPath, 'utf8'));
+  rulesCache.set(schPath, { mtimeMs: stats.mtimeMs, rules });
+  return rules;
+}
+
+module.exports = {
+  compileRules,
+  loadRules,
+  checkDocument,
+  validate,
+  SCH_NS
+};
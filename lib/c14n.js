@@ -0,0 +1,338 @@
+/**
+ * Canonical XML Module
+ * The octets XML Signature digests and signs, for a document or for an element with its descendants:
+ * - Canonical XML 1.0 (https://www.w3.org/TR/2001/REC-xml-c14n-20010315): an element keeps the
+ *   namespace declarations and xml:* attributes it inherits from ancestors left out of the output
+ * - Canonical XML 1.1 (https://www.w3.org/TR/xml-c14n11/): the same, except that only xml:lang and
+ *   xml:space are inherited as they are, and the xml:base values of the ancestors are joined into one
+ * - Exclusive XML Canonicalization (https://www.w3.org/TR/xml-exc-c14n/): an element declares only
+ *   the namespaces it visibly uses, plus those of the InclusiveNamespaces PrefixList
+ * each with or without comments, selected by the Algorithm URI a signature names.
+ */
+
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const EXCLUSIVE_NAMESPACE = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+
+const ALGORITHMS = {
+  c14n: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+  c14nWithComments: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315#WithComments',
+  c14n11: 'http://www.w3.org/2006/12/xml-c14n11',
+  c14n11WithComments: 'http://www.w3.org/2006/12/xml-c14n11#WithComments',
+  exclusive: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+  exclusiveWithComments: 'http://www.w3.org/2001/10/xml-exc-c14n#WithComments'
+};
+
+// Algorithm URI -> canonicalize options
+const METHODS = {
+  [ALGORITHMS.c14n]: { method: 'c14n', withComments: false },
+  [ALGORITHMS.c14nWithComments]: { method: 'c14n', withComments: true },
+  [ALGORITHMS.c14n11]: { method: 'c14n11', withComments: false },
+  [ALGORITHMS.c14n11WithComments]: { method: 'c14n11', withComments: true },
+  [ALGORITHMS.exclusive]: { method: 'exclusive', withComments: false },
+  [ALGORITHMS.exclusiveWithComments]: { method: 'exclusive', withComments: true }
+};
+
+// xml:* attributes C14N 1.1 hands down unchanged to an element whose ancestors are omitted
+const C14N11_INHERITED = ['lang', 'space'];
+
+const NODE = {
+  ELEMENT: 1,
+  TEXT: 3,
+  CDATA: 4,
+  PROCESSING_INSTRUCTION: 7,
+  COMMENT: 8,
+  DOCUMENT: 9
+};
+
+class CanonicalizationError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'CanonicalizationError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const escapeText = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r/g, '&#xD;');
+
+const escapeAttribute = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\t/g, '&#x9;')
+  .replace(/\n/g, '&#xA;')
+  .replace(/\r/g, '&#xD;');
+
+const isNamespaceDeclaration = attribute => attribute.namespaceURI === XMLNS_NAMESPACE ||
+  attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:');
+
+const attributesOf = element => Array.from(element.attributes || []);
+
+// Namespaces in scope of an element (prefix -> URI, '' for the default namespace), given those of its parent
+function namespacesOf(element, parentNamespaces) {
+  const namespaces = new Map(parentNamespaces);
+  for (const attribute of attributesOf(element)) {
+    if (isNamespaceDeclaration(attribute)) {
+      namespaces.set(attribute.name === 'xmlns' ? '' : attribute.name.slice(6), attribute.value);
+    }
+  }
+  // Elements and attributes created with createElementNS/setAttributeNS carry undeclared prefixes
+  const used = [element, ...attributesOf(element).filter(attribute => attribute.prefix && !isNamespaceDeclaration(attribute))];
+  for (const node of used) {
+    const prefix = node.prefix || '';
+    if (prefix !== 'xml' && node.namespaceURI && !namespaces.has(prefix)) {
+      namespaces.set(prefix, node.namespaceURI);
+    }
+  }
+  return namespaces;
+}
+
+// Namespaces in scope of an element from its ancestors, outermost first
+function inheritedNamespaces(element) {
+  const ancestors = [];
+  for (let node = element.parentNode; node && node.nodeType === NODE.ELEMENT; node = node.parentNode) {
+    ancestors.unshift(node);
+  }
+  return ancestors.reduce((namespaces, ancestor) => namespacesOf(ancestor, namespaces), new Map());
+}
+
+// xml:* attributes of the ancestors, the nearest first; inherited by an element whose ancestors are omitted
+function inheritedXmlAttributes(element) {
+  const inherited = new Map();
+  for (let node = element.parentNode; node && node.nodeType === NODE.ELEMENT; node = node.parentNode) {
+    for (const attribute of attributesOf(node)) {
+      if (attribute.namespaceURI === XML_NAMESPACE && !inherited.has(attribute.localName)) {
+        inherited.set(attribute.localName, attribute);
+      }
+    }
+  }
+  return inherited;
+}
+
+// RFC 3986 remove_dot_segments, keeping the leading '..' segments of a relative path (C14N 1.1, 2.4)
+function removeDotSegments(path) {
+  const absolute = path.startsWith('/');
+  const segments = path.split('/');
+  const last = segments[segments.length - 1];
+  const output = [];
+  for (const segment of segments) {
+    if (segment === '' || segment === '.') continue;
+    if (segment !== '..') output.push(segment);
+    else if (output.length > 0 && output[output.length - 1] !== '..') output.pop();
+    else if (!absolute) output.push('..');
+  }
+  const trailingSlash = segments.length > 1 && ['', '.', '..'].includes(last) && output.length > 0;
+  return (absolute ? '/' : '') + output.join('/') + (trailingSlash ? '/' : '');
+}
+
+const URI_PATTERN = /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+
+const parseUri = uri => {
+  const [, scheme, authority, path, query, fragment] = uri.match(URI_PATTERN);
+  return { scheme, authority, path, query, fragment };
+};
+
+const formatUri = ({ scheme, authority, path, query, fragment }) => (scheme !== undefined ? `${scheme}:` : '') +
+  (authority !== undefined ? `//${authority}` : '') + path +
+  (query !== undefined ? `?${query}` : '') + (fragment !== undefined ? `#${fragment}` : '');
+
+// Resolve an xml:base value against the one in effect on the parent (RFC 3986, 5.2.2)
+function joinUriReferences(base, reference) {
+  const b = parseUri(base);
+  const r = parseUri(reference);
+  if (r.scheme !== undefined) return formatUri({ ...r, path: removeDotSegments(r.path) });
+  if (r.authority !== undefined) return formatUri({ ...r, scheme: b.scheme, path: removeDotSegments(r.path) });
+  if (r.path === '') return formatUri({ ...b, query: r.query !== undefined ? r.query : b.query, fragment: r.fragment });
+  const merged = r.path.startsWith('/') ? r.path
+    : b.authority !== undefined && b.path === '' ? `/${r.path}`
+      : b.path.slice(0, b.path.lastIndexOf('/') + 1) + r.path;
+  return formatUri({ ...r, scheme: b.scheme, authority: b.authority, path: removeDotSegments(merged) });
+}
+
+// xml:base of an element whose ancestors are omitted: their values joined, outermost first, then its own
+function joinedBase(element) {
+  const values = [];
+  for (let node = element; node && node.nodeType === NODE.ELEMENT; node = node.parentNode) {
+    if (node.hasAttributeNS(XML_NAMESPACE, 'base')) values.unshift(node.getAttributeNS(XML_NAMESPACE, 'base'));
+  }
+  return values.reduce(joinUriReferences);
+}
+
+// xml:* attributes of the apex of the output: its own and those it inherits, by local name
+function apexXmlAttributes(element, attributes, method) {
+  const own = new Map(attributes
+    .filter(attribute => attribute.namespaceURI === XML_NAMESPACE)
+    .map(attribute => [attribute.localName, attribute]));
+  if (method === 'exclusive') return own;
+
+  const inherited = inheritedXmlAttributes(element);
+  const xmlAttributes = new Map();
+  for (const [localName, attribute] of inherited) {
+    if (method === 'c14n' || C14N11_INHERITED.includes(localName)) xmlAttributes.set(localName, attribute);
+  }
+  for (const [localName, attribute] of own) xmlAttributes.set(localName, attribute);
+  if (method === 'c14n11' && inherited.has('base')) {
+    xmlAttributes.set('base', { namespaceURI: XML_NAMESPACE, localName: 'base', name: 'xml:base', value: joinedBase(element) });
+  }
+  return xmlAttributes;
+}
+
+// Attributes in canonical order: by namespace URI (none first), then local name
+const compareAttributes = (a, b) => {
+  const namespaceA = a.namespaceURI || '';
+  const namespaceB = b.namespaceURI || '';
+  if (namespaceA !== namespaceB) return namespaceA < namespaceB ? -1 : 1;
+  const nameA = a.localName || a.name;
+  const nameB = b.localName || b.name;
+  return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+};
+
+// Prefixes an element declares in the output, given those its output ancestors declared (prefix -> URI)
+function declaredPrefixes(element, attributes, namespaces, rendered, context) {
+  let prefixes = [...namespaces.keys()];
+  if (context.method === 'exclusive') {
+    const utilized = new Set([element.prefix || '', ...attributes.filter(attribute => attribute.prefix).map(attribute => attribute.prefix)]);
+    prefixes = prefixes.filter(prefix => utilized.has(prefix) || context.inclusiveNamespaces.has(prefix));
+  }
+  return prefixes
+    .filter(prefix => {
+      const uri = namespaces.get(prefix);
+      if (prefix === 'xml') return false;
+      // xmlns="" only undoes a default namespace the output already declared
+      if (prefix === '' && uri === '') return (rendered.get('') || '') !== '';
+      return rendered.get(prefix) !== uri;
+    })
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function renderElement(element, namespaces, rendered, context, isApex) {
+  let attributes = attributesOf(element).filter(attribute => !isNamespaceDeclaration(attribute));
+  const declared = declaredPrefixes(element, attributes, namespaces, rendered, context);
+  const declarations = declared
+    .map(prefix => ` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeAttribute(namespaces.get(prefix))}"`)
+    .join('');
+  const childRendered = new Map(rendered);
+  for (const prefix of declared) childRendered.set(prefix, namespaces.get(prefix));
+
+  if (isApex) {
+    attributes = [
+      ...attributes.filter(attribute => attribute.namespaceURI !== XML_NAMESPACE),
+      ...apexXmlAttributes(element, attributes, context.method).values()
+    ];
+  }
+  const renderedAttributes = attributes
+    .sort(compareAttributes)
+    .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+    .join('');
+
+  let children = '';
+  for (const child of Array.from(element.childNodes)) {
+    children += renderNode(child, namespaces, childRendered, context);
+  }
+  return `<${element.nodeName}${declarations}${renderedAttributes}>${children}</${element.nodeName}>`;
+}
+
+function renderNode(node, parentNamespaces, rendered, context) {
+  if (node === context.exclude) return '';
+  switch (node.nodeType) {
+    case NODE.ELEMENT:
+      return renderElement(node, namespacesOf(node, parentNamespaces), rendered, context, false);
+    case NODE.TEXT:
+    case NODE.CDATA:
+      return escapeText(node.data);
+    case NODE.COMMENT:
+      return context.withComments ? `<!--${node.data}-->` : '';
+    case NODE.PROCESSING_INSTRUCTION:
+      return `<?${node.target}${node.data ? ` ${node.data}` : ''}?>`;
+    default:
+      return '';
+  }
+}
+
+// The document: its element, with comments and processing instructions around it on lines of their own
+function renderDocument(doc, context) {
+  let output = '';
+  let afterElement = false;
+  for (const child of Array.from(doc.childNodes)) {
+    if (child === context.exclude) continue;
+    if (child.nodeType === NODE.ELEMENT) {
+      output += renderElement(child, namespacesOf(child, new Map()), new Map(), context, true);
+      afterElement = true;
+    } else if ((child.nodeType === NODE.COMMENT && context.withComments) ||
+               (child.nodeType === NODE.PROCESSING_INSTRUCTION && child.target !== 'xml')) {
+      const rendered = renderNode(child, new Map(), new Map(), context);
+      output += afterElement ? `\n${rendered}` : `${rendered}\n`;
+    }
+  }
+  return output;
+}
+
+/**
+ * Canonical form of a document or of an element with its descendants
+ * @param {Document|Element} node - Node to canonicalize
+ * @param {Object} [options] - { method: 'c14n' (default), 'c14n11' or 'exclusive', withComments: false,
+ *   exclude: a node left out with its descendants (enveloped signature),
+ *   inclusiveNamespaces: prefixes exclusive canonicalization declares as inclusive does, '#default' for the default namespace }
+ * @returns {string} - Canonical XML (encode as UTF-8 for digesting)
+ */
+function canonicalize(node, options = {}) {
+  const context = {
+    method: options.method || 'c14n',
+    withComments: Boolean(options.withComments),
+    exclude: options.exclude || null,
+    inclusiveNamespaces: new Set((options.inclusiveNamespaces || []).map(prefix => (prefix === '#default' ? '' : prefix)))
+  };
+  if (node.nodeType === NODE.DOCUMENT) {
+    return renderDocument(node, context);
+  }
+  const inherited = inheritedNamespaces(node);
+  return renderElement(node, namespacesOf(node, inherited), new Map(), context, true);
+}
+
+/**
+ * @param {string} algorithm - Canonicalization or transform Algorithm URI
+ * @returns {boolean} - Whether canonicalizeWith handles it
+ */
+function isSupported(algorithm) {
+  return Object.prototype.hasOwnProperty.call(METHODS, algorithm);
+}
+
+/**
+ * Prefixes of the ec:InclusiveNamespaces PrefixList of a CanonicalizationMethod or Transform
+ * @param {Element} methodElement - ds:CanonicalizationMethod or ds:Transform
+ * @returns {string[]} - Prefixes, '#default' for the default namespace
+ */
+function inclusiveNamespacesOf(methodElement) {
+  const list = Array.from(methodElement.childNodes)
+    .find(node => node.nodeType === NODE.ELEMENT && node.namespaceURI === EXCLUSIVE_NAMESPACE && node.localName === 'InclusiveNamespaces');
+  return list ? list.getAttribute('PrefixList').split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Canonicalize with the algorithm a signature names (CanonicalizationMethod or Transform)
+ * @param {string} algorithm - Algorithm URI
+ * @param {Document|Element} node - Node to canonicalize
+ * @param {Object} [options] - { exclude, inclusiveNamespaces } (see canonicalize)
+ * @returns {string} - Canonical XML
+ * @throws {CanonicalizationError} - UNSUPPORTED_CANONICALIZATION
+ */
+function canonicalizeWith(algorithm, node, options = {}) {
+  if (!isSupported(algorithm)) {
+    throw new CanonicalizationError('UNSUPPORTED_CANONICALIZATION', `Unsupported canonicalization algorithm: ${algorithm}`, { algorithm });
+  }
+  return canonicalize(node, { ...options, ...METHODS[algorithm] });
+}
+
+module.exports = {
+  ALGORITHMS,
+  CanonicalizationError,
+  canonicalize,
+  isSupported,
+  inclusiveNamespacesOf,
+  canonicalizeWith
+};
@@ -0,0 +1,234 @@
+/**
+ * Certificate Validator Module
+ * Validates a signing certificate against a trust store: a directory of trusted CA certificates
+ * (DER or PEM), by default certificate/ with the DITEC Test CA (dtccert.cer). A path is built from
+ * the certificate through the intermediates a signature carries to a trust anchor, and every
+ * certificate on it has to be valid at the signing time and at the timestamp time. The signing
+ * certificate has to allow signing (digitalSignature or nonRepudiation), its issuers have to be CAs
+ * allowed to issue certificates within their path length. Given a CRL cache, no certificate below the
+ * trust anchor may have been revoked before the timestamp time (see revocation-checker).
+ * Problems are reported as { code, message, params } like the signature verification errors.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const pkijs = require('pkijs');
+const revocationChecker = require('./revocation-checker');
+
+const DEFAULT_TRUST_STORE = 'certificate';
+const CERTIFICATE_EXTENSIONS = ['.cer', '.crt', '.pem', '.der'];
+const MAX_PATH_LENGTH = 10;
+
+const EXTENSIONS = {
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19'
+};
+
+// KeyUsage bits (RFC 5280, 4.2.1.3), numbered from the most significant bit of the first byte
+const KEY_USAGE = {
+  digitalSignature: 0,
+  nonRepudiation: 1,
+  keyCertSign: 5
+};
+
+class CertificateError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'CertificateError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const issue = (code, message, params = {}) => ({ code, message, params });
+
+const subjectOf = certificate => certificate.subject.split('\n').reverse().join(',');
+
+/**
+ * Summary of a certificate for reports
+ * @param {crypto.X509Certificate} certificate - Certificate
+ * @returns {Object} - { subject, issuer, serialNumber (decimal), validFrom, validTo, fingerprint256 }
+ */
+function describeCertificate(certificate) {
+  return {
+    subject: subjectOf(certificate),
+    issuer: certificate.issuer.split('\n').reverse().join(','),
+    serialNumber: BigInt(`0x${certificate.serialNumber}`).toString(),
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    fingerprint256: certificate.fingerprint256
+  };
+}
+
+/**
+ * Certificates of a file: PEM blocks, or a single DER certificate
+ * @param {Buffer} content - File content
+ * @returns {crypto.X509Certificate[]} - Certificates
+ * @throws {Error} - If the content holds no readable certificate
+ */
+function parseCertificates(content) {
+  const pem = content.toString('latin1').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+  return pem ? pem.map(block => new crypto.X509Certificate(block)) : [new crypto.X509Certificate(content)];
+}
+
+// KeyUsage bits and BasicConstraints of a certificate; null where the extension is absent
+function extensionsOf(certificate) {
+  const extensions = pkijs.Certificate.fromBER(certificate.raw).extensions || [];
+  const find = id => extensions.find(extension => extension.extnID === id);
+
+  const keyUsage = find(EXTENSIONS.keyUsage);
+  const bits = keyUsage ? Buffer.from(keyUsage.parsedValue.valueBlock.valueHexView) : null;
+  const basicConstraints = find(EXTENSIONS.basicConstraints);
+  const pathLength = basicConstraints ? basicConstraints.parsedValue.pathLenConstraint : undefined;
+  return {
+    keyUsage: bits ? bit => (bits[bit >> 3] & (0x80 >> (bit & 7))) !== 0 : null,
+    ca: basicConstraints ? Boolean(basicConstraints.parsedValue.cA) : false,
+    // pkijs gives small values as numbers and large ones as asn1js.Integer
+    pathLength: pathLength === undefined ? null : typeof pathLength === 'number' ? pathLength : pathLength.valueBlock.valueDec
+  };
+}
+
+/**
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} - { directory, tsaDirectory }: the trust store, from TRUST_STORE_DIR, and the CAs of the
+ *   trusted timestamping authorities, from TSA_TRUST_STORE_DIR (the trust store itself by default)
+ */
+function trustStoreConfig(env) {
+  const directory = env.TRUST_STORE_DIR || DEFAULT_TRUST_STORE;
+  return { directory, tsaDirectory: env.TSA_TRUST_STORE_DIR || directory };
+}
+
+/**
+ * Read the trusted CA certificates of a directory. Files that hold no certificate, or only
+ * certificates that are not CAs (such as FIITPodpisovatel.cer next to dtccert.cer), are ignored.
+ * @param {string} directory - Trust store directory
+ * @returns {Promise<Object>} - { directory, anchors: [crypto.X509Certificate], ignored: [file] }
+ * @throws {CertificateError} - TRUST_STORE_NOT_FOUND
+ */
+async function loadTrustStore(directory) {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    throw new CertificateError('TRUST_STORE_NOT_FOUND', `Trust store directory not found: ${directory}`, { directory });
+  }
+
+  const anchors = [];
+  const ignored = [];
+  for (const file of files.filter(name => CERTIFICATE_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort()) {
+    let certificates = [];
+    try {
+      certificates = parseCertificates(await fs.readFile(path.join(directory, file))).filter(certificate => extensionsOf(certificate).ca);
+    } catch (error) {
+      certificates = [];
+    }
+    if (certificates.length === 0) ignored.push(file);
+    anchors.push(...certificates);
+  }
+  return { directory, anchors, ignored };
+}
+
+const issued = (issuer, certificate) => {
+  try {
+    return certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Certificates from the signing certificate up to, not including, the trust anchor that issued the last one
+function buildPath(certificate, anchors, intermediates) {
+  const certificates = [certificate];
+  while (certificates.length <= MAX_PATH_LENGTH) {
+    const current = certificates[certificates.length - 1];
+    const anchor = anchors.find(candidate => issued(candidate, current));
+    if (anchor) {
+      return { certificates, anchor };
+    }
+    const next = intermediates.find(candidate => !certificates.some(known => known.raw.equals(candidate.raw)) && issued(candidate, current));
+    if (!next) break;
+    certificates.push(next);
+  }
+  return { certificates, anchor: null };
+}
+
+/**
+ * Validate a signing certificate against the trust store
+ * @param {crypto.X509Certificate} certificate - Signing certificate (ds:KeyInfo)
+ * @param {Object} options - { trustStore (see loadTrustStore), intermediates: further ds:KeyInfo certificates,
+ *   signingTime: Date (default now), timestampTime: Date of the signature timestamp, only when its TSA signature
+ *   was verified (see xades-t-extension.readTimeStampToken), since it is trusted as the time the signature existed,
+ *   crls: CRL cache (see revocation-checker.loadCrlCache); revocation is not checked without it }
+ * @returns {Object} - { valid, trustAnchor: subject or null, chain: [describeCertificate, ...], errors };
+ *   with a CRL cache, the chain entries below the trust anchor carry their revocation status
+ */
+function validateCertificate(certificate, options) {
+  const { trustStore, intermediates = [], timestampTime = null, crls = null } = options;
+  const signingTime = options.signingTime || new Date();
+  const errors = [];
+
+  const { certificates, anchor } = buildPath(certificate, trustStore.anchors, intermediates);
+  const chain = anchor ? [...certificates, anchor] : certificates;
+  if (!anchor) {
+    const last = certificates[certificates.length - 1];
+    errors.push(issue('CERTIFICATE_UNTRUSTED', `No trusted CA issued the certificate of ${subjectOf(last)}`, { subject: subjectOf(last) }));
+  }
+
+  // Every certificate on the path, at the claimed signing time and at the time the timestamp proves
+  const times = [['CERTIFICATE_NOT_VALID_AT_SIGNING_TIME', signingTime], ['CERTIFICATE_NOT_VALID_AT_TIMESTAMP', timestampTime]];
+  for (const [code, time] of times.filter(([, value]) => value)) {
+    for (const member of chain) {
+      if (time < new Date(member.validFrom) || time > new Date(member.validTo)) {
+        const params = { subject: subjectOf(member), time: time.toISOString() };
+        errors.push(issue(code, `The certificate of ${params.subject} is not valid at ${params.time}`, params));
+      }
+    }
+  }
+
+  const { keyUsage } = extensionsOf(certificate);
+  if (keyUsage && !keyUsage(KEY_USAGE.digitalSignature) && !keyUsage(KEY_USAGE.nonRepudiation)) {
+    errors.push(issue('KEY_USAGE_NOT_SIGNING', `The key usage of the certificate of ${subjectOf(certificate)} does not allow signing`,
+      { subject: subjectOf(certificate) }));
+  }
+
+  // Issuers: CAs allowed to sign certificates, with no more intermediates below them than their path length
+  chain.slice(1).forEach((issuer, index) => {
+    const extensions = extensionsOf(issuer);
+    const params = { subject: subjectOf(issuer) };
+    if (!extensions.ca || (extensions.keyUsage && !extensions.keyUsage(KEY_USAGE.keyCertSign))) {
+      errors.push(issue('ISSUER_NOT_CA', `${params.subject} is not a certification authority`, params));
+    } else if (extensions.pathLength !== null && index > extensions.pathLength) {
+      errors.push(issue('PATH_LENGTH_EXCEEDED', `The path below ${params.subject} is longer than its basic constraints allow`, params));
+    }
+  });
+
+  // Revoked before the verified timestamp proves the signature existed; without one, before now
+  const revocation = crls ? chain.slice(0, -1).map((member, index) => {
+    const status = revocationChecker.checkRevocation(member, chain[index + 1], crls, timestampTime || new Date());
+    const params = { subject: subjectOf(member) };
+    if (status.status === 'revoked') {
+      Object.assign(params, { time: status.revocationTime, reason: status.reason || '' });
+      errors.push(issue('CERTIFICATE_REVOKED', `The certificate of ${params.subject} was revoked at ${params.time}`, params));
+    } else if (status.status === 'unknown') {
+      errors.push(issue('REVOCATION_STATUS_UNKNOWN', `No CRL of the issuer of ${params.subject} covers the time of the signature`, params));
+    }
+    return status;
+  }) : [];
+
+  return {
+    valid: errors.length === 0,
+    trustAnchor: anchor ? subjectOf(anchor) : null,
+    chain: chain.map((member, index) => revocation[index] ? { ...describeCertificate(member), revocation: revocation[index] } : describeCertificate(member)),
+    errors
+  };
+}
+
+module.exports = {
+  CertificateError,
+  describeCertificate,
+  parseCertificates,
+  trustStoreConfig,
+  loadTrustStore,
+  validateCertificate
+};
@@ -0,0 +1,194 @@
+/**
+ * Localization Module
+ * Loads the Slovak and English message catalogues, picks a locale for each request
+ * and translates form texts, error messages (keyed by error code) and output labels.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const SUPPORTED_LOCALES = ['sk', 'en'];
+const DEFAULT_LOCALE = 'en';
+
+const XSL_NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+const MESSAGES_NAMESPACE = 'http://university.edu/student-registration/messages';
+
+/**
+ * Pick the locale for a request: an explicit `lang` query parameter wins,
+ * then the best supported language of the Accept-Language header
+ * @param {Object} req - Express request (only `query` and `headers` are read)
+ * @returns {string} - Supported locale code
+ */
+function negotiateLocale(req) {
+  const requested = req.query && typeof req.query.lang === 'string' ? req.query.lang.trim().toLowerCase() : '';
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    return requested;
+  }
+
+  const header = (req.headers && req.headers['accept-language']) || '';
+  const ranges = header.split(',')
+    .map((range, index) => {
+      const [tag, ...options] = range.trim().split(';');
+      const q = options.map(o => o.trim()).find(o => o.startsWith('q='));
+      return { language: tag.split('-')[0].toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.q > 0 && SUPPORTED_LOCALES.includes(range.language))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return ranges.length > 0 ? ranges[0].language : DEFAULT_LOCALE;
+}
+
+/**
+ * Fill a message template. `{name}` is replaced by params.name; a `[...]` segment
+ * is only kept when every placeholder inside it has a non-empty value.
+ * @param {string} template - Message template
+ * @param {Object|Array} [params] - Placeholder values (arrays are addressed as {0}, {1}, ...)
+ * @returns {string} - Formatted message
+ */
+function format(template, params = {}) {
+  const value = name => {
+    const v = params[name];
+    return v === undefined || v === null ? '' : String(v);
+  };
+
+  return template
+    .replace(/\[([^\]]*)\]/g, (segment, inner) => {
+      const names = [...inner.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      return names.every(name => value(name) !== '') ? inner : '';
+    })
+    .replace(/\{(\w+)\}/g, (placeholder, name) => value(name));
+}
+
+/**
+ * Translate a form or output key
+ * @param {Object} catalogue - Loaded catalogue
+ * @param {string} key - Message key, e.g. 'form.label.firstName' or 'output.status'
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [fallback] - Text used when the key is not in the catalogue
+ * @returns {string} - Translated text
+ */
+function translate(catalogue, key, params, fallback) {
+  const [section, ...rest] = key.split('.');
+  const messages = catalogue[section] || {};
+  const template = messages[rest.join('.')];
+  if (typeof template !== 'string') {
+    return fallback !== undefined ? fallback : key;
+  }
+  return format(template, params);
+}
+
+/**
+ * Replace the messages of coded errors by their translation; the original
+ * English text is kept for codes the catalogue does not know
+ * @param {Object} catalogue - Loaded catalogue
+ * @param {Array} errors - Error objects with code, message and params
+ * @returns {Array} - Localized copies of the errors
+ */
+function localizeErrors(catalogue, errors) {
+  return errors.map(error => {
+    const template = error && catalogue.errors[error.code];
+    if (typeof template !== 'string') {
+      return error;
+    }
+    return { ...error, message: format(template, error.params || {}) };
+  });
+}
+
+/**
+ * Build the `messages` node-set handed to the XSLT stylesheets:
+ * <messages xml:lang="sk"><message key="status">Stav</message>...</messages>
+ * @param {Object} catalogue - Loaded catalogue
+ * @returns {Element} - Root element of the messages document
+ */
+function messagesDocument(catalogue) {
+  const doc = new DOMParser().parseFromString('<messages/>', 'text/xml');
+  const root = doc.documentElement;
+  root.setAttribute('xml:lang', catalogue.locale);
+  for (const [key, text] of Object.entries(catalogue.output)) {
+    const message = doc.createElement('message');
+    message.setAttribute('key', key);
+    message.appendChild(doc.createTextNode(text));
+    root.appendChild(message);
+  }
+  return root;
+}
+
+/**
+ * A stylesheet that renders the labels of a catalogue by itself, as it is signed: its built-in
+ * msg:messages hold the catalogue's output texts and its `lang` parameter defaults to the locale,
+ * so without parameters it renders what the preview renders with `messages` and `lang`
+ * @param {string|Buffer} stylesheet - XSLT with built-in msg:messages labels
+ * @param {Object} catalogue - Loaded catalogue
+ * @returns {string} - Localized stylesheet
+ */
+function localizeStylesheet(stylesheet, catalogue) {
+  const doc = new DOMParser().parseFromString(stylesheet.toString(), 'text/xml');
+  const topLevel = (namespace, name) => Array.from(doc.documentElement.childNodes)
+    .filter(node => node.namespaceURI === namespace && node.localName === name);
+
+  for (const messages of topLevel(MESSAGES_NAMESPACE, 'messages')) {
+    messages.setAttribute('xml:lang', catalogue.locale);
+    for (const message of Array.from(messages.getElementsByTagNameNS(MESSAGES_NAMESPACE, 'message'))) {
+      const text = catalogue.output[message.getAttribute('key')];
+      if (text === undefined) continue;
+      while (message.firstChild) message.removeChild(message.firstChild);
+      message.appendChild(doc.createTextNode(text));
+    }
+  }
+  for (const param of topLevel(XSL_NAMESPACE, 'param').filter(node => node.getAttribute('name') === 'lang')) {
+    param.setAttribute('select', `'${catalogue.locale}'`);
+  }
+  return new XMLSerializer().serializeToString(doc);
+}
+
+// Parsed catalogues keyed by path; reloaded whenever the file's mtime changes
+const catalogueCache = new Map();
+
+/**
+ * Load the catalogue of a locale, reusing the parsed file until it changes
+ * @param {string} locale - Supported locale code
+ * @param {string} [localesDir] - Directory holding <locale>.json files
+ * @returns {Promise<Object>} - Catalogue with locale, name, form, errors and output sections
+ */
+async function loadCatalogue(locale, localesDir = LOCALES_DIR) {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`Unsupported locale: ${locale}`);
+  }
+
+  const cataloguePath = path.join(localesDir, `${locale}.json`);
+  const stats = await fs.stat(cataloguePath);
+  const cached = catalogueCache.get(cataloguePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.catalogue;
+  }
+
+  let catalogue;
+  try {
+    catalogue = JSON.parse(await fs.readFile(cataloguePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid message catalogue '${locale}': ${error.message}`);
+  }
+  for (const section of ['form', 'errors', 'output']) {
+    if (!catalogue[section] || typeof catalogue[section] !== 'object') {
+      throw new Error(`Invalid message catalogue '${locale}': missing '${section}' section`);
+    }
+  }
+  catalogue.locale = locale;
+
+  catalogueCache.set(cataloguePath, { mtimeMs: stats.mtimeMs, catalogue });
+  return catalogue;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  negotiateLocale,
+  format,
+  translate,
+  localizeErrors,
+  messagesDocument,
+  localizeStylesheet,
+  loadCatalogue
+};
@@ -0,0 +1,276 @@
+/**
+ * PDF/A Checker Module
+ * Pre-checks the key PDF/A-1b requirements of a PDF before it is offered to D.Signer:
+ * embedded fonts, XMP metadata consistent with the Info dictionary, an OutputIntent,
+ * no encryption, no transparency and no JavaScript. Issues are reported with error codes.
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+const {
+  PDFDocument,
+  PDFDict,
+  PDFArray,
+  PDFName,
+  PDFNumber,
+  PDFStream,
+  PDFString,
+  PDFHexString,
+  decodePDFRawStream
+} = require('pdf-lib');
+
+const CONFORMANCE = 'PDF/A-1b';
+
+const CHECKS = ['encryption', 'fonts', 'metadata', 'outputIntent', 'transparency', 'javascript', 'fileIdentifier'];
+
+const NS = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  pdf: 'http://ns.adobe.com/pdf/1.3/',
+  pdfaid: 'http://www.aiim.org/pdfa/ns/id/'
+};
+
+// Info dictionary entries and the XMP properties PDF/A-1 requires them to equal
+const INFO_PROPERTIES = [
+  { key: 'Title', ns: NS.dc, name: 'title', property: 'dc:title' },
+  { key: 'Author', ns: NS.dc, name: 'creator', property: 'dc:creator' },
+  { key: 'Subject', ns: NS.dc, name: 'description', property: 'dc:description' },
+  { key: 'Keywords', ns: NS.pdf, name: 'Keywords', property: 'pdf:Keywords' },
+  { key: 'Creator', ns: NS.xmp, name: 'CreatorTool', property: 'xmp:CreatorTool' },
+  { key: 'Producer', ns: NS.pdf, name: 'Producer', property: 'pdf:Producer' },
+  { key: 'CreationDate', ns: NS.xmp, name: 'CreateDate', property: 'xmp:CreateDate', date: true },
+  { key: 'ModDate', ns: NS.xmp, name: 'ModifyDate', property: 'xmp:ModifyDate', date: true }
+];
+
+const BLEND_MODES = ['/Normal', '/Compatible'];
+
+function createIssue(check, code, message, object = null, params = {}) {
+  return { code, severity: 'error', check, message, object, params };
+}
+
+const name = value => PDFName.of(value);
+const text = value => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null);
+
+// Visit every dictionary reachable from an object without following indirect references
+function walkDicts(object, visit) {
+  if (object instanceof PDFStream) {
+    walkDicts(object.dict, visit);
+  } else if (object instanceof PDFDict) {
+    visit(object);
+    for (const [, value] of object.entries()) walkDicts(value, visit);
+  } else if (object instanceof PDFArray) {
+    for (const value of object.asArray()) walkDicts(value, visit);
+  }
+}
+
+// Every dictionary of the file, with the indirect object it belongs to
+function collectDicts(context) {
+  const dicts = [];
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    walkDicts(object, dict => dicts.push({ dict, ref }));
+  }
+  return dicts;
+}
+
+/**
+ * Parse a PDF date string (D:YYYYMMDDHHmmSSOHH'mm')
+ * @param {string} value - PDF date
+ * @returns {number|null} - Milliseconds since the epoch
+ */
+function parsePdfDate(value) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz+-])(\d{2})?'?(\d{2})?'?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+  const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  const offset = (sign === '+' || sign === '-') ? (sign === '+' ? 1 : -1) * (+tzHour * 60 + +tzMinute) * 60000 : 0;
+  return utc - offset;
+}
+
+// Value of an XMP property, written either as an element (simple, Alt, Seq or Bag) or as a Description attribute
+function xmpProperty(xmp, ns, localName) {
+  const elements = xmp.getElementsByTagNameNS(ns, localName);
+  if (elements.length > 0) {
+    const items = elements[0].getElementsByTagNameNS(NS.rdf, 'li');
+    return (items.length > 0 ? items[0].textContent : elements[0].textContent).trim();
+  }
+  const descriptions = xmp.getElementsByTagNameNS(NS.rdf, 'Description');
+  for (let i = 0; i < descriptions.length; i++) {
+    if (descriptions[i].hasAttributeNS(ns, localName)) {
+      return descriptions[i].getAttributeNS(ns, localName).trim();
+    }
+  }
+  return null;
+}
+
+function checkEncryption(context, issues) {
+  if (context.trailerInfo.Encrypt) {
+    issues.push(createIssue('encryption', 'PDFA_ENCRYPTED', 'The document is encrypted'));
+  }
+}
+
+function checkFileIdentifier(context, issues) {
+  const id = context.lookup(context.trailerInfo.ID);
+  if (!(id instanceof PDFArray) || id.size() !== 2) {
+    issues.push(createIssue('fileIdentifier', 'PDFA_FILE_ID_MISSING', 'The file trailer has no ID'));
+  }
+}
+
+function checkFonts(context, dicts, issues) {
+  for (const { dict, ref } of dicts) {
+    if (dict.get(name('Type')) !== name('Font')) continue;
+    const subtype = dict.get(name('Subtype'));
+    // Type 3 glyphs are content streams; a Type 0 font is embedded through its descendant
+    if (subtype === name('Type3') || subtype === name('Type0')) continue;
+
+    const fontName = dict.get(name('BaseFont')) ? dict.get(name('BaseFont')).decodeText() : ref.toString();
+    const descriptor = context.lookup(dict.get(name('FontDescriptor')));
+    const embedded = descriptor instanceof PDFDict &&
+      ['FontFile', 'FontFile2', 'FontFile3'].some(key => context.lookup(descriptor.get(name(key))) instanceof PDFStream);
+    if (!embedded) {
+      issues.push(createIssue('fonts', 'PDFA_FONT_NOT_EMBEDDED', `Font '${fontName}' is not embedded`, ref.toString(), { font: fontName }));
+    }
+  }
+}
+
+function checkMetadata(context, catalog, issues) {
+  const metadata = context.lookup(catalog.get(name('Metadata')));
+  if (!(metadata instanceof PDFStream)) {
+    issues.push(createIssue('metadata', 'PDFA_XMP_MISSING', 'The document catalog has no XMP metadata stream'));
+    return;
+  }
+  const metadataRef = catalog.get(name('Metadata')).toString();
+  if (metadata.dict.has(name('Filter'))) {
+    issues.push(createIssue('metadata', 'PDFA_XMP_FILTERED', 'The XMP metadata stream must not be compressed', metadataRef));
+  }
+
+  let xmp;
+  try {
+    const errors = [];
+    const parser = new DOMParser({ errorHandler: { error: m => errors.push(m), fatalError: m => errors.push(m) } });
+    xmp = parser.parseFromString(Buffer.from(decodePDFRawStream(metadata).decode()).toString('utf8'), 'text/xml');
+    if (errors.length > 0 || !xmp || !xmp.documentElement) throw new Error(errors.join('; '));
+  } catch (error) {
+    issues.push(createIssue('metadata', 'PDFA_XMP_INVALID', 'The XMP metadata is not well-formed XML', metadataRef));
+    return;
+  }
+
+  const part = xmpProperty(xmp, NS.pdfaid, 'part');
+  const conformance = xmpProperty(xmp, NS.pdfaid, 'conformance');
+  if (part !== '1' || !['A', 'B'].includes(conformance)) {
+    issues.push(createIssue('metadata', 'PDFA_XMP_IDENTIFICATION', `The XMP metadata does not identify the file as PDF/A-1 (part '${part || ''}', conformance '${conformance || ''}')`,
+      metadataRef, { part: part || '', conformance: conformance || '' }));
+  }
+
+  const info = context.lookup(context.trailerInfo.Info);
+  if (!(info instanceof PDFDict)) return;
+  for (const { key, ns, name: localName, property, date } of INFO_PROPERTIES) {
+    const infoValue = text(context.lookup(info.get(name(key))));
+    if (infoValue === null) continue;
+    const xmpValue = xmpProperty(xmp, ns, localName);
+    const consistent = xmpValue !== null && (date
+      ? parsePdfDate(infoValue) !== null && parsePdfDate(infoValue) === Date.parse(xmpValue)
+      : infoValue === xmpValue);
+    if (!consistent) {
+      issues.push(createIssue('metadata', 'PDFA_XMP_INFO_MISMATCH', `Info entry '${key}' does not match XMP property '${property}'`,
+        metadataRef, { key, property, info: infoValue, xmp: xmpValue || '' }));
+    }
+  }
+}
+
+function checkOutputIntent(context, catalog, issues) {
+  const intents = context.lookup(catalog.get(name('OutputIntents')));
+  const pdfaIntents = intents instanceof PDFArray
+    ? intents.asArray().map(intent => context.lookup(intent)).filter(intent => intent instanceof PDFDict && intent.get(name('S')) === name('GTS_PDFA1'))
+    : [];
+  if (pdfaIntents.length === 0) {
+    issues.push(createIssue('outputIntent', 'PDFA_OUTPUT_INTENT_MISSING', 'The document has no GTS_PDFA1 output intent'));
+    return;
+  }
+  for (const intent of pdfaIntents) {
+    if (!(context.lookup(intent.get(name('DestOutputProfile'))) instanceof PDFStream)) {
+      issues.push(createIssue('outputIntent', 'PDFA_OUTPUT_INTENT_PROFILE', 'The output intent has no embedded ICC profile'));
+    }
+  }
+}
+
+function checkTransparency(dicts, issues) {
+  for (const { dict, ref } of dicts) {
+    const object = ref.toString();
+    const found = feature => issues.push(createIssue('transparency', 'PDFA_TRANSPARENCY', `Transparency is not allowed (${feature})`, object, { feature }));
+    const smask = dict.get(name('SMask'));
+    if (smask && smask !== name('None')) {
+      found('SMask');
+    }
+    for (const key of ['CA', 'ca']) {
+      const alpha = dict.get(name(key));
+      if (alpha instanceof PDFNumber && alpha.asNumber() !== 1) {
+        found(`${key} ${alpha.asNumber()}`);
+      }
+    }
+    const blendMode = dict.get(name('BM'));
+    if (blendMode instanceof PDFName && !BLEND_MODES.includes(blendMode.asString())) {
+      found(`BM ${blendMode.asString()}`);
+    }
+    if (dict.get(name('S')) === name('Transparency')) {
+      found('Group /Transparency');
+    }
+  }
+}
+
+function checkJavaScript(context, catalog, dicts, issues) {
+  const names = context.lookup(catalog.get(name('Names')));
+  if (names instanceof PDFDict && names.has(name('JavaScript'))) {
+    issues.push(createIssue('javascript', 'PDFA_JAVASCRIPT', 'JavaScript is not allowed (Names /JavaScript)', null, { feature: 'Names /JavaScript' }));
+  }
+  for (const { dict, ref } of dicts) {
+    if (dict.get(name('S')) === name('JavaScript') || dict.has(name('JS'))) {
+      issues.push(createIssue('javascript', 'PDFA_JAVASCRIPT', 'JavaScript is not allowed (action)', ref.toString(), { feature: 'action' }));
+    }
+  }
+}
+
+/**
+ * Check a PDF against the key PDF/A-1b requirements
+ * @param {Buffer|Uint8Array} pdf - PDF document
+ * @returns {Promise<Object>} - { conformance, compliant, checks: {name: 'passed'|'failed'}, issues: Array<{code, severity, check, message, object, params}> }
+ */
+async function checkPdfA(pdf) {
+  const issues = [];
+  let document;
+  try {
+    document = await PDFDocument.load(pdf, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    issues.push(createIssue('parse', 'PDFA_PARSE_ERROR', `The PDF could not be parsed: ${error.message}`, null, { detail: error.message }));
+    return buildReport(issues, ['parse']);
+  }
+
+  const { context, catalog } = document;
+  const dicts = collectDicts(context);
+
+  checkEncryption(context, issues);
+  checkFonts(context, dicts, issues);
+  checkMetadata(context, catalog, issues);
+  checkOutputIntent(context, catalog, issues);
+  checkTransparency(dicts, issues);
+  checkJavaScript(context, catalog, dicts, issues);
+  checkFileIdentifier(context, issues);
+
+  return buildReport(issues, CHECKS);
+}
+
+function buildReport(issues, checks) {
+  const failed = new Set(issues.map(issue => issue.check));
+  return {
+    conformance: CONFORMANCE,
+    compliant: issues.length === 0,
+    checks: Object.fromEntries(checks.map(check => [check, failed.has(check) ? 'failed' : 'passed'])),
+    issues
+  };
+}
+
+module.exports = {
+  CONFORMANCE,
+  CHECKS,
+  checkPdfA,
+  parsePdfDate
+};
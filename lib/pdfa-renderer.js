@@ -0,0 +1,262 @@
+/**
+ * PDF/A Renderer Module
+ * Renders a student registration as a PDF/A-1b document in-process with pdfkit,
+ * so the PDF object signed next to the XMLDataContainer no longer depends on LibreOffice.
+ * The fonts are embedded from the fonts/ directory; pdfkit writes the XMP metadata and
+ * the sRGB OutputIntent, and a pdf-lib pass completes the CIDSet of each embedded font.
+ */
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { PDFDocument: PDFLibDocument, PDFName, decodePDFRawStream } = require('pdf-lib');
+const registrationMapper = require('./registration-mapper');
+const registrationView = require('./registration-view');
+const i18n = require('./i18n');
+
+const COMPLIANCE = 'PDF/A-1b';
+const PRODUCER = 'SIPVS-1 PDF/A Renderer';
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+const FONTS = {
+  regular: path.join(FONTS_DIR, 'DejaVuSans.ttf'),
+  bold: path.join(FONTS_DIR, 'DejaVuSans-Bold.ttf')
+};
+
+// Only RGB colours: PDF/A-1 ties them to the sRGB OutputIntent and forbids transparency
+const COLORS = {
+  text: '#333333',
+  heading: '#2c3e50',
+  accent: '#3498db',
+  muted: '#7f8c8d',
+  border: '#bdc3c7',
+  headerFill: '#ecf0f1'
+};
+
+const MARGIN = 50;
+const LABEL_WIDTH = 170;
+const CELL_PADDING = 4;
+
+// Column widths in points of the view's tables; each row adds up to the 495pt A4 content width
+const TABLE_WIDTHS = {
+  previousEducation: [85, 150, 130, 80, 50],
+  emergencyContacts: [70, 110, 85, 95, 135],
+  courses: [62, 118, 48, 58, 80, 74, 55]
+};
+
+/**
+ * Render registration XML as a PDF/A-1b document
+ * @param {string} xmlContent - Registration XML
+ * @param {Object} catalogue - Loaded message catalogue (labels come from its output section)
+ * @returns {Promise<Buffer>} - PDF/A-1b document
+ */
+async function renderRegistrationPdf(xmlContent, catalogue) {
+  const formData = registrationMapper.xmlToFormData(xmlContent);
+  const pdf = await renderDocument(formData, catalogue);
+  return completeCidSets(pdf);
+}
+
+function renderDocument(formData, catalogue) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      pdfVersion: '1.4',
+      subset: COMPLIANCE,
+      font: FONTS.regular,
+      lang: catalogue.locale,
+      bufferPages: true,
+      info: {
+        Title: i18n.translate(catalogue, 'output.pdfTitle'),
+        Creator: PRODUCER,
+        // pdfkit writes Creator as the XMP pdf:Producer, which must match the Info dictionary
+        Producer: PRODUCER
+      }
+    });
+    doc.registerFont('regular', FONTS.regular);
+    doc.registerFont('bold', FONTS.bold);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const view = registrationView.buildRegistrationView(formData, catalogue);
+      layoutRegistration(doc, view);
+      addPageFooters(doc, view.registrationId);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function layoutRegistration(doc, view) {
+  doc.font('bold').fontSize(18).fillColor(COLORS.heading).text(view.heading, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('regular').fontSize(10).fillColor(COLORS.muted)
+    .text(view.meta.map(([name, value]) => `${name}: ${value}`).join('   |   '), { align: 'center' });
+
+  for (const section of view.sections) {
+    sectionTitle(doc, section.title);
+    for (const block of section.blocks) {
+      if (block.fields) {
+        fields(doc, block.fields);
+      } else if (block.table) {
+        if (block.title) subsectionTitle(doc, block.title);
+        table(doc, block.columns.map((header, i) => ({ header, width: TABLE_WIDTHS[block.table][i] })), block.rows);
+      } else if (block.total) {
+        doc.moveDown(0.3);
+        doc.font('bold').fontSize(10).fillColor(COLORS.heading)
+          .text(block.total, MARGIN, doc.y, { align: 'right', width: contentWidth(doc) });
+      }
+    }
+  }
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Start a new page unless `height` more points fit on the current one
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function sectionTitle(doc, title) {
+  doc.moveDown(1);
+  ensureSpace(doc, 60);
+  doc.font('bold').fontSize(13).fillColor(COLORS.heading).text(title, MARGIN, doc.y);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + contentWidth(doc), y).lineWidth(1.5).strokeColor(COLORS.accent).stroke();
+  doc.y = y + 6;
+}
+
+function subsectionTitle(doc, title) {
+  doc.moveDown(0.5);
+  ensureSpace(doc, 40);
+  doc.font('bold').fontSize(11).fillColor(COLORS.heading).text(title, MARGIN, doc.y);
+  doc.moveDown(0.2);
+}
+
+// Label/value rows, the label in a fixed-width column
+function fields(doc, rows) {
+  const valueWidth = contentWidth(doc) - LABEL_WIDTH;
+  doc.fontSize(10);
+  for (const [name, text] of rows) {
+    const height = Math.max(
+      doc.font('bold').heightOfString(name, { width: LABEL_WIDTH - 10 }),
+      doc.font('regular').heightOfString(text, { width: valueWidth })
+    );
+    ensureSpace(doc, height);
+    const y = doc.y;
+    doc.font('bold').fillColor(COLORS.heading).text(name, MARGIN, y, { width: LABEL_WIDTH - 10 });
+    doc.font('regular').fillColor(COLORS.text).text(text, MARGIN + LABEL_WIDTH, y, { width: valueWidth });
+    doc.y = y + height + 3;
+  }
+}
+
+// Bordered table whose header row is repeated on every page the table runs onto
+function table(doc, columns, rows) {
+  const cellWidth = column => column.width - 2 * CELL_PADDING;
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9);
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: cellWidth(columns[i]) }))) + 2 * CELL_PADDING;
+  };
+  const drawRow = (cells, font, fill) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      const width = columns[i].width;
+      if (fill) {
+        doc.rect(x, y, width, height).fillColor(fill).fill();
+      }
+      doc.rect(x, y, width, height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+      doc.font(font).fontSize(9).fillColor(fill ? COLORS.heading : COLORS.text)
+        .text(cell, x + CELL_PADDING, y + CELL_PADDING, { width: cellWidth(columns[i]) });
+      x += width;
+    });
+    doc.y = y + height;
+  };
+
+  const headers = columns.map(column => column.header);
+  const headerHeight = rowHeight(headers, 'bold');
+  ensureSpace(doc, headerHeight + (rows.length > 0 ? rowHeight(rows[0], 'regular') : 0));
+  drawRow(headers, 'bold', COLORS.headerFill);
+  for (const cells of rows) {
+    if (doc.y + rowHeight(cells, 'regular') > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headers, 'bold', COLORS.headerFill);
+    }
+    drawRow(cells, 'regular');
+  }
+  doc.x = MARGIN;
+}
+
+function addPageFooters(doc, registrationId) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise make pdfkit open a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('regular').fontSize(8).fillColor(COLORS.muted)
+      .text(`${registrationId}   ${i + 1} / ${count}`, MARGIN, doc.page.height - bottomMargin + 15, {
+        width: contentWidth(doc),
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * pdfkit marks only CIDs 0-33 in the CIDSet of a PDF/A font subset; PDF/A-1 requires
+ * the CIDSet to list every glyph the subset contains. Subset glyphs are numbered
+ * 0..numGlyphs-1 (Identity CIDToGIDMap), so every bit up to numGlyphs is set.
+ * @param {Buffer} pdf - Document produced by pdfkit
+ * @returns {Promise<Buffer>} - Document with complete CIDSets, still a PDF 1.4 file
+ */
+async function completeCidSets(pdf) {
+  const document = await PDFLibDocument.load(pdf, { updateMetadata: false });
+  const { context } = document;
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (!object.get || object.get(PDFName.of('Type')) !== PDFName.of('FontDescriptor')) continue;
+    const cidSetRef = object.get(PDFName.of('CIDSet'));
+    const fontFile = context.lookup(object.get(PDFName.of('FontFile2')));
+    if (!cidSetRef || !fontFile) continue;
+
+    const numGlyphs = readNumGlyphs(Buffer.from(decodePDFRawStream(fontFile).decode()));
+    const bits = Buffer.alloc(Math.ceil(numGlyphs / 8));
+    for (let cid = 0; cid < numGlyphs; cid++) {
+      bits[cid >> 3] |= 0x80 >> (cid & 7);
+    }
+    context.assign(cidSetRef, context.flateStream(bits));
+  }
+
+  // pdf-lib always writes a %PDF-1.7 header; the version digits are patched in place so no offset moves
+  const saved = Buffer.from(await document.save({ useObjectStreams: false, updateFieldAppearances: false }));
+  saved.write('%PDF-1.4', 0, 'latin1');
+  return saved;
+}
+
+// numGlyphs of a TrueType font, read from its 'maxp' table
+function readNumGlyphs(font) {
+  const numTables = font.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    if (font.toString('latin1', entry, entry + 4) === 'maxp') {
+      return font.readUInt16BE(font.readUInt32BE(entry + 8) + 4);
+    }
+  }
+  throw new Error('Embedded font has no maxp table');
+}
+
+module.exports = {
+  COMPLIANCE,
+  renderRegistrationPdf
+};
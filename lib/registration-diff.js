@@ -0,0 +1,106 @@
+/**
+ * Registration Diff Module
+ * Field-level differences between two revisions of a registration, taken from their form data
+ * (registrationMapper.xmlToFormData). Single fields are compared by value; entries of the
+ * repeated sections are matched by what identifies them (a course by its code, an emergency
+ * contact by its priority, ...) so that added, removed and changed entries are told apart
+ * regardless of their order.
+ */
+
+// Identifying the revision, not part of what the student submitted
+const IGNORED_FIELDS = ['revision', 'statusHistory'];
+
+// Repeated section -> key matching its entries across revisions and a short label of an entry
+const SECTIONS = {
+  previousEducation: {
+    key: entry => `${entry.level}|${entry.institutionName}`,
+    label: entry => [entry.level, entry.institutionName].filter(Boolean).join(', ')
+  },
+  emergencyContacts: {
+    key: contact => contact.priority,
+    label: contact => [contact.name, contact.priority].filter(Boolean).join(', ')
+  },
+  courses: {
+    key: course => course.courseCode,
+    label: course => [course.courseCode, course.courseName].filter(Boolean).join(' ')
+  }
+};
+
+// Missing and empty values are the same for the form
+const valueOf = value => (value === undefined || value === null || String(value) === '' ? null : String(value));
+
+// Differences between two flat objects; nested objects (additionalInfo) compare as 'parent.child'
+function diffFields(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const name of names) {
+    if (!prefix && (IGNORED_FIELDS.includes(name) || SECTIONS[name])) continue;
+    const field = `${prefix}${name}`;
+    const a = before[name];
+    const b = after[name];
+    if ((a && typeof a === 'object') || (b && typeof b === 'object')) {
+      changes.push(...diffFields(a || {}, b || {}, `${field}.`));
+      continue;
+    }
+    const x = valueOf(a);
+    const y = valueOf(b);
+    if (x === y) continue;
+    changes.push({ field, change: x === null ? 'added' : y === null ? 'removed' : 'changed', before: x, after: y });
+  }
+  return changes;
+}
+
+// Entries of a repeated section by key; a repeated key gets the position appended to stay unique
+function keyed(entries, key) {
+  const map = new Map();
+  for (const entry of entries || []) {
+    let id = String(key(entry));
+    for (let n = 2; map.has(id); n++) id = `${key(entry)}#${n}`;
+    map.set(id, entry);
+  }
+  return map;
+}
+
+/**
+ * Compare the form data of two revisions
+ * @param {Object} before - Form data of the older revision
+ * @param {Object} after - Form data of the newer revision
+ * @returns {Object} - { fields: [{ field, change: 'added'|'removed'|'changed', before, after }],
+ *   sections: { <section>: { added: [{ key, label, entry }], removed: [...],
+ *   changed: [{ key, label, fields: [...] }] } } (only sections that differ), unchanged }
+ */
+function diffRegistrations(before, after) {
+  const fields = diffFields(before, after);
+  const sections = {};
+
+  for (const [section, { key, label }] of Object.entries(SECTIONS)) {
+    const a = keyed(before[section], key);
+    const b = keyed(after[section], key);
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [id, entry] of b) {
+      if (!a.has(id)) {
+        result.added.push({ key: id, label: label(entry), entry });
+        continue;
+      }
+      const entryFields = diffFields(a.get(id), entry, '');
+      if (entryFields.length > 0) {
+        result.changed.push({ key: id, label: label(entry), fields: entryFields });
+      }
+    }
+    for (const [id, entry] of a) {
+      if (!b.has(id)) result.removed.push({ key: id, label: label(entry), entry });
+    }
+
+    if (result.added.length || result.removed.length || result.changed.length) {
+      sections[section] = result;
+    }
+  }
+
+  return { fields, sections, unchanged: fields.length === 0 && Object.keys(sections).length === 0 };
+}
+
+module.exports = {
+  SECTIONS,
+  diffRegistrations
+};
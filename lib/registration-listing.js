@@ -0,0 +1,182 @@
+/**
+ * Registration Listing Module
+ * Describes stored XML files (size, modification time and the registration they hold) and
+ * answers listing queries over them: filters by program, status and submission date range,
+ * sorting on any listed field and cursor pagination that stays stable while files are added.
+ */
+
+const registrationMapper = require('./registration-mapper');
+
+const SORT_FIELDS = ['modified', 'submissionDate', 'registrationId', 'studentName', 'program', 'status', 'totalCredits', 'size', 'filename'];
+const DEFAULT_SORT = '-modified';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class ListingError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'ListingError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Parsed descriptions per storage and file name, reused while the modification time and size are unchanged
+const descriptionCache = new WeakMap();
+
+/**
+ * Describe a stored XML file; registration fields are null when it is not a readable registration
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} filename - XML file name in the data area
+ * @returns {Promise<Object|null>} - { filename, size, modified, registrationId, revision, status,
+ *   submissionDate, studentName, program, totalCredits }, null when the file does not exist
+ */
+async function describeXmlFile(storage, filename) {
+  const stats = await storage.stat('data', filename);
+  if (!stats) return null;
+  if (!descriptionCache.has(storage)) descriptionCache.set(storage, new Map());
+  const cache = descriptionCache.get(storage);
+  const cached = cache.get(filename);
+  if (cached && cached.modified === stats.modified.getTime() && cached.size === stats.size) {
+    return cached.description;
+  }
+
+  let data = null;
+  try {
+    data = registrationMapper.xmlToFormData(await storage.readText('data', filename));
+  } catch (error) {
+    // Not a registration; listed with its file details only
+  }
+  const studentName = data ? [data.firstName, data.middleName, data.lastName].filter(Boolean).join(' ') : '';
+  const totalCredits = data ? parseInt(data.totalCredits, 10) : NaN;
+  const description = {
+    filename,
+    size: stats.size,
+    modified: stats.modified.toISOString(),
+    registrationId: (data && data.registrationId) || null,
+    revision: data ? data.revision : null,
+    status: (data && data.status) || null,
+    submissionDate: (data && data.submissionDate) || null,
+    studentName: studentName || null,
+    program: (data && data.program) || null,
+    totalCredits: Number.isNaN(totalCredits) ? null : totalCredits
+  };
+  cache.set(filename, { modified: stats.modified.getTime(), size: stats.size, description });
+  return description;
+}
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const list = value => String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Read listing options from query parameters: program, status (comma-separated lists),
+ * from / to (YYYY-MM-DD, inclusive, on the submission date), sort (field, '-' for descending),
+ * limit and cursor
+ * @param {Object} query - Request query
+ * @returns {Object} - { filters, sort: { field, descending, spec }, limit, cursor }
+ * @throws {ListingError} - For values that cannot be used
+ */
+function parseListingQuery(query = {}) {
+  const filters = {};
+  if (query.program) filters.program = list(query.program);
+  if (query.status) filters.status = list(query.status);
+  for (const bound of ['from', 'to']) {
+    if (query[bound] === undefined || query[bound] === '') continue;
+    if (!isDate(query[bound])) {
+      throw new ListingError('INVALID_LISTING_DATE', `'${query[bound]}' is not a date (YYYY-MM-DD)`, { value: query[bound] });
+    }
+    filters[bound] = query[bound];
+  }
+
+  const sortSpec = query.sort ? String(query.sort) : DEFAULT_SORT;
+  const field = sortSpec.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ListingError('INVALID_LISTING_SORT', `Cannot sort by '${field}'; use one of ${SORT_FIELDS.join(', ')}`,
+      { field, fields: SORT_FIELDS.join(', ') });
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ListingError('INVALID_LISTING_LIMIT', `Limit must be a whole number between 1 and ${MAX_LIMIT}`, { max: MAX_LIMIT });
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      cursor = null;
+    }
+    // A cursor only continues the ordering it was issued for
+    if (!cursor || cursor.s !== sortSpec || typeof cursor.f !== 'string') {
+      throw new ListingError('INVALID_LISTING_CURSOR', 'The cursor is not valid for this listing');
+    }
+  }
+
+  return { filters, sort: { field, descending: sortSpec.startsWith('-'), spec: sortSpec }, limit, cursor };
+}
+
+function matches(item, filters) {
+  if (filters.program && !filters.program.includes(String(item.program).toLowerCase())) return false;
+  if (filters.status && !filters.status.includes(String(item.status).toLowerCase())) return false;
+  if (filters.from || filters.to) {
+    if (!item.submissionDate) return false;
+    if (filters.from && item.submissionDate < filters.from) return false;
+    if (filters.to && item.submissionDate > filters.to) return false;
+  }
+  return true;
+}
+
+// Missing values sort last in either direction; the filename breaks ties so the order is total
+function comparator({ field, descending }) {
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x !== y) {
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (order !== 0) return descending ? -order : order;
+    }
+    return a.filename.localeCompare(b.filename);
+  };
+}
+
+/**
+ * Filter, sort and page described files
+ * @param {Array} items - Entries with the fields of describeXmlFile()
+ * @param {Object} options - From parseListingQuery()
+ * @returns {Object} - { items, total (matching entries), nextCursor (null on the last page) }
+ */
+function queryListing(items, options) {
+  const compare = comparator(options.sort);
+  const matching = items.filter(item => matches(item, options.filters)).sort(compare);
+
+  let start = 0;
+  if (options.cursor) {
+    const last = { [options.sort.field]: options.cursor.v, filename: options.cursor.f };
+    start = matching.findIndex(item => compare(item, last) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + options.limit);
+  const hasMore = start + page.length < matching.length;
+  const lastItem = page[page.length - 1];
+  const nextCursor = hasMore
+    ? Buffer.from(JSON.stringify({ s: options.sort.spec, v: lastItem[options.sort.field], f: lastItem.filename }), 'utf8').toString('base64url')
+    : null;
+
+  return { items: page, total: matching.length, nextCursor };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  ListingError,
+  describeXmlFile,
+  parseListingQuery,
+  queryListing
+};
@@ -0,0 +1,114 @@
+/**
+ * Registration Mapper Module
+ * Maps a student registration XML document back to the formData structure produced by
+ * collectFormData() in public/script.js, so saved registrations can be edited in the form
+ */
+
+const { parseDocument } = require('./xsd-validator');
+
+const SR_NS = 'http://university.edu/student-registration';
+
+const PERSONAL_FIELDS = ['firstName', 'lastName', 'middleName', 'dateOfBirth', 'gender', 'nationality', 'socialSecurityNumber', 'maritalStatus'];
+const ACADEMIC_FIELDS = ['program', 'major', 'minor', 'expectedGraduationYear', 'gpa', 'isTransferStudent', 'transferCredits'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+const CONTACT_FIELDS = ['phoneNumber', 'alternatePhone', 'email', 'alternateEmail'];
+const EDUCATION_FIELDS = ['institutionName', 'degree', 'graduationYear', 'gpa'];
+const EMERGENCY_CONTACT_FIELDS = ['name', 'relationship', 'phoneNumber', 'email'];
+const COURSE_FIELDS = ['courseCode', 'courseName', 'credits', 'instructor'];
+const SCHEDULE_FIELDS = ['days', 'startTime', 'endTime', 'room'];
+const ADDITIONAL_FIELDS = ['specialNeeds', 'medicalConditions', 'extracurricularActivities', 'workExperience', 'financialAidRequired', 'housingRequired'];
+
+function children(node, localName) {
+  const result = [];
+  if (!node) return result;
+  for (let i = 0; i < node.childNodes.length; i++) {
+    const child = node.childNodes[i];
+    if (child.nodeType === 1 && child.namespaceURI === SR_NS && child.localName === localName) {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+function child(node, localName) {
+  return children(node, localName)[0] || null;
+}
+
+// Copy the text of the named child elements onto target; absent optional elements are skipped
+function copyFields(target, node, fields) {
+  for (const field of fields) {
+    const element = child(node, field);
+    if (element) target[field] = element.textContent.trim();
+  }
+  return target;
+}
+
+/**
+ * Map registration XML to form data
+ * @param {string} xmlContent - Raw registration XML
+ * @returns {Object} - formData with registrationId, revision, submissionDate and status
+ */
+function xmlToFormData(xmlContent) {
+  const { doc, errors } = parseDocument(xmlContent);
+  if (!doc || errors.length > 0) {
+    throw new Error(`Invalid XML: ${errors.map(e => e.message).join('; ')}`);
+  }
+
+  const root = doc.documentElement;
+  if (root.namespaceURI !== SR_NS || root.localName !== 'studentRegistration') {
+    throw new Error('Not a student registration document');
+  }
+
+  const formData = {
+    registrationId: root.getAttribute('registrationId'),
+    revision: parseInt(root.getAttribute('revision'), 10) || 1,
+    submissionDate: root.getAttribute('submissionDate'),
+    status: root.getAttribute('status') || 'pending'
+  };
+
+  copyFields(formData, child(root, 'personalInfo'), PERSONAL_FIELDS);
+
+  const academicInfo = child(root, 'academicInfo');
+  copyFields(formData, academicInfo, ACADEMIC_FIELDS);
+  formData.previousEducation = children(academicInfo, 'previousEducation').map(education => ({
+    level: education.getAttribute('level'),
+    ...copyFields({}, education, EDUCATION_FIELDS)
+  }));
+
+  const contactInfo = child(root, 'contactInfo');
+  copyFields(formData, child(contactInfo, 'address'), ADDRESS_FIELDS);
+  copyFields(formData, contactInfo, CONTACT_FIELDS);
+
+  formData.emergencyContacts = children(child(root, 'emergencyContacts'), 'contact').map(contact => ({
+    ...copyFields({}, contact, EMERGENCY_CONTACT_FIELDS),
+    priority: contact.getAttribute('priority')
+  }));
+
+  const courses = child(root, 'courses');
+  formData.courses = children(courses, 'course').map(course => ({
+    ...copyFields({}, course, COURSE_FIELDS),
+    semester: course.getAttribute('semester'),
+    ...copyFields({}, child(course, 'schedule'), SCHEDULE_FIELDS)
+  }));
+  formData.totalCredits = courses ? parseInt(courses.getAttribute('totalCredits'), 10) || 0 : 0;
+
+  const additionalInfo = child(root, 'additionalInfo');
+  if (additionalInfo) {
+    formData.additionalInfo = copyFields({}, additionalInfo, ADDITIONAL_FIELDS);
+  }
+
+  formData.statusHistory = children(child(root, 'statusHistory'), 'transition').map(transition => ({
+    from: transition.getAttribute('from'),
+    to: transition.getAttribute('to'),
+    actor: transition.getAttribute('actor'),
+    timestamp: transition.getAttribute('timestamp'),
+    ...copyFields({}, transition, ['reason'])
+  }));
+
+  return formData;
+}
+
+module.exports = {
+  xmlToFormData,
+  SR_NS
+};
@@ -0,0 +1,208 @@
+/**
+ * Registration Serializer Module
+ * Builds student registration XML from form data through the DOM, emitting elements and
+ * attributes in the order declared by the compiled XSD. Every value is escaped by the
+ * serializer, empty optional elements are omitted, and the same input always yields
+ * the same bytes.
+ */
+
+const { DOMImplementation, XMLSerializer } = require('@xmldom/xmldom');
+const { SR_NS } = require('./registration-mapper');
+
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const PREFIX = 'sr';
+const INDENT = '  ';
+
+// Characters that are not allowed anywhere in an XML 1.0 document
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(INVALID_XML_CHARS, '').trim();
+}
+
+function flag(value) {
+  return value === true || value === 'true' ? 'true' : 'false';
+}
+
+// Repeated entries the user left completely blank are dropped before defaults are applied
+function list(value) {
+  return Array.isArray(value) ? value.filter(entry => entry && !isEmpty(entry)) : [];
+}
+
+/**
+ * Arrange form data as a tree keyed by XSD names; attributes are prefixed with "@"
+ * @param {Object} formData - Form data as produced by collectFormData()
+ * @param {Object} options - { registrationId, submissionDate, status, revision }
+ * @returns {Object} - Registration tree
+ */
+function formDataToTree(formData, options = {}) {
+  const additionalInfo = formData.additionalInfo;
+
+  return {
+    '@registrationId': options.registrationId,
+    '@submissionDate': options.submissionDate,
+    '@status': options.status || 'pending',
+    '@revision': options.revision || 1,
+    personalInfo: {
+      firstName: formData.firstName,
+      lastName: formData.lastName,
+      middleName: formData.middleName,
+      dateOfBirth: formData.dateOfBirth,
+      gender: formData.gender,
+      nationality: formData.nationality,
+      socialSecurityNumber: formData.socialSecurityNumber,
+      maritalStatus: formData.maritalStatus
+    },
+    academicInfo: {
+      program: formData.program,
+      major: formData.major,
+      minor: formData.minor,
+      expectedGraduationYear: formData.expectedGraduationYear,
+      previousEducation: list(formData.previousEducation).map(education => ({
+        '@level': education.level,
+        institutionName: education.institutionName,
+        degree: education.degree,
+        graduationYear: education.graduationYear,
+        gpa: education.gpa
+      })),
+      gpa: formData.gpa,
+      isTransferStudent: flag(formData.isTransferStudent),
+      transferCredits: formData.transferCredits
+    },
+    contactInfo: {
+      address: {
+        street: formData.street,
+        city: formData.city,
+        state: formData.state,
+        zipCode: formData.zipCode,
+        country: formData.country
+      },
+      phoneNumber: formData.phoneNumber,
+      alternatePhone: formData.alternatePhone,
+      email: formData.email,
+      alternateEmail: formData.alternateEmail
+    },
+    emergencyContacts: {
+      contact: list(formData.emergencyContacts).map(contact => ({
+        '@priority': contact.priority || 'Primary',
+        name: contact.name,
+        relationship: contact.relationship,
+        phoneNumber: contact.phoneNumber,
+        email: contact.email
+      }))
+    },
+    courses: {
+      '@totalCredits': formData.totalCredits || 0,
+      course: list(formData.courses).map(course => ({
+        '@semester': course.semester || 'Fall',
+        courseCode: course.courseCode,
+        courseName: course.courseName,
+        credits: course.credits || 3,
+        instructor: course.instructor,
+        schedule: {
+          days: course.days || 'MWF',
+          startTime: course.startTime || '09:00',
+          endTime: course.endTime || '10:00',
+          room: course.room
+        }
+      }))
+    },
+    additionalInfo: additionalInfo ? {
+      specialNeeds: additionalInfo.specialNeeds,
+      medicalConditions: additionalInfo.medicalConditions,
+      extracurricularActivities: additionalInfo.extracurricularActivities,
+      workExperience: additionalInfo.workExperience,
+      financialAidRequired: flag(additionalInfo.financialAidRequired),
+      housingRequired: flag(additionalInfo.housingRequired)
+    } : undefined,
+    statusHistory: {
+      transition: list(formData.statusHistory).map(transition => ({
+        '@from': transition.from,
+        '@to': transition.to,
+        '@actor': transition.actor,
+        '@timestamp': transition.timestamp,
+        reason: transition.reason
+      }))
+    }
+  };
+}
+
+// A value is empty when it (and, for groups, everything inside it) has no text
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.every(isEmpty);
+  if (value && typeof value === 'object') return Object.values(value).every(isEmpty);
+  return text(value) === '';
+}
+
+class SchemaOrderedBuilder {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  build(tree) {
+    const rootDecl = this.schema.elements.get('studentRegistration');
+    const doc = new DOMImplementation().createDocument(SR_NS, `${PREFIX}:${rootDecl.name}`, null);
+    const root = doc.documentElement;
+    root.setAttributeNS(XMLNS_NS, `xmlns:${PREFIX}`, SR_NS);
+    this.doc = doc;
+    this.fillElement(root, rootDecl.type(), tree, 0);
+    return doc;
+  }
+
+  fillElement(element, type, value, depth) {
+    if (type.kind === 'simple') {
+      const content = text(value);
+      if (content) element.appendChild(this.doc.createTextNode(content));
+      return;
+    }
+
+    const fields = value && typeof value === 'object' ? value : {};
+    type.attributes.forEach((decl, name) => {
+      const attrValue = text(fields[`@${name}`]);
+      if (attrValue || decl.use === 'required') element.setAttribute(name, attrValue);
+    });
+
+    if (!type.content) return;
+    const before = element.childNodes.length;
+    this.fillParticle(element, type.content, fields, depth);
+    if (element.childNodes.length > before) {
+      element.appendChild(this.doc.createTextNode(`\n${INDENT.repeat(depth)}`));
+    }
+  }
+
+  fillParticle(element, particle, fields, depth) {
+    if (particle.kind === 'element') {
+      const values = [].concat(fields[particle.name]).filter(v => !isEmpty(v));
+      // Required elements are still emitted when empty so validation can report them
+      if (values.length === 0 && particle.minOccurs > 0) values.push(undefined);
+      for (const value of values) {
+        const child = this.doc.createElementNS(SR_NS, `${PREFIX}:${particle.name}`);
+        element.appendChild(this.doc.createTextNode(`\n${INDENT.repeat(depth + 1)}`));
+        element.appendChild(child);
+        this.fillElement(child, particle.type(), value, depth + 1);
+      }
+      return;
+    }
+    if (particle.particles) {
+      particle.particles.forEach(p => this.fillParticle(element, p, fields, depth));
+    }
+  }
+}
+
+/**
+ * Serialize form data as registration XML in schema order
+ * @param {Object} schema - Compiled registration schema (see xsd-validator compileSchema)
+ * @param {Object} formData - Form data as produced by collectFormData()
+ * @param {Object} options - { registrationId, submissionDate, status, revision }
+ * @returns {string} - Registration XML
+ */
+function serializeRegistration(schema, formData, options = {}) {
+  const doc = new SchemaOrderedBuilder(schema).build(formDataToTree(formData, options));
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}\n`;
+}
+
+module.exports = {
+  serializeRegistration,
+  formDataToTree
+};
@@ -0,0 +1,396 @@
+/**
+ * Registration Store Module
+ * Keeps an index (registrations.json in the data area) from each registrationId to its revisions
+ * and their stored artifacts: the XML in the data area, and the HTML views, PDF rendition and
+ * signed containers in the output area (see storage.js). The index is rebuilt from the XML files
+ * when it is missing or unreadable.
+ */
+
+const path = require('path');
+const registrationMapper = require('./registration-mapper');
+const { createFileStorage } = require('./storage');
+
+const INDEX_FILE = 'registrations.json';
+const INDEX_VERSION = 1;
+
+class RegistrationStoreError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'RegistrationStoreError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Plain file names only: artifacts live directly in the data or output area
+function assertFileName(filename) {
+  if (typeof filename !== 'string' || !filename || path.basename(filename) !== filename || filename === '..') {
+    throw new RegistrationStoreError('INVALID_FILENAME', `Invalid file name: ${filename}`, { filename });
+  }
+}
+
+// Identity of a stored XML document, or null when it is not a readable registration
+function describeXml(xmlContent) {
+  try {
+    const { registrationId, revision, status, submissionDate } = registrationMapper.xmlToFormData(xmlContent);
+    return registrationId ? { registrationId, revision, status, submissionDate } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function newRevision(info, xmlFile, savedAt) {
+  return {
+    revision: info.revision,
+    status: info.status,
+    submissionDate: info.submissionDate,
+    xml: xmlFile,
+    savedAt,
+    html: {},
+    pdf: null,
+    signed: []
+  };
+}
+
+/**
+ * Create a store over a storage backend
+ * @param {Object} [options] - { storage }, or { dataDir, outputDir } for files in those directories
+ * @returns {Object} - Store with list, get, readXml, save, writeArtifact, remove, ... methods
+ */
+function createRegistrationStore(options = {}) {
+  const storage = options.storage || createFileStorage(options);
+
+  let index = null;
+  // Index updates run one after another so concurrent requests cannot lose each other's changes
+  let queue = Promise.resolve();
+  const exclusive = task => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function rebuildIndex() {
+    const registrations = Object.create(null);
+    const files = (await storage.list('data')).filter(file => file.endsWith('.xml'));
+    const outputs = await storage.list('output');
+    for (const file of files) {
+      const info = describeXml(await storage.readText('data', file));
+      if (!info) continue;
+      const savedAt = (await storage.stat('data', file)).modified.toISOString();
+      const record = registrations[info.registrationId] || (registrations[info.registrationId] = {
+        registrationId: info.registrationId,
+        createdAt: savedAt,
+        revisions: []
+      });
+      if (record.revisions.some(r => r.revision === info.revision)) continue;
+
+      // HTML views written before the index existed: <name>.html (default) and <name>.<stylesheet>.html
+      const revision = newRevision(info, file, savedAt);
+      const base = file.replace(/\.xml$/, '');
+      for (const output of outputs) {
+        const match = output.startsWith(`${base}.`) && /^\.(?:([a-z0-9][a-z0-9-]*)\.)?html$/.exec(output.slice(base.length));
+        if (match) revision.html[match[1] || 'default'] = output;
+      }
+      record.revisions.push(revision);
+    }
+
+    for (const record of Object.values(registrations)) {
+      record.revisions.sort((a, b) => a.revision - b.revision);
+      syncLatest(record);
+    }
+    return { version: INDEX_VERSION, registrations };
+  }
+
+  // Summary fields of a record follow its latest revision
+  function syncLatest(record) {
+    const latest = record.revisions[record.revisions.length - 1];
+    record.revision = latest.revision;
+    record.status = latest.status;
+    record.submissionDate = latest.submissionDate;
+    record.updatedAt = latest.savedAt;
+  }
+
+  async function loadIndex() {
+    if (index) return index;
+    try {
+      const stored = JSON.parse(await storage.readText('data', INDEX_FILE));
+      if (stored.version !== INDEX_VERSION || !stored.registrations) throw new Error('Unsupported index');
+      // Without a prototype, IDs such as __proto__ or constructor are plain keys like any other
+      index = { ...stored, registrations: Object.assign(Object.create(null), stored.registrations) };
+    } catch (error) {
+      index = await rebuildIndex();
+      await writeIndex();
+    }
+    return index;
+  }
+
+  async function writeIndex() {
+    await storage.write('data', INDEX_FILE, `${JSON.stringify(index, null, 2)}\n`);
+  }
+
+  function findRevision(record, revision) {
+    if (revision === undefined || revision === null) {
+      return record.revisions[record.revisions.length - 1];
+    }
+    return record.revisions.find(r => r.revision === Number(revision)) || null;
+  }
+
+  function requireRecord(registrationId) {
+    const record = index.registrations[registrationId];
+    if (!record) {
+      throw new RegistrationStoreError('REGISTRATION_NOT_FOUND', `Registration '${registrationId}' not found`, { registrationId });
+    }
+    return record;
+  }
+
+  function requireRevision(record, revision) {
+    const entry = findRevision(record, revision);
+    if (!entry) {
+      throw new RegistrationStoreError('REVISION_NOT_FOUND', `Registration '${record.registrationId}' has no revision ${revision}`,
+        { registrationId: record.registrationId, revision });
+    }
+    return entry;
+  }
+
+  // Timestamped like the files saved before the index existed; saves within the same millisecond get a counter
+  async function freeXmlName() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let filename = `student-registration-${stamp}.xml`;
+    for (let n = 2; await storage.exists('data', filename); n++) {
+      filename = `student-registration-${stamp}-${n}.xml`;
+    }
+    return filename;
+  }
+
+  async function storeXml(xmlContent, strict) {
+    await loadIndex();
+    const info = describeXml(xmlContent);
+    const existing = info && index.registrations[info.registrationId];
+    let error = null;
+    if (!info) {
+      error = new RegistrationStoreError('INVALID_REGISTRATION_XML', 'The document is not a readable student registration');
+    } else if (existing && findRevision(existing, info.revision)) {
+      error = new RegistrationStoreError('REVISION_EXISTS', `Registration '${info.registrationId}' already has revision ${info.revision}`,
+        { registrationId: info.registrationId, revision: info.revision });
+    }
+    if (error && strict) throw error;
+
+    const filename = await freeXmlName();
+    await storage.write('data', filename, xmlContent);
+    if (error) return { record: null, revision: null, filename };
+
+    const savedAt = new Date().toISOString();
+    const record = existing || (index.registrations[info.registrationId] = {
+      registrationId: info.registrationId,
+      createdAt: savedAt,
+      revisions: []
+    });
+    const revision = newRevision(info, filename, savedAt);
+    record.revisions.push(revision);
+    record.revisions.sort((a, b) => a.revision - b.revision);
+    syncLatest(record);
+    await writeIndex();
+    return { record, revision, filename };
+  }
+
+  // Every file a revision owns as [area, name]
+  function revisionFiles(revision) {
+    return [
+      ['data', revision.xml],
+      ...Object.values(revision.html).map(file => ['output', file]),
+      ...(revision.pdf ? [['output', revision.pdf]] : []),
+      ...revision.signed.map(entry => ['output', entry.file])
+    ];
+  }
+
+  return {
+    storage,
+
+    /**
+     * All registrations, most recently updated first
+     * @returns {Promise<Array>} - Index records
+     */
+    async list() {
+      const { registrations } = await loadIndex();
+      return Object.values(registrations).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || a.registrationId.localeCompare(b.registrationId));
+    },
+
+    /**
+     * @param {string} registrationId - Registration identifier
+     * @returns {Promise<Object|null>} - Index record
+     */
+    async get(registrationId) {
+      const { registrations } = await loadIndex();
+      return Object.prototype.hasOwnProperty.call(registrations, registrationId) ? registrations[registrationId] : null;
+    },
+
+    /**
+     * Find the registration revision stored in an XML file
+     * @param {string} filename - XML file name in the data area
+     * @returns {Promise<Object|null>} - { record, revision }
+     */
+    async findByFilename(filename) {
+      const { registrations } = await loadIndex();
+      for (const record of Object.values(registrations)) {
+        const revision = record.revisions.find(r => r.xml === filename);
+        if (revision) return { record, revision };
+      }
+      return null;
+    },
+
+    /**
+     * XML of a revision (the latest unless given)
+     * @returns {Promise<string>} - XML content
+     */
+    async readXml(registrationId, revision) {
+      await loadIndex();
+      const entry = requireRevision(requireRecord(registrationId), revision);
+      return storage.readText('data', entry.xml);
+    },
+
+    /**
+     * XML files in the data area, registrations or not, for the filename-based routes
+     * @returns {Promise<string[]>} - File names
+     */
+    async listXmlFiles() {
+      return (await storage.list('data')).filter(file => file.endsWith('.xml'));
+    },
+
+    /**
+     * Read an XML file from the data area by name
+     * @returns {Promise<string|null>} - XML content, null when the file does not exist
+     */
+    async readXmlFile(filename) {
+      assertFileName(filename);
+      return storage.readText('data', filename);
+    },
+
+    /**
+     * Store registration XML as a new file in the data area and index it as a revision of its registrationId.
+     * The revision number written in the XML must not be taken yet.
+     * @param {string} xmlContent - Registration XML
+     * @returns {Promise<Object>} - { record, revision, filename }
+     */
+    save(xmlContent) {
+      return exclusive(() => storeXml(xmlContent, true));
+    },
+
+    /**
+     * Store the next revision of a registration (the first one when new). The XML is built for that revision
+     * number while no other change runs, so concurrent saves each get a number of their own.
+     * @param {string} registrationId - Registration identifier
+     * @param {Function} build - async (revision number, index record or null) -> registration XML
+     * @returns {Promise<Object>} - { record, revision, filename }
+     */
+    saveNextRevision(registrationId, build) {
+      return exclusive(async () => {
+        await loadIndex();
+        const record = Object.prototype.hasOwnProperty.call(index.registrations, registrationId) ? index.registrations[registrationId] : null;
+        return storeXml(await build(record ? record.revision + 1 : 1, record), true);
+      });
+    },
+
+    /**
+     * Store any XML as a new file in the data area; it is indexed when it is a registration with a new revision
+     * @param {string} xmlContent - XML content
+     * @returns {Promise<Object>} - { record, revision, filename }, record and revision null when not indexed
+     */
+    importXml(xmlContent) {
+      return exclusive(() => storeXml(xmlContent, false));
+    },
+
+    /**
+     * Store a file in the output area as an artifact of a revision
+     * @param {string} registrationId - Registration identifier
+     * @param {number|null} revision - Revision number, the latest when null
+     * @param {string} kind - 'html' (per stylesheet), 'pdf' or 'signed'
+     * @param {Buffer|string} content - File content
+     * @param {Object} [details] - { stylesheet, default } for html, { name } for signed containers
+     * @returns {Promise<Object>} - { filename, revision }
+     */
+    writeArtifact(registrationId, revision, kind, content, details = {}) {
+      return exclusive(async () => {
+        await loadIndex();
+        const entry = requireRevision(requireRecord(registrationId), revision);
+        const base = entry.xml.replace(/\.xml$/, '');
+
+        let filename;
+        if (kind === 'html') {
+          // The registry default keeps the plain <name>.html, indexed as 'default' when rebuilt from the files
+          filename = details.default ? `${base}.html` : `${base}.${details.stylesheet}.html`;
+          for (const [stylesheet, file] of Object.entries(entry.html)) {
+            if (file === filename) delete entry.html[stylesheet];
+          }
+          entry.html[details.stylesheet] = filename;
+        } else if (kind === 'pdf') {
+          filename = `${base}.pdf`;
+          entry.pdf = filename;
+        } else if (kind === 'signed') {
+          filename = `${base}.signed-${entry.signed.length + 1}.asice`;
+          entry.signed.push({ file: filename, name: details.name || null, addedAt: new Date().toISOString() });
+        } else {
+          throw new RegistrationStoreError('INVALID_ARTIFACT', `Unknown artifact kind: ${kind}`, { kind });
+        }
+
+        await storage.write('output', filename, content);
+        await writeIndex();
+        return { filename, revision: entry.revision };
+      });
+    },
+
+    /**
+     * Keep the outcome of the latest validation of a stored XML file with its revision
+     * @param {string} filename - XML file name in the data area
+     * @param {Object} validation - { valid, errorCount, validatedAt }
+     * @returns {Promise<boolean>} - false when the file is not an indexed revision
+     */
+    recordValidation(filename, validation) {
+      return exclusive(async () => {
+        await loadIndex();
+        for (const record of Object.values(index.registrations)) {
+          const revision = record.revisions.find(r => r.xml === filename);
+          if (revision) {
+            revision.validation = validation;
+            await writeIndex();
+            return true;
+          }
+        }
+        return false;
+      });
+    },
+
+    /**
+     * Delete a registration with every revision and artifact
+     * @param {string} registrationId - Registration identifier
+     * @returns {Promise<Object>} - { record, deleted: '<area>/<name>' of the removed files }
+     */
+    remove(registrationId) {
+      return exclusive(async () => {
+        await loadIndex();
+        const record = requireRecord(registrationId);
+        const deleted = [];
+        for (const revision of record.revisions) {
+          for (const [area, file] of revisionFiles(revision)) {
+            if (await storage.remove(area, file)) {
+              deleted.push(`${area}/${file}`);
+            }
+          }
+        }
+        delete index.registrations[registrationId];
+        await writeIndex();
+        return { record, deleted };
+      });
+    },
+
+    // Drop the loaded index; the next call reloads it from storage
+    reload() {
+      index = null;
+    }
+  };
+}
+
+module.exports = {
+  INDEX_FILE,
+  RegistrationStoreError,
+  createRegistrationStore
+};
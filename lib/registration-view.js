@@ -0,0 +1,129 @@
+/**
+ * Registration View Module
+ * Arranges a registration into the labelled sections, field lists and tables shared by the
+ * human-readable renditions (PDF/A and plain text), so they show the same content in the same order.
+ */
+
+const i18n = require('./i18n');
+
+/**
+ * Build the view of a registration
+ * @param {Object} data - formData from registrationMapper.xmlToFormData()
+ * @param {Object} catalogue - Loaded message catalogue (labels come from its output section)
+ * @returns {Object} - { heading, registrationId, meta: [[label, value]], sections: [{ title, blocks }] }
+ *   where a block is { fields: [[label, value]] }, { table, title, columns, rows } or { total }
+ */
+function buildRegistrationView(data, catalogue) {
+  const label = key => i18n.translate(catalogue, `output.${key}`);
+  const yesNo = value => (value === 'true' ? label('yes') : value === 'false' ? label('no') : value);
+  const join = (values, separator) => values.filter(Boolean).join(separator);
+  // Rows without a value are left out like the optional elements they come from
+  const fields = rows => ({ fields: rows.filter(([, value]) => value !== undefined && value !== null && value !== '').map(([name, value]) => [name, String(value)]) });
+  const table = (id, columns, rows, title) => ({
+    table: id,
+    title: title || null,
+    columns: columns.map(label),
+    rows: rows.map(row => row.map(cell => (cell === undefined || cell === null ? '' : String(cell))))
+  });
+
+  const sections = [];
+
+  sections.push({
+    title: label('personalInfo'),
+    blocks: [fields([
+      [label('name'), join([data.firstName, data.middleName, data.lastName], ' ')],
+      [label('dateOfBirth'), data.dateOfBirth],
+      [label('gender'), data.gender],
+      [label('nationality'), data.nationality],
+      [label('socialSecurityNumber'), data.socialSecurityNumber],
+      [label('maritalStatus'), data.maritalStatus]
+    ])]
+  });
+
+  const transfer = data.isTransferStudent === 'true' && data.transferCredits
+    ? `${label('yes')} (${data.transferCredits} ${label('creditsUnit')})`
+    : yesNo(data.isTransferStudent);
+  const academic = [fields([
+    [label('program'), data.program],
+    [label('major'), data.major],
+    [label('minor'), data.minor],
+    [label('expectedGraduationYear'), data.expectedGraduationYear],
+    [label('gpa'), data.gpa],
+    [label('transferStudent'), transfer]
+  ])];
+  if (data.previousEducation.length > 0) {
+    academic.push(table('previousEducation',
+      ['level', 'institution', 'degree', 'graduationYear', 'gpaShort'],
+      data.previousEducation.map(e => [e.level, e.institutionName, e.degree, e.graduationYear, e.gpa]),
+      label('previousEducation')));
+  }
+  sections.push({ title: label('academicInfo'), blocks: academic });
+
+  sections.push({
+    title: label('contactInfo'),
+    blocks: [fields([
+      [label('address'), join([data.street, join([data.city, join([data.state, data.zipCode], ' ')], ', '), data.country], ', ')],
+      [label('phoneNumber'), data.phoneNumber],
+      [label('alternatePhone'), data.alternatePhone],
+      [label('email'), data.email],
+      [label('alternateEmail'), data.alternateEmail]
+    ])]
+  });
+
+  if (data.emergencyContacts.length > 0) {
+    sections.push({
+      title: label('emergencyContacts'),
+      blocks: [table('emergencyContacts',
+        ['priority', 'name', 'relationship', 'phone', 'email'],
+        data.emergencyContacts.map(c => [c.priority, c.name, c.relationship, c.phoneNumber, c.email]))]
+    });
+  }
+
+  sections.push({
+    title: label('courses'),
+    blocks: [
+      table('courses',
+        ['courseCode', 'courseName', 'credits', 'semester', 'instructor', 'schedule', 'room'],
+        data.courses.map(c => [
+          c.courseCode,
+          c.courseName,
+          c.credits,
+          c.semester,
+          c.instructor,
+          join([c.days, join([c.startTime, c.endTime], '–')], ' '),
+          c.room
+        ])),
+      { total: `${label('totalCredits')}: ${data.totalCredits}` }
+    ]
+  });
+
+  const additional = data.additionalInfo;
+  if (additional) {
+    sections.push({
+      title: label('additionalInfo'),
+      blocks: [fields([
+        [label('specialNeeds'), additional.specialNeeds],
+        [label('medicalConditions'), additional.medicalConditions],
+        [label('extracurricularActivities'), additional.extracurricularActivities],
+        [label('workExperience'), additional.workExperience],
+        [label('financialAidRequired'), yesNo(additional.financialAidRequired)],
+        [label('housingRequired'), yesNo(additional.housingRequired)]
+      ])]
+    });
+  }
+
+  return {
+    heading: label('heading'),
+    registrationId: data.registrationId,
+    meta: [
+      [label('registrationId'), data.registrationId],
+      [label('submissionDate'), data.submissionDate],
+      [label('status'), data.status]
+    ],
+    sections
+  };
+}
+
+module.exports = {
+  buildRegistrationView
+};
@@ -0,0 +1,121 @@
+/**
+ * Registration Workflow Module
+ * Moves a registration between the statuses of RegistrationStatusType under fixed transition
+ * rules. A transition is written into the registration (status attribute and statusHistory)
+ * and appended to an audit log (one JSON object per line, never rewritten).
+ */
+
+const STATUSES = ['pending', 'approved', 'rejected', 'incomplete'];
+
+// Status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'incomplete'],
+  incomplete: ['pending', 'rejected'],
+  rejected: ['pending'],
+  approved: ['pending']
+};
+
+// Moving to these statuses has to be explained to the student
+const REASON_REQUIRED = ['rejected', 'incomplete'];
+
+const MAX_ACTOR_LENGTH = 100;
+const MAX_REASON_LENGTH = 1000;
+
+class WorkflowError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * @param {string} status - Current status
+ * @returns {string[]} - Statuses the registration may move to
+ */
+function allowedTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ * Apply a transition to registration form data
+ * @param {Object} formData - From registrationMapper.xmlToFormData()
+ * @param {Object} request - { to, actor, reason }; the transition is stamped with the current time, never a requested one
+ * @returns {Object} - { formData: copy with the new status and history entry, transition }
+ * @throws {WorkflowError} - When the transition is not allowed or incompletely described
+ */
+function applyTransition(formData, request) {
+  const from = formData.status || 'pending';
+  const to = typeof request.to === 'string' ? request.to.trim() : '';
+  const actor = typeof request.actor === 'string' ? request.actor.trim() : '';
+  const reason = typeof request.reason === 'string' ? request.reason.trim() : '';
+
+  if (!STATUSES.includes(to)) {
+    throw new WorkflowError('INVALID_STATUS', `Unknown status '${to}'; use one of ${STATUSES.join(', ')}`,
+      { status: to, statuses: STATUSES.join(', ') });
+  }
+  if (!allowedTransitions(from).includes(to)) {
+    throw new WorkflowError('TRANSITION_NOT_ALLOWED', `A registration that is ${from} cannot become ${to}`, { from, to });
+  }
+  if (!actor || actor.length > MAX_ACTOR_LENGTH) {
+    throw new WorkflowError('ACTOR_REQUIRED', `The name of who makes the change is required (at most ${MAX_ACTOR_LENGTH} characters)`,
+      { max: MAX_ACTOR_LENGTH });
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new WorkflowError('REASON_TOO_LONG', `The reason may have at most ${MAX_REASON_LENGTH} characters`, { max: MAX_REASON_LENGTH });
+  }
+  if (!reason && REASON_REQUIRED.includes(to)) {
+    throw new WorkflowError('REASON_REQUIRED', `A reason is required to make a registration ${to}`, { to });
+  }
+
+  const transition = { from, to, actor, timestamp: new Date().toISOString() };
+  if (reason) transition.reason = reason;
+
+  return {
+    formData: { ...formData, status: to, statusHistory: [...(formData.statusHistory || []), transition] },
+    transition
+  };
+}
+
+/**
+ * Create an append-only audit log in a JSON Lines file of the data area
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} [filename] - Log file name
+ * @returns {Object} - Log with append and read methods
+ */
+function createAuditLog(storage, filename = 'status-history.jsonl') {
+  return {
+    filename,
+
+    /**
+     * @param {Object} entry - Transition with registrationId, revision and filename
+     */
+    async append(entry) {
+      await storage.append('data', filename, `${JSON.stringify(entry)}\n`);
+    },
+
+    /**
+     * Entries in the order they were made
+     * @param {string} [registrationId] - Only this registration's entries
+     * @returns {Promise<Array>} - Entries
+     */
+    async read(registrationId) {
+      const content = await storage.readText('data', filename);
+      if (content === null) return [];
+      const entries = content.split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      return registrationId ? entries.filter(entry => entry.registrationId === registrationId) : entries;
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  WorkflowError,
+  allowedTransitions,
+  applyTransition,
+  createAuditLog
+};
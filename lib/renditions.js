@@ -0,0 +1,137 @@
+/**
+ * Renditions Module
+ * The representations a stored registration can be fetched in (XML, form data JSON, HTML, PDF,
+ * plain text), picked from a file extension or the Accept header, and a cache of rendered
+ * representations in the output area, keyed by the SHA-256 hash of the registration XML.
+ */
+
+const crypto = require('crypto');
+
+// Format name (also the extension) -> media types it answers to; the first one is sent
+const FORMATS = {
+  json: ['application/json'],
+  xml: ['application/xml', 'text/xml'],
+  html: ['text/html'],
+  pdf: ['application/pdf'],
+  txt: ['text/plain']
+};
+const DEFAULT_FORMAT = 'json';
+
+/**
+ * Pick the format of a request: a file extension wins, then the best match of the Accept header
+ * @param {Object} req - Express request (only `headers` is read)
+ * @param {string} [extension] - Extension of the requested URL, without the dot
+ * @returns {string|null} - Format name, null when none of the formats is acceptable
+ */
+function negotiateFormat(req, extension) {
+  if (extension !== undefined) {
+    const format = String(extension).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(FORMATS, format) ? format : null;
+  }
+
+  const header = (req.headers && req.headers.accept) || '';
+  if (!header.trim()) {
+    return DEFAULT_FORMAT;
+  }
+
+  // Higher q first; at equal q a specific type beats type/* beats */*, then header order
+  const ranges = header.split(',')
+    .map((range, index) => {
+      const [type, ...options] = range.trim().toLowerCase().split(';');
+      const q = options.map(o => o.trim()).find(o => o.startsWith('q='));
+      const specificity = type === '*/*' ? 0 : type.endsWith('/*') ? 1 : 2;
+      return { type: type.trim(), q: q ? parseFloat(q.slice(2)) : 1, specificity, index };
+    })
+    .filter(range => range.q > 0)
+    .sort((a, b) => b.q - a.q || b.specificity - a.specificity || a.index - b.index);
+
+  const names = Object.keys(FORMATS);
+  for (const range of ranges) {
+    if (range.type === '*/*') {
+      return DEFAULT_FORMAT;
+    }
+    // Wildcards only match the type a format is sent as, so text/* means HTML rather than text/xml
+    const format = range.type.endsWith('/*')
+      ? names.find(name => FORMATS[name][0].startsWith(range.type.slice(0, -1)))
+      : names.find(name => FORMATS[name].includes(range.type));
+    if (format) {
+      return format;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} content - Registration XML
+ * @returns {string} - Hex SHA-256 of the UTF-8 content
+ */
+function hashXml(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Create a cache of rendered representations stored as <hash>.<variant> files in a directory of the
+ * output area
+ * @param {Object} options - { storage, directory: 'renditions' }
+ * @returns {Object} - Cache with render and drop methods
+ */
+function createRenditionCache(options) {
+  const { storage } = options;
+  const directory = options.directory || 'renditions';
+  // Concurrent requests for the same rendition share one rendering
+  const pending = new Map();
+
+  const fileOf = (hash, variant) => {
+    if (!/^[0-9a-f]{64}$/.test(hash) || !/^[a-z0-9][a-z0-9.-]*$/i.test(variant)) {
+      throw new Error(`Invalid rendition key: ${hash}.${variant}`);
+    }
+    return `${directory}/${hash}.${variant}`;
+  };
+
+  return {
+    directory,
+
+    /**
+     * Cached rendition, produced and stored on the first request
+     * @param {string} hash - hashXml() of the registration XML
+     * @param {string} variant - Format plus whatever else the output depends on (e.g. 'pdf.sk')
+     * @param {Function} produce - async () => Buffer|string
+     * @returns {Promise<Object>} - { content: Buffer, cached: boolean }
+     */
+    async render(hash, variant, produce) {
+      const file = fileOf(hash, variant);
+      const stored = await storage.read('output', file);
+      if (stored !== null) {
+        return { content: stored, cached: true };
+      }
+      if (!pending.has(file)) {
+        pending.set(file, (async () => {
+          const produced = await produce();
+          const content = Buffer.isBuffer(produced) ? produced : Buffer.from(produced, 'utf8');
+          await storage.write('output', file, content);
+          return content;
+        })().finally(() => pending.delete(file)));
+      }
+      return { content: await pending.get(file), cached: false };
+    },
+
+    /**
+     * Remove every cached rendition of an XML document
+     * @param {string} hash - hashXml() of the registration XML
+     * @returns {Promise<number>} - Number of files removed
+     */
+    async drop(hash) {
+      const files = (await storage.list('output', directory)).filter(file => file.startsWith(`${hash}.`));
+      await Promise.all(files.map(file => storage.remove('output', `${directory}/${file}`)));
+      return files.length;
+    }
+  };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  negotiateFormat,
+  hashXml,
+  createRenditionCache
+};
@@ -0,0 +1,250 @@
+/**
+ * Revocation Checker Module
+ * Answers from CRLs whether a certificate was revoked before a given time. CRLs (DER or PEM) are read
+ * from a local cache directory, by default certificate/crls/, so the check works offline; a CRL only
+ * counts when it is signed by the issuer of the certificate. refreshCrlCache downloads the CRLs of
+ * the listed distribution points into the cache while the network is available; certificate/crl.txt
+ * lists the DITEC Test CA CRL, the distribution point of FIITPodpisovatel.cer.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const pkijs = require('pkijs');
+
+const DEFAULT_CACHE_DIRECTORY = path.join('certificate', 'crls');
+const DEFAULT_SOURCES = path.join('certificate', 'crl.txt');
+const CRL_EXTENSIONS = ['.crl', '.pem', '.der'];
+const DEFAULT_REFRESH_INTERVAL = 60;
+
+const EXTENSIONS = {
+  keyUsage: '2.5.29.15',
+  crlDistributionPoints: '2.5.29.31',
+  reasonCode: '2.5.29.21'
+};
+
+// KeyUsage cRLSign bit (RFC 5280, 4.2.1.3), numbered from the most significant bit of the first byte
+const CRL_SIGN_BIT = 6;
+
+// CRL signature algorithms: the digest for crypto.verify (null for EdDSA, which has its own)
+const SIGNATURE_DIGESTS = {
+  '1.2.840.113549.1.1.5': 'sha1',
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.1': 'sha1',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512',
+  '1.3.101.112': null
+};
+
+// CRLReason (RFC 5280, 5.3.1)
+const REASONS = {
+  0: 'unspecified',
+  1: 'keyCompromise',
+  2: 'cACompromise',
+  3: 'affiliationChanged',
+  4: 'superseded',
+  5: 'cessationOfOperation',
+  6: 'certificateHold',
+  8: 'removeFromCRL',
+  9: 'privilegeWithdrawn',
+  10: 'aACompromise'
+};
+
+/**
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} - { cacheDirectory, sources, refreshInterval }: the CRL cache (CRL_CACHE_DIR), the file
+ *   listing the CRL URLs to refresh it from (CRL_SOURCES) and the seconds a refresh on request has to wait
+ *   for the last one (CRL_REFRESH_INTERVAL)
+ */
+function crlConfig(env) {
+  const refreshInterval = Number.parseInt(env.CRL_REFRESH_INTERVAL, 10);
+  return {
+    cacheDirectory: env.CRL_CACHE_DIR || DEFAULT_CACHE_DIRECTORY,
+    sources: env.CRL_SOURCES || DEFAULT_SOURCES,
+    refreshInterval: Number.isInteger(refreshInterval) && refreshInterval >= 0 ? refreshInterval : DEFAULT_REFRESH_INTERVAL
+  };
+}
+
+/**
+ * CRLs of a file: PEM blocks, or a single DER CRL
+ * @param {Buffer} content - File content
+ * @returns {pkijs.CertificateRevocationList[]} - CRLs
+ * @throws {Error} - If the content holds no readable CRL
+ */
+function parseCrls(content) {
+  const pem = content.toString('latin1').match(/-----BEGIN X509 CRL-----[\s\S]+?-----END X509 CRL-----/g);
+  const blocks = pem
+    ? pem.map(block => Buffer.from(block.replace(/-----(BEGIN|END) X509 CRL-----|\s/g, ''), 'base64'))
+    : [content];
+  return blocks.map(der => pkijs.CertificateRevocationList.fromBER(der));
+}
+
+/**
+ * CRL distribution point URLs of a certificate (full names only)
+ * @param {crypto.X509Certificate} certificate - Certificate
+ * @returns {string[]} - URLs
+ */
+function distributionPoints(certificate) {
+  const extension = (pkijs.Certificate.fromBER(certificate.raw).extensions || [])
+    .find(candidate => candidate.extnID === EXTENSIONS.crlDistributionPoints);
+  if (!extension) return [];
+  return extension.parsedValue.distributionPoints
+    .flatMap(point => Array.isArray(point.distributionPoint) ? point.distributionPoint : [])
+    // GeneralName uniformResourceIdentifier
+    .filter(name => name.type === 6)
+    .map(name => name.value);
+}
+
+/**
+ * URLs listed in a sources file such as certificate/crl.txt, one per line
+ * @param {string} file - Sources file
+ * @returns {Promise<string[]>} - URLs; none when the file does not exist
+ */
+async function readCrlSources(file) {
+  if (!await fs.pathExists(file)) return [];
+  return (await fs.readFile(file, 'utf8')).split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line));
+}
+
+/**
+ * Read the CRLs of the cache directory. A missing directory is an empty cache.
+ * @param {string} directory - Cache directory
+ * @returns {Promise<Object>} - { directory, crls: [{ file, crl: pkijs.CertificateRevocationList }], ignored: [file] }
+ */
+async function loadCrlCache(directory) {
+  const files = await fs.pathExists(directory) ? await fs.readdir(directory) : [];
+  const crls = [];
+  const ignored = [];
+  for (const file of files.filter(name => CRL_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort()) {
+    try {
+      crls.push(...parseCrls(await fs.readFile(path.join(directory, file))).map(crl => ({ file, crl })));
+    } catch (error) {
+      ignored.push(file);
+    }
+  }
+  return { directory, crls, ignored };
+}
+
+// Cache file of a distribution point: its file name, prefixed with a digest of the URL to keep CAs apart
+const cacheFileOf = url => {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || 'crl').replace(/[^\w.\- ]/g, '_');
+  const digest = crypto.createHash('sha256').update(url).digest('hex').slice(0, 8);
+  return `${digest}-${path.extname(name).toLowerCase() === '.crl' ? name : `${name}.crl`}`;
+};
+
+const download = async (url) => {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Download CRLs into the cache. A URL that cannot be fetched, or does not serve a CRL, keeps its
+ * cached copy and is reported under failed, so an offline refresh changes nothing.
+ * @param {Object} options - { cacheDirectory, urls, download: async url -> Buffer (HTTP GET by default) }
+ * @returns {Promise<Object>} - { refreshed: [{ url, file, thisUpdate, nextUpdate }], failed: [{ url, error }] }
+ */
+async function refreshCrlCache(options) {
+  const { cacheDirectory, urls } = options;
+  const fetch = options.download || download;
+  const refreshed = [];
+  const failed = [];
+
+  await fs.ensureDir(cacheDirectory);
+  for (const url of [...new Set(urls)]) {
+    try {
+      const content = await fetch(url);
+      const [crl] = parseCrls(content);
+      const file = cacheFileOf(url);
+      const target = path.join(cacheDirectory, file);
+      await fs.writeFile(`${target}.tmp`, content);
+      await fs.move(`${target}.tmp`, target, { overwrite: true });
+      refreshed.push({
+        url,
+        file,
+        thisUpdate: crl.thisUpdate.value.toISOString(),
+        nextUpdate: crl.nextUpdate ? crl.nextUpdate.value.toISOString() : null
+      });
+    } catch (error) {
+      failed.push({ url, error: error.message });
+    }
+  }
+  return { refreshed, failed };
+}
+
+// The CRL is signed by the issuer's key, and the issuer may sign CRLs
+function signedBy(crl, issuer) {
+  const keyUsage = (pkijs.Certificate.fromBER(issuer.raw).extensions || []).find(extension => extension.extnID === EXTENSIONS.keyUsage);
+  if (keyUsage) {
+    const bits = Buffer.from(keyUsage.parsedValue.valueBlock.valueHexView);
+    if ((bits[CRL_SIGN_BIT >> 3] & (0x80 >> (CRL_SIGN_BIT & 7))) === 0) return false;
+  }
+  const algorithm = crl.signatureAlgorithm.algorithmId;
+  if (!(algorithm in SIGNATURE_DIGESTS)) return false;
+  try {
+    return crypto.verify(SIGNATURE_DIGESTS[algorithm], Buffer.from(crl.tbsView), issuer.publicKey,
+      Buffer.from(crl.signatureValue.valueBlock.valueHexView));
+  } catch (error) {
+    return false;
+  }
+}
+
+const serialOf = hex => BigInt(`0x${hex || '0'}`);
+
+/**
+ * Revocation status of a certificate at a time, from the cached CRLs of its issuer. It is revoked when
+ * a CRL lists it with a revocation date up to the time, and good when a CRL issued after the time, or
+ * current at the time (up to its nextUpdate), does not. A CRL without nextUpdate only answers for
+ * times up to its thisUpdate. Without such a CRL the status is unknown, or unchecked when the
+ * certificate names no distribution point either.
+ * @param {crypto.X509Certificate} certificate - Certificate
+ * @param {crypto.X509Certificate} issuer - Its issuer, whose key must have signed the CRL
+ * @param {Object} cache - See loadCrlCache
+ * @param {Date} time - Time to answer for (the signature timestamp)
+ * @returns {Object} - { status: 'good'|'revoked'|'unknown'|'unchecked', revocationTime, reason, crl: { file, thisUpdate },
+ *   distributionPoints: the CRL URLs the certificate names }
+ */
+function checkRevocation(certificate, issuer, cache, time) {
+  const urls = distributionPoints(certificate);
+  const issuerName = pkijs.Certificate.fromBER(certificate.raw).issuer;
+  const serialNumber = serialOf(certificate.serialNumber);
+  const crls = cache.crls
+    .filter(({ crl }) => crl.issuer.isEqual(issuerName) && signedBy(crl, issuer))
+    .sort((a, b) => b.crl.thisUpdate.value - a.crl.thisUpdate.value);
+
+  for (const { file, crl } of crls) {
+    const entry = (crl.revokedCertificates || [])
+      .find(revoked => serialOf(Buffer.from(revoked.userCertificate.valueBlock.valueHexView).toString('hex')) === serialNumber);
+    const revocationTime = entry ? entry.revocationDate.value : null;
+    if (revocationTime && revocationTime <= time) {
+      const reasonCode = ((entry.crlEntryExtensions && entry.crlEntryExtensions.extensions) || [])
+        .find(extension => extension.extnID === EXTENSIONS.reasonCode);
+      return {
+        status: 'revoked',
+        revocationTime: revocationTime.toISOString(),
+        reason: reasonCode ? REASONS[reasonCode.parsedValue.valueBlock.valueDec] || null : null,
+        crl: { file, thisUpdate: crl.thisUpdate.value.toISOString() },
+        distributionPoints: urls
+      };
+    }
+  }
+
+  const covering = crls.find(({ crl }) => crl.thisUpdate.value >= time || (crl.nextUpdate && crl.nextUpdate.value >= time));
+  if (covering) {
+    const crl = { file: covering.file, thisUpdate: covering.crl.thisUpdate.value.toISOString() };
+    return { status: 'good', revocationTime: null, reason: null, crl, distributionPoints: urls };
+  }
+  return { status: urls.length > 0 ? 'unknown' : 'unchecked', revocationTime: null, reason: null, crl: null, distributionPoints: urls };
+}
+
+module.exports = {
+  crlConfig,
+  parseCrls,
+  distributionPoints,
+  readCrlSources,
+  loadCrlCache,
+  refreshCrlCache,
+  checkRevocation
+};
@@ -0,0 +1,215 @@
+/**
+ * Search Index Module
+ * In-process inverted index over registrations: names, email, program, major/minor, course codes
+ * and names, instructors, the free-text additional information and the requests (housing,
+ * financial aid). Matching ignores case and diacritics ("novak" finds "Novák"), every query term
+ * must match (as a word prefix), and results carry highlighted snippets of the matching fields.
+ */
+
+// Field -> weight and the texts it takes from formData
+const FIELDS = {
+  registrationId: { weight: 3, values: d => [d.registrationId] },
+  name: { weight: 3, values: d => [d.firstName, d.middleName, d.lastName] },
+  email: { weight: 2, values: d => [d.email, d.alternateEmail] },
+  program: { weight: 1, values: d => [d.program] },
+  major: { weight: 2, values: d => [d.major] },
+  minor: { weight: 2, values: d => [d.minor] },
+  course: { weight: 1.5, values: d => (d.courses || []).flatMap(c => [c.courseCode, c.courseName]) },
+  instructor: { weight: 1, values: d => (d.courses || []).map(c => c.instructor) },
+  info: {
+    weight: 1,
+    values: d => {
+      const info = d.additionalInfo || {};
+      return [info.specialNeeds, info.medicalConditions, info.extracurricularActivities, info.workExperience];
+    }
+  },
+  requests: {
+    weight: 1,
+    values: d => {
+      const info = d.additionalInfo || {};
+      return [info.housingRequired === 'true' ? 'housing' : null, info.financialAidRequired === 'true' ? 'financial aid' : null];
+    }
+  }
+};
+
+const SNIPPET_CONTEXT = 40;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+class SearchQueryError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Lower case without diacritics
+const normalize = text => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const tokenize = text => (normalize(text).match(WORD) || []);
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+/**
+ * Split a query into terms; "field:term" restricts a term to one field
+ * @param {string} query - Search query
+ * @returns {Array} - [{ term, field }] with normalized terms, field null for any field
+ * @throws {SearchQueryError} - For an empty query or an unknown field
+ */
+function parseQuery(query) {
+  const terms = [];
+  for (const part of String(query || '').trim().split(/\s+/).filter(Boolean)) {
+    const fielded = /^([A-Za-z]+):(.*)$/.exec(part);
+    const field = fielded ? fielded[1] : null;
+    if (field && !FIELDS[field]) {
+      throw new SearchQueryError('UNKNOWN_SEARCH_FIELD', `Unknown search field '${field}'; use one of ${Object.keys(FIELDS).join(', ')}`,
+        { field, fields: Object.keys(FIELDS).join(', ') });
+    }
+    for (const term of tokenize(fielded ? fielded[2] : part)) {
+      terms.push({ term, field });
+    }
+  }
+  if (terms.length === 0) {
+    throw new SearchQueryError('SEARCH_QUERY_REQUIRED', 'A search query is required');
+  }
+  return terms;
+}
+
+// Snippet around the first word of the text matching a term, matches wrapped in <mark>
+function snippet(text, prefixes) {
+  const words = [...text.matchAll(WORD)].map(match => ({ start: match.index, end: match.index + match[0].length, word: match[0] }));
+  const hits = words.filter(({ word }) => prefixes.some(prefix => normalize(word).startsWith(prefix)));
+  if (hits.length === 0) return null;
+
+  const from = Math.max(0, hits[0].start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, hits[0].end + SNIPPET_CONTEXT);
+  let html = '';
+  let position = from;
+  for (const hit of hits.filter(h => h.start >= from && h.end <= to)) {
+    html += `${escapeHtml(text.slice(position, hit.start))}<mark>${escapeHtml(text.slice(hit.start, hit.end))}</mark>`;
+    position = hit.end;
+  }
+  html += escapeHtml(text.slice(position, to));
+  return `${from > 0 ? '…' : ''}${html}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Create an empty index
+ * @returns {Object} - Index with add, remove, has, search and size
+ */
+function createSearchIndex() {
+  // token -> Map(docId -> Map(field -> occurrences))
+  const postings = new Map();
+  // docId -> { texts: { field: [text] }, tokens: Set, meta }
+  const documents = new Map();
+
+  function remove(docId) {
+    const doc = documents.get(docId);
+    if (!doc) return false;
+    for (const token of doc.tokens) {
+      const docs = postings.get(token);
+      docs.delete(docId);
+      if (docs.size === 0) postings.delete(token);
+    }
+    documents.delete(docId);
+    return true;
+  }
+
+  /**
+   * Index (or re-index) a registration
+   * @param {string} docId - Document identifier (the registrationId)
+   * @param {Object} formData - From registrationMapper.xmlToFormData()
+   * @param {Object} [meta] - Returned with every result for this document
+   */
+  function add(docId, formData, meta = {}) {
+    remove(docId);
+    const doc = { texts: {}, tokens: new Set(), meta };
+    for (const [field, { values }] of Object.entries(FIELDS)) {
+      const texts = values(formData).filter(value => value !== undefined && value !== null && String(value).trim() !== '').map(String);
+      if (texts.length === 0) continue;
+      doc.texts[field] = texts;
+      for (const token of texts.flatMap(tokenize)) {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const fields = postings.get(token).get(docId) || new Map();
+        fields.set(field, (fields.get(field) || 0) + 1);
+        postings.get(token).set(docId, fields);
+        doc.tokens.add(token);
+      }
+    }
+    documents.set(docId, doc);
+  }
+
+  /**
+   * Find the documents matching every term of a query, best first
+   * @param {string} query - Search query (see parseQuery)
+   * @param {Object} [options] - { limit: 20 }
+   * @returns {Object} - { total, results: [{ docId, score, meta, highlights: [{ field, snippet }] }] }
+   * @throws {SearchQueryError} - For an empty query or an unknown field
+   */
+  function search(query, options = {}) {
+    const terms = parseQuery(query);
+    const limit = options.limit || 20;
+    let candidates = null;
+    const scores = new Map();
+    const matched = new Map(); // docId -> Map(field -> Set(term))
+
+    for (const { term, field } of terms) {
+      const termScores = new Map();
+      for (const [token, docs] of postings) {
+        if (!token.startsWith(term)) continue;
+        // Rarer words count more; exact words more than prefixes
+        const idf = Math.log(1 + documents.size / docs.size) * (token === term ? 1 : 0.5);
+        for (const [docId, fields] of docs) {
+          for (const [name, count] of fields) {
+            if (field && name !== field) continue;
+            termScores.set(docId, (termScores.get(docId) || 0) + count * idf * FIELDS[name].weight);
+            if (!matched.has(docId)) matched.set(docId, new Map());
+            if (!matched.get(docId).has(name)) matched.get(docId).set(name, new Set());
+            matched.get(docId).get(name).add(term);
+          }
+        }
+      }
+      candidates = candidates === null
+        ? new Set(termScores.keys())
+        : new Set([...candidates].filter(docId => termScores.has(docId)));
+      for (const [docId, score] of termScores) scores.set(docId, (scores.get(docId) || 0) + score);
+    }
+
+    const ranked = [...candidates]
+      .map(docId => ({ docId, score: Math.round(scores.get(docId) * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score || String(a.docId).localeCompare(String(b.docId)));
+
+    const results = ranked.slice(0, limit).map(({ docId, score }) => {
+      const doc = documents.get(docId);
+      const highlights = [];
+      for (const [field, fieldTerms] of matched.get(docId)) {
+        const prefixes = [...fieldTerms];
+        for (const text of doc.texts[field]) {
+          const html = snippet(text, prefixes);
+          if (html) highlights.push({ field, snippet: html });
+        }
+      }
+      return { docId, score, meta: doc.meta, highlights };
+    });
+
+    return { total: ranked.length, results };
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    has: docId => documents.has(docId),
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+module.exports = {
+  FIELDS,
+  SearchQueryError,
+  parseQuery,
+  createSearchIndex
+};
@@ -0,0 +1,336 @@
+/**
+ * Storage Module
+ * Where the application keeps what it writes: the 'data' area (registration XML, the registration
+ * index, the status audit log) and the 'output' area (HTML views, PDF renditions, signed and
+ * converted containers, the rendition cache). Files are addressed by area and a relative name such
+ * as 'renditions/<hash>.pdf'. Backends:
+ * - fs: the data/ and output/ directories (default)
+ * - memory: nothing outlives the process; for tests and throwaway instances
+ * - sqlite: one embedded database file that several instances on a host can share
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const AREAS = ['data', 'output'];
+const BACKENDS = ['fs', 'memory', 'sqlite'];
+
+class StorageError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+function assertArea(area) {
+  if (!AREAS.includes(area)) {
+    throw new StorageError('INVALID_STORAGE_AREA', `Unknown storage area: ${area}`, { area });
+  }
+}
+
+// Relative names of '/'-separated segments; nothing that could leave the area
+function assertName(area, name) {
+  assertArea(area);
+  const segments = typeof name === 'string' ? name.split('/') : [];
+  if (segments.length === 0 || segments.some(segment => !segment || segment === '.' || segment === '..' || /[\\\0]/.test(segment))) {
+    throw new StorageError('INVALID_FILENAME', `Invalid file name: ${name}`, { filename: name });
+  }
+}
+
+const toBuffer = content => (Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8'));
+const directoryOf = name => (name.includes('/') ? name.slice(0, name.lastIndexOf('/')) : '');
+
+// The methods every backend offers, with names checked before the backend sees them
+function withCommonMethods(backend) {
+  const checked = method => async (area, name, ...args) => {
+    assertName(area, name);
+    return backend[method](area, name, ...args);
+  };
+  const read = checked('read');
+  const stat = checked('stat');
+
+  return {
+    backend: backend.name,
+    location: backend.location,
+
+    /**
+     * @returns {Promise<Buffer|null>} - Content, null when the file does not exist
+     */
+    read,
+
+    /**
+     * @returns {Promise<string|null>} - UTF-8 content, null when the file does not exist
+     */
+    async readText(area, name) {
+      const content = await read(area, name);
+      return content === null ? null : content.toString('utf8');
+    },
+
+    /**
+     * Create or replace a file; readers see the old or the new content, never a part
+     * @param {Buffer|string} content - File content
+     */
+    write: (area, name, content) => checked('write')(area, name, toBuffer(content)),
+
+    /**
+     * Add to the end of a file, creating it when missing
+     * @param {Buffer|string} content - Content to add
+     */
+    append: (area, name, content) => checked('append')(area, name, toBuffer(content)),
+
+    /**
+     * @returns {Promise<Object|null>} - { size, modified: Date }, null when the file does not exist
+     */
+    stat,
+
+    async exists(area, name) {
+      return (await stat(area, name)) !== null;
+    },
+
+    /**
+     * Names of the files directly in a directory of an area, sorted
+     * @param {string} area - 'data' or 'output'
+     * @param {string} [directory] - Relative directory, the area itself when omitted
+     * @returns {Promise<string[]>} - File names (without the directory)
+     */
+    async list(area, directory = '') {
+      if (directory) assertName(area, directory);
+      else assertArea(area);
+      return backend.list(area, directory);
+    },
+
+    /**
+     * @returns {Promise<boolean>} - false when there was no such file
+     */
+    remove: checked('remove'),
+
+    // Release what the backend holds open
+    async close() {
+      if (backend.close) await backend.close();
+    }
+  };
+}
+
+/**
+ * Files in the data/ and output/ directories
+ * @param {Object} [options] - { dataDir: 'data', outputDir: 'output' }
+ * @returns {Object} - Storage
+ */
+function createFileStorage(options = {}) {
+  const roots = { data: options.dataDir || 'data', output: options.outputDir || 'output' };
+  const resolve = (area, name) => path.join(roots[area], ...name.split('/'));
+  let tempCounter = 0;
+
+  const missingAsNull = async (operation) => {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return withCommonMethods({
+    name: 'fs',
+    location: roots,
+
+    read: (area, name) => missingAsNull(() => fs.readFile(resolve(area, name))),
+
+    async write(area, name, content) {
+      const file = resolve(area, name);
+      await fs.ensureDir(path.dirname(file));
+      const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+      await fs.writeFile(tempFile, content);
+      await fs.move(tempFile, file, { overwrite: true });
+    },
+
+    async append(area, name, content) {
+      const file = resolve(area, name);
+      await fs.ensureDir(path.dirname(file));
+      await fs.appendFile(file, content);
+    },
+
+    stat: (area, name) => missingAsNull(async () => {
+      const stats = await fs.stat(resolve(area, name));
+      return stats.isFile() ? { size: stats.size, modified: new Date(stats.mtime.getTime()) } : null;
+    }),
+
+    async list(area, directory) {
+      const entries = await missingAsNull(() => fs.readdir(directory ? resolve(area, directory) : roots[area], { withFileTypes: true }));
+      return (entries || [])
+        .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+        .map(entry => entry.name)
+        .sort();
+    },
+
+    async remove(area, name) {
+      const file = resolve(area, name);
+      if (!await fs.pathExists(file)) return false;
+      await fs.remove(file);
+      return true;
+    }
+  });
+}
+
+/**
+ * Files kept in memory
+ * @returns {Object} - Storage
+ */
+function createMemoryStorage() {
+  // '<area>/<name>' -> { content, modified }
+  const files = new Map();
+  const key = (area, name) => `${area}/${name}`;
+
+  return withCommonMethods({
+    name: 'memory',
+    location: null,
+
+    async read(area, name) {
+      const file = files.get(key(area, name));
+      return file ? Buffer.from(file.content) : null;
+    },
+
+    async write(area, name, content) {
+      files.set(key(area, name), { content: Buffer.from(content), modified: new Date() });
+    },
+
+    async append(area, name, content) {
+      const file = files.get(key(area, name));
+      files.set(key(area, name), { content: Buffer.concat([file ? file.content : Buffer.alloc(0), content]), modified: new Date() });
+    },
+
+    async stat(area, name) {
+      const file = files.get(key(area, name));
+      return file ? { size: file.content.length, modified: file.modified } : null;
+    },
+
+    async list(area, directory) {
+      const prefix = key(area, '');
+      return [...files.keys()]
+        .filter(file => file.startsWith(prefix) && directoryOf(file.slice(prefix.length)) === directory)
+        .map(file => file.slice(file.lastIndexOf('/') + 1))
+        .sort();
+    },
+
+    async remove(area, name) {
+      return files.delete(key(area, name));
+    }
+  });
+}
+
+/**
+ * Files as rows of an embedded SQLite database (better-sqlite3)
+ * @param {Object} [options] - { file: 'data/storage.sqlite' }
+ * @returns {Object} - Storage
+ */
+function createDatabaseStorage(options = {}) {
+  const Database = require('better-sqlite3');
+  const file = options.file || path.join('data', 'storage.sqlite');
+  if (file !== ':memory:') fs.ensureDirSync(path.dirname(file));
+
+  const db = new Database(file);
+  // Several processes may use the same file: readers do not block the writer
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`CREATE TABLE IF NOT EXISTS files (
+    area TEXT NOT NULL,
+    name TEXT NOT NULL,
+    directory TEXT NOT NULL,
+    content BLOB NOT NULL,
+    modified TEXT NOT NULL,
+    PRIMARY KEY (area, name)
+  )`);
+
+  const statements = {
+    read: db.prepare('SELECT content FROM files WHERE area = ? AND name = ?'),
+    write: db.prepare(`INSERT INTO files (area, name, directory, content, modified) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (area, name) DO UPDATE SET content = excluded.content, modified = excluded.modified`),
+    stat: db.prepare('SELECT length(content) AS size, modified FROM files WHERE area = ? AND name = ?'),
+    list: db.prepare('SELECT name FROM files WHERE area = ? AND directory = ? ORDER BY name'),
+    remove: db.prepare('DELETE FROM files WHERE area = ? AND name = ?')
+  };
+  const write = (area, name, content) => statements.write.run(area, name, directoryOf(name), content, new Date().toISOString());
+  // Read and write in one write transaction so appends from other processes are not lost
+  const append = db.transaction((area, name, content) => {
+    const row = statements.read.get(area, name);
+    write(area, name, row ? Buffer.concat([row.content, content]) : content);
+  });
+
+  return withCommonMethods({
+    name: 'sqlite',
+    location: file,
+
+    async read(area, name) {
+      const row = statements.read.get(area, name);
+      return row ? row.content : null;
+    },
+
+    async write(area, name, content) {
+      write(area, name, content);
+    },
+
+    async append(area, name, content) {
+      append.immediate(area, name, content);
+    },
+
+    async stat(area, name) {
+      const row = statements.stat.get(area, name);
+      return row ? { size: row.size, modified: new Date(row.modified) } : null;
+    },
+
+    async list(area, directory) {
+      return statements.list.all(area, directory).map(row => row.name.slice(row.name.lastIndexOf('/') + 1));
+    },
+
+    async remove(area, name) {
+      return statements.remove.run(area, name).changes > 0;
+    },
+
+    close() {
+      db.close();
+    }
+  });
+}
+
+/**
+ * Storage configuration from environment variables: STORAGE_BACKEND (fs, memory or sqlite),
+ * DATA_DIR and OUTPUT_DIR (fs) and STORAGE_DATABASE (sqlite)
+ * @param {Object} env - process.env
+ * @returns {Object} - { backend, dataDir, outputDir, file }
+ */
+function storageConfig(env) {
+  return {
+    backend: env.STORAGE_BACKEND || 'fs',
+    dataDir: env.DATA_DIR,
+    outputDir: env.OUTPUT_DIR,
+    file: env.STORAGE_DATABASE
+  };
+}
+
+/**
+ * Create the configured storage
+ * @param {Object} [config] - { backend: 'fs', ...options of the backend }
+ * @returns {Object} - Storage
+ * @throws {StorageError} - For an unknown backend
+ */
+function createStorage(config = {}) {
+  const backend = config.backend || 'fs';
+  if (backend === 'fs') return createFileStorage(config);
+  if (backend === 'memory') return createMemoryStorage();
+  if (backend === 'sqlite') return createDatabaseStorage(config);
+  throw new StorageError('UNKNOWN_STORAGE_BACKEND', `Unknown storage backend '${backend}'; use one of ${BACKENDS.join(', ')}`,
+    { backend, backends: BACKENDS.join(', ') });
+}
+
+module.exports = {
+  AREAS,
+  BACKENDS,
+  StorageError,
+  createFileStorage,
+  createMemoryStorage,
+  createDatabaseStorage,
+  storageConfig,
+  createStorage
+};
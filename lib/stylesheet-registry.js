@@ -0,0 +1,117 @@
+/**
+ * Stylesheet Registry Module
+ * Reads the list of presentation stylesheets (id, file, media type, target environment)
+ * that registrations can be transformed with and embedded into signed documents.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const REQUIRED_FIELDS = ['id', 'title', 'file', 'mediaType', 'mediaDestination', 'targetEnvironment'];
+
+/**
+ * Check a registry definition and resolve stylesheet files against its directory
+ * @param {Object} definition - Parsed registry JSON
+ * @param {string} baseDir - Directory the stylesheet files are relative to
+ * @returns {Object} - Registry with a default id, an ordered list and a lookup by id
+ */
+function compileRegistry(definition, baseDir) {
+  if (!definition || !Array.isArray(definition.stylesheets) || definition.stylesheets.length === 0) {
+    throw new Error('Invalid stylesheet registry: no stylesheets defined');
+  }
+
+  const byId = new Map();
+  const stylesheets = definition.stylesheets.map((entry, index) => {
+    for (const field of REQUIRED_FIELDS) {
+      if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+        throw new Error(`Invalid stylesheet registry: entry ${index + 1} is missing '${field}'`);
+      }
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(entry.id)) {
+      throw new Error(`Invalid stylesheet registry: id '${entry.id}' may only contain lowercase letters, digits and hyphens`);
+    }
+    if (byId.has(entry.id)) {
+      throw new Error(`Invalid stylesheet registry: duplicate id '${entry.id}'`);
+    }
+    if (path.basename(entry.file) !== entry.file) {
+      throw new Error(`Invalid stylesheet registry: file '${entry.file}' of '${entry.id}' must be a plain file name`);
+    }
+
+    const stylesheet = {
+      id: entry.id,
+      title: entry.title,
+      description: entry.description || '',
+      file: entry.file,
+      mediaType: entry.mediaType,
+      mediaDestination: entry.mediaDestination,
+      targetEnvironment: entry.targetEnvironment,
+      path: path.join(baseDir, entry.file)
+    };
+    byId.set(stylesheet.id, stylesheet);
+    return stylesheet;
+  });
+
+  const defaultId = definition.default || stylesheets[0].id;
+  if (!byId.has(defaultId)) {
+    throw new Error(`Invalid stylesheet registry: default '${defaultId}' is not a registered stylesheet`);
+  }
+
+  return { defaultId, stylesheets, byId };
+}
+
+/**
+ * Find a stylesheet by id, falling back to the default when no id is given
+ * @param {Object} registry - Compiled registry
+ * @param {string} [id] - Stylesheet id
+ * @returns {Object|null} - Stylesheet entry, or null when the id is not registered
+ */
+function resolveStylesheet(registry, id) {
+  if (id === undefined || id === null || id === '') {
+    return registry.byId.get(registry.defaultId);
+  }
+  return registry.byId.get(String(id)) || null;
+}
+
+/**
+ * Public description of a stylesheet entry (without its location on disk)
+ * @param {Object} registry - Compiled registry
+ * @param {Object} stylesheet - Stylesheet entry
+ * @returns {Object} - Entry as returned by the API
+ */
+function describeStylesheet(registry, stylesheet) {
+  const { path: _path, ...rest } = stylesheet;
+  return { ...rest, default: stylesheet.id === registry.defaultId };
+}
+
+// Compiled registries keyed by path; reloaded whenever the file's mtime changes
+const registryCache = new Map();
+
+/**
+ * Load a registry file, reusing the compiled registry until the file changes
+ * @param {string} registryPath - Path to the registry JSON file
+ * @returns {Promise<Object>} - Compiled registry
+ */
+async function loadRegistry(registryPath) {
+  const stats = await fs.stat(registryPath);
+  const cached = registryCache.get(registryPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.registry;
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(await fs.readFile(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid stylesheet registry: ${error.message}`);
+  }
+  const registry = compileRegistry(definition, path.dirname(registryPath));
+  registryCache.set(registryPath, { mtimeMs: stats.mtimeMs, registry });
+  return registry;
+}
+
+module.exports = {
+  compileRegistry,
+  loadRegistry,
+  resolveStylesheet,
+  describeStylesheet
+};
@@ -0,0 +1,132 @@
+/**
+ * Text Renderer Module
+ * Renders a student registration as a plain-text, fixed-width form for signers who cannot
+ * open the PDF. The output only depends on the XML and the catalogue, so the same
+ * registration always yields the same text (UTF-8, LF line endings, at most 80 columns).
+ */
+
+const registrationMapper = require('./registration-mapper');
+const registrationView = require('./registration-view');
+
+const WIDTH = 80;
+const LABEL_WIDTH = 28;
+
+// Column widths in characters of the view's tables; with one space between columns each row fits in WIDTH
+const TABLE_WIDTHS = {
+  previousEducation: [14, 23, 22, 10, 7],
+  emergencyContacts: [10, 17, 13, 14, 22],
+  courses: [8, 15, 7, 8, 12, 15, 9]
+};
+
+// Lengths are counted in code points of the NFC form, so letters with diacritics take one column
+const length = text => [...text].length;
+const pad = (text, width) => text + ' '.repeat(Math.max(0, width - length(text)));
+
+/**
+ * Break text into lines of at most `width` characters, at spaces where possible
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line length
+ * @returns {string[]} - Lines (at least one)
+ */
+function wrap(text, width) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    while (length(word) > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push([...word].slice(0, width).join(''));
+      word = [...word].slice(width).join('');
+    }
+    if (!line) {
+      line = word;
+    } else if (length(line) + 1 + length(word) <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+function center(text) {
+  return wrap(text, WIDTH).map(line => ' '.repeat(Math.floor((WIDTH - length(line)) / 2)) + line);
+}
+
+// Label/value rows: the label is followed by a dot leader, wrapped values are indented under the value column
+function fieldLines(rows) {
+  const lines = [];
+  for (const [name, value] of rows) {
+    const labelLines = wrap(name, LABEL_WIDTH - 2);
+    const valueLines = wrap(value, WIDTH - LABEL_WIDTH);
+    const last = labelLines.length - 1;
+    labelLines.forEach((labelLine, i) => {
+      lines.push(i === last ? `${labelLine} ${'.'.repeat(LABEL_WIDTH - length(labelLine) - 2)} ${valueLines[0]}` : labelLine);
+    });
+    valueLines.slice(1).forEach(valueLine => lines.push(' '.repeat(LABEL_WIDTH) + valueLine));
+  }
+  return lines;
+}
+
+// Rows whose cells wrap inside their columns; the header row is underlined column by column
+function tableLines(widths, columns, rows) {
+  const rowLines = cells => {
+    const wrapped = cells.map((cell, i) => wrap(cell, widths[i]));
+    const height = Math.max(...wrapped.map(cellLines => cellLines.length));
+    const lines = [];
+    for (let line = 0; line < height; line++) {
+      lines.push(wrapped.map((cellLines, i) => pad(cellLines[line] || '', widths[i])).join(' '));
+    }
+    return lines;
+  };
+  return [
+    ...rowLines(columns),
+    widths.map(width => '-'.repeat(width)).join(' '),
+    ...rows.flatMap(rowLines)
+  ];
+}
+
+/**
+ * Render registration XML as a fixed-width plain-text form
+ * @param {string} xmlContent - Registration XML
+ * @param {Object} catalogue - Loaded message catalogue (labels come from its output section)
+ * @returns {string} - Text with LF line endings and a final newline
+ */
+function renderRegistrationText(xmlContent, catalogue) {
+  const formData = registrationMapper.xmlToFormData(xmlContent.normalize('NFC'));
+  const view = registrationView.buildRegistrationView(formData, catalogue);
+
+  const lines = [
+    '='.repeat(WIDTH),
+    ...center(view.heading.toLocaleUpperCase(catalogue.locale)),
+    '='.repeat(WIDTH),
+    ...fieldLines(view.meta)
+  ];
+
+  for (const section of view.sections) {
+    lines.push('', section.title.toLocaleUpperCase(catalogue.locale), '-'.repeat(WIDTH));
+    for (const block of section.blocks) {
+      if (block.fields) {
+        lines.push(...fieldLines(block.fields));
+      } else if (block.table) {
+        if (block.title) lines.push('', block.title);
+        lines.push(...tableLines(TABLE_WIDTHS[block.table], block.columns, block.rows));
+      } else if (block.total) {
+        lines.push(...wrap(block.total, WIDTH).map(line => ' '.repeat(WIDTH - length(line)) + line));
+      }
+    }
+  }
+  lines.push('', '='.repeat(WIDTH));
+
+  return `${lines.map(line => line.replace(/\s+$/, '')).join('\n')}\n`;
+}
+
+module.exports = {
+  WIDTH,
+  renderRegistrationText,
+  wrap
+};
@@ -0,0 +1,364 @@
+/**
+ * XAdES Signer Module
+ * Server-side XAdES-BES signing with a PKCS#12 keystore, without D.Launcher/D.Signer.
+ * The registration is packed the way D.Bridge packs it for /api/prepare-signing - an
+ * XMLDataContainer plus the optional PDF and TXT renditions - and signed detached inside an
+ * ASiC-E container: every data object is a file of the container, referenced by its name from
+ * META-INF/signatures.xml.
+ *
+ * SignedInfo and SignedProperties are written in their inclusive C14N 1.0 form, so the bytes
+ * that are digested and signed are the ones a verifier canonicalizes them to.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const AdmZip = require('adm-zip');
+const fs = require('fs-extra');
+const path = require('path');
+const { NAMESPACES } = require('./xades-bes-validator');
+
+const ASIC_NAMESPACE = 'http://uri.etsi.org/02918/v1.2.1#';
+const ASICE_MIMETYPE = 'application/vnd.etsi.asic-e+zip';
+const MANIFEST_NAMESPACE = 'urn:oasis:names:tc:opendocument:xmlns:manifest:1.0';
+
+const XDC_NAMESPACE = 'http://data.gov.sk/def/container/xmldatacontainer+xml/1.1';
+const XDC_MIMETYPE = 'application/vnd.gov.sk.xmldatacontainer+xml';
+
+const ALGORITHMS = {
+  c14n: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+  rsaSha256: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  sha256: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  signedProperties: 'http://uri.etsi.org/01903#SignedProperties'
+};
+
+// Defaults: the test signer shipped in certificate/
+const DEFAULT_KEYSTORE = path.join('certificate', 'FIITPodpisovatel.pfx');
+const DEFAULT_PASSWORD_FILE = path.join('certificate', 'FIITPodpisovatel.txt');
+
+// Namespaces in scope of ds:Signature in META-INF/signatures.xml, sorted by prefix as C14N renders them
+const SIGNATURE_NAMESPACES = [
+  ['asic', ASIC_NAMESPACE],
+  ['ds', NAMESPACES.ds],
+  ['xades', NAMESPACES.xades],
+  ['xzep', NAMESPACES.xzep]
+];
+
+// RFC 4514 names of the usual attribute types; others are written as their OID
+const DN_NAMES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.9': 'STREET',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '0.9.2342.19200300.100.1.1': 'UID',
+  '0.9.2342.19200300.100.1.25': 'DC'
+};
+
+class SignerError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'SignerError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// C14N character escaping of text and attribute values
+const escapeText = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r/g, '&#xD;');
+
+const escapeAttribute = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\t/g, '&#x9;')
+  .replace(/\n/g, '&#xA;')
+  .replace(/\r/g, '&#xD;');
+
+/**
+ * Element in canonical form: unprefixed attributes sorted by name, no empty-element tags
+ * @param {string} name - Qualified element name
+ * @param {Object} attributes - Attribute values by name; undefined and null values are left out
+ * @param {string|string[]} [content] - Canonical child content
+ * @param {string} [namespaces] - Namespace declarations rendered before the attributes
+ * @returns {string} - Element markup
+ */
+function element(name, attributes = {}, content = '', namespaces = '') {
+  const rendered = Object.keys(attributes)
+    .filter(attribute => attributes[attribute] !== undefined && attributes[attribute] !== null)
+    .sort()
+    .map(attribute => ` ${attribute}="${escapeAttribute(attributes[attribute])}"`)
+    .join('');
+  const children = Array.isArray(content) ? content.join('') : content;
+  return `<${name}${namespaces}${rendered}>${children}</${name}>`;
+}
+
+const namespaceDeclarations = namespaces => namespaces
+  .map(([prefix, uri]) => ` xmlns:${prefix}="${escapeAttribute(uri)}"`)
+  .join('');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('base64');
+
+const decodeValue = attribute => (attribute.valueTagClass === forge.asn1.Type.UTF8
+  ? forge.util.decodeUtf8(attribute.value)
+  : attribute.value);
+
+/**
+ * RFC 4514 string of a certificate name (most significant attribute last)
+ * @param {Object} name - forge certificate subject or issuer
+ * @returns {string} - e.g. 'CN=DITEC Test CA,O=DITEC\, a.s.,C=SK'
+ */
+function distinguishedName(name) {
+  return name.attributes.slice().reverse().map(attribute => {
+    const value = decodeValue(attribute)
+      .replace(/([\\,+"<>;=])/g, '\\$1')
+      .replace(/^([ #])/, '\\$1')
+      .replace(/ $/, '\\ ');
+    return `${DN_NAMES[attribute.type] || attribute.type}=${value}`;
+  }).join(',');
+}
+
+/**
+ * Open a PKCS#12 keystore and take its private key and the certificate that goes with it
+ * @param {Buffer} buffer - DER-encoded PKCS#12 (.pfx, .p12)
+ * @param {string} password - Keystore password
+ * @returns {Object} - { privateKey (KeyObject), certificate (forge), certificateDer (Buffer), subject, issuer, serialNumber, validFrom, validTo }
+ * @throws {SignerError} - KEYSTORE_INVALID for a damaged keystore or a wrong password, KEYSTORE_KEY_NOT_FOUND
+ */
+function loadKeystore(buffer, password) {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(buffer.toString('binary')), password);
+  } catch (error) {
+    throw new SignerError('KEYSTORE_INVALID', `The keystore cannot be opened: ${error.message}`, { detail: error.message });
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ].filter(bag => bag.key);
+  const certificates = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .map(bag => bag.cert)
+    .filter(Boolean);
+
+  // The signing certificate is the one whose public key belongs to the private key
+  for (const bag of keyBags) {
+    const certificate = certificates.find(cert => cert.publicKey.n && cert.publicKey.n.equals(bag.key.n));
+    if (certificate) {
+      return {
+        privateKey: crypto.createPrivateKey(forge.pki.privateKeyToPem(bag.key)),
+        certificate,
+        certificateDer: Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes(), 'binary'),
+        subject: distinguishedName(certificate.subject),
+        issuer: distinguishedName(certificate.issuer),
+        serialNumber: BigInt(`0x${certificate.serialNumber}`).toString(),
+        validFrom: certificate.validity.notBefore,
+        validTo: certificate.validity.notAfter
+      };
+    }
+  }
+  throw new SignerError('KEYSTORE_KEY_NOT_FOUND', 'The keystore holds no RSA private key with its certificate');
+}
+
+/**
+ * Signer configuration from environment variables: SIGNING_KEYSTORE (PKCS#12 file),
+ * SIGNING_PASSWORD or SIGNING_PASSWORD_FILE (a file holding the password)
+ * @param {Object} env - process.env
+ * @returns {Object} - { keystore, password, passwordFile }
+ */
+function signerConfig(env) {
+  return {
+    keystore: env.SIGNING_KEYSTORE || DEFAULT_KEYSTORE,
+    password: env.SIGNING_PASSWORD,
+    passwordFile: env.SIGNING_PASSWORD !== undefined ? null : (env.SIGNING_PASSWORD_FILE || DEFAULT_PASSWORD_FILE)
+  };
+}
+
+/**
+ * Load the configured keystore
+ * @param {Object} config - { keystore, password, passwordFile } (see signerConfig)
+ * @returns {Promise<Object>} - Signer (see loadKeystore)
+ * @throws {SignerError} - KEYSTORE_NOT_FOUND, or the errors of loadKeystore
+ */
+async function loadSigner(config) {
+  const read = async (file) => {
+    try {
+      return await fs.readFile(file);
+    } catch (error) {
+      throw new SignerError('KEYSTORE_NOT_FOUND', `Keystore file not found: ${file}`, { file });
+    }
+  };
+  const keystore = await read(config.keystore);
+  const password = config.passwordFile ? (await read(config.passwordFile)).toString('utf8').trim() : (config.password || '');
+  return loadKeystore(keystore, password);
+}
+
+/**
+ * XMLDataContainer 1.1 with the registration embedded and its XSD and XSLT referenced by digest,
+ * as D.Bridge builds it from the /api/prepare-signing components (xdcIncludeRefs)
+ * @param {Object} options - { identifier, xmlContent, xsd: { uri, content }, xslt: { uri, content, mediaDestination, targetEnvironment, language } }
+ * @returns {string} - XMLDataContainer document
+ */
+function createXmlDataContainer({ identifier, xmlContent, xsd, xslt }) {
+  const xmlData = xmlContent.replace(/<\?xml[^?]*\?>\s*/g, '').trim();
+  const digestMethod = 'urn:oid:2.16.840.1.101.3.4.2.1';
+
+  const xsdReference = element('xdc:UsedXSDReference', {
+    DigestMethod: digestMethod,
+    DigestValue: sha256(xsd.content)
+  }, escapeText(xsd.uri));
+  const xsltReference = element('xdc:UsedXSLTReference', {
+    ContentType: 'application/xslt+xml',
+    DigestMethod: digestMethod,
+    DigestValue: sha256(xslt.content),
+    Language: xslt.language,
+    MediaDestinationTypeDescription: xslt.mediaDestination,
+    TargetEnvironment: xslt.targetEnvironment
+  }, escapeText(xslt.uri));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + element('xdc:XMLDataContainer', {}, [
+    element('xdc:XMLData', { ContentType: 'application/xml; charset=UTF-8', Identifier: identifier, Version: '1.1' }, xmlData),
+    element('xdc:UsedSchemasReferenced', {}, xsdReference),
+    element('xdc:UsedPresentationSchemasReferenced', {}, xsltReference)
+  ], namespaceDeclarations([['xdc', XDC_NAMESPACE]])) + '\n';
+}
+
+/**
+ * Sign data objects with a detached XAdES-BES signature
+ * @param {Object[]} objects - [{ name, mimeType, content: Buffer|string, description }], referenced by name
+ * @param {Object} signer - Signer from loadKeystore/loadSigner
+ * @param {Object} [options] - { id: signature Id, signingTime: Date (now) }
+ * @returns {string} - META-INF/signatures.xml (asic:XAdESSignatures with one ds:Signature)
+ * @throws {SignerError} - CERTIFICATE_NOT_VALID when the certificate is not valid at the signing time
+ */
+function signXades(objects, signer, options = {}) {
+  const signingTime = options.signingTime || new Date();
+  if (signingTime < signer.validFrom || signingTime > signer.validTo) {
+    throw new SignerError('CERTIFICATE_NOT_VALID',
+      `The signing certificate is valid from ${signer.validFrom.toISOString()} to ${signer.validTo.toISOString()}`,
+      { subject: signer.subject, validFrom: signer.validFrom.toISOString(), validTo: signer.validTo.toISOString() });
+  }
+
+  const id = options.id || `signature-${crypto.randomUUID()}`;
+  const namespaces = namespaceDeclarations(SIGNATURE_NAMESPACES);
+  const digestMethod = element('ds:DigestMethod', { Algorithm: ALGORITHMS.sha256 });
+  const references = objects.map((object, index) => ({ ...object, referenceId: `${id}-reference-${index + 1}` }));
+
+  const signedPropertiesContent = [
+    element('xades:SignedSignatureProperties', {}, [
+      element('xades:SigningTime', {}, signingTime.toISOString().replace(/\.\d{3}Z$/, 'Z')),
+      element('xades:SigningCertificate', {}, element('xades:Cert', {}, [
+        element('xades:CertDigest', {}, [digestMethod, element('ds:DigestValue', {}, sha256(signer.certificateDer))]),
+        element('xades:IssuerSerial', {}, [
+          element('ds:X509IssuerName', {}, escapeText(signer.issuer)),
+          element('ds:X509SerialNumber', {}, signer.serialNumber)
+        ])
+      ]))
+    ]),
+    element('xades:SignedDataObjectProperties', {}, references.map(object => element('xades:DataObjectFormat',
+      { ObjectReference: `#${object.referenceId}` },
+      [
+        object.description ? element('xades:Description', {}, escapeText(object.description)) : '',
+        element('xades:MimeType', {}, escapeText(object.mimeType))
+      ])))
+  ];
+  const signedPropertiesId = `${id}-signed-properties`;
+  const signedProperties = element('xades:SignedProperties', { Id: signedPropertiesId }, signedPropertiesContent);
+  const canonicalSignedProperties = element('xades:SignedProperties', { Id: signedPropertiesId }, signedPropertiesContent, namespaces);
+
+  const signedInfoContent = [
+    element('ds:CanonicalizationMethod', { Algorithm: ALGORITHMS.c14n }),
+    element('ds:SignatureMethod', { Algorithm: ALGORITHMS.rsaSha256 }),
+    ...references.map(object => element('ds:Reference', { Id: object.referenceId, URI: encodeURI(object.name) }, [
+      digestMethod,
+      element('ds:DigestValue', {}, sha256(object.content))
+    ])),
+    element('ds:Reference', { Type: ALGORITHMS.signedProperties, URI: `#${signedPropertiesId}` }, [
+      element('ds:Transforms', {}, element('ds:Transform', { Algorithm: ALGORITHMS.c14n })),
+      digestMethod,
+      element('ds:DigestValue', {}, sha256(canonicalSignedProperties))
+    ])
+  ];
+  const signedInfo = element('ds:SignedInfo', {}, signedInfoContent);
+  const canonicalSignedInfo = element('ds:SignedInfo', {}, signedInfoContent, namespaces);
+  const signatureValue = crypto.sign('sha256', Buffer.from(canonicalSignedInfo, 'utf8'), signer.privateKey).toString('base64');
+
+  const signature = element('ds:Signature', { Id: id }, [
+    signedInfo,
+    element('ds:SignatureValue', { Id: `${id}-signature-value` }, signatureValue),
+    element('ds:KeyInfo', {}, element('ds:X509Data', {}, element('ds:X509Certificate', {}, signer.certificateDer.toString('base64')))),
+    element('ds:Object', {}, element('xades:QualifyingProperties', { Target: `#${id}` }, signedProperties))
+  ], namespaceDeclarations(SIGNATURE_NAMESPACES.slice(1)));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    element('asic:XAdESSignatures', {}, signature, namespaceDeclarations(SIGNATURE_NAMESPACES.slice(0, 1)));
+}
+
+/**
+ * Pack data objects and their signature into an ASiC-E container
+ * @param {Object[]} objects - [{ name, mimeType, content }]
+ * @param {string} signatureXml - META-INF/signatures.xml
+ * @returns {Buffer} - ZIP with the stored mimetype first, the objects, META-INF/manifest.xml and the signature
+ */
+function createAsiceContainer(objects, signatureXml) {
+  // Entries stay in the order they are added: the mimetype has to come first
+  const zip = new AdmZip(undefined, { noSort: true });
+  zip.addFile('mimetype', Buffer.from(ASICE_MIMETYPE));
+  // ASiC: the mimetype entry is not compressed so the container type can be read at a fixed offset
+  zip.getEntry('mimetype').header.method = 0;
+
+  for (const object of objects) {
+    zip.addFile(object.name, Buffer.isBuffer(object.content) ? object.content : Buffer.from(object.content, 'utf8'));
+  }
+
+  const manifest = '<?xml version="1.0" encoding="UTF-8"?>\n' + element('manifest:manifest', { 'manifest:version': '1.2' }, [
+    element('manifest:file-entry', { 'manifest:full-path': '/', 'manifest:media-type': ASICE_MIMETYPE }),
+    ...objects.map(object => element('manifest:file-entry', { 'manifest:full-path': object.name, 'manifest:media-type': object.mimeType }))
+  ], namespaceDeclarations([['manifest', MANIFEST_NAMESPACE]])) + '\n';
+  zip.addFile('META-INF/manifest.xml', Buffer.from(manifest, 'utf8'));
+  zip.addFile('META-INF/signatures.xml', Buffer.from(signatureXml, 'utf8'));
+
+  return zip.toBuffer();
+}
+
+/**
+ * Sign data objects and pack them with the signature into an ASiC-E container
+ * @param {Object[]} objects - [{ name, mimeType, content, description }]
+ * @param {Object} signer - Signer from loadKeystore/loadSigner
+ * @param {Object} [options] - { id, signingTime } (see signXades)
+ * @returns {Object} - { container: Buffer, signature: string, signingTime: Date }
+ */
+function signAsice(objects, signer, options = {}) {
+  const names = new Set(['mimetype', 'META-INF/manifest.xml', 'META-INF/signatures.xml']);
+  for (const object of objects) {
+    if (names.has(object.name) || !object.name || object.name.startsWith('/')) {
+      throw new SignerError('INVALID_DATA_OBJECT', `Invalid or duplicate data object name: ${object.name}`, { name: object.name });
+    }
+    names.add(object.name);
+  }
+
+  const signingTime = options.signingTime || new Date();
+  const signature = signXades(objects, signer, { ...options, signingTime });
+  return { container: createAsiceContainer(objects, signature), signature, signingTime };
+}
+
+module.exports = {
+  ALGORITHMS,
+  ASICE_MIMETYPE,
+  XDC_NAMESPACE,
+  XDC_MIMETYPE,
+  SignerError,
+  distinguishedName,
+  loadKeystore,
+  signerConfig,
+  loadSigner,
+  createXmlDataContainer,
+  signXades,
+  createAsiceContainer,
+  signAsice
+};
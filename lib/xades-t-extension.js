@@ -6,32 +6,44 @@
 const crypto = require('crypto');
 const axios = require('axios');
 const forge = require('node-forge');
-const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const pkijs = require('pkijs');
+const c14n = require('./c14n');
+const certificateValidator = require('./certificate-validator');
 const { findElement, extractSignatureElement, NAMESPACES } = require('./xades-bes-validator');
 
 const TSA_URL = 'https://testpki.ditec.sk/tsarsa/tsa.aspx';
 
 /**
- * Canonicalize SignatureValue element using C14N 1.0
+ * Canonicalize the SignatureValue element, the data a SignatureTimeStamp covers
  * @param {Element} signatureValueElement - The SignatureValue element
+ * @param {string} [algorithm] - Canonicalization Algorithm URI (inclusive C14N 1.0, the XAdES default)
  * @returns {Buffer} - Canonicalized bytes
+ * @throws {CanonicalizationError} - UNSUPPORTED_CANONICALIZATION
  */
-function canonicalizeSignatureValue(signatureValueElement) {
-  // Get the text content (base64 signature)
-  const signatureText = signatureValueElement.textContent || '';
-  
-  // C14N 1.0 for element: <ds:SignatureValue>content</ds:SignatureValue>
-  // Preserve namespace declarations from ancestors
-  const serializer = new XMLSerializer();
-  const xml = serializer.serializeToString(signatureValueElement);
-  
-  // Remove extra whitespace but preserve structure
-  const normalized = xml
-    .replace(/>\s+</g, '><')  // Remove whitespace between tags
-    .replace(/\s+/g, ' ')      // Normalize internal whitespace
-    .trim();
-  
-  return Buffer.from(normalized, 'utf8');
+function canonicalizeSignatureValue(signatureValueElement, algorithm = c14n.ALGORITHMS.c14n) {
+  return Buffer.from(c14n.canonicalizeWith(algorithm, signatureValueElement), 'utf8');
+}
+
+/**
+ * Canonicalization for a SignatureTimeStamp: the one asked for, otherwise the one ds:SignedInfo names
+ * when c14n implements it, otherwise inclusive C14N 1.0
+ * @param {Element} signatureElement - The ds:Signature element
+ * @param {string} [requested] - Algorithm URI or a name of c14n.ALGORITHMS ('exclusive', 'c14n11', ...)
+ * @returns {string} - Algorithm URI
+ * @throws {CanonicalizationError} - UNSUPPORTED_CANONICALIZATION for a requested algorithm
+ */
+function timestampCanonicalization(signatureElement, requested) {
+  if (requested) {
+    const algorithm = Object.prototype.hasOwnProperty.call(c14n.ALGORITHMS, requested) ? c14n.ALGORITHMS[requested] : requested;
+    if (!c14n.isSupported(algorithm)) {
+      throw new c14n.CanonicalizationError('UNSUPPORTED_CANONICALIZATION', `Unsupported canonicalization algorithm: ${requested}`,
+        { algorithm: requested });
+    }
+    return algorithm;
+  }
+  const method = findElement(signatureElement, 'ds:SignedInfo/ds:CanonicalizationMethod');
+  const named = method ? method.getAttribute('Algorithm') : null;
+  return named && c14n.isSupported(named) ? named : c14n.ALGORITHMS.c14n;
 }
 
 /**
@@ -195,15 +207,167 @@ function extractTimeStampToken(timeStampResp) {
   }
 }
 
+// Message imprint hash algorithms by OID
+const HASH_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// SignerInfo signature algorithms naming their digest; rsaEncryption and id-ecPublicKey use the SignerInfo digestAlgorithm
+const SIGNATURE_DIGESTS = {
+  '1.2.840.113549.1.1.5': 'sha1',
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.1': 'sha1',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512'
+};
+const KEY_ALGORITHMS = ['1.2.840.113549.1.1.1', '1.2.840.10045.2.1'];
+
+const OIDS = {
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  subjectKeyIdentifier: '2.5.29.14',
+  extKeyUsage: '2.5.29.37',
+  timeStamping: '1.3.6.1.5.5.7.3.8'
+};
+
+const tokenIssue = (code, message, params = {}) => ({ code, message, params });
+
+// The certificate of the SignedData that the SignerInfo identifies, by issuer and serial number or by key identifier
+function signerCertificate(signedData, signerInfo) {
+  const { sid } = signerInfo;
+  return (signedData.certificates || []).filter(certificate => certificate instanceof pkijs.Certificate).find(certificate => {
+    if (sid instanceof pkijs.IssuerAndSerialNumber) {
+      return certificate.issuer.isEqual(sid.issuer) && certificate.serialNumber.isEqual(sid.serialNumber);
+    }
+    const keyIdentifier = (certificate.extensions || []).find(extension => extension.extnID === OIDS.subjectKeyIdentifier);
+    return Boolean(keyIdentifier) && Buffer.from(keyIdentifier.parsedValue.valueBlock.valueHexView).equals(Buffer.from(sid.valueBlock.valueHexView));
+  }) || null;
+}
+
+// Why the SignerInfo does not sign the TSTInfo with the certificate's key, or null when it does
+function signatureProblem(signerInfo, certificate, eContent) {
+  const digest = HASH_ALGORITHMS[signerInfo.digestAlgorithm.algorithmId];
+  const algorithm = signerInfo.signatureAlgorithm.algorithmId;
+  const hash = KEY_ALGORITHMS.includes(algorithm) ? digest : SIGNATURE_DIGESTS[algorithm];
+  if (!digest || !hash) return `unsupported algorithm ${digest ? algorithm : signerInfo.digestAlgorithm.algorithmId}`;
+
+  // RFC 5652, 5.4: the signature covers the signed attributes, which hold the content type and digest
+  if (!signerInfo.signedAttrs) return 'the SignerInfo has no signed attributes';
+  const attribute = type => {
+    const found = signerInfo.signedAttrs.attributes.find(candidate => candidate.type === type);
+    return found ? found.values[0] : null;
+  };
+  const contentType = attribute(OIDS.contentType);
+  if (!contentType || contentType.valueBlock.toString() !== OIDS.tstInfo) return 'the signed content type is not a TSTInfo';
+  const messageDigest = attribute(OIDS.messageDigest);
+  if (!messageDigest || !Buffer.from(messageDigest.valueBlock.valueHexView).equals(crypto.createHash(digest).update(eContent).digest())) {
+    return 'the signed message digest does not match the TSTInfo';
+  }
+
+  // Signed as a SET OF, stored with an implicit [0] tag
+  const signedAttributes = Buffer.from(signerInfo.signedAttrs.encodedValue);
+  signedAttributes[0] = 0x31;
+  try {
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(certificate.subjectPublicKeyInfo.toSchema().toBER(false)), format: 'der', type: 'spki' });
+    if (crypto.verify(hash, signedAttributes, publicKey, Buffer.from(signerInfo.signature.valueBlock.valueHexView))) return null;
+  } catch (error) {
+    return error.message;
+  }
+  return 'the signature does not match the signer certificate';
+}
+
+/**
+ * Read a TimeStampToken and verify who issued it. Its genTime only proves when the data existed once
+ * errors is empty: the SignerInfo signs the TSTInfo with the key of a certificate of the token, that
+ * certificate may be used for timestamping (extended key usage id-kp-timeStamping), and it chains
+ * to a trusted TSA at genTime (certificate-validator).
+ * TimeStampToken ::= ContentInfo { id-signedData, SignedData { ..., encapContentInfo { id-ct-TSTInfo, eContent } } }
+ * TSTInfo ::= SEQUENCE { version, policy, messageImprint { hashAlgorithm, hashedMessage }, serialNumber, genTime, ... }
+ * @param {string} timestampToken - Base64-encoded TimeStampToken
+ * @param {Object} [options] - { trustStore: trusted TSA CAs (see certificate-validator.loadTrustStore);
+ *   without it no TSA is trusted }
+ * @returns {Object} - { hashAlgorithm (node name, null when unknown), messageImprint: Buffer, genTime: Date,
+ *   signer: certificate-validator.describeCertificate of the TSA or null,
+ *   errors: [{ code: TIMESTAMP_SIGNATURE_INVALID|TIMESTAMP_TSA_UNTRUSTED, message, params }] }
+ * @throws {Error} - If the token is not a TimeStampToken
+ */
+function readTimeStampToken(timestampToken, options = {}) {
+  let signedData;
+  let eContent;
+  let tstInfo;
+  try {
+    const contentInfo = pkijs.ContentInfo.fromBER(Buffer.from(timestampToken, 'base64'));
+    if (contentInfo.contentType !== pkijs.ContentInfo.SIGNED_DATA) {
+      throw new Error('content is not a SignedData');
+    }
+    signedData = new pkijs.SignedData({ schema: contentInfo.content });
+    const { eContentType, eContent: content } = signedData.encapContentInfo;
+    if (eContentType !== OIDS.tstInfo || !content) {
+      throw new Error('content is not a TSTInfo');
+    }
+    // eContent: an OCTET STRING, in BER possibly split into segments
+    eContent = Buffer.from(content.getValue());
+    tstInfo = pkijs.TSTInfo.fromBER(eContent);
+  } catch (error) {
+    throw new Error(`Invalid TimeStampToken: ${error.message}`);
+  }
+
+  const token = {
+    hashAlgorithm: HASH_ALGORITHMS[tstInfo.messageImprint.hashAlgorithm.algorithmId] || null,
+    messageImprint: Buffer.from(tstInfo.messageImprint.hashedMessage.valueBlock.valueHexView),
+    genTime: tstInfo.genTime,
+    signer: null,
+    errors: []
+  };
+  const invalid = detail => {
+    token.errors.push(tokenIssue('TIMESTAMP_SIGNATURE_INVALID', `The timestamp signature is not valid: ${detail}`, { detail }));
+    return token;
+  };
+
+  const [signerInfo] = signedData.signerInfos;
+  if (!signerInfo) return invalid('the token has no SignerInfo');
+  const certificate = signerCertificate(signedData, signerInfo);
+  if (!certificate) return invalid('the token does not carry the signer certificate');
+  const problem = signatureProblem(signerInfo, certificate, eContent);
+  if (problem) return invalid(problem);
+
+  const toX509 = member => new crypto.X509Certificate(Buffer.from(member.toSchema().toBER(false)));
+  const signer = toX509(certificate);
+  token.signer = certificateValidator.describeCertificate(signer);
+  const subject = token.signer.subject;
+
+  const extKeyUsage = (certificate.extensions || []).find(extension => extension.extnID === OIDS.extKeyUsage);
+  if (!extKeyUsage || !extKeyUsage.parsedValue.keyPurposes.includes(OIDS.timeStamping)) {
+    return invalid(`the certificate of ${subject} is not a timestamping certificate`);
+  }
+
+  const untrusted = detail => {
+    token.errors.push(tokenIssue('TIMESTAMP_TSA_UNTRUSTED', `The TSA ${subject} is not trusted: ${detail}`, { subject, detail }));
+    return token;
+  };
+  if (!options.trustStore) return untrusted('no TSA trust store is configured');
+  const intermediates = (signedData.certificates || [])
+    .filter(member => member instanceof pkijs.Certificate && member !== certificate)
+    .map(toX509);
+  const chain = certificateValidator.validateCertificate(signer, { trustStore: options.trustStore, intermediates, signingTime: token.genTime });
+  return chain.valid ? token : untrusted(chain.errors[0].message);
+}
+
 /**
  * Extend XAdES-BES to XAdES-T
  * @param {Document} doc - Parsed XML document
  * @param {string} timestampToken - Base64-encoded timestamp token
+ * @param {string} [canonicalization] - Algorithm the SignatureValue was canonicalized with for the timestamp
  * @returns {Document} - Extended XML document
  */
-function extendToXAdEST(doc, timestampToken) {
-  const serializer = new XMLSerializer();
-
+function extendToXAdEST(doc, timestampToken, canonicalization = c14n.ALGORITHMS.c14n) {
   // Extract signature element (handles both direct and wrapped structures)
   const signatureElem = extractSignatureElement(doc);
   if (!signatureElem) {
@@ -229,8 +393,11 @@ function extendToXAdEST(doc, timestampToken) {
     unsignedProps.appendChild(unsignedSigProps);
   }
 
-  // Create SignatureTimeStamp element
+  // Create SignatureTimeStamp element, naming the canonicalization a verifier has to repeat
   const sigTimeStamp = doc.createElementNS(NAMESPACES.xades, 'xades:SignatureTimeStamp');
+  const canonicalizationMethod = doc.createElementNS(NAMESPACES.ds, 'ds:CanonicalizationMethod');
+  canonicalizationMethod.setAttribute('Algorithm', canonicalization);
+  sigTimeStamp.appendChild(canonicalizationMethod);
   const encapsulatedTs = doc.createElementNS(NAMESPACES.xades, 'xades:EncapsulatedTimeStamp');
   encapsulatedTs.textContent = timestampToken;
   sigTimeStamp.appendChild(encapsulatedTs);
@@ -242,11 +409,13 @@ function extendToXAdEST(doc, timestampToken) {
 }
 
 module.exports = {
+  timestampCanonicalization,
   canonicalizeSignatureValue,
   computeDigest,
   createTimeStampReq,
   requestTimestamp,
   extractTimeStampToken,
+  readTimeStampToken,
   extendToXAdEST,
   TSA_URL
 };
@@ -0,0 +1,459 @@
+/**
+ * XAdES Verifier Module
+ * Cryptographic verification of XAdES signatures, standalone or in an ASiC-E container:
+ * - SignedInfo is canonicalized and its SignatureValue verified with the KeyInfo certificate
+ * - every ds:Reference digest is recomputed, whether it points into the signature document
+ *   (SignedProperties, enveloped data) or at a data object of the container
+ * - the SigningCertificate in SignedProperties has to name the KeyInfo certificate
+ * - a SignatureTimeStamp (XAdES-T) has to be issued for the canonicalized SignatureValue by a trusted TSA
+ * - given a trust store, the KeyInfo certificate has to chain to a trusted CA (certificate-validator)
+ * Problems are reported per signature as { code, message, params } like the validation errors.
+ */
+
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { DOMParser } = require('@xmldom/xmldom');
+const c14n = require('./c14n');
+const xadesTExtension = require('./xades-t-extension');
+const certificateValidator = require('./certificate-validator');
+const { NAMESPACES } = require('./xades-bes-validator');
+
+const DIGEST_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#sha1': 'sha1',
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#sha384': 'sha384',
+  'http://www.w3.org/2001/04/xmlenc#sha512': 'sha512'
+};
+
+// ECDSA signature values are r || s (RFC 4051), not DER
+const SIGNATURE_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#rsa-sha1': { hash: 'sha1' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': { hash: 'sha256' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha384': { hash: 'sha384' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': { hash: 'sha512' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256': { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha384': { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha512': { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+const SIGNED_PROPERTIES_TYPE = 'http://uri.etsi.org/01903#SignedProperties';
+
+class VerificationError extends Error {
+  constructor(code, message, params = {}) {
+    super(message);
+    this.name = 'VerificationError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const issue = (code, message, params = {}) => ({ code, message, params });
+
+const childElements = (node, namespace, localName) => Array.from(node.childNodes || [])
+  .filter(child => child.nodeType === 1 && child.namespaceURI === namespace && child.localName === localName);
+
+const child = (node, namespace, localName) => (node ? childElements(node, namespace, localName)[0] || null : null);
+
+const descendants = (node, namespace, localName) => Array.from(node.getElementsByTagNameNS(namespace, localName));
+
+const text = node => (node ? node.textContent.replace(/\s+/g, '') : '');
+
+// A missing URI is not the empty one, which names the whole document
+const referenceUri = reference => (reference.hasAttribute('URI') ? reference.getAttribute('URI') : null);
+
+function parseXml(xml) {
+  const errors = [];
+  const doc = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: message => errors.push(message),
+      fatalError: message => errors.push(message)
+    }
+  }).parseFromString(xml, 'text/xml');
+  if (errors.length > 0 || !doc || !doc.documentElement) {
+    throw new VerificationError('XML_PARSE_ERROR', `The signature document is not well-formed XML: ${errors[0] || 'empty document'}`,
+      { detail: errors[0] || '' });
+  }
+  return doc;
+}
+
+// Elements of a document by their Id (also ID or id) attribute
+function indexIds(doc) {
+  const ids = new Map();
+  for (const element of Array.from(doc.getElementsByTagName('*'))) {
+    for (const name of ['Id', 'ID', 'id']) {
+      const id = element.getAttribute(name);
+      if (id) ids.set(id, [...(ids.get(id) || []), element]);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Octets a reference digests: the data object it names after its transforms
+ * @returns {Object} - { data: Buffer } or { error }
+ */
+function dereference(reference, signature, context) {
+  const uri = referenceUri(reference);
+  const transformsElement = child(reference, NAMESPACES.ds, 'Transforms');
+  const transformElements = transformsElement ? childElements(transformsElement, NAMESPACES.ds, 'Transform') : [];
+  const transforms = transformElements.map(transform => transform.getAttribute('Algorithm'));
+
+  const unsupported = transforms.find(algorithm => algorithm !== ENVELOPED_SIGNATURE && !c14n.isSupported(algorithm));
+  if (unsupported) {
+    return { error: issue('UNSUPPORTED_TRANSFORM', `Unsupported transform: ${unsupported}`, { algorithm: unsupported, uri }) };
+  }
+  const canonicalizationTransform = transformElements.filter(transform => c14n.isSupported(transform.getAttribute('Algorithm'))).pop();
+  const canonicalization = canonicalizationTransform ? canonicalizationTransform.getAttribute('Algorithm') : c14n.ALGORITHMS.c14n;
+  const inclusiveNamespaces = canonicalizationTransform ? c14n.inclusiveNamespacesOf(canonicalizationTransform) : [];
+  const exclude = transforms.includes(ENVELOPED_SIGNATURE) ? signature : null;
+
+  // Same-document references: the whole document or the element with that Id, canonicalized
+  if (uri === '' || (uri && uri.startsWith('#'))) {
+    let node = signature.ownerDocument;
+    if (uri) {
+      const matches = context.ids.get(uri.slice(1)) || [];
+      if (matches.length > 1) {
+        return { error: issue('DUPLICATE_ID', `More than one element has the Id '${uri.slice(1)}'`, { id: uri.slice(1), uri }) };
+      }
+      if (matches.length === 0) {
+        return { error: issue('REFERENCE_NOT_FOUND', `The referenced data '${uri}' was not found`, { uri }) };
+      }
+      node = matches[0];
+    }
+    return { node, data: Buffer.from(c14n.canonicalizeWith(canonicalization, node, { exclude, inclusiveNamespaces }), 'utf8') };
+  }
+
+  // Detached references: data objects of the container, XML ones canonicalized when a transform asks for it
+  let name = null;
+  try {
+    if (uri !== null) name = decodeURI(uri).replace(/^\.\//, '');
+  } catch (error) {
+    // A malformed escape (URIError) names no data object either
+  }
+  if (!name || !context.files.has(name)) {
+    return { error: issue('REFERENCE_NOT_FOUND', `The referenced data '${uri}' was not found`, { uri }) };
+  }
+  const content = context.files.get(name);
+  if (transforms.length === 0) {
+    return { file: name, data: content };
+  }
+  try {
+    return { file: name, data: Buffer.from(c14n.canonicalizeWith(canonicalization, parseXml(content.toString('utf8')), { inclusiveNamespaces }), 'utf8') };
+  } catch (error) {
+    return { error: issue('REFERENCE_NOT_XML', `The referenced data '${uri}' is not XML and cannot be canonicalized`, { uri }) };
+  }
+}
+
+function verifyReference(reference, signature, context) {
+  const uri = referenceUri(reference);
+  const result = {
+    id: reference.getAttribute('Id') || null,
+    uri,
+    type: reference.getAttribute('Type') || null,
+    file: null,
+    valid: false
+  };
+
+  const digestMethod = child(reference, NAMESPACES.ds, 'DigestMethod');
+  const algorithm = digestMethod ? digestMethod.getAttribute('Algorithm') : null;
+  if (!DIGEST_ALGORITHMS[algorithm]) {
+    return { result, error: issue('UNSUPPORTED_DIGEST_METHOD', `Unsupported digest method: ${algorithm}`, { algorithm, uri }) };
+  }
+
+  const target = dereference(reference, signature, context);
+  if (target.error) {
+    return { result, error: target.error };
+  }
+  result.file = target.file || null;
+  result.valid = crypto.createHash(DIGEST_ALGORITHMS[algorithm]).update(target.data).digest('base64') ===
+    text(child(reference, NAMESPACES.ds, 'DigestValue'));
+  return {
+    result,
+    node: target.node,
+    error: result.valid ? null : issue('DIGEST_MISMATCH', `The digest of '${uri}' does not match: the data was changed after signing`, { uri })
+  };
+}
+
+// The SigningCertificate (XAdES 1.3.2) or SigningCertificateV2 (EN 319 132) has to name the KeyInfo certificate
+function checkSigningCertificate(signedProperties, certificate) {
+  const properties = child(signedProperties, NAMESPACES.xades, 'SignedSignatureProperties');
+  const signingCertificate = child(properties, NAMESPACES.xades, 'SigningCertificate') ||
+    child(properties, NAMESPACES.xades, 'SigningCertificateV2');
+  const certs = signingCertificate ? childElements(signingCertificate, NAMESPACES.xades, 'Cert') : [];
+  if (certs.length === 0) {
+    return issue('SIGNING_CERTIFICATE_MISSING', 'SignedProperties do not name the signing certificate');
+  }
+
+  const matches = certs.some(cert => {
+    const certDigest = child(cert, NAMESPACES.xades, 'CertDigest');
+    const digestMethod = child(certDigest, NAMESPACES.ds, 'DigestMethod');
+    const hash = digestMethod && DIGEST_ALGORITHMS[digestMethod.getAttribute('Algorithm')];
+    if (!hash || crypto.createHash(hash).update(certificate.raw).digest('base64') !== text(child(certDigest, NAMESPACES.ds, 'DigestValue'))) {
+      return false;
+    }
+    const serialNumber = text(child(child(cert, NAMESPACES.xades, 'IssuerSerial'), NAMESPACES.ds, 'X509SerialNumber'));
+    try {
+      return !serialNumber || BigInt(serialNumber) === BigInt(`0x${certificate.serialNumber}`);
+    } catch (error) {
+      return false;
+    }
+  });
+  return matches ? null : issue('SIGNING_CERTIFICATE_MISMATCH', 'The signing certificate in SignedProperties is not the KeyInfo certificate');
+}
+
+// XAdES-T: every SignatureTimeStamp has to cover the SignatureValue, canonicalized as the timestamp names,
+// and be signed by a TSA of the TSA trust store; only then is its time valid
+function checkTimestamps(signature, context) {
+  const timestamps = [];
+  const errors = [];
+  const unsignedProperties = childElements(signature, NAMESPACES.ds, 'Object')
+    .map(object => child(child(child(object, NAMESPACES.xades, 'QualifyingProperties'), NAMESPACES.xades, 'UnsignedProperties'),
+      NAMESPACES.xades, 'UnsignedSignatureProperties'))
+    .filter(Boolean);
+  const signatureValue = child(signature, NAMESPACES.ds, 'SignatureValue');
+
+  for (const timestamp of unsignedProperties.flatMap(properties => childElements(properties, NAMESPACES.xades, 'SignatureTimeStamp'))) {
+    const canonicalizationMethod = child(timestamp, NAMESPACES.ds, 'CanonicalizationMethod');
+    const canonicalization = canonicalizationMethod ? canonicalizationMethod.getAttribute('Algorithm') : c14n.ALGORITHMS.c14n;
+    const result = { time: null, canonicalization, valid: false };
+    timestamps.push(result);
+    if (!c14n.isSupported(canonicalization)) {
+      errors.push(issue('UNSUPPORTED_CANONICALIZATION', `Unsupported canonicalization algorithm: ${canonicalization}`, { algorithm: canonicalization }));
+      continue;
+    }
+
+    let token;
+    try {
+      token = xadesTExtension.readTimeStampToken(text(child(timestamp, NAMESPACES.xades, 'EncapsulatedTimeStamp')),
+        { trustStore: context.tsaTrustStore });
+    } catch (error) {
+      errors.push(issue('TIMESTAMP_INVALID', `The signature timestamp cannot be read: ${error.message}`, { detail: error.message }));
+      continue;
+    }
+    result.time = token.genTime.toISOString();
+    const data = signatureValue ? xadesTExtension.canonicalizeSignatureValue(signatureValue, canonicalization) : Buffer.alloc(0);
+    const covers = Boolean(token.hashAlgorithm) && crypto.createHash(token.hashAlgorithm).update(data).digest().equals(token.messageImprint);
+    if (!covers) {
+      errors.push(issue('TIMESTAMP_IMPRINT_MISMATCH', 'The signature timestamp was not issued for this SignatureValue'));
+    }
+    errors.push(...token.errors);
+    result.valid = covers && token.errors.length === 0;
+  }
+  return { timestamps, errors };
+}
+
+/**
+ * Verify one ds:Signature
+ * @param {Element} signature - ds:Signature element
+ * @param {Object} context - { files: Map of container data objects, ids: Map of document Ids, trustStore, crls }
+ * @returns {Object} - { id, valid, signingTime, certificate, signatureValue, signingCertificate, references, timestamps,
+ *   certificateChain: { valid, trustAnchor, chain } when checked against a trust store, errors }
+ */
+function verifySignatureElement(signature, context) {
+  const errors = [];
+  const result = {
+    id: signature.getAttribute('Id') || null,
+    valid: false,
+    signingTime: null,
+    certificate: null,
+    signatureValue: false,
+    signingCertificate: false,
+    references: [],
+    timestamps: [],
+    certificateChain: null,
+    errors
+  };
+
+  const signedInfo = child(signature, NAMESPACES.ds, 'SignedInfo');
+  if (!signedInfo) {
+    errors.push(issue('SIGNED_INFO_MISSING', 'The signature has no SignedInfo'));
+    return result;
+  }
+
+  // The KeyInfo certificate, followed by the intermediates up to the CA
+  const [certificateElement, ...intermediateElements] = descendants(child(signature, NAMESPACES.ds, 'KeyInfo') || signedInfo, NAMESPACES.ds, 'X509Certificate');
+  let certificate = null;
+  if (!certificateElement) {
+    errors.push(issue('CERTIFICATE_MISSING', 'KeyInfo carries no X509Certificate'));
+  } else {
+    try {
+      certificate = new crypto.X509Certificate(Buffer.from(text(certificateElement), 'base64'));
+      result.certificate = certificateValidator.describeCertificate(certificate);
+    } catch (error) {
+      errors.push(issue('CERTIFICATE_INVALID', `The KeyInfo certificate cannot be read: ${error.message}`, { detail: error.message }));
+    }
+  }
+
+  // SignatureValue over the canonical SignedInfo
+  const canonicalizationMethod = child(signedInfo, NAMESPACES.ds, 'CanonicalizationMethod');
+  const canonicalization = canonicalizationMethod ? canonicalizationMethod.getAttribute('Algorithm') : null;
+  const signatureMethod = child(signedInfo, NAMESPACES.ds, 'SignatureMethod');
+  const signatureAlgorithm = signatureMethod ? signatureMethod.getAttribute('Algorithm') : null;
+  if (!c14n.isSupported(canonicalization)) {
+    errors.push(issue('UNSUPPORTED_CANONICALIZATION', `Unsupported canonicalization algorithm: ${canonicalization}`, { algorithm: canonicalization }));
+  } else if (!SIGNATURE_ALGORITHMS[signatureAlgorithm]) {
+    errors.push(issue('UNSUPPORTED_SIGNATURE_METHOD', `Unsupported signature method: ${signatureAlgorithm}`, { algorithm: signatureAlgorithm }));
+  } else if (certificate) {
+    const { hash, dsaEncoding } = SIGNATURE_ALGORITHMS[signatureAlgorithm];
+    const canonicalSignedInfo = Buffer.from(c14n.canonicalizeWith(canonicalization, signedInfo, {
+      inclusiveNamespaces: c14n.inclusiveNamespacesOf(canonicalizationMethod)
+    }), 'utf8');
+    const signatureValue = Buffer.from(text(child(signature, NAMESPACES.ds, 'SignatureValue')), 'base64');
+    try {
+      result.signatureValue = crypto.verify(hash, canonicalSignedInfo, dsaEncoding ? { key: certificate.publicKey, dsaEncoding } : certificate.publicKey, signatureValue);
+    } catch (error) {
+      result.signatureValue = false;
+    }
+    if (!result.signatureValue) {
+      errors.push(issue('SIGNATURE_VALUE_INVALID', 'The SignatureValue does not verify with the KeyInfo certificate'));
+    }
+  }
+
+  // Every reference, remembering the SignedProperties one
+  let signedProperties = null;
+  const references = childElements(signedInfo, NAMESPACES.ds, 'Reference');
+  if (references.length === 0) {
+    errors.push(issue('REFERENCE_MISSING', 'SignedInfo references no data'));
+  }
+  for (const reference of references) {
+    const { result: referenceResult, node, error } = verifyReference(reference, signature, context);
+    result.references.push(referenceResult);
+    if (error) errors.push(error);
+    if (referenceResult.type === SIGNED_PROPERTIES_TYPE && node && node.namespaceURI === NAMESPACES.xades && node.localName === 'SignedProperties') {
+      signedProperties = node;
+    }
+  }
+
+  // Signed properties are only trusted when the signature covers them
+  if (!signedProperties) {
+    errors.push(issue('SIGNED_PROPERTIES_NOT_REFERENCED', 'No reference of SignedInfo covers the XAdES SignedProperties'));
+  } else {
+    const signingTime = text(child(child(signedProperties, NAMESPACES.xades, 'SignedSignatureProperties'), NAMESPACES.xades, 'SigningTime'));
+    result.signingTime = signingTime || null;
+    if (certificate) {
+      const mismatch = checkSigningCertificate(signedProperties, certificate);
+      result.signingCertificate = !mismatch;
+      if (mismatch) errors.push(mismatch);
+    }
+  }
+
+  const { timestamps, errors: timestampErrors } = checkTimestamps(signature, context);
+  result.timestamps = timestamps;
+  errors.push(...timestampErrors);
+
+  // The signing certificate chains to the trust store, valid when signed and when timestamped
+  if (context.trustStore && certificate) {
+    const intermediates = intermediateElements.flatMap(element => {
+      try {
+        return [new crypto.X509Certificate(Buffer.from(text(element), 'base64'))];
+      } catch (error) {
+        return [];
+      }
+    });
+    // Only a timestamp a trusted TSA signed proves when the signature existed; a forged genTime is ignored
+    const timestampTimes = timestamps.filter(timestamp => timestamp.valid).map(timestamp => new Date(timestamp.time));
+    const { errors: chainErrors, ...certificateChain } = certificateValidator.validateCertificate(certificate, {
+      trustStore: context.trustStore,
+      crls: context.crls,
+      intermediates,
+      signingTime: result.signingTime ? new Date(result.signingTime) : null,
+      timestampTime: timestampTimes.length > 0 ? new Date(Math.min(...timestampTimes)) : null
+    });
+    result.certificateChain = certificateChain;
+    errors.push(...chainErrors);
+  }
+
+  result.valid = errors.length === 0;
+  return result;
+}
+
+/**
+ * Verify the XAdES signatures of an XML document (a ds:Signature anywhere, asic:XAdESSignatures included)
+ * @param {string|Buffer} xml - Signature document
+ * @param {Object} [options] - { files: Map of data object name -> Buffer, for detached references,
+ *   trustStore: the signing certificates are validated against it (see certificate-validator.loadTrustStore),
+ *   crls: CRL cache to check their revocation with (see revocation-checker.loadCrlCache),
+ *   tsaTrustStore: CAs of the TSAs whose signature timestamps are trusted; without it no timestamp is valid }
+ * @returns {Object} - { valid, signatures: [...] }
+ * @throws {VerificationError} - XML_PARSE_ERROR, SIGNATURE_NOT_FOUND
+ */
+function verifyXml(xml, options = {}) {
+  const doc = parseXml(Buffer.isBuffer(xml) ? xml.toString('utf8') : xml);
+  // Signatures inside a signature (countersignatures) are not verified on their own
+  const isNested = (signature) => {
+    for (let node = signature.parentNode; node; node = node.parentNode) {
+      if (node.namespaceURI === NAMESPACES.ds && node.localName === 'Signature') return true;
+    }
+    return false;
+  };
+  const signatures = descendants(doc, NAMESPACES.ds, 'Signature').filter(signature => !isNested(signature));
+  if (signatures.length === 0) {
+    throw new VerificationError('SIGNATURE_NOT_FOUND', 'The document contains no ds:Signature');
+  }
+
+  const context = {
+    files: options.files || new Map(),
+    ids: indexIds(doc),
+    trustStore: options.trustStore || null,
+    tsaTrustStore: options.tsaTrustStore || null,
+    crls: options.crls || null
+  };
+  const results = signatures.map(signature => verifySignatureElement(signature, context));
+  return { valid: results.every(result => result.valid), signatures: results };
+}
+
+/**
+ * Verify every signature document (META-INF/*signatures*.xml) of an ASiC-E container
+ * against the data objects in it
+ * @param {Buffer} buffer - ASiC-E container
+ * @param {Object} [options] - { trustStore, tsaTrustStore, crls } (see verifyXml)
+ * @returns {Object} - { valid, signatures: [{ file, ...result }], dataObjects: [name], warnings }
+ * @throws {VerificationError} - INVALID_CONTAINER, SIGNATURE_NOT_FOUND, XML_PARSE_ERROR
+ */
+function verifyAsice(buffer, options = {}) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+  } catch (error) {
+    throw new VerificationError('INVALID_CONTAINER', `The ASiC-E container cannot be read: ${error.message}`, { detail: error.message });
+  }
+
+  const files = new Map();
+  const signatureFiles = [];
+  for (const entry of entries) {
+    if (/^META-INF\/[^/]*signatures?[^/]*\.xml$/i.test(entry.entryName)) {
+      signatureFiles.push(entry);
+    } else if (entry.entryName !== 'mimetype' && !entry.entryName.startsWith('META-INF/')) {
+      files.set(entry.entryName, entry.getData());
+    }
+  }
+  if (signatureFiles.length === 0) {
+    throw new VerificationError('SIGNATURE_NOT_FOUND', 'The container has no META-INF/signatures.xml');
+  }
+
+  const signatures = signatureFiles.flatMap(entry => verifyXml(entry.getData(), { files, trustStore: options.trustStore, tsaTrustStore: options.tsaTrustStore, crls: options.crls }).signatures
+    .map(signature => ({ file: entry.entryName, ...signature })));
+
+  // Data objects no signature covers are in the container but not signed
+  const signed = new Set(signatures.flatMap(signature => signature.references.map(reference => reference.file).filter(Boolean)));
+  const warnings = [...files.keys()]
+    .filter(name => !signed.has(name))
+    .map(name => issue('UNSIGNED_DATA_OBJECT', `'${name}' is in the container but no signature covers it`, { name }));
+
+  return {
+    valid: signatures.every(signature => signature.valid),
+    signatures,
+    dataObjects: [...files.keys()],
+    warnings
+  };
+}
+
+module.exports = {
+  DIGEST_ALGORITHMS,
+  SIGNATURE_ALGORITHMS,
+  VerificationError,
+  verifyXml,
+  verifyAsice
+};
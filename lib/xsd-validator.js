@@ -0,0 +1,1015 @@
+/**
+ * XSD Validation Module
+ * Compiles an XML Schema document and validates instance documents against it
+ * (element order, occurrence constraints, simple type facets, attributes, namespaces)
+ */
+
+const fs = require('fs-extra');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const XS_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+const UNBOUNDED = Infinity;
+
+// Lexical spaces of the built-in datatypes supported by the engine
+const BUILTIN_TYPES = {
+  anySimpleType: { whiteSpace: 'preserve', test: () => true },
+  string: { whiteSpace: 'preserve', test: () => true },
+  normalizedString: { whiteSpace: 'replace', test: () => true },
+  token: { whiteSpace: 'collapse', test: () => true },
+  language: { whiteSpace: 'collapse', test: v => /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test(v) },
+  Name: { whiteSpace: 'collapse', test: v => /^[A-Za-z_:][\w.\-:]*$/.test(v) },
+  NCName: { whiteSpace: 'collapse', test: v => /^[A-Za-z_][\w.\-]*$/.test(v) },
+  ID: { whiteSpace: 'collapse', test: v => /^[A-Za-z_][\w.\-]*$/.test(v) },
+  IDREF: { whiteSpace: 'collapse', test: v => /^[A-Za-z_][\w.\-]*$/.test(v) },
+  NMTOKEN: { whiteSpace: 'collapse', test: v => /^[\w.\-:]+$/.test(v) },
+  QName: { whiteSpace: 'collapse', test: v => /^([A-Za-z_][\w.\-]*:)?[A-Za-z_][\w.\-]*$/.test(v) },
+  anyURI: { whiteSpace: 'collapse', test: v => !/\s/.test(v) },
+  boolean: { whiteSpace: 'collapse', test: v => /^(true|false|1|0)$/.test(v) },
+  decimal: { whiteSpace: 'collapse', numeric: true, test: v => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(v) },
+  float: { whiteSpace: 'collapse', numeric: true, test: isFloatLiteral },
+  double: { whiteSpace: 'collapse', numeric: true, test: isFloatLiteral },
+  integer: { whiteSpace: 'collapse', numeric: true, test: v => /^[+-]?\d+$/.test(v) },
+  long: integerType(-9223372036854775808n, 9223372036854775807n),
+  int: integerType(-2147483648n, 2147483647n),
+  short: integerType(-32768n, 32767n),
+  byte: integerType(-128n, 127n),
+  nonNegativeInteger: integerType(0n, null),
+  positiveInteger: integerType(1n, null),
+  nonPositiveInteger: integerType(null, 0n),
+  negativeInteger: integerType(null, -1n),
+  unsignedLong: integerType(0n, 18446744073709551615n),
+  unsignedInt: integerType(0n, 4294967295n),
+  unsignedShort: integerType(0n, 65535n),
+  unsignedByte: integerType(0n, 255n),
+  date: { whiteSpace: 'collapse', test: isDateLiteral },
+  dateTime: { whiteSpace: 'collapse', test: isDateTimeLiteral },
+  time: { whiteSpace: 'collapse', test: v => /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v) },
+  gYear: { whiteSpace: 'collapse', test: v => /^-?\d{4,}(Z|[+-]\d{2}:\d{2})?$/.test(v) },
+  gYearMonth: { whiteSpace: 'collapse', test: v => /^-?\d{4,}-(0[1-9]|1[0-2])(Z|[+-]\d{2}:\d{2})?$/.test(v) },
+  duration: { whiteSpace: 'collapse', test: v => /^-?P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(?!$)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(v) },
+  base64Binary: { whiteSpace: 'collapse', test: v => /^[A-Za-z0-9+/\s]*={0,2}$/.test(v) },
+  hexBinary: { whiteSpace: 'collapse', test: v => /^([0-9a-fA-F]{2})*$/.test(v) }
+};
+
+function integerType(min, max) {
+  return {
+    whiteSpace: 'collapse',
+    numeric: true,
+    test: (v) => {
+      if (!/^[+-]?\d+$/.test(v)) return false;
+      const n = BigInt(v);
+      return (min === null || n >= min) && (max === null || n <= max);
+    }
+  };
+}
+
+function isFloatLiteral(v) {
+  return /^(INF|-INF|NaN|[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?)$/.test(v);
+}
+
+function isDateLiteral(v) {
+  const match = /^(-?\d{4,})-(\d{2})-(\d{2})(Z|[+-]\d{2}:\d{2})?$/.exec(v);
+  if (!match) return false;
+  return isValidCalendarDay(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+
+function isDateTimeLiteral(v) {
+  const match = /^(-?\d{4,})-(\d{2})-(\d{2})T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.exec(v);
+  if (!match) return false;
+  return isValidCalendarDay(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+
+function isValidCalendarDay(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return day <= days[month - 1];
+}
+
+/**
+ * Parse an XML document, collecting well-formedness errors instead of throwing
+ * @param {string} content - Raw XML content
+ * @returns {Object} - { doc: Document|null, errors: Array<{message, line, column}> }
+ */
+function parseDocument(content) {
+  const errors = [];
+  // xmldom recovers from malformed markup (unclosed tags, unquoted attributes) with warnings only,
+  // so warnings count as well-formedness errors here
+  const collect = (msg) => {
+    const text = String(msg);
+    const position = /@#\[line:(\d+),col:(\d+)\]/.exec(text);
+    errors.push({
+      message: text.replace(/^\[xmldom \w+\]\s*/, '').replace(/\s*@#\[line:.*$/s, '').trim(),
+      line: position ? Number(position[1]) : null,
+      column: position ? Number(position[2]) : null
+    });
+  };
+  // An explicit locator keeps line/column information on nodes when a custom errorHandler is set
+  const parser = new DOMParser({
+    locator: {},
+    errorHandler: {
+      warning: collect,
+      error: collect,
+      fatalError: collect
+    }
+  });
+
+  let doc = null;
+  try {
+    doc = parser.parseFromString(content, 'text/xml');
+  } catch (error) {
+    errors.push({ message: error.message, line: null, column: null });
+  }
+
+  if (!doc || !doc.documentElement) {
+    if (errors.length === 0) errors.push({ message: 'Document has no root element', line: null, column: null });
+    return { doc: null, errors };
+  }
+
+  return { doc, errors };
+}
+
+function childElements(node) {
+  const result = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    if (node.childNodes[i].nodeType === 1) result.push(node.childNodes[i]);
+  }
+  return result;
+}
+
+function xsChildren(node, localName) {
+  return childElements(node).filter(c => c.namespaceURI === XS_NS && (!localName || c.localName === localName));
+}
+
+function parseOccurs(node, name) {
+  const value = node.getAttribute(name);
+  if (!value) return 1;
+  return value === 'unbounded' ? UNBOUNDED : parseInt(value, 10);
+}
+
+/**
+ * Resolve a QName attribute value (e.g. "sr:NameType") to { ns, name }
+ */
+function resolveQName(node, qname) {
+  const idx = qname.indexOf(':');
+  const prefix = idx === -1 ? null : qname.substring(0, idx);
+  const name = idx === -1 ? qname : qname.substring(idx + 1);
+  const ns = node.lookupNamespaceURI(prefix);
+  return { ns, name };
+}
+
+/**
+ * Compile an XSD document into an in-memory schema model
+ * @param {string} xsdContent - Raw XSD content
+ * @returns {Object} - Compiled schema
+ */
+function compileSchema(xsdContent) {
+  const { doc, errors } = parseDocument(xsdContent);
+  if (!doc || errors.length > 0) {
+    throw new Error(`Invalid XSD schema: ${errors.map(e => e.message).join('; ')}`);
+  }
+
+  const root = doc.documentElement;
+  if (root.namespaceURI !== XS_NS || root.localName !== 'schema') {
+    throw new Error('Invalid XSD schema: root element must be xs:schema');
+  }
+
+  const schema = {
+    targetNamespace: root.getAttribute('targetNamespace') || null,
+    elementFormQualified: root.getAttribute('elementFormDefault') === 'qualified',
+    attributeFormQualified: root.getAttribute('attributeFormDefault') === 'qualified',
+    prefix: null,
+    elements: new Map(),
+    complexTypes: new Map(),
+    simpleTypes: new Map(),
+    rawComplexTypes: new Map(),
+    rawSimpleTypes: new Map()
+  };
+
+  // Remember the prefix the schema itself uses for its target namespace (used in XPaths)
+  for (let i = 0; i < root.attributes.length; i++) {
+    const attr = root.attributes[i];
+    if (attr.prefix === 'xmlns' && attr.value === schema.targetNamespace) {
+      schema.prefix = attr.localName;
+    }
+  }
+
+  for (const child of xsChildren(root)) {
+    const name = child.getAttribute('name');
+    if (child.localName === 'complexType') schema.rawComplexTypes.set(name, child);
+    if (child.localName === 'simpleType') schema.rawSimpleTypes.set(name, child);
+  }
+
+  for (const child of xsChildren(root, 'element')) {
+    schema.elements.set(child.getAttribute('name'), compileElement(schema, child, true));
+  }
+
+  return schema;
+}
+
+function compileElement(schema, node, isGlobal) {
+  const ref = node.getAttribute('ref');
+  if (ref) {
+    const { name } = resolveQName(node, ref);
+    const target = xsChildren(node.ownerDocument.documentElement, 'element')
+      .find(e => e.getAttribute('name') === name);
+    if (!target) throw new Error(`Invalid XSD schema: unresolved element reference ${ref}`);
+    const decl = compileElement(schema, target, true);
+    return { ...decl, minOccurs: parseOccurs(node, 'minOccurs'), maxOccurs: parseOccurs(node, 'maxOccurs') };
+  }
+
+  const qualified = isGlobal || (node.getAttribute('form')
+    ? node.getAttribute('form') === 'qualified'
+    : schema.elementFormQualified);
+
+  const decl = {
+    kind: 'element',
+    name: node.getAttribute('name'),
+    ns: qualified ? schema.targetNamespace : null,
+    minOccurs: isGlobal ? 1 : parseOccurs(node, 'minOccurs'),
+    maxOccurs: isGlobal ? 1 : parseOccurs(node, 'maxOccurs'),
+    type: null
+  };
+
+  const typeAttr = node.getAttribute('type');
+  if (typeAttr) {
+    decl.type = lazyType(schema, node, typeAttr);
+  } else {
+    const inlineComplex = xsChildren(node, 'complexType')[0];
+    const inlineSimple = xsChildren(node, 'simpleType')[0];
+    if (inlineComplex) decl.type = () => compileComplexType(schema, inlineComplex, `{${decl.name}}`);
+    else if (inlineSimple) decl.type = () => compileSimpleType(schema, inlineSimple, `{${decl.name}}`);
+    else decl.type = () => builtinType('anySimpleType');
+  }
+
+  return decl;
+}
+
+/**
+ * Types are resolved lazily so that recursive and forward references work
+ */
+function lazyType(schema, node, qname) {
+  let resolved = null;
+  return () => {
+    if (!resolved) resolved = resolveType(schema, node, qname);
+    return resolved;
+  };
+}
+
+function resolveType(schema, node, qname) {
+  const { ns, name } = resolveQName(node, qname);
+
+  if (ns === XS_NS) {
+    if (name === 'anyType') return { kind: 'complex', name: 'xs:anyType', any: true };
+    return builtinType(name);
+  }
+
+  if (schema.complexTypes.has(name)) return schema.complexTypes.get(name);
+  if (schema.simpleTypes.has(name)) return schema.simpleTypes.get(name);
+
+  if (schema.rawComplexTypes.has(name)) {
+    const type = compileComplexType(schema, schema.rawComplexTypes.get(name), name);
+    schema.complexTypes.set(name, type);
+    return type;
+  }
+  if (schema.rawSimpleTypes.has(name)) {
+    const type = compileSimpleType(schema, schema.rawSimpleTypes.get(name), name);
+    schema.simpleTypes.set(name, type);
+    return type;
+  }
+
+  throw new Error(`Invalid XSD schema: unresolved type ${qname}`);
+}
+
+function builtinType(name) {
+  const builtin = BUILTIN_TYPES[name];
+  if (!builtin) throw new Error(`Unsupported built-in type xs:${name}`);
+  return {
+    kind: 'simple',
+    name: `xs:${name}`,
+    builtin: name,
+    whiteSpace: builtin.whiteSpace,
+    numeric: !!builtin.numeric,
+    restrictions: []
+  };
+}
+
+function compileSimpleType(schema, node, name) {
+  const restriction = xsChildren(node, 'restriction')[0];
+  const list = xsChildren(node, 'list')[0];
+  const union = xsChildren(node, 'union')[0];
+
+  if (list) {
+    const itemType = list.getAttribute('itemType')
+      ? lazyType(schema, list, list.getAttribute('itemType'))
+      : (() => compileSimpleType(schema, xsChildren(list, 'simpleType')[0], `${name}#item`));
+    return { kind: 'simple', name, variety: 'list', itemType, whiteSpace: 'collapse', restrictions: [] };
+  }
+
+  if (union) {
+    const members = (union.getAttribute('memberTypes') || '').split(/\s+/).filter(Boolean)
+      .map(q => lazyType(schema, union, q));
+    xsChildren(union, 'simpleType').forEach((st, i) => {
+      members.push(() => compileSimpleType(schema, st, `${name}#member${i}`));
+    });
+    return { kind: 'simple', name, variety: 'union', members, whiteSpace: 'collapse', restrictions: [] };
+  }
+
+  if (!restriction) throw new Error(`Invalid XSD schema: simpleType ${name} has no restriction`);
+
+  const base = restriction.getAttribute('base')
+    ? resolveType(schema, restriction, restriction.getAttribute('base'))
+    : compileSimpleType(schema, xsChildren(restriction, 'simpleType')[0], `${name}#base`);
+
+  const facets = compileFacets(restriction);
+  return {
+    ...base,
+    name,
+    whiteSpace: facets.whiteSpace || base.whiteSpace,
+    restrictions: [...base.restrictions, { typeName: name, facets }]
+  };
+}
+
+function compileFacets(restriction) {
+  const facets = { enumeration: [], pattern: [] };
+  for (const facet of xsChildren(restriction)) {
+    const value = facet.getAttribute('value');
+    switch (facet.localName) {
+      case 'enumeration':
+        facets.enumeration.push(value);
+        break;
+      case 'pattern':
+        facets.pattern.push({ source: value, regex: xsdPatternToRegExp(value) });
+        break;
+      case 'length':
+      case 'minLength':
+      case 'maxLength':
+      case 'totalDigits':
+      case 'fractionDigits':
+        facets[facet.localName] = parseInt(value, 10);
+        break;
+      case 'minInclusive':
+      case 'maxInclusive':
+      case 'minExclusive':
+      case 'maxExclusive':
+      case 'whiteSpace':
+        facets[facet.localName] = value;
+        break;
+      default:
+        break;
+    }
+  }
+  return facets;
+}
+
+/**
+ * Translate an XSD regular expression into a JavaScript RegExp.
+ * XSD patterns are implicitly anchored; \i and \c are approximated by their ASCII subsets.
+ */
+function xsdPatternToRegExp(pattern) {
+  const translated = pattern
+    .replace(/\\i/g, '[A-Za-z_:]')
+    .replace(/\\I/g, '[^A-Za-z_:]')
+    .replace(/\\c/g, '[\\w.\\-:]')
+    .replace(/\\C/g, '[^\\w.\\-:]');
+  return new RegExp(`^(?:${translated})$`);
+}
+
+function compileComplexType(schema, node, name) {
+  const type = {
+    kind: 'complex',
+    name,
+    mixed: node.getAttribute('mixed') === 'true',
+    content: null,
+    simpleContent: null,
+    attributes: new Map()
+  };
+
+  const simpleContent = xsChildren(node, 'simpleContent')[0];
+  const complexContent = xsChildren(node, 'complexContent')[0];
+
+  if (simpleContent) {
+    const derivation = xsChildren(simpleContent)[0];
+    const base = resolveType(schema, derivation, derivation.getAttribute('base'));
+    if (base.kind === 'complex') {
+      type.simpleContent = base.simpleContent;
+      base.attributes.forEach((attr, key) => type.attributes.set(key, attr));
+    } else if (derivation.localName === 'restriction') {
+      type.simpleContent = {
+        ...base,
+        restrictions: [...base.restrictions, { typeName: name, facets: compileFacets(derivation) }]
+      };
+    } else {
+      type.simpleContent = base;
+    }
+    compileAttributes(schema, derivation, type.attributes);
+    return type;
+  }
+
+  let modelOwner = node;
+  if (complexContent) {
+    const derivation = xsChildren(complexContent)[0];
+    const base = resolveType(schema, derivation, derivation.getAttribute('base'));
+    if (complexContent.getAttribute('mixed') === 'true') type.mixed = true;
+    if (derivation.localName === 'extension' && base.kind === 'complex') {
+      base.attributes.forEach((attr, key) => type.attributes.set(key, attr));
+      const extension = compileModelGroup(schema, derivation);
+      type.content = base.content && extension
+        ? { kind: 'sequence', minOccurs: 1, maxOccurs: 1, particles: [base.content, extension] }
+        : (base.content || extension);
+      compileAttributes(schema, derivation, type.attributes);
+      return type;
+    }
+    modelOwner = derivation;
+  }
+
+  type.content = compileModelGroup(schema, modelOwner);
+  compileAttributes(schema, modelOwner, type.attributes);
+  return type;
+}
+
+function compileModelGroup(schema, owner) {
+  const group = xsChildren(owner).find(c => ['sequence', 'choice', 'all'].includes(c.localName));
+  return group ? compileParticle(schema, group) : null;
+}
+
+function compileParticle(schema, node) {
+  if (node.localName === 'element') return compileElement(schema, node, false);
+
+  if (node.localName === 'any') {
+    return {
+      kind: 'any',
+      minOccurs: parseOccurs(node, 'minOccurs'),
+      maxOccurs: parseOccurs(node, 'maxOccurs'),
+      namespace: node.getAttribute('namespace') || '##any'
+    };
+  }
+
+  if (node.localName === 'group' && node.getAttribute('ref')) {
+    const { name } = resolveQName(node, node.getAttribute('ref'));
+    const target = xsChildren(node.ownerDocument.documentElement, 'group')
+      .find(g => g.getAttribute('name') === name);
+    if (!target) throw new Error(`Invalid XSD schema: unresolved group reference ${name}`);
+    const group = compileModelGroup(schema, target);
+    return { ...group, minOccurs: parseOccurs(node, 'minOccurs'), maxOccurs: parseOccurs(node, 'maxOccurs') };
+  }
+
+  return {
+    kind: node.localName,
+    minOccurs: parseOccurs(node, 'minOccurs'),
+    maxOccurs: parseOccurs(node, 'maxOccurs'),
+    particles: xsChildren(node)
+      .filter(c => ['element', 'sequence', 'choice', 'any', 'group'].includes(c.localName))
+      .map(c => compileParticle(schema, c))
+  };
+}
+
+function compileAttributes(schema, owner, attributes) {
+  for (const attr of xsChildren(owner, 'attribute')) {
+    const name = attr.getAttribute('name') || resolveQName(attr, attr.getAttribute('ref')).name;
+    const inlineSimple = xsChildren(attr, 'simpleType')[0];
+    let type;
+    if (attr.getAttribute('type')) type = lazyType(schema, attr, attr.getAttribute('type'));
+    else if (inlineSimple) type = () => compileSimpleType(schema, inlineSimple, `{@${name}}`);
+    else type = () => builtinType('anySimpleType');
+
+    attributes.set(name, {
+      name,
+      use: attr.getAttribute('use') || 'optional',
+      default: attr.hasAttribute('default') ? attr.getAttribute('default') : null,
+      fixed: attr.hasAttribute('fixed') ? attr.getAttribute('fixed') : null,
+      type
+    });
+  }
+  for (const group of xsChildren(owner, 'attributeGroup')) {
+    const { name } = resolveQName(group, group.getAttribute('ref'));
+    const target = xsChildren(group.ownerDocument.documentElement, 'attributeGroup')
+      .find(g => g.getAttribute('name') === name);
+    if (target) compileAttributes(schema, target, attributes);
+  }
+}
+
+// ============================================================================
+// Instance validation
+// ============================================================================
+
+function normalizeWhitespace(value, mode) {
+  if (mode === 'replace') return value.replace(/[\t\n\r]/g, ' ');
+  if (mode === 'collapse') return value.replace(/[\t\n\r ]+/g, ' ').trim();
+  return value;
+}
+
+function fractionDigitCount(value) {
+  const idx = value.indexOf('.');
+  if (idx === -1) return 0;
+  return value.substring(idx + 1).replace(/0+$/, '').length;
+}
+
+function totalDigitCount(value) {
+  const digits = value.replace(/^[+-]/, '').replace('.', '').replace(/^0+/, '');
+  return value.includes('.') ? digits.replace(/0+$/, '').length : digits.length;
+}
+
+function violation(code, message, typeName, params) {
+  return { code, message, typeName: typeName || null, params };
+}
+
+/**
+ * Check a lexical value against a simple type
+ * @returns {Object|null} - { code, message, typeName, params } describing the violation, or null when valid
+ */
+function checkSimpleValue(type, rawValue) {
+  if (type.variety === 'list') {
+    const items = normalizeWhitespace(rawValue, 'collapse').split(' ').filter(Boolean);
+    for (const item of items) {
+      const problem = checkSimpleValue(type.itemType(), item);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  if (type.variety === 'union') {
+    const ok = type.members.some(member => checkSimpleValue(member(), rawValue) === null);
+    return ok ? null : violation('XSD_UNION', `'${rawValue}' does not match any member type of ${type.name}`, type.name, { value: rawValue, type: type.name });
+  }
+
+  const value = normalizeWhitespace(rawValue, type.whiteSpace);
+  const builtin = BUILTIN_TYPES[type.builtin];
+
+  if (!builtin.test(value)) {
+    return violation('XSD_INVALID_VALUE', `'${value}' is not a valid value of the atomic type xs:${type.builtin}`, type.name, { value, type: `xs:${type.builtin}` });
+  }
+
+  for (const { typeName, facets } of type.restrictions) {
+    const problem = checkFacets(type, typeName || type.name, facets, value);
+    if (problem) return problem;
+  }
+
+  return null;
+}
+
+function checkFacets(type, typeName, facets, value) {
+  if (facets.enumeration.length > 0 && !facets.enumeration.includes(value)) {
+    const allowed = facets.enumeration.map(e => `'${e}'`).join(', ');
+    return violation('XSD_ENUMERATION', `'${value}' is not an element of the set {${allowed}}`, typeName, { value, allowed });
+  }
+
+  if (facets.pattern.length > 0 && !facets.pattern.some(p => p.regex.test(value))) {
+    const pattern = facets.pattern.map(p => p.source).join('|');
+    return violation('XSD_PATTERN', `'${value}' is not accepted by the pattern '${pattern}'`, typeName, { value, pattern });
+  }
+
+  const length = [...value].length;
+  if (facets.length !== undefined && length !== facets.length) {
+    return violation('XSD_LENGTH', `'${value}' has length ${length}, expected exactly ${facets.length}`, typeName, { value, length, limit: facets.length });
+  }
+  if (facets.minLength !== undefined && length < facets.minLength) {
+    return violation('XSD_MIN_LENGTH', `'${value}' has length ${length}, which is less than minLength ${facets.minLength}`, typeName, { value, length, limit: facets.minLength });
+  }
+  if (facets.maxLength !== undefined && length > facets.maxLength) {
+    return violation('XSD_MAX_LENGTH', `'${value}' has length ${length}, which is greater than maxLength ${facets.maxLength}`, typeName, { value, length, limit: facets.maxLength });
+  }
+
+  if (type.numeric) {
+    const number = Number(value);
+    if (facets.minInclusive !== undefined && number < Number(facets.minInclusive)) {
+      return violation('XSD_MIN_INCLUSIVE', `'${value}' is less than the minimum value allowed (${facets.minInclusive})`, typeName, { value, limit: facets.minInclusive });
+    }
+    if (facets.maxInclusive !== undefined && number > Number(facets.maxInclusive)) {
+      return violation('XSD_MAX_INCLUSIVE', `'${value}' is greater than the maximum value allowed (${facets.maxInclusive})`, typeName, { value, limit: facets.maxInclusive });
+    }
+    if (facets.minExclusive !== undefined && number <= Number(facets.minExclusive)) {
+      return violation('XSD_MIN_EXCLUSIVE', `'${value}' must be greater than ${facets.minExclusive}`, typeName, { value, limit: facets.minExclusive });
+    }
+    if (facets.maxExclusive !== undefined && number >= Number(facets.maxExclusive)) {
+      return violation('XSD_MAX_EXCLUSIVE', `'${value}' must be less than ${facets.maxExclusive}`, typeName, { value, limit: facets.maxExclusive });
+    }
+    if (facets.fractionDigits !== undefined && fractionDigitCount(value) > facets.fractionDigits) {
+      return violation('XSD_FRACTION_DIGITS', `'${value}' has more fractional digits than allowed (${facets.fractionDigits})`, typeName, { value, limit: facets.fractionDigits });
+    }
+    if (facets.totalDigits !== undefined && totalDigitCount(value) > facets.totalDigits) {
+      return violation('XSD_TOTAL_DIGITS', `'${value}' has more digits than allowed (${facets.totalDigits})`, typeName, { value, limit: facets.totalDigits });
+    }
+  } else {
+    // Ordered facets on dates compare lexically, which is correct for same-timezone ISO values
+    if (facets.minInclusive !== undefined && value < facets.minInclusive) {
+      return violation('XSD_MIN_INCLUSIVE', `'${value}' is less than the minimum value allowed (${facets.minInclusive})`, typeName, { value, limit: facets.minInclusive });
+    }
+    if (facets.maxInclusive !== undefined && value > facets.maxInclusive) {
+      return violation('XSD_MAX_INCLUSIVE', `'${value}' is greater than the maximum value allowed (${facets.maxInclusive})`, typeName, { value, limit: facets.maxInclusive });
+    }
+  }
+
+  return null;
+}
+
+function qualifiedName(node) {
+  return node.prefix ? `${node.prefix}:${node.localName}` : node.localName;
+}
+
+/**
+ * Build an absolute XPath for a node, adding positional predicates for repeated siblings
+ */
+function nodeXPath(node) {
+  if (!node || node.nodeType === 9) return '';
+  if (node.nodeType === 2) {
+    return `${nodeXPath(node.ownerElement)}/@${node.name}`;
+  }
+
+  const parent = node.parentNode;
+  let step = qualifiedName(node);
+  if (parent && parent.nodeType === 1) {
+    const siblings = childElements(parent).filter(s => s.localName === node.localName && s.namespaceURI === node.namespaceURI);
+    if (siblings.length > 1) step += `[${siblings.indexOf(node) + 1}]`;
+  }
+  return `${nodeXPath(parent)}/${step}`;
+}
+
+function matchesDecl(decl, node) {
+  if (decl.kind === 'any') return true;
+  return node.localName === decl.name && (node.namespaceURI || null) === decl.ns;
+}
+
+class InstanceValidator {
+  constructor(schema) {
+    this.schema = schema;
+    this.errors = [];
+  }
+
+  report(node, code, message, typeName, params) {
+    this.errors.push({ node, code, message, typeName: typeName || null, params: params || {} });
+  }
+
+  validateRoot(root) {
+    const decl = this.schema.elements.get(root.localName);
+    if (!decl || (root.namespaceURI || null) !== decl.ns) {
+      const expected = [...this.schema.elements.keys()].join(', ');
+      this.report(root, 'XSD_ROOT_UNDECLARED', `No matching global declaration available for the validation root '${qualifiedName(root)}' (namespace '${root.namespaceURI || ''}'); expected one of: ${expected} in namespace '${this.schema.targetNamespace}'`, null, {
+        element: qualifiedName(root),
+        namespace: root.namespaceURI || '',
+        expected,
+        targetNamespace: this.schema.targetNamespace
+      });
+      return;
+    }
+    this.validateElement(root, decl);
+  }
+
+  validateElement(node, decl) {
+    const type = decl.type();
+    if (type.kind === 'simple') {
+      this.validateSimpleElement(node, type);
+    } else if (!type.any) {
+      this.validateComplexElement(node, type);
+    }
+  }
+
+  validateSimpleElement(node, type) {
+    for (let i = 0; i < node.attributes.length; i++) {
+      const attr = node.attributes[i];
+      if (this.isSchemaNeutralAttribute(attr)) continue;
+      this.report(attr, 'XSD_ATTRIBUTE_NOT_ALLOWED', `The attribute '${attr.name}' is not allowed on element '${qualifiedName(node)}'`, null, {
+        element: qualifiedName(node),
+        attribute: attr.name
+      });
+    }
+    const children = childElements(node);
+    if (children.length > 0) {
+      this.report(children[0], 'XSD_CHILDREN_NOT_ALLOWED', `Element '${qualifiedName(node)}' has simple type ${type.name} and may not contain element children`, type.name, { element: qualifiedName(node) });
+      return;
+    }
+    const problem = checkSimpleValue(type, node.textContent);
+    if (problem) {
+      this.report(node, problem.code, `Element '${qualifiedName(node)}': ${problem.message}`, problem.typeName, { element: qualifiedName(node), ...problem.params });
+    }
+  }
+
+  validateComplexElement(node, type) {
+    this.validateAttributes(node, type);
+
+    if (type.simpleContent) {
+      const children = childElements(node);
+      if (children.length > 0) {
+        this.report(children[0], 'XSD_CHILDREN_NOT_ALLOWED', `Element '${qualifiedName(node)}' has simple content and may not contain element children`, type.name, { element: qualifiedName(node) });
+        return;
+      }
+      const problem = checkSimpleValue(type.simpleContent, node.textContent);
+      if (problem) this.report(node, problem.code, `Element '${qualifiedName(node)}': ${problem.message}`, problem.typeName, { element: qualifiedName(node), ...problem.params });
+      return;
+    }
+
+    if (!type.mixed) {
+      for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if ((child.nodeType === 3 || child.nodeType === 4) && child.data.trim() !== '') {
+          this.report(node, 'XSD_TEXT_NOT_ALLOWED', `Element '${qualifiedName(node)}': character content is not allowed because the content type is element-only`, type.name, { element: qualifiedName(node) });
+          break;
+        }
+      }
+    }
+
+    const children = childElements(node);
+    if (!type.content) {
+      if (children.length > 0) {
+        this.report(children[0], 'XSD_ELEMENT_UNEXPECTED', `Element '${qualifiedName(children[0])}': this element is not expected; '${qualifiedName(node)}' must be empty`, type.name, { element: qualifiedName(children[0]), expected: '' });
+      }
+      return;
+    }
+
+    const ctx = { parent: node, type, failed: false, validated: new Set() };
+    const pos = this.matchParticle(type.content, children, 0, ctx);
+    if (pos < children.length) {
+      const expected = this.expectedAfter(type.content, children, pos);
+      this.contentError(ctx, children[pos], 'XSD_ELEMENT_UNEXPECTED', `Element '${qualifiedName(children[pos])}': this element is not expected.${expected ? ` Expected is ( ${expected} ).` : ''}`, {
+        element: qualifiedName(children[pos]),
+        expected
+      });
+    }
+
+    // After a content model error the remaining children are still checked against their declarations
+    const declarations = this.elementDeclarations(type.content);
+    for (const child of children) {
+      if (ctx.validated.has(child)) continue;
+      const decl = declarations.find(d => matchesDecl(d, child));
+      if (decl) this.validateElement(child, decl);
+    }
+  }
+
+  /**
+   * Report a content model violation; only the first one per element is reported,
+   * since everything after it would be a consequence of the same mismatch
+   */
+  contentError(ctx, node, code, message, params) {
+    if (ctx.failed) return;
+    ctx.failed = true;
+    this.report(node, code, message, ctx.type.name, params);
+  }
+
+  elementDeclarations(particle) {
+    if (particle.kind === 'element') return [particle];
+    if (!particle.particles) return [];
+    return particle.particles.flatMap(p => this.elementDeclarations(p));
+  }
+
+  isSchemaNeutralAttribute(attr) {
+    return attr.namespaceURI === XMLNS_NS || attr.name === 'xmlns' || attr.prefix === 'xmlns' ||
+      attr.namespaceURI === XSI_NS || attr.prefix === 'xml';
+  }
+
+  validateAttributes(node, type) {
+    for (let i = 0; i < node.attributes.length; i++) {
+      const attr = node.attributes[i];
+      if (this.isSchemaNeutralAttribute(attr)) continue;
+
+      const localName = attr.localName || attr.name;
+      const expectedNs = this.schema.attributeFormQualified ? this.schema.targetNamespace : null;
+      const decl = type.attributes.get(localName);
+      if (!decl || (attr.namespaceURI || null) !== expectedNs) {
+        this.report(attr, 'XSD_ATTRIBUTE_NOT_ALLOWED', `Element '${qualifiedName(node)}', attribute '${attr.name}': the attribute is not allowed`, type.name, { element: qualifiedName(node), attribute: attr.name });
+        continue;
+      }
+
+      const attrType = decl.type();
+      const problem = checkSimpleValue(attrType, attr.value);
+      if (problem) {
+        this.report(attr, problem.code, `Element '${qualifiedName(node)}', attribute '${attr.name}': ${problem.message}`, problem.typeName, {
+          element: qualifiedName(node),
+          attribute: attr.name,
+          ...problem.params
+        });
+      } else if (decl.fixed !== null && attr.value !== decl.fixed) {
+        this.report(attr, 'XSD_ATTRIBUTE_FIXED', `Element '${qualifiedName(node)}', attribute '${attr.name}': value must be '${decl.fixed}'`, attrType.name, {
+          element: qualifiedName(node),
+          attribute: attr.name,
+          value: attr.value,
+          fixed: decl.fixed
+        });
+      }
+    }
+
+    type.attributes.forEach((decl, name) => {
+      if (decl.use === 'required' && !node.hasAttribute(name)) {
+        this.report(node, 'XSD_ATTRIBUTE_REQUIRED', `Element '${qualifiedName(node)}': the attribute '${name}' is required but missing`, type.name, { element: qualifiedName(node), attribute: name });
+      }
+    });
+  }
+
+  /**
+   * Check whether a particle can start with the given element (no errors reported)
+   */
+  canStart(particle, node) {
+    if (particle.kind === 'element' || particle.kind === 'any') return matchesDecl(particle, node);
+    if (particle.kind === 'choice') return particle.particles.some(p => this.canStart(p, node));
+    for (const p of particle.particles) {
+      if (this.canStart(p, node)) return true;
+      if (p.minOccurs > 0 && !this.isEmptiable(p)) return false;
+    }
+    return false;
+  }
+
+  isEmptiable(particle) {
+    if (particle.minOccurs === 0) return true;
+    if (particle.kind === 'element' || particle.kind === 'any') return false;
+    if (particle.kind === 'choice') return particle.particles.some(p => this.isEmptiable(p));
+    return particle.particles.every(p => this.isEmptiable(p));
+  }
+
+  /**
+   * Match a particle against children starting at pos, validating matched elements
+   * and reporting missing or surplus occurrences. Returns the position after the match.
+   */
+  matchParticle(particle, children, pos, ctx) {
+    // A mandatory, non-repeating group is always entered so its members can report what is missing
+    if (particle.kind === 'sequence' && particle.minOccurs === 1 && particle.maxOccurs === 1) {
+      return this.matchOnce(particle, children, pos, ctx);
+    }
+
+    let count = 0;
+    while (pos < children.length && this.canStart(particle, children[pos])) {
+      if (count >= particle.maxOccurs) {
+        if (particle.kind === 'element') {
+          this.contentError(ctx, children[pos], 'XSD_MAX_OCCURS', `Element '${qualifiedName(children[pos])}': this element is not expected; maximum number of occurrences (${particle.maxOccurs}) of '${particle.name}' exceeded`, {
+            element: qualifiedName(children[pos]),
+            limit: particle.maxOccurs,
+            particle: particle.name
+          });
+          // Surplus occurrences are consumed so they are not reported again as unexpected content
+          while (pos < children.length && matchesDecl(particle, children[pos])) pos++;
+        }
+        break;
+      }
+      const next = this.matchOnce(particle, children, pos, ctx);
+      if (next === pos) break;
+      pos = next;
+      count++;
+    }
+
+    if (count < particle.minOccurs && (count > 0 || !this.isEmptiable({ ...particle, minOccurs: 1 }))) {
+      const expected = this.describeParticle(particle);
+      if (pos < children.length) {
+        this.contentError(ctx, children[pos], 'XSD_ELEMENT_UNEXPECTED', `Element '${qualifiedName(children[pos])}': this element is not expected. Expected is ( ${expected} ).`, {
+          element: qualifiedName(children[pos]),
+          expected
+        });
+      } else {
+        this.contentError(ctx, ctx.parent, 'XSD_ELEMENT_MISSING', `Element '${qualifiedName(ctx.parent)}': missing child element(s). Expected is ( ${expected} ).`, {
+          element: qualifiedName(ctx.parent),
+          expected
+        });
+      }
+    }
+
+    return pos;
+  }
+
+  matchOnce(particle, children, pos, ctx) {
+    if (particle.kind === 'element') {
+      ctx.validated.add(children[pos]);
+      this.validateElement(children[pos], particle);
+      return pos + 1;
+    }
+    if (particle.kind === 'any') {
+      ctx.validated.add(children[pos]);
+      return pos + 1;
+    }
+    if (particle.kind === 'choice') {
+      const branch = particle.particles.find(p => this.canStart(p, children[pos]));
+      return branch ? this.matchParticle({ ...branch, minOccurs: 1, maxOccurs: 1 }, children, pos, ctx) : pos;
+    }
+    if (particle.kind === 'all') {
+      const seen = new Set();
+      while (pos < children.length) {
+        const member = particle.particles.find(p => !seen.has(p) && matchesDecl(p, children[pos]));
+        if (!member) break;
+        seen.add(member);
+        ctx.validated.add(children[pos]);
+        this.validateElement(children[pos], member);
+        pos++;
+      }
+      const missing = particle.particles.find(p => !seen.has(p) && p.minOccurs > 0);
+      if (missing) {
+        const expected = this.describeParticle(missing);
+        this.contentError(ctx, ctx.parent, 'XSD_ELEMENT_MISSING', `Element '${qualifiedName(ctx.parent)}': missing child element(s). Expected is ( ${expected} ).`, {
+          element: qualifiedName(ctx.parent),
+          expected
+        });
+      }
+      return pos;
+    }
+    for (const p of particle.particles) {
+      pos = this.matchParticle(p, children, pos, ctx);
+    }
+    return pos;
+  }
+
+  describeParticle(particle) {
+    if (particle.kind === 'element') {
+      return this.schema.prefix && particle.ns ? `${this.schema.prefix}:${particle.name}` : particle.name;
+    }
+    if (particle.kind === 'any') return '##any';
+    const sep = particle.kind === 'choice' ? ' | ' : ', ';
+    return particle.particles.map(p => this.describeParticle(p)).join(sep);
+  }
+
+  expectedAfter(content, children, index) {
+    // Best-effort hint: list the element names declared in the content model
+    const names = [];
+    const collect = (p) => {
+      if (p.kind === 'element') names.push(this.describeParticle(p));
+      else if (p.particles) p.particles.forEach(collect);
+    };
+    collect(content);
+    const previous = index > 0 ? children[index - 1].localName : null;
+    const idx = previous ? names.findIndex(n => n.endsWith(`:${previous}`) || n === previous) : -1;
+    return names.slice(idx + 1).join(', ');
+  }
+}
+
+/**
+ * Build a structured validation error
+ * @param {string} code - Stable error code (XML_PARSE_ERROR, XSD_*)
+ * @param {string} message - Human-readable description
+ * @param {Object} [location] - { xpath, line, column, schemaType }
+ * @param {Object} [params] - Values the message was built from, used to render it in other languages
+ * @returns {Object} - { code, severity, message, xpath, line, column, schemaType, params }
+ */
+function createError(code, message, location = {}, params = {}) {
+  return {
+    code,
+    severity: 'error',
+    message,
+    xpath: location.xpath || null,
+    line: location.line || null,
+    column: location.column || null,
+    schemaType: location.schemaType || null,
+    params
+  };
+}
+
+function nodeLocation(node) {
+  // Attribute positions are not always tracked; fall back to the owning element
+  const located = node.lineNumber ? node : (node.ownerElement || node);
+  return { line: located.lineNumber || null, column: located.columnNumber || null };
+}
+
+/**
+ * Validate XML content against a compiled schema
+ * @param {Object} schema - Compiled schema (see compileSchema)
+ * @param {string} xmlContent - Raw XML content
+ * @returns {Object} - { valid: boolean, errors: Array<{code, severity, message, xpath, line, column, schemaType, params}> }
+ */
+function validate(schema, xmlContent) {
+  const { doc, errors: parseErrors } = parseDocument(xmlContent);
+  if (!doc || parseErrors.length > 0) {
+    return {
+      valid: false,
+      errors: parseErrors.map(e => createError('XML_PARSE_ERROR', `XML parsing error: ${e.message}`, e, { detail: e.message }))
+    };
+  }
+
+  const validator = new InstanceValidator(schema);
+  validator.validateRoot(doc.documentElement);
+
+  return {
+    valid: validator.errors.length === 0,
+    errors: validator.errors.map(e => createError(e.code, e.message, {
+      xpath: nodeXPath(e.node),
+      ...nodeLocation(e.node),
+      schemaType: e.typeName
+    }, e.params))
+  };
+}
+
+// Compiled schemas keyed by path; recompiled whenever the file's mtime changes
+const schemaCache = new Map();
+
+/**
+ * Load and compile an XSD file, reusing the compiled model until the file changes
+ * @param {string} xsdPath - Path to the XSD file
+ * @returns {Promise<Object>} - Compiled schema
+ */
+async function loadSchema(xsdPath) {
+  const stats = await fs.stat(xsdPath);
+  const cached = schemaCache.get(xsdPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.schema;
+  }
+
+  const schema = compileSchema(await fs.readFile(xsdPath, 'utf8'));
+  schemaCache.set(xsdPath, { mtimeMs: stats.mtimeMs, schema });
+  return schema;
+}
+
+module.exports = {
+  compileSchema,
+  loadSchema,
+  validate,
+  checkSimpleValue,
+  nodeXPath,
+  parseDocument,
+  createError,
+  XS_NS
+};
@@ -0,0 +1,1819 @@
+/**
+ * XSLT Processor Module
+ * XSLT 1.0 processor built on xmldom and the xpath package. A stylesheet is compiled once
+ * (template rules, modes, named templates, keys, variables, attribute sets, xsl:output)
+ * and then applied to instance documents; the result tree is serialized with the xml,
+ * html or text output method. Stylesheet errors carry the line and column of the
+ * offending instruction.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const xpath = require('xpath');
+const { DOMImplementation } = require('@xmldom/xmldom');
+const { parseDocument } = require('./xsd-validator');
+
+const XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+const XPATH_PARSER = new xpath.XPathParser();
+
+// Nested template invocations allowed before a transformation is considered runaway
+const MAX_DEPTH = 1000;
+
+const TOP_LEVEL_ELEMENTS = new Set([
+  'import', 'include', 'strip-space', 'preserve-space', 'output', 'key', 'decimal-format',
+  'namespace-alias', 'attribute-set', 'variable', 'param', 'template'
+]);
+
+const INSTRUCTIONS = new Set([
+  'apply-templates', 'call-template', 'apply-imports', 'for-each', 'value-of', 'copy-of',
+  'copy', 'element', 'attribute', 'text', 'comment', 'processing-instruction', 'if', 'choose',
+  'variable', 'message', 'number', 'fallback'
+]);
+
+const XSLT_FUNCTIONS = [
+  'current', 'key', 'generate-id', 'format-number', 'document', 'system-property',
+  'function-available', 'element-available', 'unparsed-entity-uri'
+];
+const CORE_FUNCTIONS = Object.keys(new xpath.FunctionResolver().functions).map(name => name.slice(2));
+const KNOWN_FUNCTIONS = new Set([...CORE_FUNCTIONS, ...XSLT_FUNCTIONS]);
+
+const HTML_VOID_ELEMENTS = new Set(['area', 'base', 'basefont', 'br', 'col', 'frame', 'hr', 'img', 'input', 'isindex', 'link', 'meta', 'param']);
+const HTML_RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const HTML_PRESERVE_ELEMENTS = new Set(['pre', 'textarea', 'script', 'style']);
+const HTML_BOOLEAN_ATTRIBUTES = new Set(['checked', 'compact', 'declare', 'defer', 'disabled', 'ismap', 'multiple', 'nohref', 'noresize', 'noshade', 'nowrap', 'readonly', 'selected']);
+
+const DEFAULT_DECIMAL_FORMAT = {
+  decimalSeparator: '.',
+  groupingSeparator: ',',
+  infinity: 'Infinity',
+  minusSign: '-',
+  NaN: 'NaN',
+  percent: '%',
+  perMille: '‰',
+  zeroDigit: '0',
+  digit: '#',
+  patternSeparator: ';'
+};
+
+/**
+ * Error raised while compiling or applying a stylesheet
+ * code is XSLT_STYLESHEET_ERROR, XSLT_TRANSFORM_ERROR, XSLT_TERMINATED or XML_PARSE_ERROR;
+ * line and column point into the stylesheet (or the instance document for parse errors);
+ * detail is the message without location, for callers that word the error themselves
+ */
+class XsltError extends Error {
+  constructor(code, message, location = {}, detail = message) {
+    const line = location.lineNumber || location.line || null;
+    const column = location.columnNumber || location.column || null;
+    super(line ? `${message} (line ${line}, column ${column})` : message);
+    this.name = 'XsltError';
+    this.code = code;
+    this.detail = detail;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function fail(node, message) {
+  throw new XsltError('XSLT_STYLESHEET_ERROR', `${node.nodeName}: ${message}`, node);
+}
+
+function isXsl(node, localName) {
+  return node.nodeType === 1 && node.namespaceURI === XSL_NS && (!localName || node.localName === localName);
+}
+
+function elementChildren(node) {
+  return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+}
+
+function isWhitespace(text) {
+  return !/[^ \t\r\n]/.test(text);
+}
+
+// ---------------------------------------------------------------------------
+// Names and namespaces
+
+const scopeCache = new WeakMap();
+
+// In-scope namespaces of a stylesheet element, keyed by prefix ('' is the default namespace)
+function namespaceScope(node) {
+  let scope = scopeCache.get(node);
+  if (scope) return scope;
+
+  scope = node.parentNode && node.parentNode.nodeType === 1 ? { ...namespaceScope(node.parentNode) } : { xml: XML_NS };
+  for (const attr of Array.from(node.attributes || [])) {
+    if (attr.namespaceURI !== XMLNS_NS) continue;
+    scope[attr.prefix === 'xmlns' ? attr.localName : ''] = attr.value;
+  }
+  scopeCache.set(node, scope);
+  return scope;
+}
+
+function splitQName(qname) {
+  const index = qname.indexOf(':');
+  return index < 0 ? ['', qname] : [qname.slice(0, index), qname.slice(index + 1)];
+}
+
+function expandedName(uri, localName) {
+  return uri ? `{${uri}}${localName}` : localName;
+}
+
+// Expanded name of a QName attribute value (template names, modes, keys, variables)
+function expandQName(node, qname, useDefault = false) {
+  const [prefix, localName] = splitQName(qname.trim());
+  if (!/^[A-Za-z_][\w.\-]*$/.test(localName) || (prefix && !/^[A-Za-z_][\w.\-]*$/.test(prefix))) {
+    fail(node, `'${qname}' is not a valid QName`);
+  }
+  if (!prefix) return expandedName(useDefault ? namespaceScope(node)[''] : '', localName);
+
+  const uri = namespaceScope(node)[prefix];
+  if (uri === undefined) fail(node, `namespace prefix '${prefix}' is not declared`);
+  return expandedName(uri, localName);
+}
+
+// Split an expression on top-level occurrences of a separator, ignoring brackets and literals
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts.map(part => part.trim());
+}
+
+// ---------------------------------------------------------------------------
+// Result tree helpers
+
+function nodeSet(nodes) {
+  const set = new xpath.XNodeSet();
+  set.addArray(nodes);
+  return set;
+}
+
+function stringValue(node) {
+  return nodeSet([node]).stringValue();
+}
+
+function parentOf(node) {
+  return node.nodeType === 2 || node.isNamespaceNode ? node.ownerElement : node.parentNode;
+}
+
+function rootOf(node) {
+  let root = node;
+  for (let parent = parentOf(root); parent; parent = parentOf(root)) root = parent;
+  return root;
+}
+
+// Children as seen by the XPath data model (no doctype, CDATA reads as text, and the
+// root node of a parsed document has no text children)
+function modelChildren(node) {
+  const types = node.nodeType === 9 ? [1, 7, 8] : [1, 3, 4, 7, 8];
+  return Array.from(node.childNodes || []).filter(child => types.includes(child.nodeType));
+}
+
+// In-scope namespace declarations of a source element, nearest declaration first
+function inScopeNamespaces(element) {
+  const seen = new Map();
+  for (let el = element; el && el.nodeType === 1; el = el.parentNode) {
+    for (const attr of Array.from(el.attributes)) {
+      if (attr.namespaceURI !== XMLNS_NS) continue;
+      const prefix = attr.prefix === 'xmlns' ? attr.localName : '';
+      if (!seen.has(prefix)) seen.set(prefix, attr.value);
+    }
+  }
+  return [...seen.entries()].filter(([prefix, uri]) => uri || prefix === '');
+}
+
+// ---------------------------------------------------------------------------
+// Number formatting (xsl:number and format-number)
+
+function toAlphabetic(n, base) {
+  let result = '';
+  while (n > 0) {
+    n--;
+    result = String.fromCharCode(base + (n % 26)) + result;
+    n = Math.floor(n / 26);
+  }
+  return result;
+}
+
+function toRoman(n) {
+  if (n <= 0 || n >= 4000) return String(n);
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (n >= value) {
+      result += numeral;
+      n -= value;
+    }
+  }
+  return result;
+}
+
+function formatToken(n, token) {
+  if (token === 'a' || token === 'A') {
+    return n > 0 ? toAlphabetic(n, token.charCodeAt(0)) : String(n);
+  }
+  if (token === 'i') return toRoman(n);
+  if (token === 'I') return toRoman(n).toUpperCase();
+  const width = /^0*1$/.test(token) ? token.length : 1;
+  return String(n).padStart(width, '0');
+}
+
+// Format a list of numbers with an xsl:number format string such as "1.", "A)" or "1.a"
+function formatNumberList(numbers, format) {
+  const tokens = [];
+  const separators = [];
+  const pattern = /[A-Za-z0-9]+/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(format)) !== null) {
+    separators.push(format.slice(last, match.index));
+    tokens.push(match[0]);
+    last = match.index + match[0].length;
+  }
+  if (tokens.length === 0) return numbers.join('.');
+
+  const prefix = separators[0];
+  const suffix = format.slice(last);
+  let result = prefix;
+  numbers.forEach((n, i) => {
+    if (i > 0) result += separators[Math.min(i, tokens.length - 1)] || '.';
+    result += formatToken(n, tokens[Math.min(i, tokens.length - 1)]);
+  });
+  return result + suffix;
+}
+
+function parseNumberPattern(pattern, format) {
+  const active = new Set([format.digit, format.zeroDigit, format.decimalSeparator, format.groupingSeparator]);
+  let i = 0;
+  let prefix = '';
+  while (i < pattern.length && !active.has(pattern[i])) prefix += pattern[i++];
+  let body = '';
+  while (i < pattern.length && active.has(pattern[i])) body += pattern[i++];
+  const suffix = pattern.slice(i);
+
+  const [integerPart, fractionPart = ''] = body.split(format.decimalSeparator);
+  const groups = integerPart.split(format.groupingSeparator);
+  const zeroDigits = part => [...part].filter(character => character === format.zeroDigit).length;
+  return {
+    prefix,
+    suffix,
+    minInteger: zeroDigits(integerPart),
+    grouping: groups.length > 1 ? groups[groups.length - 1].length : 0,
+    minFraction: zeroDigits(fractionPart),
+    maxFraction: fractionPart.replace(/\s/g, '').length
+  };
+}
+
+function formatDecimal(number, pattern, format) {
+  if (Number.isNaN(number)) return format.NaN;
+
+  const [positivePattern, negativePattern] = pattern.split(format.patternSeparator);
+  const positive = parseNumberPattern(positivePattern, format);
+  const negative = negativePattern !== undefined
+    ? parseNumberPattern(negativePattern, format)
+    : { ...positive, prefix: format.minusSign + positive.prefix };
+  const spec = number < 0 || Object.is(number, -0) ? negative : positive;
+  let value = Math.abs(number);
+
+  if (!Number.isFinite(value)) return `${spec.prefix}${format.infinity}${spec.suffix}`;
+  if (spec.prefix.includes(format.percent) || spec.suffix.includes(format.percent)) value *= 100;
+  else if (spec.prefix.includes(format.perMille) || spec.suffix.includes(format.perMille)) value *= 1000;
+
+  let [integer, fraction = ''] = value.toFixed(spec.maxFraction).split('.');
+  fraction = fraction.replace(/0+$/, '').padEnd(spec.minFraction, '0');
+  integer = integer.replace(/^0+/, '').padStart(spec.minInteger, '0');
+  if (spec.grouping > 0) {
+    integer = integer.replace(new RegExp(`\\B(?=(\\d{${spec.grouping}})+(?!\\d))`, 'g'), format.groupingSeparator);
+  }
+
+  const digits = fraction ? `${integer}${format.decimalSeparator}${fraction}` : integer;
+  return `${spec.prefix}${digits || '0'}${spec.suffix}`;
+}
+
+// ---------------------------------------------------------------------------
+// Stylesheet compilation
+
+class StylesheetCompiler {
+  constructor(options) {
+    this.baseDir = options.baseDir || null;
+    this.precedence = 0;
+    this.order = 0;
+    this.stylesheet = {
+      rules: new Map(),
+      namedTemplates: new Map(),
+      globals: new Map(),
+      keys: new Map(),
+      attributeSets: new Map(),
+      decimalFormats: new Map([['', DEFAULT_DECIMAL_FORMAT]]),
+      namespaceAliases: new Map(),
+      output: {},
+      stripSpace: [],
+      preserveSpace: [],
+      documents: [],
+      baseDir: this.baseDir
+    };
+    this.calls = [];
+  }
+
+  compile(doc, loaded = new Set()) {
+    const root = doc.documentElement;
+    this.stylesheet.documents.push(doc);
+
+    if (!isXsl(root, 'stylesheet') && !isXsl(root, 'transform')) {
+      // Simplified syntax: a literal result element is the template for the root node
+      if (!root.getAttributeNS(XSL_NS, 'version')) {
+        fail(root, 'root element must be xsl:stylesheet, xsl:transform or a literal result element with xsl:version');
+      }
+      this.precedence++;
+      this.addTemplate({
+        node: root,
+        match: this.compilePattern(root, '/'),
+        name: null,
+        mode: '',
+        priority: null,
+        params: [],
+        body: [this.compileInstruction(root)],
+        precedence: this.precedence
+      });
+      return this.stylesheet;
+    }
+
+    if (!root.getAttribute('version')) fail(root, 'version attribute is required');
+    this.compileModule(root, this.baseDir, loaded);
+
+    for (const { node, name } of this.calls) {
+      if (!this.stylesheet.namedTemplates.has(name)) fail(node, `no template named '${node.getAttribute('name')}'`);
+    }
+    for (const rules of this.stylesheet.rules.values()) {
+      rules.sort((a, b) => (b.precedence - a.precedence) || (b.priority - a.priority) || (b.order - a.order));
+    }
+    return this.stylesheet;
+  }
+
+  loadModule(node, href, baseDir, loaded) {
+    if (!baseDir) fail(node, `cannot resolve '${href}' without a stylesheet location`);
+    const modulePath = path.resolve(baseDir, href);
+    if (loaded.has(modulePath)) fail(node, `'${href}' is included recursively`);
+
+    let content;
+    try {
+      content = fs.readFileSync(modulePath, 'utf8');
+    } catch (error) {
+      fail(node, `cannot read '${href}': ${error.message}`);
+    }
+    const { doc, errors } = parseDocument(content);
+    if (!doc || errors.length > 0) {
+      throw new XsltError('XSLT_STYLESHEET_ERROR', `${href} is not well-formed: ${errors[0].message}`, errors[0]);
+    }
+    const root = doc.documentElement;
+    if (!isXsl(root, 'stylesheet') && !isXsl(root, 'transform')) fail(root, `'${href}' is not a stylesheet module`);
+    this.stylesheet.documents.push(doc);
+    return { root, modulePath, baseDir: path.dirname(modulePath), loaded: new Set([...loaded, modulePath]) };
+  }
+
+  // Top-level elements of a module with xsl:include expanded in place
+  collectDeclarations(root, baseDir, loaded, imports) {
+    const declarations = [];
+    let seenOther = false;
+    for (const child of elementChildren(root)) {
+      if (!isXsl(child)) continue;
+      if (!TOP_LEVEL_ELEMENTS.has(child.localName)) fail(child, 'is not allowed at the top level of a stylesheet');
+
+      if (child.localName === 'import') {
+        if (seenOther) fail(child, 'must come before all other top-level elements');
+        imports.push({ node: child, baseDir, loaded });
+      } else if (child.localName === 'include') {
+        seenOther = true;
+        const module = this.loadModule(child, child.getAttribute('href'), baseDir, loaded);
+        declarations.push(...this.collectDeclarations(module.root, module.baseDir, module.loaded, imports));
+      } else {
+        seenOther = true;
+        declarations.push(child);
+      }
+    }
+    return declarations;
+  }
+
+  compileModule(root, baseDir, loaded) {
+    const imports = [];
+    const declarations = this.collectDeclarations(root, baseDir, loaded, imports);
+
+    // Imported modules get lower import precedence than the module importing them
+    for (const { node, baseDir: importBase, loaded: importLoaded } of imports) {
+      const module = this.loadModule(node, node.getAttribute('href'), importBase, importLoaded);
+      this.compileModule(module.root, module.baseDir, module.loaded);
+    }
+
+    this.precedence++;
+    for (const node of declarations) {
+      this.compileDeclaration(node);
+    }
+  }
+
+  compileDeclaration(node) {
+    const stylesheet = this.stylesheet;
+    switch (node.localName) {
+      case 'template':
+        this.compileTemplate(node);
+        break;
+      case 'variable':
+      case 'param': {
+        const decl = this.compileVariable(node);
+        const existing = stylesheet.globals.get(decl.key);
+        if (existing && existing.precedence === this.precedence) fail(node, `duplicate global variable '${decl.name}'`);
+        stylesheet.globals.set(decl.key, { ...decl, precedence: this.precedence, isParam: node.localName === 'param' });
+        break;
+      }
+      case 'output':
+        for (const attr of ['method', 'version', 'encoding', 'omit-xml-declaration', 'standalone', 'doctype-public', 'doctype-system', 'indent', 'media-type']) {
+          if (node.hasAttribute(attr)) stylesheet.output[attr] = node.getAttribute(attr).trim();
+        }
+        if (node.hasAttribute('cdata-section-elements')) {
+          stylesheet.output.cdataSectionElements = [
+            ...(stylesheet.output.cdataSectionElements || []),
+            ...node.getAttribute('cdata-section-elements').trim().split(/\s+/).filter(Boolean).map(name => expandQName(node, name, true))
+          ];
+        }
+        if (stylesheet.output.method && !['xml', 'html', 'text'].includes(stylesheet.output.method)) {
+          fail(node, `unsupported output method '${stylesheet.output.method}'`);
+        }
+        break;
+      case 'key': {
+        const key = expandQName(node, this.required(node, 'name'));
+        const definitions = stylesheet.keys.get(key) || [];
+        definitions.push({
+          match: this.compilePattern(node, this.required(node, 'match')),
+          use: this.compileExpression(node, this.required(node, 'use'), 'use')
+        });
+        stylesheet.keys.set(key, definitions);
+        break;
+      }
+      case 'strip-space':
+      case 'preserve-space': {
+        const tests = this.required(node, 'elements').trim().split(/\s+/).map(test => this.compileNameTest(node, test));
+        (node.localName === 'strip-space' ? stylesheet.stripSpace : stylesheet.preserveSpace).push(...tests);
+        break;
+      }
+      case 'attribute-set': {
+        const name = expandQName(node, this.required(node, 'name'));
+        const set = stylesheet.attributeSets.get(name) || { useSets: [], attributes: [] };
+        set.useSets.push(...this.attributeSetNames(node, node.getAttribute('use-attribute-sets')));
+        for (const child of elementChildren(node)) {
+          if (!isXsl(child, 'attribute')) fail(child, 'only xsl:attribute is allowed in xsl:attribute-set');
+          set.attributes.push(this.compileInstruction(child));
+        }
+        stylesheet.attributeSets.set(name, set);
+        break;
+      }
+      case 'decimal-format': {
+        const name = node.hasAttribute('name') ? expandQName(node, node.getAttribute('name')) : '';
+        const format = { ...DEFAULT_DECIMAL_FORMAT };
+        const attributes = {
+          'decimal-separator': 'decimalSeparator', 'grouping-separator': 'groupingSeparator', infinity: 'infinity',
+          'minus-sign': 'minusSign', NaN: 'NaN', percent: 'percent', 'per-mille': 'perMille',
+          'zero-digit': 'zeroDigit', digit: 'digit', 'pattern-separator': 'patternSeparator'
+        };
+        for (const [attr, prop] of Object.entries(attributes)) {
+          if (node.hasAttribute(attr)) format[prop] = node.getAttribute(attr);
+        }
+        stylesheet.decimalFormats.set(name, format);
+        break;
+      }
+      case 'namespace-alias': {
+        const scope = namespaceScope(node);
+        const resolve = (attr) => {
+          const prefix = this.required(node, attr);
+          const key = prefix === '#default' ? '' : prefix;
+          if (scope[key] === undefined) fail(node, `namespace prefix '${prefix}' is not declared`);
+          return { prefix: key, uri: scope[key] };
+        };
+        const from = resolve('stylesheet-prefix');
+        stylesheet.namespaceAliases.set(from.uri, resolve('result-prefix'));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  required(node, attr) {
+    if (!node.hasAttribute(attr)) fail(node, `${attr} attribute is required`);
+    return node.getAttribute(attr);
+  }
+
+  attributeSetNames(node, value) {
+    return (value || '').trim().split(/\s+/).filter(Boolean).map(name => expandQName(node, name));
+  }
+
+  compileNameTest(node, test) {
+    if (test === '*') return { uri: null, localName: null, specificity: -0.5 };
+    const [prefix, localName] = splitQName(test);
+    const uri = prefix ? namespaceScope(node)[prefix] : '';
+    if (uri === undefined) fail(node, `namespace prefix '${prefix}' is not declared`);
+    return localName === '*' ? { uri, localName: null, specificity: -0.25 } : { uri, localName, specificity: 0 };
+  }
+
+  compileExpression(node, source, what) {
+    let parsed;
+    try {
+      parsed = XPATH_PARSER.parse(source);
+    } catch (error) {
+      fail(node, `invalid XPath expression in ${what}: '${source}'`);
+    }
+
+    const ns = namespaceScope(node);
+    const seen = new Set();
+    const check = (value) => {
+      if (!value || typeof value !== 'object' || seen.has(value)) return;
+      seen.add(value);
+      if (value instanceof xpath.FunctionCall) {
+        const [prefix, localName] = splitQName(value.functionName);
+        if (!prefix && !KNOWN_FUNCTIONS.has(localName)) fail(node, `unknown function ${localName}() in ${what}: '${source}'`);
+      }
+      if (typeof value.prefix === 'string' && value.prefix && ns[value.prefix] === undefined) {
+        fail(node, `namespace prefix '${value.prefix}' is not declared in ${what}: '${source}'`);
+      }
+      Object.keys(value).forEach(key => check(value[key]));
+    };
+    check(parsed.expression);
+
+    return { xpath: parsed, ns, source, node };
+  }
+
+  // Attribute value template: literal text with {expression} parts; {{ and }} are escapes
+  compileAvt(node, source, what) {
+    const parts = [];
+    let literal = '';
+    let i = 0;
+    while (i < source.length) {
+      const ch = source[i];
+      if (ch === '{' && source[i + 1] === '{') {
+        literal += '{';
+        i += 2;
+      } else if (ch === '}' && source[i + 1] === '}') {
+        literal += '}';
+        i += 2;
+      } else if (ch === '}') {
+        fail(node, `unmatched '}' in attribute value template ${what}: '${source}'`);
+      } else if (ch === '{') {
+        let j = i + 1;
+        let quote = null;
+        while (j < source.length && (quote || source[j] !== '}')) {
+          if (quote && source[j] === quote) quote = null;
+          else if (!quote && (source[j] === '"' || source[j] === "'")) quote = source[j];
+          j++;
+        }
+        if (j >= source.length) fail(node, `unterminated '{' in attribute value template ${what}: '${source}'`);
+        if (literal) parts.push(literal);
+        literal = '';
+        parts.push(this.compileExpression(node, source.slice(i + 1, j), what));
+        i = j + 1;
+      } else {
+        literal += ch;
+        i++;
+      }
+    }
+    if (literal || parts.length === 0) parts.push(literal);
+    return parts;
+  }
+
+  compileOptionalAvt(node, attr) {
+    return node.hasAttribute(attr) ? this.compileAvt(node, node.getAttribute(attr), attr) : null;
+  }
+
+  // Patterns are evaluated from the root of the document; a relative pattern matches any
+  // node reachable through descendant-or-self::node()
+  compilePattern(node, source) {
+    return splitTopLevel(source, '|').map(alternative => {
+      if (!alternative) fail(node, `empty alternative in pattern '${source}'`);
+      const absolute = alternative.startsWith('/') || /^(id|key)\s*\(/.test(alternative);
+      const expr = this.compileExpression(node, absolute ? alternative : `/descendant-or-self::node()/${alternative}`, `pattern '${source}'`);
+      return { expr, source: alternative, priority: defaultPriority(alternative) };
+    });
+  }
+
+  compileVariable(node) {
+    const name = this.required(node, 'name');
+    const hasSelect = node.hasAttribute('select');
+    const body = this.compileBody(node);
+    if (hasSelect && body.length > 0) fail(node, 'cannot have both a select attribute and content');
+    return {
+      node,
+      name,
+      key: expandQName(node, name),
+      select: hasSelect ? this.compileExpression(node, node.getAttribute('select'), 'select') : null,
+      body
+    };
+  }
+
+  compileTemplate(node) {
+    const match = node.hasAttribute('match') ? node.getAttribute('match') : null;
+    const name = node.hasAttribute('name') ? expandQName(node, node.getAttribute('name')) : null;
+    if (!match && !name) fail(node, 'needs a match or a name attribute');
+    if (!match && node.hasAttribute('mode')) fail(node, 'mode is only allowed together with match');
+
+    const params = [];
+    const rest = [];
+    for (const child of Array.from(node.childNodes)) {
+      if (isXsl(child, 'param') && rest.every(c => c.nodeType !== 1)) params.push(this.compileVariable(child));
+      else rest.push(child);
+    }
+    const priority = node.hasAttribute('priority') ? Number(node.getAttribute('priority')) : null;
+    if (Number.isNaN(priority)) fail(node, `priority '${node.getAttribute('priority')}' is not a number`);
+
+    const template = {
+      node,
+      match: match ? this.compilePattern(node, match) : null,
+      name,
+      mode: node.hasAttribute('mode') ? expandQName(node, node.getAttribute('mode')) : '',
+      priority,
+      params,
+      body: this.compileNodes(rest, node),
+      precedence: this.precedence
+    };
+
+    if (name) {
+      const existing = this.stylesheet.namedTemplates.get(name);
+      if (existing && existing.precedence === this.precedence) fail(node, `duplicate template named '${node.getAttribute('name')}'`);
+      if (!existing || existing.precedence < this.precedence) this.stylesheet.namedTemplates.set(name, template);
+    }
+    if (match) this.addTemplate(template);
+  }
+
+  // A template with a union pattern is treated as one rule per alternative
+  addTemplate(template) {
+    const rules = this.stylesheet.rules.get(template.mode) || [];
+    for (const alternative of template.match) {
+      rules.push({
+        template,
+        pattern: [alternative],
+        priority: template.priority !== null ? template.priority : alternative.priority,
+        precedence: template.precedence,
+        order: this.order++
+      });
+    }
+    this.stylesheet.rules.set(template.mode, rules);
+  }
+
+  compileBody(node) {
+    return this.compileNodes(Array.from(node.childNodes), node);
+  }
+
+  compileNodes(nodes, parent) {
+    const preserve = preservesSpace(parent);
+    const body = [];
+    for (const child of nodes) {
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        if (!preserve && isWhitespace(child.data)) continue;
+        body.push({ kind: 'text', value: child.data, disableEscaping: false });
+      } else if (child.nodeType === 1) {
+        body.push(this.compileInstruction(child));
+      }
+    }
+    return body;
+  }
+
+  compileSorts(node) {
+    return elementChildren(node).filter(child => isXsl(child, 'sort')).map(sort => ({
+      select: this.compileExpression(sort, sort.getAttribute('select') || '.', 'select'),
+      dataType: this.compileOptionalAvt(sort, 'data-type'),
+      order: this.compileOptionalAvt(sort, 'order'),
+      caseOrder: this.compileOptionalAvt(sort, 'case-order')
+    }));
+  }
+
+  compileParams(node) {
+    return elementChildren(node).filter(child => isXsl(child, 'with-param')).map(param => this.compileVariable(param));
+  }
+
+  compileInstruction(node) {
+    if (!isXsl(node)) return this.compileLiteral(node);
+
+    const name = node.localName;
+    if (!INSTRUCTIONS.has(name)) {
+      if (name === 'param') fail(node, 'is only allowed at the top level or at the start of a template');
+      if (TOP_LEVEL_ELEMENTS.has(name)) fail(node, 'is only allowed at the top level of a stylesheet');
+      if (['sort', 'with-param', 'when', 'otherwise'].includes(name)) fail(node, 'is not allowed here');
+      fail(node, 'unknown XSLT instruction');
+    }
+
+    const base = { kind: name, node };
+    switch (name) {
+      case 'apply-templates':
+        elementChildren(node).forEach(child => {
+          if (!isXsl(child, 'sort') && !isXsl(child, 'with-param')) fail(child, 'is not allowed in xsl:apply-templates');
+        });
+        return {
+          ...base,
+          select: node.hasAttribute('select') ? this.compileExpression(node, node.getAttribute('select'), 'select') : null,
+          mode: node.hasAttribute('mode') ? expandQName(node, node.getAttribute('mode')) : '',
+          sorts: this.compileSorts(node),
+          params: this.compileParams(node)
+        };
+      case 'call-template': {
+        const templateName = expandQName(node, this.required(node, 'name'));
+        this.calls.push({ node, name: templateName });
+        return { ...base, name: templateName, params: this.compileParams(node) };
+      }
+      case 'apply-imports':
+        return base;
+      case 'for-each': {
+        const children = Array.from(node.childNodes);
+        const elements = elementChildren(node);
+        const firstOther = elements.findIndex(child => !isXsl(child, 'sort'));
+        if (firstOther >= 0 && elements.slice(firstOther).some(child => isXsl(child, 'sort'))) {
+          fail(node, 'xsl:sort must come before the other content');
+        }
+        return {
+          ...base,
+          select: this.compileExpression(node, this.required(node, 'select'), 'select'),
+          sorts: this.compileSorts(node),
+          body: this.compileNodes(children.filter(child => !isXsl(child, 'sort')), node)
+        };
+      }
+      case 'value-of':
+        return {
+          ...base,
+          select: this.compileExpression(node, this.required(node, 'select'), 'select'),
+          disableEscaping: node.getAttribute('disable-output-escaping') === 'yes'
+        };
+      case 'copy-of':
+        return { ...base, select: this.compileExpression(node, this.required(node, 'select'), 'select') };
+      case 'copy':
+        return { ...base, useSets: this.attributeSetNames(node, node.getAttribute('use-attribute-sets')), body: this.compileBody(node) };
+      case 'element':
+      case 'attribute':
+        return {
+          ...base,
+          name: this.compileAvt(node, this.required(node, 'name'), 'name'),
+          namespace: this.compileOptionalAvt(node, 'namespace'),
+          useSets: name === 'element' ? this.attributeSetNames(node, node.getAttribute('use-attribute-sets')) : [],
+          body: this.compileBody(node)
+        };
+      case 'text':
+        if (elementChildren(node).length > 0) fail(node, 'may only contain text');
+        return { kind: 'text', node, value: node.textContent, disableEscaping: node.getAttribute('disable-output-escaping') === 'yes' };
+      case 'comment':
+      case 'message':
+        return { ...base, terminate: node.getAttribute('terminate') === 'yes', body: this.compileBody(node) };
+      case 'processing-instruction':
+        return { ...base, name: this.compileAvt(node, this.required(node, 'name'), 'name'), body: this.compileBody(node) };
+      case 'if':
+        return { ...base, test: this.compileExpression(node, this.required(node, 'test'), 'test'), body: this.compileBody(node) };
+      case 'choose': {
+        const branches = [];
+        let otherwise = null;
+        for (const child of elementChildren(node)) {
+          if (isXsl(child, 'when') && !otherwise) {
+            branches.push({ test: this.compileExpression(child, this.required(child, 'test'), 'test'), body: this.compileBody(child) });
+          } else if (isXsl(child, 'otherwise') && !otherwise) {
+            otherwise = this.compileBody(child);
+          } else {
+            fail(child, 'is not allowed here; xsl:choose takes xsl:when elements followed by an optional xsl:otherwise');
+          }
+        }
+        if (branches.length === 0) fail(node, 'needs at least one xsl:when');
+        return { ...base, branches, otherwise: otherwise || [] };
+      }
+      case 'variable':
+        return { ...base, ...this.compileVariable(node) };
+      case 'number': {
+        const level = node.getAttribute('level') || 'single';
+        if (!['single', 'multiple', 'any'].includes(level)) fail(node, `level '${level}' must be single, multiple or any`);
+        return {
+          ...base,
+          level,
+          count: node.hasAttribute('count') ? this.compilePattern(node, node.getAttribute('count')) : null,
+          from: node.hasAttribute('from') ? this.compilePattern(node, node.getAttribute('from')) : null,
+          value: node.hasAttribute('value') ? this.compileExpression(node, node.getAttribute('value'), 'value') : null,
+          format: this.compileAvt(node, node.getAttribute('format') || '1', 'format')
+        };
+      }
+      case 'fallback':
+        return { kind: 'fallback', node };
+      default:
+        return fail(node, 'unknown XSLT instruction');
+    }
+  }
+
+  compileLiteral(node) {
+    const scope = namespaceScope(node);
+    const excluded = excludedNamespaces(node);
+    const alias = (uri, prefix) => this.stylesheet.namespaceAliases.get(uri) || { uri, prefix };
+
+    const attributes = [];
+    for (const attr of Array.from(node.attributes)) {
+      if (attr.namespaceURI === XMLNS_NS || attr.namespaceURI === XSL_NS) continue;
+      const target = attr.namespaceURI ? alias(attr.namespaceURI, attr.prefix) : { uri: null, prefix: null };
+      attributes.push({
+        uri: target.uri,
+        qname: target.prefix ? `${target.prefix}:${attr.localName}` : attr.localName,
+        value: this.compileAvt(node, attr.value, attr.nodeName)
+      });
+    }
+
+    const namespaces = Object.entries(scope)
+      .filter(([prefix, uri]) => prefix !== 'xml' && uri && !excluded.has(uri))
+      .map(([prefix, uri]) => {
+        const target = alias(uri, prefix);
+        return [target.prefix, target.uri];
+      });
+
+    const element = alias(node.namespaceURI || null, node.prefix || '');
+    return {
+      kind: 'literal',
+      node,
+      uri: element.uri || null,
+      qname: element.prefix ? `${element.prefix}:${node.localName}` : node.localName,
+      namespaces,
+      attributes,
+      useSets: this.attributeSetNames(node, node.getAttributeNS(XSL_NS, 'use-attribute-sets')),
+      body: this.compileBody(node)
+    };
+  }
+}
+
+function preservesSpace(node) {
+  if (isXsl(node, 'text')) return true;
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    const space = el.getAttributeNS(XML_NS, 'space');
+    if (space) return space === 'preserve';
+  }
+  return false;
+}
+
+// Namespaces that literal result elements do not copy to the result tree
+function excludedNamespaces(node) {
+  const excluded = new Set([XSL_NS]);
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    const attrs = isXsl(el)
+      ? [el.getAttribute('exclude-result-prefixes'), el.getAttribute('extension-element-prefixes')]
+      : [el.getAttributeNS(XSL_NS, 'exclude-result-prefixes'), el.getAttributeNS(XSL_NS, 'extension-element-prefixes')];
+    const scope = namespaceScope(el);
+    for (const prefix of attrs.join(' ').trim().split(/\s+/).filter(Boolean)) {
+      const uri = scope[prefix === '#default' ? '' : prefix];
+      if (uri === undefined) fail(el, `excluded namespace prefix '${prefix}' is not declared`);
+      excluded.add(uri);
+    }
+  }
+  return excluded;
+}
+
+// Default priority of a pattern alternative as defined in XSLT 1.0 section 5.5
+function defaultPriority(alternative) {
+  const test = alternative.replace(/^(child::|attribute::|@)/, '');
+  if (/^processing-instruction\(\s*("[^"]*"|'[^']*')\s*\)$/.test(test)) return 0;
+  if (/^[A-Za-z_][\w.\-]*(:[A-Za-z_][\w.\-]*)?$/.test(test)) return 0;
+  if (/^[A-Za-z_][\w.\-]*:\*$/.test(test)) return -0.25;
+  if (/^(\*|node\(\)|text\(\)|comment\(\)|processing-instruction\(\))$/.test(test)) return -0.5;
+  return 0.5;
+}
+
+// ---------------------------------------------------------------------------
+// Transformation
+
+class Transformer {
+  constructor(stylesheet, doc, parameters) {
+    this.stylesheet = stylesheet;
+    this.doc = doc;
+    this.resultDoc = new DOMImplementation().createDocument(null, null, null);
+    this.messages = [];
+    this.depth = 0;
+    this.matchCache = new Map();
+    this.keyCache = new Map();
+    this.documentCache = new Map();
+    this.ids = new WeakMap();
+    this.nextId = 1;
+    this.functions = this.createFunctions();
+    this.globalScope = this.createGlobalScope(parameters);
+  }
+
+  run() {
+    stripSourceSpace(this.stylesheet, this.doc);
+    const result = this.resultDoc.createDocumentFragment();
+    const ctx = { node: this.doc, position: 1, size: 1, vars: this.globalScope, rule: null };
+    this.applyTemplates([this.doc], ctx, '', {}, result);
+    return result;
+  }
+
+  // Globals are evaluated on first use so they may refer to each other in any order
+  createGlobalScope(parameters) {
+    const scope = Object.create(null);
+    for (const [key, decl] of this.stylesheet.globals) {
+      let state = 'pending';
+      let value;
+      Object.defineProperty(scope, key, {
+        enumerable: true,
+        get: () => {
+          if (state === 'done') return value;
+          if (state === 'evaluating') {
+            throw new XsltError('XSLT_TRANSFORM_ERROR', `${decl.node.nodeName}: circular reference to $${decl.name}`, decl.node);
+          }
+          state = 'evaluating';
+          if (decl.isParam && Object.prototype.hasOwnProperty.call(parameters, key)) {
+            value = toXPathValue(parameters[key]);
+          } else {
+            value = this.variableValue(decl, { node: this.doc, position: 1, size: 1, vars: scope, rule: null });
+          }
+          state = 'done';
+          return value;
+        }
+      });
+    }
+    return scope;
+  }
+
+  createFunctions() {
+    const resolver = new xpath.FunctionResolver();
+    const stylesheet = this.stylesheet;
+    const define = (name, impl) => resolver.addFunction('', name, (c, ...args) => impl(c, args.map(arg => arg.evaluate(c))));
+    const resolveName = (c, qname) => {
+      const [prefix, localName] = splitQName(String(qname).trim());
+      if (!prefix) return localName;
+      const uri = c.namespaceResolver.getNamespace(prefix, c.contextNode);
+      if (uri == null) throw new Error(`namespace prefix '${prefix}' is not declared`);
+      return expandedName(uri, localName);
+    };
+
+    define('current', (c) => nodeSet([c.currentNode]));
+
+    define('key', (c, [name, value]) => {
+      const key = resolveName(c, value === undefined ? '' : name.stringValue());
+      if (!stylesheet.keys.has(key)) throw new Error(`key() refers to an undeclared key '${name.stringValue()}'`);
+      const index = this.keyIndex(key, rootOf(c.contextNode));
+      const lookups = value instanceof xpath.XNodeSet ? value.toUnsortedArray().map(stringValue) : [value.stringValue()];
+      return nodeSet(lookups.flatMap(lookup => index.get(lookup) || []));
+    });
+
+    define('generate-id', (c, [nodes]) => {
+      const node = nodes ? nodes.nodeset().first() : c.contextNode;
+      if (!node) return new xpath.XString('');
+      if (!this.ids.has(node)) this.ids.set(node, `id${this.nextId++}`);
+      return new xpath.XString(this.ids.get(node));
+    });
+
+    define('format-number', (c, [number, pattern, name]) => {
+      const formatName = name ? resolveName(c, name.stringValue()) : '';
+      const format = stylesheet.decimalFormats.get(formatName);
+      if (!format) throw new Error(`format-number() refers to an undeclared decimal format '${name.stringValue()}'`);
+      return new xpath.XString(formatDecimal(number.numberValue(), pattern.stringValue(), format));
+    });
+
+    define('document', (c, [uri]) => {
+      const hrefs = uri instanceof xpath.XNodeSet ? uri.toArray().map(stringValue) : [uri.stringValue()];
+      return nodeSet(hrefs.map(href => this.loadDocument(href)));
+    });
+
+    define('system-property', (c, [name]) => {
+      const key = resolveName(c, name.stringValue());
+      if (key === `{${XSL_NS}}version`) return new xpath.XNumber(1.0);
+      if (key === `{${XSL_NS}}vendor`) return new xpath.XString('SIPVS');
+      return new xpath.XString('');
+    });
+
+    define('function-available', (c, [name]) => {
+      const [prefix, localName] = splitQName(name.stringValue().trim());
+      return new xpath.XBoolean(!prefix && KNOWN_FUNCTIONS.has(localName));
+    });
+
+    define('element-available', (c, [name]) => {
+      const key = resolveName(c, name.stringValue());
+      return new xpath.XBoolean(key.startsWith(`{${XSL_NS}}`) && INSTRUCTIONS.has(key.slice(XSL_NS.length + 2)));
+    });
+
+    define('unparsed-entity-uri', () => new xpath.XString(''));
+
+    return resolver;
+  }
+
+  loadDocument(href) {
+    if (href === '') return this.stylesheet.documents[0];
+    if (!this.stylesheet.baseDir) throw new Error(`document('${href}') cannot be resolved without a stylesheet location`);
+
+    const documentPath = path.resolve(this.stylesheet.baseDir, href);
+    if (!this.documentCache.has(documentPath)) {
+      const { doc, errors } = parseDocument(fs.readFileSync(documentPath, 'utf8'));
+      if (!doc || errors.length > 0) throw new Error(`document('${href}') is not well-formed: ${errors[0].message}`);
+      this.documentCache.set(documentPath, doc);
+    }
+    return this.documentCache.get(documentPath);
+  }
+
+  // ----- XPath evaluation
+
+  evaluate(expr, ctx) {
+    const context = new xpath.XPathContext(
+      { getVariable: (localName, uri) => ctx.vars[expandedName(uri, localName)] },
+      { getNamespace: prefix => (Object.prototype.hasOwnProperty.call(expr.ns, prefix) ? expr.ns[prefix] : null) },
+      this.functions
+    );
+    context.expressionContextNode = ctx.node;
+    context.contextNode = ctx.node;
+    context.contextPosition = ctx.position;
+    context.contextSize = ctx.size;
+    context.caseInsensitive = false;
+    context.currentNode = ctx.node;
+
+    try {
+      return expr.xpath.expression.evaluate(context);
+    } catch (error) {
+      if (error instanceof XsltError) throw error;
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${expr.node.nodeName}: ${error.message} in '${expr.source}'`, expr.node);
+    }
+  }
+
+  evaluateString(expr, ctx) {
+    return this.evaluate(expr, ctx).stringValue();
+  }
+
+  select(expr, ctx) {
+    const result = this.evaluate(expr, ctx);
+    if (!(result instanceof xpath.XNodeSet)) {
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${expr.node.nodeName}: '${expr.source}' does not select a node-set`, expr.node);
+    }
+    return result.toArray();
+  }
+
+  evaluateAvt(parts, ctx) {
+    return parts.map(part => (typeof part === 'string' ? part : this.evaluateString(part, ctx))).join('');
+  }
+
+  variableValue(decl, ctx) {
+    if (decl.select) return this.evaluate(decl.select, ctx);
+    if (decl.body.length === 0) return new xpath.XString('');
+
+    // Content builds a result tree fragment
+    const fragment = this.resultDoc.createDocumentFragment();
+    this.executeBody(decl.body, ctx, fragment);
+    return nodeSet([fragment]);
+  }
+
+  evaluateParams(params, ctx) {
+    const values = {};
+    for (const param of params) values[param.key] = this.variableValue(param, ctx);
+    return values;
+  }
+
+  // ----- Pattern matching
+
+  matches(pattern, node) {
+    const root = rootOf(node);
+    let byRoot = this.matchCache.get(pattern);
+    if (!byRoot) {
+      byRoot = new Map();
+      this.matchCache.set(pattern, byRoot);
+    }
+    let matched = byRoot.get(root);
+    if (!matched) {
+      matched = new Set();
+      const ctx = { node: root, position: 1, size: 1, vars: this.globalScope, rule: null };
+      for (const alternative of pattern) {
+        this.select(alternative.expr, ctx).forEach(n => matched.add(n));
+      }
+      byRoot.set(root, matched);
+    }
+    return matched.has(node);
+  }
+
+  findRule(node, mode, belowPrecedence = Infinity) {
+    const rules = this.stylesheet.rules.get(mode) || [];
+    return rules.find(rule => rule.precedence < belowPrecedence && this.matches(rule.pattern, node)) || null;
+  }
+
+  keyIndex(key, root) {
+    let byRoot = this.keyCache.get(key);
+    if (!byRoot) {
+      byRoot = new Map();
+      this.keyCache.set(key, byRoot);
+    }
+    let index = byRoot.get(root);
+    if (index) return index;
+
+    index = new Map();
+    for (const definition of this.stylesheet.keys.get(key)) {
+      const ctx = { node: root, position: 1, size: 1, vars: this.globalScope, rule: null };
+      for (const alternative of definition.match) {
+        for (const node of this.select(alternative.expr, ctx)) {
+          const used = this.evaluate(definition.use, { ...ctx, node });
+          const values = used instanceof xpath.XNodeSet ? used.toUnsortedArray().map(stringValue) : [used.stringValue()];
+          for (const value of values) {
+            if (!index.has(value)) index.set(value, []);
+            index.get(value).push(node);
+          }
+        }
+      }
+    }
+    byRoot.set(root, index);
+    return index;
+  }
+
+  // ----- Templates
+
+  applyTemplates(nodes, ctx, mode, params, out, belowPrecedence) {
+    nodes.forEach((node, i) => {
+      const nodeCtx = { node, position: i + 1, size: nodes.length, vars: this.globalScope, rule: null };
+      const rule = this.findRule(node, mode, belowPrecedence);
+      if (rule) {
+        this.invokeTemplate(rule.template, { ...nodeCtx, rule }, params, out);
+      } else {
+        this.applyBuiltIn(node, nodeCtx, mode, out);
+      }
+    });
+  }
+
+  applyBuiltIn(node, ctx, mode, out) {
+    switch (node.nodeType) {
+      case 1:
+      case 9:
+      case 11:
+        this.applyTemplates(modelChildren(node), ctx, mode, {}, out);
+        break;
+      case 2:
+      case 3:
+      case 4:
+        appendText(this.resultDoc, out, node.nodeValue, false);
+        break;
+      default:
+        break;
+    }
+  }
+
+  invokeTemplate(template, ctx, params, out) {
+    if (this.depth >= MAX_DEPTH) {
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${template.node.nodeName}: templates nested more than ${MAX_DEPTH} levels deep`, template.node);
+    }
+    this.depth++;
+    try {
+      let vars = this.globalScope;
+      for (const param of template.params) {
+        const value = Object.prototype.hasOwnProperty.call(params, param.key)
+          ? params[param.key]
+          : this.variableValue(param, { ...ctx, vars });
+        vars = bind(vars, param.key, value);
+      }
+      this.executeBody(template.body, { ...ctx, vars }, out);
+    } finally {
+      this.depth--;
+    }
+  }
+
+  sortNodes(nodes, sorts, ctx) {
+    if (sorts.length === 0) return nodes;
+
+    const keys = sorts.map(sort => ({
+      select: sort.select,
+      numeric: (sort.dataType ? this.evaluateAvt(sort.dataType, ctx) : 'text') === 'number',
+      descending: (sort.order ? this.evaluateAvt(sort.order, ctx) : 'ascending') === 'descending',
+      upperFirst: (sort.caseOrder ? this.evaluateAvt(sort.caseOrder, ctx) : 'upper-first') === 'upper-first'
+    }));
+    const rows = nodes.map((node, i) => ({
+      node,
+      index: i,
+      values: keys.map(key => {
+        const value = this.evaluateString(key.select, { ...ctx, node, position: i + 1, size: nodes.length });
+        return key.numeric ? Number(value) : value;
+      })
+    }));
+
+    const compareText = (a, b, upperFirst) => {
+      const base = a.localeCompare(b, undefined, { sensitivity: 'base' });
+      if (base !== 0) return base;
+      if (a === b) return 0;
+      const aUpper = a === a.toUpperCase();
+      return (aUpper === upperFirst ? -1 : 1);
+    };
+    rows.sort((a, b) => {
+      for (let k = 0; k < keys.length; k++) {
+        const key = keys[k];
+        const x = a.values[k];
+        const y = b.values[k];
+        let result;
+        if (key.numeric) {
+          if (Number.isNaN(x) || Number.isNaN(y)) result = Number.isNaN(x) ? (Number.isNaN(y) ? 0 : -1) : 1;
+          else result = x - y;
+        } else {
+          result = compareText(x, y, key.upperFirst);
+        }
+        if (result !== 0) return key.descending ? -result : result;
+      }
+      return a.index - b.index;
+    });
+    return rows.map(row => row.node);
+  }
+
+  // ----- Instructions
+
+  executeBody(body, ctx, out) {
+    let current = ctx;
+    for (const instruction of body) {
+      if (instruction.kind === 'variable') {
+        current = { ...current, vars: bind(current.vars, instruction.key, this.variableValue(instruction, current)) };
+      } else {
+        this.execute(instruction, current, out);
+      }
+    }
+  }
+
+  execute(instruction, ctx, out) {
+    const doc = this.resultDoc;
+    switch (instruction.kind) {
+      case 'text':
+        appendText(doc, out, instruction.value, instruction.disableEscaping);
+        break;
+      case 'literal': {
+        const element = doc.createElementNS(instruction.uri, instruction.qname);
+        for (const [prefix, uri] of instruction.namespaces) {
+          element.setAttributeNS(XMLNS_NS, prefix ? `xmlns:${prefix}` : 'xmlns', uri);
+        }
+        this.applyAttributeSets(instruction.useSets, ctx, element, instruction.node);
+        for (const attr of instruction.attributes) {
+          element.setAttributeNS(attr.uri, attr.qname, this.evaluateAvt(attr.value, ctx));
+        }
+        out.appendChild(element);
+        this.executeBody(instruction.body, ctx, element);
+        break;
+      }
+      case 'apply-templates': {
+        const nodes = instruction.select ? this.select(instruction.select, ctx) : modelChildren(ctx.node);
+        const params = this.evaluateParams(instruction.params, ctx);
+        this.applyTemplates(this.sortNodes(nodes, instruction.sorts, ctx), ctx, instruction.mode, params, out);
+        break;
+      }
+      case 'call-template': {
+        const template = this.stylesheet.namedTemplates.get(instruction.name);
+        this.invokeTemplate(template, ctx, this.evaluateParams(instruction.params, ctx), out);
+        break;
+      }
+      case 'apply-imports': {
+        if (!ctx.rule) {
+          throw new XsltError('XSLT_TRANSFORM_ERROR', 'xsl:apply-imports: there is no current template rule', instruction.node);
+        }
+        this.applyTemplates([ctx.node], ctx, ctx.rule.template.mode, {}, out, ctx.rule.precedence);
+        break;
+      }
+      case 'for-each': {
+        const nodes = this.sortNodes(this.select(instruction.select, ctx), instruction.sorts, ctx);
+        nodes.forEach((node, i) => {
+          this.executeBody(instruction.body, { node, position: i + 1, size: nodes.length, vars: ctx.vars, rule: null }, out);
+        });
+        break;
+      }
+      case 'value-of':
+        appendText(doc, out, this.evaluateString(instruction.select, ctx), instruction.disableEscaping);
+        break;
+      case 'copy-of': {
+        const result = this.evaluate(instruction.select, ctx);
+        if (result instanceof xpath.XNodeSet) {
+          result.toArray().forEach(node => this.copyNode(node, out, true));
+        } else {
+          appendText(doc, out, result.stringValue(), false);
+        }
+        break;
+      }
+      case 'copy':
+        this.shallowCopy(instruction, ctx, out);
+        break;
+      case 'element': {
+        const { uri, qname } = this.computeName(instruction, ctx, true);
+        const element = doc.createElementNS(uri, qname);
+        this.applyAttributeSets(instruction.useSets, ctx, element, instruction.node);
+        out.appendChild(element);
+        this.executeBody(instruction.body, ctx, element);
+        break;
+      }
+      case 'attribute': {
+        const { uri, qname } = this.computeName(instruction, ctx, false);
+        addAttribute(out, uri, qname, this.textContent(instruction.body, ctx));
+        break;
+      }
+      case 'comment':
+        out.appendChild(doc.createComment(this.textContent(instruction.body, ctx).replace(/--/g, '- -').replace(/-$/, '- ')));
+        break;
+      case 'processing-instruction': {
+        const target = this.evaluateAvt(instruction.name, ctx).trim();
+        if (!/^[A-Za-z_][\w.\-]*$/.test(target) || target.toLowerCase() === 'xml') {
+          throw new XsltError('XSLT_TRANSFORM_ERROR', `xsl:processing-instruction: '${target}' is not a valid target`, instruction.node);
+        }
+        out.appendChild(doc.createProcessingInstruction(target, this.textContent(instruction.body, ctx).replace(/\?>/g, '? >')));
+        break;
+      }
+      case 'if':
+        if (this.evaluate(instruction.test, ctx).booleanValue()) this.executeBody(instruction.body, ctx, out);
+        break;
+      case 'choose': {
+        const branch = instruction.branches.find(b => this.evaluate(b.test, ctx).booleanValue());
+        this.executeBody(branch ? branch.body : instruction.otherwise, ctx, out);
+        break;
+      }
+      case 'message': {
+        const text = this.textContent(instruction.body, ctx);
+        if (instruction.terminate) {
+          throw new XsltError('XSLT_TERMINATED', `xsl:message terminated the transformation: ${text}`, instruction.node);
+        }
+        this.messages.push(text);
+        break;
+      }
+      case 'number':
+        appendText(doc, out, formatNumberList(this.numberValues(instruction, ctx), this.evaluateAvt(instruction.format, ctx)), false);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Text content of instantiated content (xsl:attribute, xsl:comment, xsl:message, ...)
+  textContent(body, ctx) {
+    const fragment = this.resultDoc.createDocumentFragment();
+    this.executeBody(body, ctx, fragment);
+    return stringValue(fragment);
+  }
+
+  computeName(instruction, ctx, isElement) {
+    const what = `xsl:${instruction.kind}`;
+    const qname = this.evaluateAvt(instruction.name, ctx).trim();
+    const [prefix, localName] = splitQName(qname);
+    if (!/^[A-Za-z_][\w.\-]*$/.test(localName) || (prefix && !/^[A-Za-z_][\w.\-]*$/.test(prefix))) {
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${what}: '${qname}' is not a valid name`, instruction.node);
+    }
+    if (!isElement && qname === 'xmlns') {
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${what}: cannot create a namespace declaration`, instruction.node);
+    }
+
+    if (instruction.namespace) {
+      const uri = this.evaluateAvt(instruction.namespace, ctx) || null;
+      // An attribute in a namespace needs a prefix; one is generated when the name has none
+      const resultPrefix = uri && !isElement && !prefix ? 'ns0' : prefix;
+      return { uri, qname: resultPrefix ? `${resultPrefix}:${localName}` : localName };
+    }
+
+    const scope = namespaceScope(instruction.node);
+    const key = prefix || (isElement ? '' : null);
+    const uri = key === null ? null : scope[key];
+    if (prefix && uri === undefined) {
+      throw new XsltError('XSLT_TRANSFORM_ERROR', `${what}: namespace prefix '${prefix}' is not declared`, instruction.node);
+    }
+    return { uri: uri || null, qname };
+  }
+
+  applyAttributeSets(names, ctx, element, node, active = new Set()) {
+    for (const name of names) {
+      const set = this.stylesheet.attributeSets.get(name);
+      if (!set) throw new XsltError('XSLT_TRANSFORM_ERROR', `${node.nodeName}: unknown attribute set '${name}'`, node);
+      if (active.has(name)) throw new XsltError('XSLT_TRANSFORM_ERROR', `${node.nodeName}: attribute set '${name}' uses itself`, node);
+      this.applyAttributeSets(set.useSets, ctx, element, node, new Set([...active, name]));
+      // Attribute sets see only global variables
+      const setCtx = { ...ctx, vars: this.globalScope };
+      set.attributes.forEach(attribute => this.execute(attribute, setCtx, element));
+    }
+  }
+
+  shallowCopy(instruction, ctx, out) {
+    const node = ctx.node;
+    const doc = this.resultDoc;
+    switch (node.nodeType) {
+      case 1: {
+        const element = doc.createElementNS(node.namespaceURI || null, node.nodeName);
+        for (const [prefix, uri] of inScopeNamespaces(node)) {
+          element.setAttributeNS(XMLNS_NS, prefix ? `xmlns:${prefix}` : 'xmlns', uri);
+        }
+        this.applyAttributeSets(instruction.useSets, ctx, element, instruction.node);
+        out.appendChild(element);
+        this.executeBody(instruction.body, ctx, element);
+        break;
+      }
+      case 9:
+      case 11:
+        this.executeBody(instruction.body, ctx, out);
+        break;
+      default:
+        this.copyNode(node, out, false);
+        break;
+    }
+  }
+
+  copyNode(node, out, top) {
+    const doc = this.resultDoc;
+    switch (node.nodeType) {
+      case 1: {
+        const element = doc.createElementNS(node.namespaceURI || null, node.nodeName);
+        const namespaces = top ? inScopeNamespaces(node) : [];
+        for (const [prefix, uri] of namespaces) {
+          element.setAttributeNS(XMLNS_NS, prefix ? `xmlns:${prefix}` : 'xmlns', uri);
+        }
+        for (const attr of Array.from(node.attributes)) {
+          if (attr.namespaceURI === XMLNS_NS && top) continue;
+          element.setAttributeNS(attr.namespaceURI || null, attr.nodeName, attr.value);
+        }
+        out.appendChild(element);
+        Array.from(node.childNodes).forEach(child => this.copyNode(child, element, false));
+        break;
+      }
+      case 2:
+        addAttribute(out, node.namespaceURI || null, node.nodeName, node.value);
+        break;
+      case 3:
+      case 4:
+        appendText(doc, out, node.data, Boolean(node.disableEscaping));
+        break;
+      case 7:
+        out.appendChild(doc.createProcessingInstruction(node.target, node.data));
+        break;
+      case 8:
+        out.appendChild(doc.createComment(node.data));
+        break;
+      case 9:
+      case 11:
+        Array.from(node.childNodes).forEach(child => this.copyNode(child, out, top));
+        break;
+      default:
+        if (node.isNamespaceNode && out.nodeType === 1) {
+          out.setAttributeNS(XMLNS_NS, node.localName ? `xmlns:${node.localName}` : 'xmlns', node.namespaceURI || node.nodeValue);
+        }
+        break;
+    }
+  }
+
+  numberValues(instruction, ctx) {
+    if (instruction.value) {
+      const value = this.evaluate(instruction.value, ctx).numberValue();
+      return [Number.isFinite(value) ? Math.round(value) : value];
+    }
+
+    const node = ctx.node;
+    const counted = instruction.count
+      ? n => this.matches(instruction.count, n)
+      : n => n.nodeType === node.nodeType && n.namespaceURI === node.namespaceURI && (n.localName || n.nodeName) === (node.localName || node.nodeName);
+    const isFrom = instruction.from ? n => this.matches(instruction.from, n) : () => false;
+    const siblingNumber = (n) => {
+      let number = 1;
+      for (let sibling = n.previousSibling; sibling; sibling = sibling.previousSibling) {
+        if (counted(sibling)) number++;
+      }
+      return number;
+    };
+
+    if (instruction.level === 'any') {
+      // Count matching nodes in document order up to the current node, restarting at each from match
+      let number = 0;
+      const walk = (n) => {
+        if (isFrom(n)) number = 0;
+        if (counted(n)) number++;
+        if (n === node) return true;
+        const attributes = n.nodeType === 1 ? Array.from(n.attributes) : [];
+        return attributes.some(walk) || Array.from(n.childNodes || []).some(walk);
+      };
+      walk(rootOf(node));
+      return number > 0 ? [number] : [];
+    }
+
+    const ancestors = [];
+    for (let n = node; n; n = parentOf(n)) {
+      if (counted(n)) {
+        ancestors.unshift(n);
+        if (instruction.level === 'single') break;
+      }
+      if (isFrom(n)) break;
+    }
+    return ancestors.map(siblingNumber);
+  }
+}
+
+function bind(scope, key, value) {
+  const child = Object.create(scope);
+  Object.defineProperty(child, key, { value, enumerable: true });
+  return child;
+}
+
+// Parameters may be strings, numbers, booleans or DOM nodes (passed in as node-sets)
+function toXPathValue(value) {
+  if (value && typeof value.nodeType === 'number') return nodeSet([value]);
+  if (Array.isArray(value)) return nodeSet(value);
+  if (typeof value === 'number') return new xpath.XNumber(value);
+  if (typeof value === 'boolean') return new xpath.XBoolean(value);
+  return new xpath.XString(String(value));
+}
+
+function appendText(doc, out, text, disableEscaping) {
+  if (!text) return;
+  const last = out.lastChild;
+  if (last && last.nodeType === 3 && Boolean(last.disableEscaping) === disableEscaping) {
+    last.appendData(text);
+    return;
+  }
+  const node = doc.createTextNode(text);
+  if (disableEscaping) node.disableEscaping = true;
+  out.appendChild(node);
+}
+
+// Attributes added after children, or outside an element, are ignored as XSLT 1.0 allows
+function addAttribute(out, uri, qname, value) {
+  if (out.nodeType !== 1 || out.childNodes.length > 0) return;
+  out.setAttributeNS(uri, qname, value);
+}
+
+function nameTestMatches(test, element) {
+  if (test.uri !== null && (element.namespaceURI || '') !== test.uri) return false;
+  return test.localName === null || test.localName === element.localName;
+}
+
+// Apply xsl:strip-space / xsl:preserve-space to the source document
+function stripSourceSpace(stylesheet, doc) {
+  if (stylesheet.stripSpace.length === 0) return;
+
+  const score = (tests, element) => Math.max(-Infinity, ...tests.filter(test => nameTestMatches(test, element)).map(test => test.specificity));
+  const visit = (element, preserved) => {
+    const space = element.getAttributeNS(XML_NS, 'space');
+    const keep = space ? space === 'preserve' : preserved;
+    const strip = !keep && score(stylesheet.stripSpace, element) > score(stylesheet.preserveSpace, element);
+    for (const child of Array.from(element.childNodes)) {
+      if (child.nodeType === 1) visit(child, keep);
+      else if (strip && child.nodeType === 3 && isWhitespace(child.data)) element.removeChild(child);
+    }
+  };
+  visit(doc.documentElement, false);
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+
+function escapeText(text, maxChar) {
+  return escapeCharacters(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'), maxChar);
+}
+
+function escapeAttribute(value, html, maxChar) {
+  const escaped = html
+    ? value.replace(/&(?!\{)/g, '&amp;').replace(/"/g, '&quot;')
+    : value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+      .replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;');
+  return escapeCharacters(escaped, maxChar);
+}
+
+// Characters the output encoding cannot represent become character references
+function escapeCharacters(text, maxChar) {
+  if (maxChar === Infinity) return text;
+  return Array.from(text).map(ch => (ch.codePointAt(0) > maxChar ? `&#${ch.codePointAt(0)};` : ch)).join('');
+}
+
+class ResultSerializer {
+  constructor(output, method, resultDoc) {
+    this.output = output;
+    this.method = method;
+    this.resultDoc = resultDoc;
+    this.indent = (output.indent || (method === 'html' ? 'yes' : 'no')) === 'yes';
+    this.encoding = output.encoding || 'UTF-8';
+    const encoding = this.encoding.toLowerCase();
+    this.maxChar = /^utf-/.test(encoding) ? Infinity : (['iso-8859-1', 'latin1'].includes(encoding) ? 0xff : 0x7f);
+    this.cdataElements = new Set(output.cdataSectionElements || []);
+    this.prefixCounter = 0;
+  }
+
+  serialize(fragment) {
+    const nodes = modelChildren(fragment);
+    if (this.method === 'text') return stringValue(fragment);
+
+    let prolog = '';
+    const firstElement = nodes.find(node => node.nodeType === 1);
+    if (this.method === 'xml') {
+      if (this.output['omit-xml-declaration'] !== 'yes') {
+        const standalone = this.output.standalone ? ` standalone="${this.output.standalone}"` : '';
+        prolog += `<?xml version="${this.output.version || '1.0'}" encoding="${this.encoding}"${standalone}?>\n`;
+      }
+      if (this.output['doctype-system'] && firstElement) {
+        const publicId = this.output['doctype-public'] ? ` PUBLIC "${this.output['doctype-public']}"` : ' SYSTEM';
+        prolog += `<!DOCTYPE ${firstElement.nodeName}${publicId} "${this.output['doctype-system']}">\n`;
+      }
+    } else if (this.output['doctype-public'] || this.output['doctype-system']) {
+      const publicId = this.output['doctype-public'] ? ` PUBLIC "${this.output['doctype-public']}"` : ' SYSTEM';
+      const systemId = this.output['doctype-system'] ? ` "${this.output['doctype-system']}"` : '';
+      prolog += `<!DOCTYPE html${publicId}${systemId}>\n`;
+    }
+
+    const scope = new Map([['xml', XML_NS], ['', '']]);
+    const body = nodes.map(node => this.serializeNode(node, scope, 0, this.indent));
+    return `${prolog}${body.join(this.indent ? '\n' : '')}\n`;
+  }
+
+  isHtml(node) {
+    return this.method === 'html' && !node.namespaceURI;
+  }
+
+  serializeNode(node, scope, depth, indent) {
+    switch (node.nodeType) {
+      case 1:
+        return this.serializeElement(node, scope, depth, indent);
+      case 3:
+      case 4: {
+        const parent = node.parentNode;
+        if (node.disableEscaping) return node.data;
+        if (parent && parent.nodeType === 1 && this.isHtml(parent) && HTML_RAW_TEXT_ELEMENTS.has(parent.localName.toLowerCase())) {
+          return node.data;
+        }
+        if (parent && parent.nodeType === 1 && this.method === 'xml' && this.cdataElements.has(expandedName(parent.namespaceURI, parent.localName))) {
+          return `<![CDATA[${node.data.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+        }
+        return escapeText(node.data, this.maxChar);
+      }
+      case 7:
+        return this.method === 'html' ? `<?${node.target} ${node.data}>` : `<?${node.target}${node.data ? ` ${node.data}` : ''}?>`;
+      case 8:
+        return `<!--${node.data}-->`;
+      default:
+        return '';
+    }
+  }
+
+  serializeElement(element, parentScope, depth, indent) {
+    let scope = parentScope;
+    const declarations = [];
+    const declare = (prefix, uri) => {
+      if (scope.get(prefix) === uri) return;
+      if (scope === parentScope) scope = new Map(parentScope);
+      scope.set(prefix, uri);
+      declarations.push(prefix ? ` xmlns:${prefix}="${escapeAttribute(uri, false, this.maxChar)}"` : ` xmlns="${escapeAttribute(uri, false, this.maxChar)}"`);
+    };
+
+    const attributes = [];
+    const plain = [];
+    for (const attr of Array.from(element.attributes)) {
+      if (attr.namespaceURI === XMLNS_NS) {
+        declare(attr.prefix === 'xmlns' ? attr.localName : '', attr.value);
+      } else {
+        plain.push(attr);
+      }
+    }
+    declare(element.prefix || '', element.namespaceURI || '');
+
+    for (const attr of plain) {
+      let name = attr.nodeName;
+      if (attr.namespaceURI && attr.namespaceURI !== XML_NS) {
+        let prefix = attr.prefix;
+        if (!prefix || (scope.has(prefix) && scope.get(prefix) !== attr.namespaceURI)) {
+          prefix = [...scope.entries()].find(([p, uri]) => p && uri === attr.namespaceURI)?.[0];
+          while (!prefix || (scope.has(prefix) && scope.get(prefix) !== attr.namespaceURI)) prefix = `ns${this.prefixCounter++}`;
+        }
+        declare(prefix, attr.namespaceURI);
+        name = `${prefix}:${attr.localName}`;
+      }
+      const html = this.isHtml(element);
+      if (html && !attr.namespaceURI && HTML_BOOLEAN_ATTRIBUTES.has(name.toLowerCase()) && attr.value.toLowerCase() === name.toLowerCase()) {
+        attributes.push(` ${name}`);
+      } else {
+        attributes.push(` ${name}="${escapeAttribute(attr.value, html, this.maxChar)}"`);
+      }
+    }
+
+    const name = element.nodeName;
+    const startTag = `<${name}${declarations.join('')}${attributes.join('')}`;
+    const html = this.isHtml(element);
+    const localName = element.localName.toLowerCase();
+
+    if (html && HTML_VOID_ELEMENTS.has(localName)) return `${startTag}>`;
+
+    const children = modelChildren(element);
+    if (html && localName === 'head' && !children.some(isContentTypeMeta)) {
+      children.unshift(this.contentTypeMeta());
+    }
+    if (children.length === 0) return html ? `${startTag}></${name}>` : `${startTag}/>`;
+
+    // Only element-only content is indented, so mixed content keeps its exact whitespace
+    const indentChildren = indent && !children.some(child => child.nodeType === 3 || child.nodeType === 4) &&
+      !(html && HTML_PRESERVE_ELEMENTS.has(localName));
+    const inner = children.map(child => {
+      const serialized = this.serializeNode(child, scope, depth + 1, indentChildren);
+      return indentChildren ? `\n${'  '.repeat(depth + 1)}${serialized}` : serialized;
+    }).join('');
+    const close = indentChildren ? `\n${'  '.repeat(depth)}` : '';
+    return `${startTag}>${inner}${close}</${name}>`;
+  }
+
+  contentTypeMeta() {
+    const meta = this.resultDoc.createElementNS(null, 'meta');
+    meta.setAttribute('http-equiv', 'Content-Type');
+    meta.setAttribute('content', `${this.output['media-type'] || 'text/html'}; charset=${this.encoding}`);
+    return meta;
+  }
+}
+
+function isContentTypeMeta(node) {
+  return node.nodeType === 1 && node.localName.toLowerCase() === 'meta' &&
+    (node.getAttribute('http-equiv') || '').toLowerCase() === 'content-type';
+}
+
+// html when the first result element is <html> without a namespace and no text precedes it
+function defaultMethod(fragment) {
+  for (const node of modelChildren(fragment)) {
+    if (node.nodeType === 1) return !node.namespaceURI && node.localName.toLowerCase() === 'html' ? 'html' : 'xml';
+    if ((node.nodeType === 3 || node.nodeType === 4) && !isWhitespace(node.data)) return 'xml';
+  }
+  return 'xml';
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+
+/**
+ * Compile an XSLT 1.0 stylesheet
+ * @param {string} xslContent - Raw stylesheet content
+ * @param {Object} options - { baseDir } used to resolve xsl:include, xsl:import and document()
+ * @returns {Object} - Compiled stylesheet
+ * @throws {XsltError} - With the line and column of the offending stylesheet element
+ */
+function compileStylesheet(xslContent, options = {}) {
+  const { doc, errors } = parseDocument(xslContent);
+  if (!doc || errors.length > 0) {
+    const first = errors[0] || {};
+    throw new XsltError('XSLT_STYLESHEET_ERROR', `Stylesheet is not well-formed: ${first.message}`, first);
+  }
+  return new StylesheetCompiler(options).compile(doc);
+}
+
+/**
+ * Apply a compiled stylesheet to a parsed document
+ * Whitespace is stripped from the document in place when the stylesheet uses xsl:strip-space.
+ * @param {Object} stylesheet - Compiled stylesheet (see compileStylesheet)
+ * @param {Document} doc - Parsed instance document
+ * @param {Object} parameters - Values for top-level xsl:param elements, keyed by name
+ * @returns {Object} - { output, method, mediaType, encoding, messages }
+ * @throws {XsltError} - When the transformation fails or xsl:message terminates it
+ */
+function transformDocument(stylesheet, doc, parameters = {}) {
+  const transformer = new Transformer(stylesheet, doc, parameters);
+  const result = transformer.run();
+  const method = stylesheet.output.method || defaultMethod(result);
+  const serializer = new ResultSerializer(stylesheet.output, method, transformer.resultDoc);
+
+  return {
+    output: serializer.serialize(result),
+    method,
+    mediaType: stylesheet.output['media-type'] || { xml: 'application/xml', html: 'text/html', text: 'text/plain' }[method],
+    encoding: serializer.encoding,
+    messages: transformer.messages
+  };
+}
+
+/**
+ * Apply a compiled stylesheet to XML content
+ * @param {Object} stylesheet - Compiled stylesheet (see compileStylesheet)
+ * @param {string} xmlContent - Raw XML content
+ * @param {Object} parameters - Values for top-level xsl:param elements, keyed by name
+ * @returns {Object} - { output, method, mediaType, encoding, messages }
+ * @throws {XsltError} - XML_PARSE_ERROR for malformed input, otherwise as transformDocument
+ */
+function transform(stylesheet, xmlContent, parameters = {}) {
+  const { doc, errors } = parseDocument(xmlContent);
+  if (!doc || errors.length > 0) {
+    const first = errors[0] || {};
+    const detail = errors.map(e => e.message).join('; ');
+    throw new XsltError('XML_PARSE_ERROR', `XML parsing error: ${detail}`, first, detail);
+  }
+  return transformDocument(stylesheet, doc, parameters);
+}
+
+// Compiled stylesheets keyed by path; recompiled whenever the file's mtime changes
+const stylesheetCache = new Map();
+
+/**
+ * Load and compile an XSLT file, reusing the compiled stylesheet until the file changes
+ * @param {string} xslPath - Path to the stylesheet
+ * @returns {Promise<Object>} - Compiled stylesheet
+ */
+async function loadStylesheet(xslPath) {
+  const stats = await fs.stat(xslPath);
+  const cached = stylesheetCache.get(xslPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.stylesheet;
+  }
+
+  const stylesheet = compileStylesheet(await fs.readFile(xslPath, 'utf8'), { baseDir: path.dirname(path.resolve(xslPath)) });
+  stylesheetCache.set(xslPath, { mtimeMs: stats.mtimeMs, stylesheet });
+  return stylesheet;
+}
+
+module.exports = {
+  compileStylesheet,
+  loadStylesheet,
+  transform,
+  transformDocument,
+  XsltError,
+  XSL_NS
+};
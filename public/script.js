@@ -2,27 +2,99 @@
 let currentXmlFilename = null;
 let emergencyContactCount = 1;
 let courseCount = 1;
+let previousEducationCount = 1;
+// Monotonic so field names stay unique after entries are removed
+let nextPreviousEducationIndex = 1;
+// Form texts of the selected language (from /api/i18n); the markup holds the English defaults
+let currentLocale = localStorage.getItem('locale') || (navigator.language || 'en').slice(0, 2);
+let messages = {};
+// Listed XML files by filename, for the status panel of the selected one
+let xmlFileItems = new Map();
 
 // DOM elements
 const form = document.getElementById('registrationForm');
 const validateXmlBtn = document.getElementById('validateXmlBtn');
 const transformXmlBtn = document.getElementById('transformXmlBtn');
 const signXmlBtn = document.getElementById('signXmlBtn');
+const serverSignBtn = document.getElementById('serverSignBtn');
 const loadSampleBtn = document.getElementById('loadSampleBtn');
+const newRegistrationBtn = document.getElementById('newRegistrationBtn');
 const refreshFilesBtn = document.getElementById('refreshFilesBtn');
+const loadIntoFormBtn = document.getElementById('loadIntoFormBtn');
 const xmlFileSelect = document.getElementById('xmlFileSelect');
+const stylesheetSelect = document.getElementById('stylesheetSelect');
+const languageSelect = document.getElementById('languageSelect');
 const resultsSection = document.getElementById('resultsSection');
 const resultsContent = document.getElementById('resultsContent');
 const fileSelectionSection = document.getElementById('fileSelectionSection');
+const registrationStatusPanel = document.getElementById('registrationStatusPanel');
+const statusBadge = document.getElementById('statusBadge');
+const statusActions = document.getElementById('statusActions');
+const revisionComparePanel = document.getElementById('revisionComparePanel');
+const compareFromSelect = document.getElementById('compareFromSelect');
+const compareToSelect = document.getElementById('compareToSelect');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
     initializeForm();
     setupEventListeners();
-    loadXmlFiles();
+    loadMessages(currentLocale).then(() => {
+        loadXmlFiles();
+        loadStylesheets();
+    });
     initializeXadesConversion();
 });
 
+// Look up a form text, filling {placeholders} from params
+function t(key, params = {}, fallback = key) {
+    const template = messages[key] !== undefined ? messages[key] : fallback;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? params[name] : placeholder);
+}
+
+// Translate every marked element below root: data-i18n (text), data-i18n-title, data-i18n-placeholder
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, { n: element.dataset.i18nN }, element.textContent);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle, {}, element.title);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder, {}, element.placeholder);
+    });
+}
+
+// Load the texts of a locale; the server falls back to English for unknown locales
+async function loadMessages(locale) {
+    try {
+        const response = await fetch(`/api/i18n?lang=${encodeURIComponent(locale)}`);
+        const result = await response.json();
+        
+        if (result.success) {
+            currentLocale = result.locale;
+            messages = result.messages;
+            document.documentElement.lang = currentLocale;
+            languageSelect.value = currentLocale;
+            applyTranslations();
+        }
+    } catch (error) {
+        console.error('Error loading messages:', error);
+    }
+}
+
+// Switch the form language; validation messages and outputs follow on the next request
+async function handleLanguageChange() {
+    localStorage.setItem('locale', languageSelect.value);
+    await loadMessages(languageSelect.value);
+    loadStylesheets();
+    loadXmlFiles();
+}
+
+// API requests carry the selected language so messages and outputs come back translated
+function withLocale(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}lang=${encodeURIComponent(currentLocale)}`;
+}
+
 // Initialize form with default values and validation
 function initializeForm() {
     // Set default values
@@ -46,20 +118,30 @@ function initializeForm() {
 function setupEventListeners() {
     // Form submission
     form.addEventListener('submit', handleFormSubmit);
+    // Hidden inputs keep their value on reset: a cleared form is a new registration
+    form.addEventListener('reset', clearRegistrationId);
     
     // Button clicks
     validateXmlBtn.addEventListener('click', handleValidateXml);
     transformXmlBtn.addEventListener('click', handleTransformXml);
     signXmlBtn.addEventListener('click', handleSignXml);
+    serverSignBtn.addEventListener('click', handleServerSign);
     loadSampleBtn.addEventListener('click', loadSampleData);
+    newRegistrationBtn.addEventListener('click', startNewRegistration);
     refreshFilesBtn.addEventListener('click', loadXmlFiles);
+    loadIntoFormBtn.addEventListener('click', handleLoadIntoForm);
+    document.getElementById('compareRevisionsBtn').addEventListener('click', handleCompareRevisions);
     
     // File selection
     xmlFileSelect.addEventListener('change', handleFileSelection);
     
+    // Language
+    languageSelect.addEventListener('change', handleLanguageChange);
+    
     // Dynamic form elements
     document.getElementById('addEmergencyContact').addEventListener('click', addEmergencyContact);
     document.getElementById('addCourse').addEventListener('click', addCourse);
+    document.getElementById('addPreviousEducation').addEventListener('click', addPreviousEducation);
     document.getElementById('isTransferStudent').addEventListener('change', toggleTransferCredits);
     
     // Credits calculation
@@ -78,7 +160,7 @@ async function handleFormSubmit(e) {
     e.preventDefault();
     
     if (!validateForm()) {
-        showResult('Please fix the validation errors before submitting.', 'error');
+        showResult(escapeText(t('result.fixErrors', {}, 'Please fix the validation errors before submitting.')), 'error');
         return;
     }
     
@@ -97,35 +179,40 @@ async function handleFormSubmit(e) {
         
         if (result.success) {
             currentXmlFilename = result.filename;
-            showResult(`XML saved successfully as ${result.filename}`, 'success');
+            showResult(escapeText(t('result.saved', {
+                filename: result.filename,
+                registrationId: result.registrationId,
+                revision: result.revision
+            }, 'XML saved successfully as {filename} (registration {registrationId}, revision {revision})')), 'success');
 
             // Enable other buttons
             validateXmlBtn.disabled = false;
             transformXmlBtn.disabled = false;
             signXmlBtn.disabled = false;
+            serverSignBtn.disabled = false;
 
             // Show file selection section
             fileSelectionSection.style.display = 'block';
             loadXmlFiles();
         } else {
-            showResult(`Error: ${result.error}`, 'error');
+            showResult(escapeText(t('result.error', { error: result.error }, 'Error: {error}')), 'error');
         }
     } catch (error) {
-        showResult(`Network error: ${error.message}`, 'error');
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
     }
 }
 
 // Handle XML validation
 async function handleValidateXml() {
     if (!currentXmlFilename && !xmlFileSelect.value) {
-        showResult('Please save XML first or select a file to validate.', 'error');
+        showResult(escapeText(t('result.selectToValidate', {}, 'Please save XML first or select a file to validate.')), 'error');
         return;
     }
     
     const filename = xmlFileSelect.value || currentXmlFilename;
     
     try {
-        const response = await fetch('/api/validate-xml', {
+        const response = await fetch(withLocale('/api/validate-xml'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -136,46 +223,125 @@ async function handleValidateXml() {
         const result = await response.json();
         
         if (result.success) {
+            const { schema, businessRules } = result.validation;
             if (result.validation.valid) {
-                showResult('✅ XML is valid according to the XSD schema!', 'success');
+                showResult(t('result.valid'), 'success');
             } else {
-                let errorHtml = '<div class="validation-errors"><h4>Validation Errors:</h4><ul>';
-                result.validation.errors.forEach(error => {
-                    errorHtml += `<li>${error}</li>`;
-                });
-                errorHtml += '</ul></div>';
+                // Errors are indexed by their position in validation.errors, schema errors first
+                let errorHtml = renderValidationErrors(t('result.schemaErrors'), schema.errors, 0);
+                errorHtml += renderValidationErrors(t('result.ruleViolations'), businessRules.errors, schema.errors.length);
+                if (businessRules.skipped) {
+                    errorHtml += `<p class="validation-note">${escapeText(t('result.rulesSkipped'))}</p>`;
+                }
                 showResult(errorHtml, 'error');
+                highlightValidationErrors(result.validation.errors);
             }
+            // The file list shows the latest validation result
+            loadXmlFiles();
         } else {
-            showResult(`Validation error: ${result.error}`, 'error');
+            showResult(escapeText(t('result.validationError', { error: result.error }, 'Validation error: {error}')), 'error');
         }
     } catch (error) {
-        showResult(`Network error: ${error.message}`, 'error');
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
+    }
+}
+
+// Render one group of structured validation errors
+function renderValidationErrors(title, errors, offset) {
+    if (errors.length === 0) return '';
+    let html = `<div class="validation-errors"><h4>${title}</h4><ul>`;
+    errors.forEach((error, index) => {
+        const location = error.line ? `line ${error.line}:${error.column}` : '';
+        html += `<li data-error-index="${offset + index}">
+            <span class="error-code">${escapeText(error.code)}</span>
+            ${escapeText(error.message)}
+            <div class="error-location">${location}${error.xpath ? ` &middot; <code>${escapeText(error.xpath)}</code>` : ''}</div>
+        </li>`;
+    });
+    return html + '</ul></div>';
+}
+
+// Repeated XML elements and the form blocks that edit them; attributes map to like-named fields
+const REPEATED_SECTIONS = {
+    previousEducation: '.previous-education',
+    contact: '.emergency-contact',
+    course: '.course'
+};
+
+// Resolve a validation error XPath to the form field that produced the value
+function fieldForXPath(xpath) {
+    if (!xpath) return null;
+    const steps = xpath.split('/').filter(Boolean).map(step => {
+        const match = step.match(/^(@)?(?:\w+:)?(\w+)(?:\[(\d+)\])?$/);
+        return match ? { attribute: !!match[1], name: match[2], position: match[3] ? parseInt(match[3]) : 1 } : null;
+    });
+    if (steps.some(step => !step)) return null;
+
+    const last = steps[steps.length - 1];
+    const repeated = steps.find(step => REPEATED_SECTIONS[step.name]);
+    if (repeated) {
+        // Positional XPath indexes are 1-based; the blocks appear in document order
+        const block = form.querySelectorAll(REPEATED_SECTIONS[repeated.name])[repeated.position - 1];
+        if (!block) return null;
+        return block.querySelector(`[name$="[${last.name}]"]:not([type="hidden"])`) || block;
+    }
+
+    if (last.attribute && last.name === 'totalCredits') {
+        return document.getElementById('totalCreditsDisplay');
     }
+    return last.attribute ? null : document.getElementById(last.name);
+}
+
+// Mark the form fields behind validation errors and bring the first one into view
+function highlightValidationErrors(errors) {
+    form.querySelectorAll('.field-invalid').forEach(field => field.classList.remove('field-invalid'));
+
+    const fields = errors.map(error => fieldForXPath(error.xpath));
+    fields.forEach((field, index) => {
+        if (!field) return;
+        field.classList.add('field-invalid');
+        field.title = errors[index].message;
+        field.addEventListener('input', () => field.classList.remove('field-invalid'), { once: true });
+    });
+
+    resultsContent.querySelectorAll('[data-error-index]').forEach(item => {
+        const field = fields[item.dataset.errorIndex];
+        if (!field) return;
+        item.classList.add('has-field');
+        item.addEventListener('click', () => focusField(field));
+    });
+
+    const first = fields.find(Boolean);
+    if (first) focusField(first);
+}
+
+function focusField(field) {
+    field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (typeof field.focus === 'function') field.focus({ preventScroll: true });
 }
 
 // Handle XML to HTML transformation
 async function handleTransformXml() {
     if (!currentXmlFilename && !xmlFileSelect.value) {
-        showResult('Please save XML first or select a file to transform.', 'error');
+        showResult(escapeText(t('result.selectToTransform', {}, 'Please save XML first or select a file to transform.')), 'error');
         return;
     }
     
     const filename = xmlFileSelect.value || currentXmlFilename;
     
     try {
-        const response = await fetch('/api/transform-xml', {
+        const response = await fetch(withLocale('/api/transform-xml'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ filename })
+            body: JSON.stringify({ filename, stylesheet: stylesheetSelect.value })
         });
         
         const result = await response.json();
         
         if (result.success) {
-            showResult(`✅ XML transformed to HTML successfully! Saved as ${result.htmlFilename}`, 'success');
+            showResult(escapeText(t('result.transformed', { filename: result.htmlFilename }, '✅ XML transformed to HTML successfully! Saved as {filename}')), 'success');
             
             // Show preview of the HTML
             const previewHtml = `
@@ -186,35 +352,104 @@ async function handleTransformXml() {
             `;
             showResult(previewHtml, 'info', true);
         } else {
-            showResult(`Transformation error: ${result.error}`, 'error');
+            showResult(escapeText(t('result.transformError', { error: result.error }, 'Transformation error: {error}')), 'error');
         }
     } catch (error) {
-        showResult(`Network error: ${error.message}`, 'error');
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
     }
 }
 
-// Load XML files list
+// Load XML files list, most recently modified first
 async function loadXmlFiles() {
     try {
-        const response = await fetch('/api/xml-files');
+        const items = [];
+        let cursor = null;
+        do {
+            const response = await fetch(`/api/xml-files?limit=200${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            items.push(...result.items);
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        const selected = xmlFileSelect.value;
+        xmlFileSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = t('option.xmlFile.empty', {}, 'Choose a file...');
+        xmlFileSelect.appendChild(placeholder);
+        items.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.filename;
+            option.textContent = xmlFileLabel(item);
+            option.title = t('option.xmlFile.details', {
+                filename: item.filename,
+                size: (item.size / 1024).toFixed(1),
+                modified: new Date(item.modified).toLocaleString(currentLocale)
+            }, '{filename}, {size} KB, modified {modified}');
+            option.selected = item.filename === selected;
+            xmlFileSelect.appendChild(option);
+        });
+        xmlFileItems = new Map(items.map(item => [item.filename, item]));
+        updateStatusPanel();
+        updateRevisionPanel();
+    } catch (error) {
+        console.error('Error loading XML files:', error);
+    }
+}
+
+// Readable dropdown label of a stored file: the registration it holds, its status,
+// last validation result and whether it has been signed; other XML keeps its filename
+function xmlFileLabel(item) {
+    if (!item.registrationId) {
+        return item.filename;
+    }
+    const parts = [t('option.xmlFile.label', {
+        registrationId: item.registrationId,
+        studentName: item.studentName || '—',
+        program: item.program ? t(`option.program.${item.program}`, {}, item.program) : '—',
+        revision: item.revision
+    }, '{registrationId} – {studentName}, {program} (revision {revision})')];
+    if (item.status) {
+        parts.push(t(`status.${item.status}`, {}, item.status));
+    }
+    if (item.validation) {
+        parts.push(item.validation.valid ? t('option.xmlFile.valid', {}, 'valid') : t('option.xmlFile.invalid', {}, 'invalid'));
+    }
+    if (item.signed) {
+        parts.push(t('option.xmlFile.signed', {}, 'signed'));
+    }
+    return parts.join(' · ');
+}
+
+// Load the presentation stylesheets offered for transformation and signing
+async function loadStylesheets() {
+    try {
+        const response = await fetch('/api/stylesheets');
         const result = await response.json();
         
         if (result.success) {
-            xmlFileSelect.innerHTML = '<option value="">Choose a file...</option>';
-            result.files.forEach(file => {
+            const selected = stylesheetSelect.value;
+            stylesheetSelect.innerHTML = '';
+            result.stylesheets.forEach(stylesheet => {
                 const option = document.createElement('option');
-                option.value = file;
-                option.textContent = file;
-                xmlFileSelect.appendChild(option);
+                option.value = stylesheet.id;
+                option.textContent = t(`stylesheet.${stylesheet.id}`, {}, stylesheet.title);
+                option.title = stylesheet.description;
+                option.selected = selected ? stylesheet.id === selected : stylesheet.default;
+                stylesheetSelect.appendChild(option);
             });
         }
     } catch (error) {
-        console.error('Error loading XML files:', error);
+        console.error('Error loading stylesheets:', error);
     }
 }
 
 // Handle file selection
 function handleFileSelection() {
+    loadIntoFormBtn.disabled = !xmlFileSelect.value;
     if (xmlFileSelect.value) {
         validateXmlBtn.disabled = false;
         transformXmlBtn.disabled = false;
@@ -224,6 +459,302 @@ function handleFileSelection() {
             transformXmlBtn.disabled = true;
         }
     }
+    updateStatusPanel();
+    updateRevisionPanel();
+}
+
+// Show the status of the selected registration file; the registrar actions act on the latest
+// revision, so they are offered only when that is the one selected
+async function updateStatusPanel() {
+    const filename = xmlFileSelect.value;
+    const item = xmlFileItems.get(filename);
+    if (!item || !item.registrationId) {
+        registrationStatusPanel.style.display = 'none';
+        return;
+    }
+
+    statusBadge.className = `status-badge status-${item.status}`;
+    statusBadge.textContent = t(`status.${item.status}`, {}, item.status);
+    statusActions.innerHTML = '';
+    registrationStatusPanel.style.display = 'block';
+
+    try {
+        const response = await fetch(withLocale(`/api/registrations/${encodeURIComponent(item.registrationId)}/status`));
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        if (xmlFileSelect.value !== filename || result.revision !== item.revision) {
+            return;
+        }
+        const last = result.history[result.history.length - 1];
+        if (last) {
+            statusBadge.title = t('status.lastChange', {
+                actor: last.actor,
+                timestamp: new Date(last.timestamp).toLocaleString(currentLocale),
+                reason: last.reason || '—'
+            }, '{actor}, {timestamp}: {reason}');
+        }
+        result.allowedTransitions.forEach(to => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = to === 'approved' ? 'btn-success' : to === 'pending' ? 'btn-info' : 'btn-danger';
+            button.textContent = t(`button.transition.${to}`, {}, to);
+            button.addEventListener('click', () => handleTransition(item.registrationId, to));
+            statusActions.appendChild(button);
+        });
+    } catch (error) {
+        console.error('Error loading registration status:', error);
+    }
+}
+
+// Offer the revisions of the selected registration for comparison, by default the selected
+// revision against the one before it
+async function updateRevisionPanel() {
+    const filename = xmlFileSelect.value;
+    const item = xmlFileItems.get(filename);
+    if (!item || !item.registrationId) {
+        revisionComparePanel.style.display = 'none';
+        return;
+    }
+
+    try {
+        const response = await fetch(withLocale(`/api/registrations/${encodeURIComponent(item.registrationId)}`));
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        if (xmlFileSelect.value !== filename) {
+            return;
+        }
+        const revisions = result.registration.revisions;
+        if (revisions.length < 2) {
+            revisionComparePanel.style.display = 'none';
+            return;
+        }
+
+        const to = item.revision > 1 ? item.revision : revisions[1].revision;
+        [compareFromSelect, compareToSelect].forEach(select => {
+            select.innerHTML = '';
+            revisions.forEach(revision => {
+                const option = document.createElement('option');
+                option.value = revision.revision;
+                option.textContent = t('option.revision', {
+                    revision: revision.revision,
+                    status: t(`status.${revision.status}`, {}, revision.status),
+                    savedAt: new Date(revision.savedAt).toLocaleString(currentLocale)
+                }, '{revision} ({status}, {savedAt})');
+                select.appendChild(option);
+            });
+        });
+        compareFromSelect.value = String(to - 1);
+        compareToSelect.value = String(to);
+        revisionComparePanel.dataset.registrationId = item.registrationId;
+        revisionComparePanel.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+    }
+}
+
+// Show the differences between the two chosen revisions side by side
+async function handleCompareRevisions() {
+    const { registrationId } = revisionComparePanel.dataset;
+    const url = `/api/registrations/${encodeURIComponent(registrationId)}/diff?from=${compareFromSelect.value}&to=${compareToSelect.value}`;
+    try {
+        const response = await fetch(withLocale(url));
+        const result = await response.json();
+        if (!result.success) {
+            showResult(escapeText(result.error), 'error');
+            return;
+        }
+        showResult(renderRevisionDiff(result), 'info');
+    } catch (error) {
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
+    }
+}
+
+// Form labels of the fields in a repeated section entry
+const DIFF_LABEL_PREFIXES = {
+    previousEducation: 'label.education.',
+    emergencyContacts: 'label.contact.',
+    courses: 'label.course.'
+};
+
+// Label of a compared field, without the required marker of the form
+function diffFieldLabel(field, section) {
+    const name = field.replace(/^additionalInfo\./, '');
+    const key = section ? `${DIFF_LABEL_PREFIXES[section]}${name}` : `label.${name}`;
+    return t(key, {}, name).replace(/\s*\*$/, '');
+}
+
+// Table with one row per difference: field, value in the older revision, value in the newer one
+function renderRevisionDiff(result) {
+    const { diff } = result;
+    const title = t('result.revisionDiff', {
+        registrationId: result.registrationId,
+        from: result.from.revision,
+        to: result.to.revision
+    }, 'Registration {registrationId}: revision {from} compared with revision {to}');
+    if (diff.unchanged) {
+        return `<strong>${escapeText(title)}</strong><p>${escapeText(t('result.revisionsEqual', {}, 'The revisions have the same content.'))}</p>`;
+    }
+
+    const cell = value => `<td>${value === null || value === undefined ? '' : escapeText(value)}</td>`;
+    const row = (change, label, before, after) => `<tr class="diff-${change}"><td>${escapeText(label)}</td>${cell(before)}${cell(after)}</tr>`;
+    const rows = diff.fields.map(field => row(field.change, diffFieldLabel(field.field), field.before, field.after));
+
+    Object.entries(diff.sections).forEach(([section, changes]) => {
+        rows.push(`<tr class="diff-section"><td colspan="3">${escapeText(t(`section.${section}`, {}, section))}</td></tr>`);
+        changes.removed.forEach(entry => rows.push(row('removed', entry.label, entry.label, null)));
+        changes.added.forEach(entry => rows.push(row('added', entry.label, null, entry.label)));
+        changes.changed.forEach(entry => {
+            entry.fields.forEach(field => rows.push(row('changed', `${entry.label} · ${diffFieldLabel(field.field, section)}`, field.before, field.after)));
+        });
+    });
+
+    const heading = revision => escapeText(t('option.revision', {
+        revision: revision.revision,
+        status: t(`status.${revision.status}`, {}, revision.status),
+        savedAt: new Date(revision.savedAt).toLocaleString(currentLocale)
+    }, '{revision} ({status}, {savedAt})'));
+    return `<strong>${escapeText(title)}</strong>
+        <table class="diff-table">
+            <thead><tr><th>${escapeText(t('label.diffField', {}, 'Field'))}</th><th>${heading(result.from)}</th><th>${heading(result.to)}</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>`;
+}
+
+// Move a registration to another status; who does it is remembered for the next change
+async function handleTransition(registrationId, to) {
+    const actor = prompt(t('prompt.actor', {}, 'Your name (recorded with the change):'), localStorage.getItem('registrarName') || '');
+    if (actor === null) {
+        return;
+    }
+    const reasonRequired = to === 'rejected' || to === 'incomplete';
+    const reason = prompt(reasonRequired
+        ? t('prompt.reasonRequired', {}, 'Reason (required, shown to the student):')
+        : t('prompt.reason', {}, 'Reason (optional):'), '');
+    if (reason === null) {
+        return;
+    }
+    localStorage.setItem('registrarName', actor.trim());
+
+    try {
+        const response = await fetch(withLocale(`/api/registrations/${encodeURIComponent(registrationId)}/transitions`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ to, actor, reason })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            showResult(escapeText(result.error), 'error');
+            return;
+        }
+
+        const revisions = result.registration.revisions;
+        const filename = revisions[revisions.length - 1].xml;
+        showResult(escapeText(t('result.transition', {
+            registrationId,
+            status: t(`status.${to}`, {}, to),
+            revision: result.registration.revision
+        }, 'Registration {registrationId} is now {status} (revision {revision}).')), 'success');
+        await loadXmlFiles();
+        xmlFileSelect.value = filename;
+        handleFileSelection();
+    } catch (error) {
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
+    }
+}
+
+// Load the selected XML file back into the form for editing
+async function handleLoadIntoForm() {
+    const filename = xmlFileSelect.value;
+    if (!filename) {
+        showResult(escapeText(t('result.selectToLoad', {}, 'Please select a file to load.')), 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(withLocale('/api/load-xml'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ filename })
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            populateForm(result.formData);
+            currentXmlFilename = filename;
+            showResult(escapeText(t('result.loaded', {
+                filename,
+                registrationId: result.formData.registrationId,
+                revision: result.formData.revision
+            }, 'Loaded {filename} (registration {registrationId}, revision {revision}). Saving will create a new revision.')), 'success');
+            form.scrollIntoView({ behavior: 'smooth' });
+        } else {
+            showResult(escapeText(t('result.loadError', { error: result.error }, 'Load error: {error}')), 'error');
+        }
+    } catch (error) {
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
+    }
+}
+
+// Fill every form section from formData returned by /api/load-xml
+function populateForm(data) {
+    form.reset();
+    document.getElementById('registrationId').value = data.registrationId || '';
+    
+    // Scalar fields share their names with the form element ids
+    Object.entries(data).forEach(([key, value]) => {
+        const field = form.elements.namedItem(key);
+        if (field && typeof value !== 'object') field.value = value;
+    });
+    Object.entries(data.additionalInfo || {}).forEach(([key, value]) => {
+        const field = document.getElementById(key);
+        if (field) field.value = value;
+    });
+    toggleTransferCredits();
+    
+    // Rebuild the repeated sections: keep the first block, add one per extra entry
+    document.querySelectorAll('.emergency-contact:not([data-index="0"]), .course:not([data-index="0"]), .previous-education:not([data-index="0"])')
+        .forEach(block => block.remove());
+    emergencyContactCount = 1;
+    courseCount = 1;
+    previousEducationCount = 1;
+    nextPreviousEducationIndex = 1;
+    updateRemoveEducationButtons();
+    
+    const education = data.previousEducation || [];
+    for (let i = 1; i < education.length; i++) addPreviousEducation();
+    education.forEach((entry, index) => fillRepeatedFields('previousEducation', index, entry));
+    
+    const contacts = data.emergencyContacts || [];
+    for (let i = 1; i < contacts.length; i++) addEmergencyContact();
+    contacts.forEach((contact, index) => {
+        fillRepeatedFields('emergencyContacts', index, contact);
+        const block = document.querySelectorAll('.emergency-contact')[index];
+        if (contact.priority) {
+            const heading = block.querySelector('h3');
+            heading.dataset.i18n = `heading.contact.${contact.priority}`;
+            heading.textContent = t(heading.dataset.i18n, {}, `${contact.priority} Emergency Contact`);
+        }
+    });
+    
+    const courses = data.courses || [];
+    for (let i = 1; i < courses.length; i++) addCourse();
+    courses.forEach((course, index) => fillRepeatedFields('courses', index, course));
+    
+    updateTotalCredits();
+}
+
+function fillRepeatedFields(arrayName, index, values) {
+    Object.entries(values).forEach(([key, value]) => {
+        const field = form.elements.namedItem(`${arrayName}[${index}][${key}]`);
+        if (field && value != null) field.value = value;
+    });
 }
 
 // Collect form data
@@ -262,24 +793,94 @@ function collectFormData() {
         }, 0);
     }
     
-    // Add previous education if not exists
-    if (!data.previousEducation) {
-        data.previousEducation = [{
-            level: 'High School',
-            institutionName: 'Previous School',
-            degree: 'High School Diploma',
-            graduationYear: new Date().getFullYear() - 1,
-            gpa: ''
-        }];
-    }
+    // Removed entries leave gaps in the indexes
+    ['emergencyContacts', 'courses', 'previousEducation'].forEach(arrayName => {
+        if (data[arrayName]) data[arrayName] = data[arrayName].filter(Boolean);
+    });
     
     return data;
 }
 
+// Add previous education
+function addPreviousEducation() {
+    const container = document.getElementById('previousEducationContainer');
+    const index = nextPreviousEducationIndex;
+    
+    const educationHtml = `
+        <div class="previous-education" data-index="${index}">
+            <h3 data-i18n="heading.previousEducation" data-i18n-n="${previousEducationCount + 1}">Previous Education ${previousEducationCount + 1}</h3>
+            <div class="field-group">
+                <div class="field">
+                    <label data-i18n="label.education.level">Level *</label>
+                    <select name="previousEducation[${index}][level]" required>
+                        <option value="" data-i18n="option.educationLevel.empty">Select Level</option>
+                        <option value="High School" data-i18n="option.educationLevel.High School">High School</option>
+                        <option value="Undergraduate" data-i18n="option.educationLevel.Undergraduate">Undergraduate</option>
+                        <option value="Graduate" data-i18n="option.educationLevel.Graduate">Graduate</option>
+                    </select>
+                </div>
+                <div class="field">
+                    <label data-i18n="label.education.institutionName">Institution Name *</label>
+                    <input type="text" name="previousEducation[${index}][institutionName]" required>
+                </div>
+                <div class="field">
+                    <label data-i18n="label.education.degree">Degree *</label>
+                    <select name="previousEducation[${index}][degree]" required>
+                        <option value="" data-i18n="option.degree.empty">Select Degree</option>
+                        <option value="High School Diploma" data-i18n="option.degree.High School Diploma">High School Diploma</option>
+                        <option value="Associate" data-i18n="option.degree.Associate">Associate</option>
+                        <option value="Bachelor" data-i18n="option.degree.Bachelor">Bachelor</option>
+                        <option value="Master" data-i18n="option.degree.Master">Master</option>
+                        <option value="PhD" data-i18n="option.degree.PhD">PhD</option>
+                        <option value="Other" data-i18n="option.degree.Other">Other</option>
+                    </select>
+                </div>
+                <div class="field">
+                    <label data-i18n="label.education.graduationYear">Graduation Year *</label>
+                    <input type="number" name="previousEducation[${index}][graduationYear]" required 
+                           min="1900" max="2030">
+                </div>
+                <div class="field">
+                    <label data-i18n="label.education.gpa">GPA</label>
+                    <input type="number" name="previousEducation[${index}][gpa]" min="0" max="4" step="0.01" 
+                           placeholder="0.00">
+                </div>
+            </div>
+            <button type="button" class="btn-danger remove-education" data-i18n="button.removeEducation">Remove Education</button>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', educationHtml);
+    applyTranslations(container.lastElementChild);
+    previousEducationCount++;
+    nextPreviousEducationIndex++;
+    
+    // Add remove functionality
+    const removeBtn = container.lastElementChild.querySelector('.remove-education');
+    removeBtn.addEventListener('click', function() {
+        this.parentElement.remove();
+        previousEducationCount--;
+        updateRemoveEducationButtons();
+    });
+    
+    updateRemoveEducationButtons();
+}
+
+// At least one previous education entry is required by the schema
+function updateRemoveEducationButtons() {
+    const entries = document.querySelectorAll('.previous-education');
+    entries.forEach((entry, index) => {
+        entry.querySelector('.remove-education').style.display = entries.length > 1 ? 'block' : 'none';
+        const heading = entry.querySelector('h3');
+        heading.dataset.i18nN = index + 1;
+        heading.textContent = t('heading.previousEducation', { n: index + 1 }, `Previous Education ${index + 1}`);
+    });
+}
+
 // Add emergency contact
 function addEmergencyContact() {
     if (emergencyContactCount >= 3) {
-        showResult('Maximum 3 emergency contacts allowed.', 'error');
+        showResult(escapeText(t('result.maxContacts', {}, 'Maximum 3 emergency contacts allowed.')), 'error');
         return;
     }
     
@@ -289,40 +890,41 @@ function addEmergencyContact() {
     
     const contactHtml = `
         <div class="emergency-contact" data-index="${emergencyContactCount}">
-            <h3>${priority} Emergency Contact</h3>
+            <h3 data-i18n="heading.contact.${priority}">${priority} Emergency Contact</h3>
             <div class="field-group">
                 <div class="field">
-                    <label>Contact Name *</label>
+                    <label data-i18n="label.contact.name">Contact Name *</label>
                     <input type="text" name="emergencyContacts[${emergencyContactCount}][name]" required 
                            pattern="[A-Za-z\\s\\-'\\.]{1,50}">
                 </div>
                 <div class="field">
-                    <label>Relationship *</label>
+                    <label data-i18n="label.contact.relationship">Relationship *</label>
                     <select name="emergencyContacts[${emergencyContactCount}][relationship]" required>
-                        <option value="">Select Relationship</option>
-                        <option value="Parent">Parent</option>
-                        <option value="Guardian">Guardian</option>
-                        <option value="Spouse">Spouse</option>
-                        <option value="Sibling">Sibling</option>
-                        <option value="Other">Other</option>
+                        <option value="" data-i18n="option.relationship.empty">Select Relationship</option>
+                        <option value="Parent" data-i18n="option.relationship.Parent">Parent</option>
+                        <option value="Guardian" data-i18n="option.relationship.Guardian">Guardian</option>
+                        <option value="Spouse" data-i18n="option.relationship.Spouse">Spouse</option>
+                        <option value="Sibling" data-i18n="option.relationship.Sibling">Sibling</option>
+                        <option value="Other" data-i18n="option.relationship.Other">Other</option>
                     </select>
                 </div>
                 <div class="field">
-                    <label>Phone Number *</label>
+                    <label data-i18n="label.contact.phoneNumber">Phone Number *</label>
                     <input type="tel" name="emergencyContacts[${emergencyContactCount}][phoneNumber]" required 
                            pattern="\\+?[1-9]\\d{1,14}">
                 </div>
                 <div class="field">
-                    <label>Email</label>
+                    <label data-i18n="label.contact.email">Email</label>
                     <input type="email" name="emergencyContacts[${emergencyContactCount}][email]">
                 </div>
             </div>
             <input type="hidden" name="emergencyContacts[${emergencyContactCount}][priority]" value="${priority}">
-            <button type="button" class="btn-danger remove-contact">Remove Contact</button>
+            <button type="button" class="btn-danger remove-contact" data-i18n="button.removeContact">Remove Contact</button>
         </div>
     `;
     
     container.insertAdjacentHTML('beforeend', contactHtml);
+    applyTranslations(container.lastElementChild);
     emergencyContactCount++;
     
     // Add remove functionality
@@ -336,7 +938,7 @@ function addEmergencyContact() {
 // Add course
 function addCourse() {
     if (courseCount >= 8) {
-        showResult('Maximum 8 courses allowed per semester.', 'error');
+        showResult(escapeText(t('result.maxCourses', {}, 'Maximum 8 courses allowed per semester.')), 'error');
         return;
     }
     
@@ -344,66 +946,67 @@ function addCourse() {
     
     const courseHtml = `
         <div class="course" data-index="${courseCount}">
-            <h3>Course ${courseCount + 1}</h3>
+            <h3 data-i18n="heading.course" data-i18n-n="${courseCount + 1}">Course ${courseCount + 1}</h3>
             <div class="field-group">
                 <div class="field">
-                    <label>Course Code *</label>
+                    <label data-i18n="label.course.courseCode">Course Code *</label>
                     <input type="text" name="courses[${courseCount}][courseCode]" required 
                            pattern="[A-Z]{2,4}\\d{3,4}" placeholder="CS101"
-                           title="Format: 2-4 letters followed by 3-4 digits">
+                           title="Format: 2-4 letters followed by 3-4 digits" data-i18n-title="hint.courseCode">
                 </div>
                 <div class="field">
-                    <label>Course Name *</label>
+                    <label data-i18n="label.course.courseName">Course Name *</label>
                     <input type="text" name="courses[${courseCount}][courseName]" required>
                 </div>
                 <div class="field">
-                    <label>Credits *</label>
+                    <label data-i18n="label.course.credits">Credits *</label>
                     <input type="number" name="courses[${courseCount}][credits]" required 
                            min="1" max="6" value="3" class="credits-input">
                 </div>
                 <div class="field">
-                    <label>Semester *</label>
+                    <label data-i18n="label.course.semester">Semester *</label>
                     <select name="courses[${courseCount}][semester]" required>
-                        <option value="Fall">Fall</option>
-                        <option value="Spring">Spring</option>
-                        <option value="Summer">Summer</option>
+                        <option value="Fall" data-i18n="option.semester.Fall">Fall</option>
+                        <option value="Spring" data-i18n="option.semester.Spring">Spring</option>
+                        <option value="Summer" data-i18n="option.semester.Summer">Summer</option>
                     </select>
                 </div>
             </div>
             <div class="field-group">
                 <div class="field">
-                    <label>Instructor</label>
+                    <label data-i18n="label.course.instructor">Instructor</label>
                     <input type="text" name="courses[${courseCount}][instructor]">
                 </div>
                 <div class="field">
-                    <label>Days *</label>
+                    <label data-i18n="label.course.days">Days *</label>
                     <select name="courses[${courseCount}][days]" required>
-                        <option value="MWF">Monday, Wednesday, Friday</option>
-                        <option value="TTH">Tuesday, Thursday</option>
-                        <option value="MW">Monday, Wednesday</option>
-                        <option value="TH">Tuesday, Thursday</option>
-                        <option value="F">Friday</option>
-                        <option value="Daily">Daily</option>
+                        <option value="MWF" data-i18n="option.days.MWF">Monday, Wednesday, Friday</option>
+                        <option value="TTH" data-i18n="option.days.TTH">Tuesday, Thursday</option>
+                        <option value="MW" data-i18n="option.days.MW">Monday, Wednesday</option>
+                        <option value="TH" data-i18n="option.days.TH">Tuesday, Thursday</option>
+                        <option value="F" data-i18n="option.days.F">Friday</option>
+                        <option value="Daily" data-i18n="option.days.Daily">Daily</option>
                     </select>
                 </div>
                 <div class="field">
-                    <label>Start Time *</label>
+                    <label data-i18n="label.course.startTime">Start Time *</label>
                     <input type="time" name="courses[${courseCount}][startTime]" required value="09:00">
                 </div>
                 <div class="field">
-                    <label>End Time *</label>
+                    <label data-i18n="label.course.endTime">End Time *</label>
                     <input type="time" name="courses[${courseCount}][endTime]" required value="10:00">
                 </div>
                 <div class="field">
-                    <label>Room</label>
-                    <input type="text" name="courses[${courseCount}][room]" placeholder="Building-Room">
+                    <label data-i18n="label.course.room">Room</label>
+                    <input type="text" name="courses[${courseCount}][room]" placeholder="Building-Room" data-i18n-placeholder="placeholder.room">
                 </div>
             </div>
-            <button type="button" class="btn-danger remove-course">Remove Course</button>
+            <button type="button" class="btn-danger remove-course" data-i18n="button.removeCourse">Remove Course</button>
         </div>
     `;
     
     container.insertAdjacentHTML('beforeend', courseHtml);
+    applyTranslations(container.lastElementChild);
     courseCount++;
     
     // Add remove functionality
@@ -513,7 +1116,21 @@ function validateForm() {
 }
 
 // Load sample data
+// Saves create a new registration unless a stored one was loaded into the form (populateForm)
+function clearRegistrationId() {
+    document.getElementById('registrationId').value = '';
+}
+
+// Empty form for another student
+function startNewRegistration() {
+    populateForm({});
+    currentXmlFilename = null;
+    showResult(t('result.newRegistration', {}, 'New registration: saving will create a new registration.'), 'info');
+}
+
 function loadSampleData() {
+    clearRegistrationId();
+    
     // Personal Information
     document.getElementById('firstName').value = 'John';
     document.getElementById('middleName').value = 'Michael';
@@ -584,7 +1201,7 @@ function loadSampleData() {
     document.getElementById('housingRequired').value = 'true';
     
     updateTotalCredits();
-    showResult('Sample data loaded successfully!', 'success');
+    showResult(escapeText(t('result.sampleLoaded', {}, 'Sample data loaded successfully!')), 'success');
 }
 
 // Show result message
@@ -604,6 +1221,13 @@ function showResult(message, type, append = false) {
     resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+// Escape text for insertion into HTML markup
+function escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 // Escape HTML for iframe srcdoc attribute
 function escapeHtml(html) {
     // For iframe srcdoc, we only need to escape quotes, not convert HTML to text
@@ -620,7 +1244,7 @@ function escapeHtml(html) {
  */
 async function handleSignXml() {
     if (!currentXmlFilename && !xmlFileSelect.value) {
-        showResult('Please save the XML file first before signing.', 'error');
+        showResult(escapeText(t('result.saveBeforeSigning', {}, 'Please save the XML file first before signing.')), 'error');
         return;
     }
 
@@ -629,17 +1253,18 @@ async function handleSignXml() {
     try {
         // Disable button and show loading state
         signXmlBtn.disabled = true;
-        signXmlBtn.textContent = '🔄 Preparing...';
-        showResult('Preparing document for signing...', 'info');
+        signXmlBtn.textContent = t('button.signPreparing', {}, '🔄 Preparing...');
+        showResult(escapeText(t('result.preparingSigning', {}, 'Preparing document for signing...')), 'info');
 
         // Step 1: Prepare signing payload from backend
-        const prepareResponse = await fetch('/api/prepare-signing', {
+        const prepareResponse = await fetch(withLocale('/api/prepare-signing'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                filename: filename
+                filename: filename,
+                stylesheet: stylesheetSelect.value
             })
         });
 
@@ -660,33 +1285,76 @@ async function handleSignXml() {
         console.log('  - xdcUsedXSLT length:', payload.xdcUsedXSLT?.length);
         console.log('  - pdfBase64 present:', !!payload.pdfBase64);
         console.log('  - pdfBase64 length:', payload.pdfBase64?.length);
+        console.log('  - txtContent length:', payload.txtContent?.length);
+        if (payload.pdfa) {
+            console.log('  - PDF/A pre-check:', payload.pdfa.compliant ? 'passed' : 'failed', payload.pdfa.checks);
+            payload.pdfa.issues.forEach(issue => console.warn(`    [${issue.code}] ${issue.message}`));
+        }
         console.log('');
 
         // Step 2: Initialize D.Bridge JS and sign
-        signXmlBtn.textContent = 'Connecting to D.Signer...';
-        showResult('Connecting to D.Signer... Please wait.', 'info');
+        signXmlBtn.textContent = t('button.signConnecting', {}, 'Connecting to D.Signer...');
+        showResult(escapeText(t('result.connectingSigner', {}, 'Connecting to D.Signer... Please wait.')), 'info');
 
         await signWithDBridge(payload);
 
         // Success
-        showResult('Document signed successfully! ASiC-E file downloaded.', 'success');
-        signXmlBtn.textContent = 'Signed!';
+        showResult(escapeText(t('result.signed', {}, 'Document signed successfully! ASiC-E file downloaded.')), 'success');
+        signXmlBtn.textContent = t('button.signed', {}, 'Signed!');
 
         // Reset button after 3 seconds
         setTimeout(() => {
-            signXmlBtn.textContent = '🔐 Sign';
+            signXmlBtn.textContent = t('button.sign', {}, '🔐 Sign');
             signXmlBtn.disabled = false;
         }, 3000);
 
     } catch (error) {
         console.error('Signing error:', error);
         const errorMessage = handleDSignerError(error);
-        showResult(`Signing failed: ${errorMessage}`, 'error');
-        signXmlBtn.textContent = '🔐 Sign';
+        showResult(escapeText(t('result.signingFailed', { error: errorMessage }, 'Signing failed: {error}')), 'error');
+        signXmlBtn.textContent = t('button.sign', {}, '🔐 Sign');
         signXmlBtn.disabled = false;
     }
 }
 
+/**
+ * Sign the saved XML with the server's keystore and download the ASiC-E container
+ * No D.Launcher/D.Signer needed; the server signs the same objects D.Signer would
+ */
+async function handleServerSign() {
+    const filename = currentXmlFilename || xmlFileSelect.value;
+    if (!filename) {
+        showResult(escapeText(t('result.saveBeforeSigning', {}, 'Please save the XML file first before signing.')), 'error');
+        return;
+    }
+
+    serverSignBtn.disabled = true;
+    serverSignBtn.textContent = t('button.serverSigning', {}, '🔄 Signing...');
+    try {
+        const response = await fetch(withLocale('/api/sign'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: filename, stylesheet: stylesheetSelect.value })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await downloadConvertedFile(result.filename);
+        showResult(escapeText(t('result.serverSigned', {
+            signer: result.signer.subject,
+            signingTime: new Date(result.signingTime).toLocaleString(),
+            filename: result.filename
+        }, `Signed on the server. ASiC-E container ${result.filename} downloaded.`)), 'success');
+    } catch (error) {
+        showResult(escapeText(t('result.signingFailed', { error: error.message }, 'Signing failed: {error}')), 'error');
+    } finally {
+        serverSignBtn.textContent = t('button.serverSign', {}, '🖥️ Sign on server');
+        serverSignBtn.disabled = false;
+    }
+}
+
 /**
  * Sign document using D.Bridge JS API
  * @param {Object} payload - Signing payload from backend
@@ -815,7 +1483,7 @@ function signWithDBridge(payload) {
 
         // Step 1: Deploy D.Bridge
         debugLog('STEP 1', 'Deploying D.Bridge...');
-        showResult('Step 1/5: Deploying D.Bridge...', 'info');
+        showResult(escapeText(t('result.signingStep1', {}, 'Step 1/5: Deploying D.Bridge...')), 'info');
 
         ditec.dSigXadesBpJs.deploy(null, new Callback(
             function() {
@@ -823,7 +1491,7 @@ function signWithDBridge(payload) {
 
                 // Step 2: Initialize signing session
                 debugLog('STEP 2', 'Initializing signing session...');
-                showResult('Step 2/5: Initializing D.Signer...', 'info');
+                showResult(escapeText(t('result.signingStep2', {}, 'Step 2/5: Initializing D.Signer...')), 'info');
 
                 ditec.dSigXadesBpJs.initialize(new Callback(
                     function() {
@@ -831,7 +1499,7 @@ function signWithDBridge(payload) {
 
                         // Step 3: Add document object to be signed
                         debugLog('STEP 3', 'Adding document object to signing queue...');
-                        showResult('Step 3/5: Preparing document...', 'info');
+                        showResult(escapeText(t('result.signingStep3', {}, 'Step 3/5: Preparing document...')), 'info');
 
                         // ============================================
                         // Document Object Addition Strategy
@@ -912,10 +1580,6 @@ function signWithDBridge(payload) {
                                         console.log('  - Param 7 (convert): false (no conversion)');
                                         console.log('  - Param 8 (callback): Callback object');
                                         console.log('');
-                                        console.log('[WARNING] D.Bridge requires PDF/A-1 compliance for PDF signing.');
-                                        console.log('   If PDF/A-1 errors occur, the system will automatically fall back');
-                                        console.log('   to signing XMLDataContainer only.');
-                                        console.log('');
 
                                         // Use addPdfObject() for PDF document
                                         // D.Bridge API Signature (8 parameters):
@@ -928,54 +1592,73 @@ function signWithDBridge(payload) {
                                             '',                                          // 4. password - empty (no password protection)
                                             'application/pdf',                           // 5. objectFormatIdentifier
                                             0,                                           // 6. reqLevel - no requirement level
-                                            true,                                       // 7. convert - no conversion needed
+                                            false,                                       // 7. convert - the server already renders PDF/A-1b
                                             new Callback(
                                                 function() {
                                                     debugLog('STEP 3b', 'PDF object added successfully');
                                                     console.log('[OBJECT 2] PDF document added successfully');
                                                     console.log('');
-                                                    proceedToSigning();
+                                                    addTextObject();
                                                 },
                                                 function(error) {
                                                     clearSigningTimeout();
                                                     debugLog('ERROR', 'Failed to add PDF object: ' + error);
                                                     console.error('[OBJECT 2] Failed to add PDF document:', error);
 
-                                                    // Check if error is PDF/A-1 compliance related
-                                                    const errorStr = String(error).toLowerCase();
-                                                    if (errorStr.includes('pdfa') || errorStr.includes('pdf/a') ||
-                                                        errorStr.includes('pdfacompliance') || errorStr.includes('font program') ||
-                                                        errorStr.includes('metadata stream') || errorStr.includes('tagged pdf') ||
-                                                        errorStr.includes('outputintent') || errorStr.includes('structtreeroot')) {
-
-                                                        console.warn('[CRITICAL] PDF/A-1 COMPLIANCE ERROR DETECTED');
-                                                        console.warn('   Error:', error);
-                                                        console.log('');
-                                                        console.log('[FALLBACK] Proceeding with XMLDataContainer only');
-                                                        console.log('   PDF object will be skipped due to PDF/A-1 compliance issues');
-                                                        console.log('');
-                                                        // Continue with signing XMLDataContainer only
-                                                        proceedToSigning();
-                                                    } else {
-                                                        // For other errors, reject
-                                                        console.error('[OBJECT 2] Non-PDF/A-1 error - rejecting');
-                                                        reject(new Error(`Failed to add PDF object: ${error}`));
-                                                    }
+                                                    reject(new Error(`Failed to add PDF object: ${error}`));
                                                 }
                                             )
                                         );
                                     } else {
-                                        console.log('[OBJECT 2] PDF not available');
-                                        console.log('  - Signing XMLDataContainer only');
+                                        console.log('[OBJECT 2] PDF not available' + (payload.pdfa && !payload.pdfa.compliant ? ' (failed the PDF/A pre-check)' : ''));
                                         console.log('');
-                                        proceedToSigning();
+                                        addTextObject();
+                                    }
+
+                                    // Step 3c: Add the plain-text rendition if available
+                                    function addTextObject() {
+                                        if (!payload.txtContent) {
+                                            console.log('[OBJECT 3] TXT not available');
+                                            console.log('');
+                                            proceedToSigning();
+                                            return;
+                                        }
+
+                                        console.log('🔍 [OBJECT 3] Adding plain-text rendition...');
+                                        console.log('  - Method: addTxtObject() (5 parameters - D.Bridge API)');
+                                        console.log('  - Text length:', payload.txtContent.length, 'characters');
+                                        console.log('');
+
+                                        // D.Bridge API Signature (5 parameters):
+                                        // addTxtObject(objectId, objectDescription, sourceTxt, objectFormatIdentifier, callback)
+                                        ditec.dSigXadesBpJs.addTxtObject(
+                                            'txt-' + Date.now(),                          // 1. objectId
+                                            'Student Registration Text',                  // 2. objectDescription
+                                            payload.txtContent,                          // 3. sourceTxt - plain text
+                                            'text/plain',                                // 4. objectFormatIdentifier
+                                            new Callback(
+                                                function() {
+                                                    debugLog('STEP 3c', 'TXT object added successfully');
+                                                    console.log('[OBJECT 3] Plain-text rendition added successfully');
+                                                    console.log('');
+                                                    proceedToSigning();
+                                                },
+                                                function(error) {
+                                                    clearSigningTimeout();
+                                                    debugLog('ERROR', 'Failed to add TXT object: ' + error);
+                                                    console.error('[OBJECT 3] Failed to add plain-text rendition:', error);
+
+                                                    reject(new Error(`Failed to add TXT object: ${error}`));
+                                                }
+                                            )
+                                        );
                                     }
 
                                     // Helper function to proceed with signing
                                     function proceedToSigning() {
                                         // Step 4: Execute signing operation
                                         debugLog('STEP 4', 'Executing signing operation...');
-                                        showResult('Step 4/5: Waiting for signature... (Please sign in D.Signer window)', 'info');
+                                        showResult(escapeText(t('result.signingStep4', {}, 'Step 4/5: Waiting for signature... (Please sign in D.Signer window)')), 'info');
 
                                         const signatureId = 'signature-' + Date.now();
                                         const digestAlgorithm = 'http://www.w3.org/2001/04/xmlenc#sha256';
@@ -991,7 +1674,7 @@ function signWithDBridge(payload) {
 
                                                     // Step 5: Retrieve signed ASiC-E container
                                                     debugLog('STEP 5', 'Retrieving signed ASiC-E container...');
-                                                    showResult('Step 5/5: Retrieving signed file...', 'info');
+                                                    showResult(escapeText(t('result.signingStep5', {}, 'Step 5/5: Retrieving signed file...')), 'info');
 
                                                     ditec.dSigXadesBpJs.getSignatureWithASiCEnvelopeBase64(
                                                         new Callback(
@@ -1004,6 +1687,7 @@ function signWithDBridge(payload) {
                                                                 // Step 6: Download the signed file
                                                                 try {
                                                                     downloadAsiceFile(asiceBase64, payload.filename);
+                                                                    storeSignedContainer(asiceBase64, payload);
                                                                     resolve();
                                                                 } catch (error) {
                                                                     debugLog('ERROR', 'Failed to download file: ' + error.message);
@@ -1039,88 +1723,6 @@ function signWithDBridge(payload) {
                                     debugLog('ERROR', 'Failed to add XML object: ' + errorMessage);
                                     console.error('[STEP 3 - Full Error Object]', error);
 
-                                    // CHECK FOR PDF/A-1 COMPLIANCE ERROR (CRITICAL FIX)
-                                    // The error might be from PDF object addition, not XML object
-                                    const errorStr = String(errorMessage).toLowerCase();
-                                    if (errorStr.includes('pdfa') || errorStr.includes('pdf/a') ||
-                                        errorStr.includes('pdfacompliance') || errorStr.includes('font program') ||
-                                        errorStr.includes('metadata stream') || errorStr.includes('tagged pdf') ||
-                                        errorStr.includes('outputintent') || errorStr.includes('structtreeroot')) {
-
-                                        console.warn('[CRITICAL] PDF/A-1 COMPLIANCE ERROR DETECTED');
-                                        console.warn('   Error:', errorMessage);
-                                        console.log('');
-                                        console.log('[FALLBACK] Attempting to sign XMLDataContainer only...');
-                                        console.log('   PDF object will be skipped due to PDF/A-1 compliance issues');
-                                        console.log('');
-
-                                        // FALLBACK: Try to proceed with signing XMLDataContainer only
-                                        // by calling proceedToSigning() which will use the already-added XML object
-                                        try {
-                                            // The XMLDataContainer was already added successfully
-                                            // Just proceed to signing
-                                            const signatureId = 'signature-' + Date.now();
-                                            const digestAlgorithm = 'http://www.w3.org/2001/04/xmlenc#sha256';
-                                            const signingCertificate = '';
-
-                                            console.log('📋 [FALLBACK] Proceeding with XMLDataContainer-only signing...');
-                                            console.log('');
-
-                                            ditec.dSigXadesBpJs.sign(
-                                                signatureId,
-                                                digestAlgorithm,
-                                                signingCertificate,
-                                                new Callback(
-                                                    function() {
-                                                        debugLog('STEP 4', 'Document signed successfully (XMLDataContainer only)');
-                                                        console.log('✅ [FALLBACK] XMLDataContainer signed successfully');
-                                                        console.log('');
-
-                                                        // Step 5: Retrieve signed ASiC-E container
-                                                        debugLog('STEP 5', 'Retrieving signed ASiC-E container...');
-                                                        showResult('Step 5/5: Retrieving signed file...', 'info');
-
-                                                        ditec.dSigXadesBpJs.getSignatureWithASiCEnvelopeBase64(
-                                                            new Callback(
-                                                                function(asiceBase64) {
-                                                                    debugLog('STEP 5', 'ASiC-E container retrieved');
-                                                                    debugLog('SUCCESS', 'Signing process completed (XMLDataContainer only)');
-                                                                    console.log('[FALLBACK] ASiC-E container retrieved successfully');
-                                                                    console.log('');
-
-                                                                    clearSigningTimeout();
-
-                                                                    // Step 6: Download the signed file
-                                                                    try {
-                                                                        downloadAsiceFile(asiceBase64, payload.filename);
-                                                                        resolve();
-                                                                    } catch (error) {
-                                                                        debugLog('ERROR', 'Failed to download file: ' + error.message);
-                                                                        reject(error);
-                                                                    }
-                                                                },
-                                                                function(error) {
-                                                                    clearSigningTimeout();
-                                                                    debugLog('ERROR', 'Failed to retrieve ASiC-E container: ' + error);
-                                                                    reject(new Error(`Failed to retrieve signed file: ${error}`));
-                                                                }
-                                                            )
-                                                        );
-                                                    },
-                                                    function(error) {
-                                                        clearSigningTimeout();
-                                                        debugLog('ERROR', 'Signing operation failed: ' + error);
-                                                        reject(new Error(`Signing operation failed: ${error}. This may happen if you cancelled the signing or entered wrong password.`));
-                                                    }
-                                                )
-                                            );
-                                        } catch (fallbackError) {
-                                            console.error('[FALLBACK] Fallback signing failed:', fallbackError);
-                                            reject(new Error(`Fallback signing failed: ${fallbackError}`));
-                                        }
-                                        return;
-                                    }
-
                                     // Detailed debugging for objectFormatIdentifier error
                                     console.error('[DEBUG] Error Analysis:');
                                     console.error('  - Error message:', errorMessage);
@@ -1208,6 +1810,34 @@ function downloadAsiceFile(base64Data, originalFilename) {
     }
 }
 
+/**
+ * Keep the signed container with the registration revision it was prepared from
+ * @param {string} base64Data - Base64-encoded ASiC-E container
+ * @param {Object} payload - Signing payload from /api/prepare-signing
+ */
+async function storeSignedContainer(base64Data, payload) {
+    if (!payload.registrationId) {
+        return;
+    }
+    try {
+        const bytes = Uint8Array.from(atob(base64Data), char => char.charCodeAt(0));
+        const url = `/api/registrations/${encodeURIComponent(payload.registrationId)}/signed?revision=${payload.revision}`;
+        const response = await fetch(withLocale(url), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/vnd.etsi.asic-e+zip' },
+            body: bytes
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        console.log(`Stored signed container: ${result.artifact.filename}`);
+    } catch (error) {
+        // The user already has the downloaded copy
+        console.warn('Failed to store signed container:', error.message);
+    }
+}
+
 /**
  * Show user-friendly error messages for D.Signer issues
  */
@@ -1296,6 +1926,7 @@ function initializeXadesConversion() {
     if (convertBtn) {
         convertBtn.addEventListener('click', handleConvertBesToT);
     }
+    document.getElementById('verifySignatureBtn').addEventListener('click', handleVerifySignature);
 
     if (fileInput) {
         fileInput.addEventListener('change', function() {
@@ -1317,7 +1948,7 @@ async function handleConvertBesToT() {
     const progressText = document.getElementById('xadesProgressText');
 
     if (!fileInput.files || fileInput.files.length === 0) {
-        showResult('Please select an XML file to convert', 'error');
+        showResult(escapeText(t('result.selectToConvert', {}, 'Please select an XML file to convert')), 'error');
         return;
     }
 
@@ -1328,7 +1959,7 @@ async function handleConvertBesToT() {
     const isAsice = file.name.endsWith('.asice') || file.name.endsWith('.sce');
 
     if (!isXml && !isAsice) {
-        showResult('Please select a valid XML or ASiC-E file (.xml, .asice, or .sce)', 'error');
+        showResult(escapeText(t('result.invalidConversionFile', {}, 'Please select a valid XML or ASiC-E file (.xml, .asice, or .sce)')), 'error');
         return;
     }
 
@@ -1343,8 +1974,9 @@ async function handleConvertBesToT() {
         formData.append('xmlFile', file);
 
         // Update progress
-        const fileType = isAsice ? 'ASiC-E container' : 'XML file';
-        updateProgress(progressFill, progressText, 10, `Uploading ${fileType}...`);
+        updateProgress(progressFill, progressText, 10, isAsice
+            ? t('progress.uploadingAsice', {}, 'Uploading ASiC-E container...')
+            : t('progress.uploadingXml', {}, 'Uploading XML file...'));
 
         // Send conversion request
         const response = await fetch('/api/convert-bes-to-t', {
@@ -1352,40 +1984,41 @@ async function handleConvertBesToT() {
             body: formData
         });
 
-        const processingMsg = isAsice ? 'Extracting and processing ASiC-E container...' : 'Processing signature...';
-        updateProgress(progressFill, progressText, 50, processingMsg);
+        updateProgress(progressFill, progressText, 50, isAsice
+            ? t('progress.processingAsice', {}, 'Extracting and processing ASiC-E container...')
+            : t('progress.processing', {}, 'Processing signature...'));
 
         const result = await response.json();
 
         if (result.success) {
-            updateProgress(progressFill, progressText, 90, 'Finalizing...');
+            updateProgress(progressFill, progressText, 90, t('progress.finalizing', {}, 'Finalizing...'));
 
             // Show success message
             const containerInfo = result.containerType === 'asice' ?
-                '<p><strong>Container type:</strong> ASiC-E (Extended)</p>' : '';
+                `<p><strong>${escapeText(t('label.containerType', {}, 'Container type'))}:</strong> ${escapeText(t('conversion.asice', {}, 'ASiC-E (Extended)'))}</p>` : '';
             const successHtml = `
                 <div class="result-success">
-                    <h4>✅ Conversion Successful!</h4>
-                    <p><strong>Original file:</strong> ${file.name}</p>
-                    <p><strong>Output file:</strong> ${result.filename}</p>
+                    <h4>${escapeText(t('conversion.success', {}, '✅ Conversion Successful!'))}</h4>
+                    <p><strong>${escapeText(t('label.originalFile', {}, 'Original file'))}:</strong> ${escapeText(file.name)}</p>
+                    <p><strong>${escapeText(t('label.outputFile', {}, 'Output file'))}:</strong> ${escapeText(result.filename)}</p>
                     ${containerInfo}
-                    <p><strong>Status:</strong> XAdES-BES successfully extended to XAdES-T</p>
+                    <p><strong>${escapeText(t('label.status', {}, 'Status'))}:</strong> ${escapeText(t('conversion.extended', {}, 'XAdES-BES successfully extended to XAdES-T'))}</p>
                     ${result.validation.warnings.length > 0 ? `
                     <div class="warnings">
-                        <h5>Warnings:</h5>
+                        <h5>${escapeText(t('label.warnings', {}, 'Warnings'))}:</h5>
                         <ul>
                             ${result.validation.warnings.map(w => `<li>${w}</li>`).join('')}
                         </ul>
                     </div>
                     ` : ''}
                     <button type="button" class="btn-info" onclick="downloadConvertedFile('${result.filename}')">
-                        📥 Download Converted File
+                        ${escapeText(t('button.downloadConverted', {}, '📥 Download Converted File'))}
                     </button>
                 </div>
             `;
 
             showResult(successHtml, 'success', true);
-            updateProgress(progressFill, progressText, 100, 'Complete!');
+            updateProgress(progressFill, progressText, 100, t('progress.complete', {}, 'Complete!'));
 
             // Reset form after 2 seconds
             setTimeout(() => {
@@ -1397,14 +2030,14 @@ async function handleConvertBesToT() {
             }, 2000);
 
         } else {
-            updateProgress(progressFill, progressText, 0, 'Error');
+            updateProgress(progressFill, progressText, 0, t('progress.error', {}, 'Error'));
             const errorHtml = `
                 <div class="result-error">
-                    <h4>❌ Conversion Failed</h4>
-                    <p><strong>Error:</strong> ${result.error}</p>
+                    <h4>${escapeText(t('conversion.failed', {}, '❌ Conversion Failed'))}</h4>
+                    <p><strong>${escapeText(t('label.error', {}, 'Error'))}:</strong> ${escapeText(result.error)}</p>
                     ${result.details ? `
                     <div class="error-details">
-                        <h5>Details:</h5>
+                        <h5>${escapeText(t('label.details', {}, 'Details'))}:</h5>
                         <ul>
                             ${result.details.map(d => `<li>${d}</li>`).join('')}
                         </ul>
@@ -1418,13 +2051,72 @@ async function handleConvertBesToT() {
         }
 
     } catch (error) {
-        updateProgress(progressFill, progressText, 0, 'Error');
-        showResult(`Network error: ${error.message}`, 'error');
+        updateProgress(progressFill, progressText, 0, t('progress.error', {}, 'Error'));
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
         convertBtn.disabled = false;
         fileInput.disabled = false;
     }
 }
 
+/**
+ * Verify the signatures of the chosen XML or ASiC-E file on the server
+ */
+async function handleVerifySignature() {
+    const fileInput = document.getElementById('xadesFileInput');
+    if (!fileInput.files || fileInput.files.length === 0) {
+        showResult(escapeText(t('result.selectToVerify', {}, 'Please select a signed XML or ASiC-E file to verify')), 'error');
+        return;
+    }
+
+    try {
+        const formData = new FormData();
+        formData.append('signedFile', fileInput.files[0]);
+        const response = await fetch(withLocale('/api/verify'), { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!result.success) {
+            showResult(escapeText(t('result.error', { error: result.error }, 'Error: {error}')), 'error');
+            return;
+        }
+        showResult(renderVerification(result), result.valid ? 'success' : 'error');
+    } catch (error) {
+        showResult(escapeText(t('result.networkError', { error: error.message }, 'Network error: {error}')), 'error');
+    }
+}
+
+// Verification report: per signature its signer, signing time, signed data and problems
+function renderVerification(result) {
+    const problems = issues => (issues.length > 0
+        ? `<ul>${issues.map(issue => `<li>${escapeText(issue.message)}</li>`).join('')}</ul>`
+        : '');
+
+    const signatures = result.signatures.map((signature, index) => {
+        const heading = t(signature.valid ? 'result.signatureValid' : 'result.signatureInvalid', { index: index + 1 },
+            `Signature ${index + 1}: ${signature.valid ? 'valid' : 'not valid'}`);
+        const references = signature.references.map(reference => `
+            <tr>
+                <td>${reference.valid ? '✓' : '✗'}</td>
+                <td>${escapeText(reference.file || reference.uri || '')}</td>
+            </tr>`).join('');
+        return `
+            <h4>${escapeText(heading)}</h4>
+            <p><strong>${escapeText(t('label.signer', {}, 'Signer'))}:</strong> ${escapeText(signature.certificate ? signature.certificate.subject : '-')}</p>
+            <p><strong>${escapeText(t('label.signingTime', {}, 'Signing time'))}:</strong> ${escapeText(signature.signingTime ? new Date(signature.signingTime).toLocaleString() : '-')}</p>
+            ${signature.timestamps.map(timestamp => `
+            <p><strong>${escapeText(t('label.timestamp', {}, 'Timestamp'))}:</strong> ${timestamp.valid ? '✓' : '✗'} ${escapeText(timestamp.time ? new Date(timestamp.time).toLocaleString() : '-')}</p>`).join('')}
+            ${signature.certificateChain ? `
+            <p><strong>${escapeText(t('label.trustAnchor', {}, 'Trusted CA'))}:</strong> ${signature.certificateChain.valid ? '✓' : '✗'} ${escapeText(signature.certificateChain.trustAnchor || '-')}</p>
+            ${signature.certificateChain.chain[0].revocation ? `
+            <p><strong>${escapeText(t('label.revocation', {}, 'Revocation'))}:</strong> ${escapeText(t(`revocation.${signature.certificateChain.chain[0].revocation.status}`, {}, signature.certificateChain.chain[0].revocation.status))}</p>` : ''}` : ''}
+            <table class="diff-table">
+                <thead><tr><th></th><th>${escapeText(t('label.signedData', {}, 'Signed data'))}</th></tr></thead>
+                <tbody>${references}</tbody>
+            </table>
+            ${problems(signature.errors)}`;
+    }).join('');
+
+    return `${signatures}${problems(result.warnings)}`;
+}
+
 /**
  * Update progress bar
  */
@@ -1455,6 +2147,6 @@ async function downloadConvertedFile(filename) {
         window.URL.revokeObjectURL(url);
 
     } catch (error) {
-        showResult(`Download failed: ${error.message}`, 'error');
+        showResult(escapeText(t('result.downloadFailed', { error: error.message }, 'Download failed: {error}')), 'error');
     }
 }
@@ -7,1309 +7,1181 @@ const multer = require('multer');
 const xadesBesValidator = require('./lib/xades-bes-validator');
 const xadesTExtension = require('./lib/xades-t-extension');
 const asiceHandler = require('./lib/asice-handler');
+const xadesSigner = require('./lib/xades-signer');
+const xadesVerifier = require('./lib/xades-verifier');
+const c14n = require('./lib/c14n');
+const certificateValidator = require('./lib/certificate-validator');
+const revocationChecker = require('./lib/revocation-checker');
+
+// XML schema validation
+const xsdValidator = require('./lib/xsd-validator');
+const businessRules = require('./lib/business-rules');
+
+// XSLT transformation
+const xsltProcessor = require('./lib/xslt-processor');
+const stylesheetRegistry = require('./lib/stylesheet-registry');
+
+// Localization: Slovak and English message catalogues
+const i18n = require('./lib/i18n');
+
+// Registration XML <-> form data mapping
+const registrationMapper = require('./lib/registration-mapper');
+const registrationSerializer = require('./lib/registration-serializer');
+
+// PDF/A rendition for multi-object signing
+const pdfaRenderer = require('./lib/pdfa-renderer');
+const pdfaChecker = require('./lib/pdfa-checker');
+
+// Plain-text rendition for multi-object signing
+const textRenderer = require('./lib/text-renderer');
+
+// Registrations indexed by registrationId, with their stored XML, HTML, PDF and signed artifacts
+const registrationStore = require('./lib/registration-store');
+const storageBackends = require('./lib/storage');
+const renditions = require('./lib/renditions');
+const registrationListing = require('./lib/registration-listing');
+const searchIndex = require('./lib/search-index');
+const registrationWorkflow = require('./lib/registration-workflow');
+const registrationDiff = require('./lib/registration-diff');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure multer for file uploads
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
-
-// Ensure directories exist
-const ensureDirectories = async () => {
-  await fs.ensureDir('data');
-  await fs.ensureDir('output');
-  await fs.ensureDir('public');
-  await fs.ensureDir('schemas');
-  await fs.ensureDir('stylesheets');
+// Presentation stylesheets available for transformation and signing
+const STYLESHEET_REGISTRY_PATH = path.join('stylesheets', 'registry.json');
+
+// Everything the routes write (data and output areas), on the backend chosen by STORAGE_BACKEND
+const storage = storageBackends.createStorage(storageBackends.storageConfig(process.env));
+
+// Index of stored registrations (registrations.json) and their artifacts in the data and output areas
+const registrations = registrationStore.createRegistrationStore({ storage });
+
+// Rendered representations of stored registrations, keyed by the hash of their XML
+const renditionCache = renditions.createRenditionCache({ storage });
+
+// Full-text index over the latest revision of every registration; built on the first search,
+// then kept current by every write that goes through the store
+const registrationSearch = searchIndex.createSearchIndex();
+let registrationSearchReady = null;
+
+// (Re-)index the latest revision of a registration
+const indexRegistration = async (record) => {
+  const latest = record.revisions[record.revisions.length - 1];
+  const formData = registrationMapper.xmlToFormData(await registrations.readXml(record.registrationId));
+  registrationSearch.add(record.registrationId, formData, {
+    registrationId: record.registrationId,
+    revision: latest.revision,
+    filename: latest.xml,
+    studentName: [formData.firstName, formData.middleName, formData.lastName].filter(Boolean).join(' '),
+    program: formData.program,
+    status: formData.status
+  });
 };
 
-// XML Validation function
-const validateXMLAgainstXSD = async (xmlContent, xsdPath) => {
-  try {
-    const { XMLParser } = require('fast-xml-parser');
-    const errors = [];
-
-    // Parse XML
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '@_',
-      textNodeName: '#text',
-      ignoreNameSpace: false,
-      removeNSPrefix: true
+const ensureSearchIndex = () => {
+  if (!registrationSearchReady) {
+    registrationSearchReady = (async () => {
+      for (const record of await registrations.list()) {
+        await indexRegistration(record);
+      }
+    })().catch(error => {
+      registrationSearchReady = null;
+      throw error;
     });
+  }
+  return registrationSearchReady;
+};
 
-    let parsedXML;
-    try {
-      parsedXML = parser.parse(xmlContent);
-    } catch (parseError) {
-      return {
-        valid: false,
-        errors: [`XML parsing error: ${parseError.message}`]
-      };
-    }
+// Append-only log of every status transition
+const auditLog = registrationWorkflow.createAuditLog(storage);
 
-    const data = parsedXML.studentRegistration;
-    if (!data) {
-      return {
-        valid: false,
-        errors: ['Root element studentRegistration not found']
-      };
-    }
+// Server-side signer: the PKCS#12 keystore named by SIGNING_KEYSTORE, opened on the first signing
+const signerSettings = xadesSigner.signerConfig(process.env);
+let signerReady = null;
 
-    // Validate root attributes
-    if (!data['@_registrationId']) {
-      errors.push('Missing required attribute: registrationId');
-    }
-    if (!data['@_submissionDate']) {
-      errors.push('Missing required attribute: submissionDate');
-    } else if (!isValidDate(data['@_submissionDate'])) {
-      errors.push('Invalid submissionDate format (expected: YYYY-MM-DD)');
-    }
-    if (data['@_status'] && !['pending', 'approved', 'rejected', 'incomplete'].includes(data['@_status'])) {
-      errors.push(`Invalid status value: ${data['@_status']} (must be: pending, approved, rejected, or incomplete)`);
-    }
+const loadSigner = () => {
+  if (!signerReady) {
+    signerReady = xadesSigner.loadSigner(signerSettings).catch(error => {
+      signerReady = null;
+      throw error;
+    });
+  }
+  return signerReady;
+};
 
-    // Validate Personal Info
-    if (!data.personalInfo) {
-      errors.push('Missing required element: personalInfo');
-    } else {
-      const pi = data.personalInfo;
+// Trusted CA certificates for /api/verify: the directory named by TRUST_STORE_DIR, read on the first verification
+const trustStoreSettings = certificateValidator.trustStoreConfig(process.env);
+let trustStoreReady = null;
 
-      // Name validation
-      if (!pi.firstName || pi.firstName.trim() === '') {
-        errors.push('firstName is required and cannot be empty');
-      } else if (!isValidName(pi.firstName)) {
-        errors.push(`Invalid firstName format: ${pi.firstName}`);
-      }
+const loadTrustStore = () => {
+  if (!trustStoreReady) {
+    trustStoreReady = certificateValidator.loadTrustStore(trustStoreSettings.directory).catch(error => {
+      trustStoreReady = null;
+      throw error;
+    });
+  }
+  return trustStoreReady;
+};
 
-      if (!pi.lastName || pi.lastName.trim() === '') {
-        errors.push('lastName is required and cannot be empty');
-      } else if (!isValidName(pi.lastName)) {
-        errors.push(`Invalid lastName format: ${pi.lastName}`);
-      }
+// CAs of the trusted timestamping authorities (TSA_TRUST_STORE_DIR), the trust store unless set apart
+let tsaTrustStoreReady = null;
 
-      if (pi.middleName && !isValidName(pi.middleName)) {
-        errors.push(`Invalid middleName format: ${pi.middleName}`);
-      }
+const loadTsaTrustStore = () => {
+  if (trustStoreSettings.tsaDirectory === trustStoreSettings.directory) return loadTrustStore();
+  if (!tsaTrustStoreReady) {
+    tsaTrustStoreReady = certificateValidator.loadTrustStore(trustStoreSettings.tsaDirectory).catch(error => {
+      tsaTrustStoreReady = null;
+      throw error;
+    });
+  }
+  return tsaTrustStoreReady;
+};
 
-      // Date of birth validation
-      if (!pi.dateOfBirth) {
-        errors.push('dateOfBirth is required');
-      } else if (!isValidDate(pi.dateOfBirth)) {
-        errors.push(`Invalid dateOfBirth format: ${pi.dateOfBirth} (expected: YYYY-MM-DD)`);
-      }
+// Cached CRLs for the revocation checks of /api/verify (CRL_CACHE_DIR), read again after every refresh
+const crlSettings = revocationChecker.crlConfig(process.env);
+let crlCacheReady = null;
 
-      // Gender validation
-      if (!pi.gender) {
-        errors.push('gender is required');
-      } else if (!['Male', 'Female', 'Other', 'Prefer not to say'].includes(pi.gender)) {
-        errors.push(`Invalid gender value: ${pi.gender} (must be: Male, Female, Other, or Prefer not to say)`);
-      }
+const loadCrlCache = () => {
+  if (!crlCacheReady) {
+    crlCacheReady = revocationChecker.loadCrlCache(crlSettings.cacheDirectory).catch(error => {
+      crlCacheReady = null;
+      throw error;
+    });
+  }
+  return crlCacheReady;
+};
 
-      // SSN validation
-      if (pi.socialSecurityNumber && !isValidSSN(pi.socialSecurityNumber)) {
-        errors.push(`Invalid socialSecurityNumber format: ${pi.socialSecurityNumber} (expected: XXX-XX-XXXX)`);
-      }
+// CRL distribution points of the certificates /api/verify found on a path to a trust anchor
+const verifiedDistributionPoints = new Set();
 
-      // Marital status validation
-      if (!pi.maritalStatus) {
-        errors.push('maritalStatus is required');
-      } else if (!['Single', 'Married', 'Divorced', 'Widowed'].includes(pi.maritalStatus)) {
-        errors.push(`Invalid maritalStatus value: ${pi.maritalStatus} (must be: Single, Married, Divorced, or Widowed)`);
-      }
+const rememberDistributionPoints = (report) => {
+  for (const { certificateChain } of report.signatures) {
+    if (!certificateChain || !certificateChain.trustAnchor) continue;
+    for (const { revocation } of certificateChain.chain) {
+      if (revocation) revocation.distributionPoints.forEach(url => verifiedDistributionPoints.add(url));
     }
+  }
+};
 
-    // Validate Academic Info
-    if (!data.academicInfo) {
-      errors.push('Missing required element: academicInfo');
-    } else {
-      const ai = data.academicInfo;
+// Download into the cache the CRLs listed in CRL_SOURCES (certificate/crl.txt), named by the trust anchors and
+// by the verified signers; offline, the cached copies stay. A refresh in progress is shared by later callers.
+let crlRefresh = null;
+let crlRefreshedAt = 0;
+
+const refreshCrls = () => {
+  if (!crlRefresh) {
+    crlRefresh = (async () => {
+      const anchors = await loadTrustStore().then(trustStore => trustStore.anchors, () => []);
+      const urls = [
+        ...await revocationChecker.readCrlSources(crlSettings.sources),
+        ...anchors.flatMap(anchor => revocationChecker.distributionPoints(anchor)),
+        ...verifiedDistributionPoints
+      ];
+      const result = await revocationChecker.refreshCrlCache({ cacheDirectory: crlSettings.cacheDirectory, urls });
+      crlCacheReady = null;
+      return result;
+    })().finally(() => {
+      crlRefresh = null;
+      crlRefreshedAt = Date.now();
+    });
+  }
+  return crlRefresh;
+};
 
-      // Program validation
-      if (!ai.program) {
-        errors.push('program is required');
-      } else if (!['Bachelor', 'Master', 'PhD', 'Certificate'].includes(ai.program)) {
-        errors.push(`Invalid program value: ${ai.program} (must be: Bachelor, Master, PhD, or Certificate)`);
-      }
+// HTTP status of each registration store error
+const STORE_ERROR_STATUS = {
+  INVALID_FILENAME: 400,
+  INVALID_REGISTRATION_XML: 400,
+  INVALID_ARTIFACT: 400,
+  REGISTRATION_NOT_FOUND: 404,
+  REVISION_NOT_FOUND: 404,
+  REVISION_EXISTS: 409
+};
 
-      // Expected graduation year validation
-      if (!ai.expectedGraduationYear) {
-        errors.push('expectedGraduationYear is required');
-      } else {
-        const year = parseInt(ai.expectedGraduationYear);
-        if (isNaN(year) || year < 1900 || year > 2030) {
-          errors.push(`Invalid expectedGraduationYear: ${ai.expectedGraduationYear} (must be between 1900 and 2030)`);
-        }
-      }
+// Configure multer for file uploads
+const upload = multer({ storage: multer.memoryStorage() });
 
-      // GPA validation
-      if (ai.gpa !== undefined && ai.gpa !== null) {
-        const gpa = parseFloat(ai.gpa);
-        if (isNaN(gpa) || gpa < 0.0 || gpa > 4.0) {
-          errors.push(`Invalid GPA: ${ai.gpa} (must be between 0.0 and 4.0)`);
-        }
-      }
+// Raw XML request bodies for the validate/transform endpoints
+const rawXml = express.text({ type: ['application/xml', 'text/xml', 'application/*+xml'], limit: '5mb' });
 
-      // Transfer student validation
-      if (ai.isTransferStudent === undefined || ai.isTransferStudent === null) {
-        errors.push('isTransferStudent is required');
-      } else if (typeof ai.isTransferStudent !== 'boolean' && !['true', 'false'].includes(String(ai.isTransferStudent).toLowerCase())) {
-        errors.push(`Invalid isTransferStudent value: ${ai.isTransferStudent} (must be boolean: true or false)`);
-      }
+// Raw ASiC-E request bodies for signed containers
+const rawAsice = express.raw({ type: ['application/vnd.etsi.asic-e+zip', 'application/zip'], limit: '20mb' });
 
-      // Previous education validation
-      if (ai.previousEducation) {
-        const prevEdu = Array.isArray(ai.previousEducation) ? ai.previousEducation : [ai.previousEducation];
-        prevEdu.forEach((edu, index) => {
-          if (edu['@_level'] && !['High School', 'Undergraduate', 'Graduate'].includes(edu['@_level'])) {
-            errors.push(`Invalid previousEducation[${index}] level: ${edu['@_level']} (must be: High School, Undergraduate, or Graduate)`);
-          }
-          if (edu.gpa !== undefined && edu.gpa !== null) {
-            const gpa = parseFloat(edu.gpa);
-            if (isNaN(gpa) || gpa < 0.0 || gpa > 4.0) {
-              errors.push(`Invalid previousEducation[${index}] GPA: ${edu.gpa} (must be between 0.0 and 4.0)`);
-            }
-          }
-        });
-      }
-    }
+// Middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(express.static('public'));
 
-    // Validate Contact Info
-    if (!data.contactInfo) {
-      errors.push('Missing required element: contactInfo');
-    } else {
-      const ci = data.contactInfo;
+// Every API request is answered in the locale asked for by ?lang= or Accept-Language
+app.use('/api', async (req, res, next) => {
+  req.locale = i18n.negotiateLocale(req);
+  req.catalogue = await i18n.loadCatalogue(req.locale);
+  next();
+});
 
-      // Email validation
-      if (!ci.email) {
-        errors.push('email is required');
-      } else if (!isValidEmail(ci.email)) {
-        errors.push(`Invalid email format: ${ci.email}`);
-      }
+// Ensure directories exist; the storage backend creates its own
+const ensureDirectories = async () => {
+  await fs.ensureDir('public');
+  await fs.ensureDir('schemas');
+  await fs.ensureDir('stylesheets');
+};
 
-      if (ci.alternateEmail && !isValidEmail(ci.alternateEmail)) {
-        errors.push(`Invalid alternateEmail format: ${ci.alternateEmail}`);
-      }
+// XML Validation function - validates against the compiled XSD schema
+const validateXMLAgainstXSD = async (xmlContent, xsdPath) => {
+  try {
+    const schema = await xsdValidator.loadSchema(xsdPath);
+    return xsdValidator.validate(schema, xmlContent);
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [xsdValidator.createError('XSD_SCHEMA_ERROR', `Validation error: ${error.message}`, {}, { detail: error.message })]
+    };
+  }
+};
 
-      // Phone validation
-      if (!ci.phoneNumber) {
-        errors.push('phoneNumber is required');
-      } else if (!isValidPhone(ci.phoneNumber)) {
-        errors.push(`Invalid phoneNumber format: ${ci.phoneNumber} (expected: +1234567890 format)`);
-      }
+// Business rule validation - runs the Schematron rule set once the document is schema-valid
+const validateBusinessRules = async (xmlContent, schPath, schemaResult) => {
+  if (!schemaResult.valid) {
+    return { valid: null, skipped: true, errors: [] };
+  }
+  try {
+    const rules = await businessRules.loadRules(schPath);
+    return { ...businessRules.validate(rules, xmlContent), skipped: false };
+  } catch (error) {
+    return {
+      valid: false,
+      skipped: false,
+      errors: [xsdValidator.createError('RULES_ERROR', `Business rule error: ${error.message}`, {}, { detail: error.message })]
+    };
+  }
+};
 
-      if (ci.alternatePhone && !isValidPhone(ci.alternatePhone)) {
-        errors.push(`Invalid alternatePhone format: ${ci.alternatePhone}`);
-      }
+// Full validation: XSD first, then business rules; errors from both are merged for the client
+// and their messages are worded in the request's language
+const validateRegistration = async (xmlContent, xsdPath, schPath, catalogue) => {
+  const schemaResult = await validateXMLAgainstXSD(xmlContent, xsdPath);
+  const rulesResult = await validateBusinessRules(xmlContent, schPath, schemaResult);
+  const schema = { ...schemaResult, errors: i18n.localizeErrors(catalogue, schemaResult.errors) };
+  const rules = { ...rulesResult, errors: i18n.localizeErrors(catalogue, rulesResult.errors) };
+  return {
+    valid: schema.valid && rules.valid !== false,
+    errors: [...schema.errors, ...rules.errors],
+    schema,
+    businessRules: rules
+  };
+};
 
-      // Address validation
-      if (!ci.address) {
-        errors.push('address is required');
-      } else {
-        if (ci.address.zipCode && !isValidZipCode(ci.address.zipCode)) {
-          errors.push(`Invalid zipCode format: ${ci.address.zipCode} (expected: 12345 or 12345-6789)`);
-        }
-      }
-    }
+// XSLT transformation - applies a registered stylesheet, the same one embedded for D.Signer;
+// labels come from the catalogue (the stylesheet's built-in English texts are the fallback)
+const transformXMLToHTML = async (xmlContent, xslPath, catalogue) => {
+  try {
+    const stylesheet = await xsltProcessor.loadStylesheet(xslPath);
+    const result = xsltProcessor.transform(stylesheet, xmlContent, {
+      messages: i18n.messagesDocument(catalogue),
+      lang: catalogue.locale
+    });
+    return {
+      success: true,
+      html: result.output
+    };
+  } catch (error) {
+    console.error('XML to HTML transformation error:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errors: i18n.localizeErrors(catalogue, [
+        xsdValidator.createError(error.code || 'XSLT_ERROR', error.message, error, { detail: error.detail || error.message })
+      ])
+    };
+  }
+};
 
-    // Validate Emergency Contacts
-    if (!data.emergencyContacts) {
-      errors.push('Missing required element: emergencyContacts');
-    } else {
-      const contacts = Array.isArray(data.emergencyContacts.contact)
-        ? data.emergencyContacts.contact
-        : [data.emergencyContacts.contact];
+/**
+ * Generate the PDF/A-1b rendition of a registration for multi-object signing
+ * Rendered in-process (fonts embedded, XMP metadata, sRGB OutputIntent) so D.Bridge accepts it,
+ * then pre-checked so a non-conforming PDF never reaches D.Signer
+ */
+const generatePDF = async (xmlContent, catalogue) => {
+  try {
+    const pdfBuffer = await pdfaRenderer.renderRegistrationPdf(xmlContent, catalogue);
+    const pdfBase64 = pdfBuffer.toString('base64');
+    const report = await pdfaChecker.checkPdfA(pdfBuffer);
+    report.issues = i18n.localizeErrors(catalogue, report.issues);
 
-      if (contacts.length > 3) {
-        errors.push(`Too many emergency contacts: ${contacts.length} (maximum is 3)`);
-      }
+    console.log('[PDF/A-1] PDF generated successfully');
+    console.log('   - PDF header:', pdfBuffer.toString('latin1', 0, 8));
+    console.log('   - PDF size:', (pdfBase64.length / 1024).toFixed(2), 'KB');
+    console.log('   - Compliance:', report.compliant ? report.conformance : `not ${report.conformance} (${report.issues.map(i => i.code).join(', ')})`);
 
-      contacts.forEach((contact, index) => {
-        if (!contact['@_priority']) {
-          errors.push(`emergencyContacts.contact[${index}] missing required attribute: priority`);
-        } else if (!['Primary', 'Secondary', 'Tertiary'].includes(contact['@_priority'])) {
-          errors.push(`Invalid emergencyContacts.contact[${index}] priority: ${contact['@_priority']} (must be: Primary, Secondary, or Tertiary)`);
-        }
+    return {
+      success: true,
+      pdfBase64: pdfBase64,
+      type: 'pdf-a1',
+      compliance: pdfaRenderer.COMPLIANCE,
+      report: report
+    };
+  } catch (error) {
+    console.error('[PDF/A-1] PDF generation error:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
 
-        if (!contact.relationship) {
-          errors.push(`emergencyContacts.contact[${index}] missing required element: relationship`);
-        } else if (!['Parent', 'Guardian', 'Spouse', 'Sibling', 'Other'].includes(contact.relationship)) {
-          errors.push(`Invalid emergencyContacts.contact[${index}] relationship: ${contact.relationship} (must be: Parent, Guardian, Spouse, Sibling, or Other)`);
-        }
+/**
+ * Error outcome of a request helper, worded in the request's language
+ * @returns {Object} - { status, code, error }
+ */
+const requestError = (req, status, code, params) => ({
+  status,
+  code,
+  error: i18n.translate(req.catalogue, `errors.${code}`, params)
+});
 
-        if (contact.phoneNumber && !isValidPhone(contact.phoneNumber)) {
-          errors.push(`Invalid emergencyContacts.contact[${index}] phoneNumber format: ${contact.phoneNumber}`);
-        }
+/**
+ * Resolve the XML a request refers to: an uploaded file (multipart field "xmlFile"),
+ * a raw XML request body, or the filename of a document already stored in data/
+ * @returns {Promise<Object>} - { xmlContent, filename, uploaded } or { status, code, error }
+ */
+const resolveXmlSource = async (req) => {
+  if (req.file) {
+    return { xmlContent: req.file.buffer.toString('utf8'), filename: req.file.originalname, uploaded: true };
+  }
 
-        if (contact.email && !isValidEmail(contact.email)) {
-          errors.push(`Invalid emergencyContacts.contact[${index}] email format: ${contact.email}`);
-        }
-      });
+  if (typeof req.body === 'string') {
+    if (!req.body.trim()) {
+      return requestError(req, 400, 'REQUEST_BODY_EMPTY');
     }
+    return { xmlContent: req.body, filename: null, uploaded: true };
+  }
 
-    // Validate Courses
-    if (!data.courses) {
-      errors.push('Missing required element: courses');
-    } else {
-      if (!data.courses['@_totalCredits']) {
-        errors.push('courses missing required attribute: totalCredits');
-      }
-
-      const courses = Array.isArray(data.courses.course)
-        ? data.courses.course
-        : [data.courses.course];
-
-      if (courses.length > 8) {
-        errors.push(`Too many courses: ${courses.length} (maximum is 8)`);
-      }
+  const { filename } = req.body || {};
+  if (!filename) {
+    return requestError(req, 400, 'FILENAME_REQUIRED');
+  }
 
-      courses.forEach((course, index) => {
-        if (!course['@_semester']) {
-          errors.push(`courses.course[${index}] missing required attribute: semester`);
-        } else if (!['Fall', 'Spring', 'Summer'].includes(course['@_semester'])) {
-          errors.push(`Invalid courses.course[${index}] semester: ${course['@_semester']} (must be: Fall, Spring, or Summer)`);
-        }
+  let xmlContent;
+  try {
+    xmlContent = await registrations.readXmlFile(filename);
+  } catch (error) {
+    return requestError(req, 400, 'INVALID_FILENAME');
+  }
+  if (xmlContent === null) {
+    return requestError(req, 404, 'XML_FILE_NOT_FOUND');
+  }
+  return { xmlContent, filename, uploaded: false };
+};
 
-        if (!course.courseCode) {
-          errors.push(`courses.course[${index}] missing required element: courseCode`);
-        } else if (!isValidCourseCode(course.courseCode)) {
-          errors.push(`Invalid courses.course[${index}] courseCode format: ${course.courseCode} (expected: 2-4 letters followed by 3-4 digits, e.g., CS101)`);
-        }
+// Uploaded XML is only written to data/ when the caller asks for it with persist=true
+const shouldPersist = (req) => {
+  const flag = req.query.persist !== undefined ? req.query.persist : (req.body && req.body.persist);
+  return flag === true || flag === 'true' || flag === '1';
+};
 
-        if (course.credits !== undefined && course.credits !== null) {
-          const credits = parseInt(course.credits);
-          if (isNaN(credits) || credits < 1 || credits > 6) {
-            errors.push(`Invalid courses.course[${index}] credits: ${course.credits} (must be between 1 and 6)`);
-          }
-        }
+/**
+ * Resolve the presentation stylesheet a request asks for ("stylesheet" in the query or body);
+ * requests without one get the registry default
+ * @returns {Promise<Object>} - { registry, stylesheet } or { status, code, error }
+ */
+const resolveRequestedStylesheet = async (req) => {
+  const registry = await stylesheetRegistry.loadRegistry(STYLESHEET_REGISTRY_PATH);
+  const id = req.query.stylesheet !== undefined ? req.query.stylesheet : (req.body && req.body.stylesheet);
+  const stylesheet = stylesheetRegistry.resolveStylesheet(registry, id);
+  if (!stylesheet) {
+    return requestError(req, 400, 'UNKNOWN_STYLESHEET', { stylesheet: id });
+  }
+  return { registry, stylesheet };
+};
 
-        if (course.schedule) {
-          if (
-              course.schedule.days &&
-              !['MWF', 'TTH', 'MW', 'TH', 'F', 'Daily'].includes(course.schedule.days)
-          ) {
-            errors.push(
-                `Invalid courses.course[${index}] schedule days: ${course.schedule.days} (must be: MWF, TTH, MW, TH, F, or Daily)`
-            );
-          }
-
-          // Update expected format to HH:MM
-          if (course.schedule.startTime && !isValidTime(course.schedule.startTime)) {
-            errors.push(
-                `Invalid courses.course[${index}] schedule startTime: ${course.schedule.startTime} (expected: HH:MM format)`
-            );
-          }
-
-          if (course.schedule.endTime && !isValidTime(course.schedule.endTime)) {
-            errors.push(
-                `Invalid courses.course[${index}] schedule endTime: ${course.schedule.endTime} (expected: HH:MM format)`
-            );
-          }
-        }
-      });
-    }
+// Persisted uploads are indexed when they are registrations with a revision not stored yet
+const persistUploadedXml = async (xmlContent) => {
+  const { record, filename } = await registrations.importXml(xmlContent);
+  if (record) {
+    await indexRegistration(record);
+  }
+  return filename;
+};
 
-    // Validate Additional Info
-    if (data.additionalInfo) {
-      const ai = data.additionalInfo;
+/**
+ * Serialize form data in schema order as the next revision of a registration and store it. The form data
+ * is composed from the latest stored revision while the store holds back other changes, so it cannot be
+ * stale and its revision number cannot be taken by a concurrent save.
+ * @param {string} registrationId - Registration identifier
+ * @param {Function} compose - async (stored form data, null when new) -> { formData (statusHistory included), status, submissionDate }
+ * @returns {Promise<Object>} - { record, revision, filename } from the registration store
+ */
+const storeRevision = async (registrationId, compose) => {
+  const schema = await xsdValidator.loadSchema(path.join('schemas', 'student-registration.xsd'));
+  const saved = await registrations.saveNextRevision(registrationId, async (revision, record) => {
+    const stored = record ? registrationMapper.xmlToFormData(await registrations.readXml(registrationId)) : null;
+    const { formData, ...options } = await compose(stored);
+    return registrationSerializer.serializeRegistration(schema, formData, { ...options, registrationId, revision });
+  });
+  await indexRegistration(saved.record);
+  return saved;
+};
 
-      if (ai.financialAidRequired !== undefined && ai.financialAidRequired !== null) {
-        if (typeof ai.financialAidRequired !== 'boolean' && !['true', 'false'].includes(String(ai.financialAidRequired).toLowerCase())) {
-          errors.push(`Invalid financialAidRequired value: ${ai.financialAidRequired} (must be boolean: true or false)`);
-        }
-      }
+/**
+ * Store edited form data as the next revision of a registration (the first one when new).
+ * The status and its history only change through the workflow, so an edit keeps the stored ones.
+ * @param {Object} formData - Form data
+ * @param {string} registrationId - Registration identifier
+ * @returns {Promise<Object>} - { record, revision, filename } from the registration store
+ */
+const saveRegistration = (formData, registrationId) => storeRevision(registrationId, async (stored) => ({
+  formData: { ...formData, statusHistory: stored ? stored.statusHistory : [] },
+  status: stored ? stored.status : 'pending',
+  submissionDate: new Date().toISOString().split('T')[0]
+}));
+
+// A REG-<epoch> ID no stored registration has yet, for data that brings none
+const newRegistrationId = async () => {
+  let stamp = Date.now();
+  while (await registrations.get(`REG-${stamp}`)) stamp += 1;
+  return `REG-${stamp}`;
+};
 
-      if (ai.housingRequired !== undefined && ai.housingRequired !== null) {
-        if (typeof ai.housingRequired !== 'boolean' && !['true', 'false'].includes(String(ai.housingRequired).toLowerCase())) {
-          errors.push(`Invalid housingRequired value: ${ai.housingRequired} (must be boolean: true or false)`);
-        }
-      }
+/**
+ * Form data of a registration request: { formData } as JSON or the registration XML as a raw body
+ * @returns {Object} - { formData } or { status, code, error }
+ */
+const resolveRegistrationForm = (req) => {
+  if (typeof req.body === 'string') {
+    try {
+      return { formData: registrationMapper.xmlToFormData(req.body) };
+    } catch (error) {
+      return requestError(req, 400, 'INVALID_REGISTRATION_XML');
     }
-
-    return {
-      valid: errors.length === 0,
-      errors: errors
-    };
-  } catch (error) {
-    return {
-      valid: false,
-      errors: [`Validation error: ${error.message}`]
-    };
   }
+  if (!req.body || !req.body.formData) {
+    return requestError(req, 400, 'FORM_DATA_REQUIRED');
+  }
+  return { formData: req.body.formData };
 };
 
-// Helper validation functions
-function isValidDate(dateString) {
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(dateString)) return false;
+const registrationUrl = (registrationId) => `/api/registrations/${encodeURIComponent(registrationId)}`;
 
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date) && dateString === date.toISOString().split('T')[0];
-}
+// Index record of a registration as returned by the API
+const describeRegistration = (record) => ({ ...record, url: registrationUrl(record.registrationId) });
 
-function isValidName(name) {
-  const nameRegex = /^[A-Za-z\s\-'\.]+$/;
-  return nameRegex.test(name);
-}
+// Registration store errors carry a code with a localized message; anything else is a server error
+const sendRegistrationError = (req, res, error, action) => {
+  if (error instanceof registrationStore.RegistrationStoreError) {
+    return res.status(STORE_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}: ${error.message}`
+  });
+};
 
-function isValidEmail(email) {
-  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-  return emailRegex.test(email);
-}
+// Serve the main form page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
-function isValidPhone(phone) {
-  const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-  return phoneRegex.test(phone);
-}
+// Save XML data
+// Compatibility wrapper around the registrations resource: creates a registration or, for a form
+// loaded from a saved registration, stores the next revision
+app.post('/api/save-xml', async (req, res) => {
+  try {
+    const { formData } = req.body;
+    if (!formData) {
+      throw new Error('Form data is required');
+    }
 
-function isValidSSN(ssn) {
-  const ssnRegex = /^\d{3}-\d{2}-\d{4}$/;
-  return ssnRegex.test(ssn);
-}
+    const registrationId = formData.registrationId ? String(formData.registrationId) : await newRegistrationId();
+    const { record, revision, filename } = await saveRegistration(formData, registrationId);
 
-function isValidZipCode(zip) {
-  const zipRegex = /^\d{5}(-\d{4})?$/;
-  return zipRegex.test(String(zip));
-}
+    res.json({
+      success: true,
+      message: 'XML saved successfully',
+      filename: filename,
+      filepath: path.join('data', filename),
+      registrationId: record.registrationId,
+      revision: revision.revision
+    });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'save XML');
+  }
+});
 
-function isValidCourseCode(code) {
-  const courseCodeRegex = /^[A-Z]{2,4}\d{3,4}$/;
-  return courseCodeRegex.test(code);
-}
+// Validate XML against XSD
+// Accepts { filename } for stored documents, a multipart "xmlFile" upload or a raw XML body
+app.post('/api/validate-xml', upload.single('xmlFile'), rawXml, async (req, res) => {
+  try {
+    const xsdPath = path.join('schemas', 'student-registration.xsd');
+    const schPath = path.join('schemas', 'student-registration.sch');
 
-function isValidTime(time) {
-  // Updated to match XSD schema: HH:MM format (24-hour clock)
-  const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
-  return timeRegex.test(time);
-}
+    const source = await resolveXmlSource(req);
+    if (source.error) {
+      return res.status(source.status).json({
+        success: false,
+        error: source.error
+      });
+    }
 
-// Manual HTML transformation function using fast-xml-parser
-const transformXMLToHTML = async (xmlContent) => {
-  try {
-    const { XMLParser } = require('fast-xml-parser');
-
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '@_',
-      textNodeName: '#text',
-      ignoreNameSpace: false,
-      removeNSPrefix: true
-    });
+    if (!await fs.pathExists(xsdPath)) {
+      return res.status(404).json({
+        success: false,
+        error: i18n.translate(req.catalogue, 'errors.XSD_FILE_NOT_FOUND')
+      });
+    }
 
-    const jsonObj = parser.parse(xmlContent);
-    const studentData = jsonObj.studentRegistration;
-
-    if (!studentData) {
-      throw new Error('Invalid XML structure - studentRegistration element not found');
-    }
-
-    // Build HTML manually
-    const html = `<!DOCTYPE html>
-<html>
-<head>
-    <title>Student Registration Form</title>
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .form-container {
-            background-color: white;
-            padding: 30px;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .header {
-            text-align: center;
-            border-bottom: 3px solid #2c3e50;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .section {
-            margin-bottom: 25px;
-            border: 1px solid #ddd;
-            border-radius: 5px;
-            padding: 15px;
-        }
-        .section-title {
-            background-color: #34495e;
-            color: white;
-            padding: 10px;
-            margin: -15px -15px 15px -15px;
-            border-radius: 5px 5px 0 0;
-            font-weight: bold;
-            font-size: 16px;
-        }
-        .field-group {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 15px;
-            margin-bottom: 10px;
-        }
-        .field {
-            flex: 1;
-            min-width: 200px;
-        }
-        .field-label {
-            font-weight: bold;
-            color: #2c3e50;
-            margin-bottom: 5px;
-        }
-        .field-value {
-            padding: 8px;
-            border: 1px solid #bdc3c7;
-            border-radius: 3px;
-            background-color: #ecf0f1;
-            min-height: 20px;
-        }
-        .table {
-            width: 100%;
-            border-collapse: collapse;
-            margin-top: 10px;
-        }
-        .table th, .table td {
-            border: 1px solid #ddd;
-            padding: 8px;
-            text-align: left;
-        }
-        .table th {
-            background-color: #34495e;
-            color: white;
-        }
-        .table tr:nth-child(even) {
-            background-color: #f9f9f9;
-        }
-        .status-badge {
-            display: inline-block;
-            padding: 5px 10px;
-            border-radius: 15px;
-            font-size: 12px;
-            font-weight: bold;
-            text-transform: uppercase;
-        }
-        .status-pending {
-            background-color: #f39c12;
-            color: white;
-        }
-        .status-approved {
-            background-color: #27ae60;
-            color: white;
-        }
-        .status-rejected {
-            background-color: #e74c3c;
-            color: white;
-        }
-        .boolean-yes {
-            color: #27ae60;
-            font-weight: bold;
-        }
-        .boolean-no {
-            color: #e74c3c;
-            font-weight: bold;
-        }
-    </style>
-</head>
-<body>
-    <div class="form-container">
-        <div class="header">
-            <h1>UNIVERSITY STUDENT REGISTRATION FORM</h1>
-            <p><strong>Registration ID:</strong> ${studentData['@_registrationId'] || 'N/A'}</p>
-            <p><strong>Submission Date:</strong> ${studentData['@_submissionDate'] || 'N/A'}</p>
-            <p><strong>Status:</strong>
-                <span class="status-badge status-${studentData['@_status'] || 'pending'}">
-                    ${(studentData['@_status'] || 'pending').toUpperCase()}
-                </span>
-            </p>
-        </div>
-
-        <!-- Personal Information Section -->
-        <div class="section">
-            <div class="section-title">Personal Information</div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">First Name</div>
-                    <div class="field-value">${studentData.personalInfo?.firstName || 'N/A'}</div>
-                </div>
-                <div class="field">
-                    <div class="field-label">Last Name</div>
-                    <div class="field-value">${studentData.personalInfo?.lastName || 'N/A'}</div>
-                </div>
-                ${studentData.personalInfo?.middleName ? `
-                <div class="field">
-                    <div class="field-label">Middle Name</div>
-                    <div class="field-value">${studentData.personalInfo.middleName}</div>
-                </div>` : ''}
-            </div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Date of Birth</div>
-                    <div class="field-value">${studentData.personalInfo?.dateOfBirth || 'N/A'}</div>
-                </div>
-                <div class="field">
-                    <div class="field-label">Gender</div>
-                    <div class="field-value">${studentData.personalInfo?.gender || 'N/A'}</div>
-                </div>
-                <div class="field">
-                    <div class="field-label">Nationality</div>
-                    <div class="field-value">${studentData.personalInfo?.nationality || 'N/A'}</div>
-                </div>
-            </div>
-            <div class="field-group">
-                ${studentData.personalInfo?.socialSecurityNumber ? `
-                <div class="field">
-                    <div class="field-label">Social Security Number</div>
-                    <div class="field-value">${studentData.personalInfo.socialSecurityNumber}</div>
-                </div>` : ''}
-                <div class="field">
-                    <div class="field-label">Marital Status</div>
-                    <div class="field-value">${studentData.personalInfo?.maritalStatus || 'N/A'}</div>
-                </div>
-            </div>
-        </div>
-
-        <!-- Contact Information Section -->
-        <div class="section">
-            <div class="section-title">Contact Information</div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Address</div>
-                    <div class="field-value">
-                        ${studentData.contactInfo?.address?.street || 'N/A'}<br/>
-                        ${studentData.contactInfo?.address?.city || 'N/A'},
-                        ${studentData.contactInfo?.address?.state || 'N/A'}
-                        ${studentData.contactInfo?.address?.zipCode || 'N/A'}<br/>
-                        ${studentData.contactInfo?.address?.country || 'N/A'}
-                    </div>
-                </div>
-            </div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Phone Number</div>
-                    <div class="field-value">${studentData.contactInfo?.phoneNumber || 'N/A'}</div>
-                </div>
-                ${studentData.contactInfo?.alternatePhone ? `
-                <div class="field">
-                    <div class="field-label">Alternate Phone</div>
-                    <div class="field-value">${studentData.contactInfo.alternatePhone}</div>
-                </div>` : ''}
-            </div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Email</div>
-                    <div class="field-value">${studentData.contactInfo?.email || 'N/A'}</div>
-                </div>
-                ${studentData.contactInfo?.alternateEmail ? `
-                <div class="field">
-                    <div class="field-label">Alternate Email</div>
-                    <div class="field-value">${studentData.contactInfo.alternateEmail}</div>
-                </div>` : ''}
-            </div>
-        </div>
-
-        <!-- Academic Information Section -->
-        <div class="section">
-            <div class="section-title">Academic Information</div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Program</div>
-                    <div class="field-value">${studentData.academicInfo?.program || 'N/A'}</div>
-                </div>
-                <div class="field">
-                    <div class="field-label">Major</div>
-                    <div class="field-value">${studentData.academicInfo?.major || 'N/A'}</div>
-                </div>
-                ${studentData.academicInfo?.minor ? `
-                <div class="field">
-                    <div class="field-label">Minor</div>
-                    <div class="field-value">${studentData.academicInfo.minor}</div>
-                </div>` : ''}
-            </div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Expected Graduation Year</div>
-                    <div class="field-value">${studentData.academicInfo?.expectedGraduationYear || 'N/A'}</div>
-                </div>
-                ${studentData.academicInfo?.gpa ? `
-                <div class="field">
-                    <div class="field-label">Current GPA</div>
-                    <div class="field-value">${studentData.academicInfo.gpa}</div>
-                </div>` : ''}
-                <div class="field">
-                    <div class="field-label">Transfer Student</div>
-                    <div class="field-value">
-                        <span class="boolean-${studentData.academicInfo?.isTransferStudent ? 'yes' : 'no'}">
-                            ${studentData.academicInfo?.isTransferStudent ? 'Yes' : 'No'}
-                        </span>
-                    </div>
-                </div>
-            </div>
-
-            ${studentData.academicInfo?.previousEducation ? `
-            <h4>Previous Education</h4>
-            <table class="table">
-                <thead>
-                    <tr>
-                        <th>Level</th>
-                        <th>Institution</th>
-                        <th>Degree</th>
-                        <th>Graduation Year</th>
-                        <th>GPA</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td>${studentData.academicInfo.previousEducation['@_level'] || 'N/A'}</td>
-                        <td>${studentData.academicInfo.previousEducation.institutionName || 'N/A'}</td>
-                        <td>${studentData.academicInfo.previousEducation.degree || 'N/A'}</td>
-                        <td>${studentData.academicInfo.previousEducation.graduationYear || 'N/A'}</td>
-                        <td>${studentData.academicInfo.previousEducation.gpa || 'N/A'}</td>
-                    </tr>
-                </tbody>
-            </table>` : ''}
-        </div>
-
-        <!-- Emergency Contacts Section -->
-        <div class="section">
-            <div class="section-title">Emergency Contacts</div>
-            <table class="table">
-                <thead>
-                    <tr>
-                        <th>Priority</th>
-                        <th>Name</th>
-                        <th>Relationship</th>
-                        <th>Phone</th>
-                        <th>Email</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${Array.isArray(studentData.emergencyContacts?.contact)
-                        ? studentData.emergencyContacts.contact.map(contact => `
-                    <tr>
-                        <td>${contact['@_priority'] || 'N/A'}</td>
-                        <td>${contact.name || 'N/A'}</td>
-                        <td>${contact.relationship || 'N/A'}</td>
-                        <td>+${contact.phoneNumber || 'N/A'}</td>
-                        <td>${contact.email || 'N/A'}</td>
-                    </tr>`).join('')
-                        : `<tr><td colspan="5">No emergency contacts</td></tr>`}
-                </tbody>
-            </table>
-        </div>
-
-        <!-- Courses Section -->
-        <div class="section">
-            <div class="section-title">Course Registration (Total Credits: ${studentData.courses?.['@_totalCredits'] || '0'})</div>
-            <table class="table">
-                <thead>
-                    <tr>
-                        <th>Course Code</th>
-                        <th>Course Name</th>
-                        <th>Credits</th>
-                        <th>Semester</th>
-                        <th>Instructor</th>
-                        <th>Schedule</th>
-                        <th>Room</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${Array.isArray(studentData.courses?.course)
-                        ? studentData.courses.course.map(course => `
-                    <tr>
-                        <td>${course.courseCode || 'N/A'}</td>
-                        <td>${course.courseName || 'N/A'}</td>
-                        <td>${course.credits || 'N/A'}</td>
-                        <td>${course['@_semester'] || 'N/A'}</td>
-                        <td>${course.instructor || 'N/A'}</td>
-                        <td>
-                            ${course.schedule?.days || 'N/A'}
-                            ${course.schedule?.startTime || 'N/A'} -
-                            ${course.schedule?.endTime || 'N/A'}
-                        </td>
-                        <td>${course.schedule?.room || 'N/A'}</td>
-                    </tr>`).join('')
-                        : `<tr><td colspan="7">No courses registered</td></tr>`}
-                </tbody>
-            </table>
-        </div>
-
-        ${studentData.additionalInfo ? `
-        <!-- Additional Information Section -->
-        <div class="section">
-            <div class="section-title">Additional Information</div>
-            <div class="field-group">
-                ${studentData.additionalInfo.specialNeeds ? `
-                <div class="field">
-                    <div class="field-label">Special Needs</div>
-                    <div class="field-value">${studentData.additionalInfo.specialNeeds}</div>
-                </div>` : ''}
-                ${studentData.additionalInfo.medicalConditions ? `
-                <div class="field">
-                    <div class="field-label">Medical Conditions</div>
-                    <div class="field-value">${studentData.additionalInfo.medicalConditions}</div>
-                </div>` : ''}
-            </div>
-            <div class="field-group">
-                ${studentData.additionalInfo.extracurricularActivities ? `
-                <div class="field">
-                    <div class="field-label">Extracurricular Activities</div>
-                    <div class="field-value">${studentData.additionalInfo.extracurricularActivities}</div>
-                </div>` : ''}
-                ${studentData.additionalInfo.workExperience ? `
-                <div class="field">
-                    <div class="field-label">Work Experience</div>
-                    <div class="field-value">${studentData.additionalInfo.workExperience}</div>
-                </div>` : ''}
-            </div>
-            <div class="field-group">
-                <div class="field">
-                    <div class="field-label">Financial Aid Required</div>
-                    <div class="field-value">
-                        <span class="boolean-${studentData.additionalInfo.financialAidRequired ? 'yes' : 'no'}">
-                            ${studentData.additionalInfo.financialAidRequired ? 'Yes' : 'No'}
-                        </span>
-                    </div>
-                </div>
-                <div class="field">
-                    <div class="field-label">Housing Required</div>
-                    <div class="field-value">
-                        <span class="boolean-${studentData.additionalInfo.housingRequired ? 'yes' : 'no'}">
-                            ${studentData.additionalInfo.housingRequired ? 'Yes' : 'No'}
-                        </span>
-                    </div>
-                </div>
-            </div>
-        </div>` : ''}
-    </div>
-</body>
-</html>`;
+    // Validate XML against the schema and the business rules
+    const validationResult = await validateRegistration(source.xmlContent, xsdPath, schPath, req.catalogue);
 
-    return {
+    const response = {
       success: true,
-      html: html,
-      studentData: studentData // For debugging
+      locale: req.locale,
+      validation: validationResult
     };
+    if (source.uploaded && shouldPersist(req)) {
+      response.filename = await persistUploadedXml(source.xmlContent);
+      response.persisted = true;
+    }
+
+    // The outcome is listed with stored files (see /api/xml-files)
+    const storedFilename = source.uploaded ? response.filename : source.filename;
+    if (storedFilename) {
+      await registrations.recordValidation(storedFilename, {
+        valid: validationResult.valid,
+        errorCount: validationResult.errors.length,
+        validatedAt: new Date().toISOString()
+      });
+    }
+    res.json(response);
   } catch (error) {
-    console.error('XML to HTML transformation error:', error);
-    return {
+    res.status(500).json({
       success: false,
-      error: error.message
-    };
+      error: `Validation failed: ${error.message}`
+    });
   }
-};
-
-/**
- * Generate PDF/A-1 compliant PDF from HTML content
- * Used for creating PDF version of XML for multi-object signing
- * Fallback: If LibreOffice is not available, uses pdfkit (non-compliant)
- */
-const generatePDFFromHTML = async (htmlContent) => {
-  const fs = require('fs');
-  const path = require('path');
-  const { execSync } = require('child_process');
-  const os = require('os');
+});
 
+// Transform XML to HTML
+// Accepts { filename } for stored documents, a multipart "xmlFile" upload or a raw XML body
+app.post('/api/transform-xml', upload.single('xmlFile'), rawXml, async (req, res) => {
   try {
-    // Step 1: Create temporary HTML file
-    const tempDir = os.tmpdir();
-    const htmlFileName = `temp-${Date.now()}.html`;
-    const htmlFilePath = path.join(tempDir, htmlFileName);
-    const pdfFileName = `temp-${Date.now()}.pdf`;
-    const pdfFilePath = path.join(tempDir, pdfFileName);
-
-    console.log('[PDF/A-1] Creating temporary HTML file...');
-    fs.writeFileSync(htmlFilePath, htmlContent, 'utf8');
-
-    try {
-      // Step 2: Try to use LibreOffice to generate PDF/A-1
-      console.log('[PDF/A-1] Converting HTML to PDF/A-1 using LibreOffice...');
+    const selection = await resolveRequestedStylesheet(req);
+    if (selection.error) {
+      return res.status(selection.status).json({
+        success: false,
+        error: selection.error
+      });
+    }
+    const { registry, stylesheet } = selection;
+    const xslPath = stylesheet.path;
 
-      // LibreOffice command for PDF/A-1 generation
-      // SelectPdfVersion=1 means PDF/A-1b
-      const command = `soffice --headless --convert-to pdf:"writer_pdf_Export:SelectPdfVersion=1" --outdir "${tempDir}" "${htmlFilePath}"`;
+    const source = await resolveXmlSource(req);
+    if (source.error) {
+      return res.status(source.status).json({
+        success: false,
+        error: source.error
+      });
+    }
+    
+    if (!await fs.pathExists(xslPath)) {
+      return res.status(404).json({
+        success: false,
+        error: i18n.translate(req.catalogue, 'errors.XSL_FILE_NOT_FOUND')
+      });
+    }
+    
+    // Transform XML to HTML
+    const transformResult = await transformXMLToHTML(source.xmlContent, xslPath, req.catalogue);
+    
+    if (!transformResult.success) {
+      // Malformed input is the client's fault; stylesheet and processing errors are ours
+      const status = transformResult.errors[0].code === 'XML_PARSE_ERROR' ? 400 : 500;
+      return res.status(status).json({
+        success: false,
+        error: transformResult.error,
+        errors: transformResult.errors
+      });
+    }
 
-      console.log('[PDF/A-1] Executing:', command);
-      execSync(command, { stdio: 'pipe', timeout: 30000 });
+    // Uploaded XML is transformed in memory; stored documents (or persist=true) also save the HTML
+    if (source.uploaded && !shouldPersist(req)) {
+      return res.json({
+        success: true,
+        message: 'XML transformed to HTML successfully',
+        stylesheet: stylesheet.id,
+        locale: req.locale,
+        html: transformResult.html
+      });
+    }
 
-      // Step 3: Read the generated PDF
-      console.log('[PDF/A-1] Reading generated PDF...');
-      const pdfBuffer = fs.readFileSync(pdfFilePath);
-      const pdfBase64 = pdfBuffer.toString('base64');
+    // The default view keeps the plain <name>.html; other views get <name>.<id>.html.
+    // Views of stored registrations are recorded as artifacts of their revision.
+    const filename = source.uploaded ? await persistUploadedXml(source.xmlContent) : source.filename;
+    const isDefault = stylesheet.id === registry.defaultId;
+    const stored = await registrations.findByFilename(filename);
+    let htmlFilename;
+    if (stored) {
+      const artifact = await registrations.writeArtifact(stored.record.registrationId, stored.revision.revision, 'html',
+        transformResult.html, { stylesheet: stylesheet.id, default: isDefault });
+      htmlFilename = artifact.filename;
+    } else {
+      htmlFilename = filename.replace('.xml', isDefault ? '.html' : `.${stylesheet.id}.html`);
+      await storage.write('output', htmlFilename, transformResult.html);
+    }
+    const htmlPath = path.join('output', htmlFilename);
 
-      // Step 4: Verify PDF header
-      const pdfHeader = pdfBuffer.toString('utf8', 0, 10);
-      console.log('[PDF/A-1] PDF generated successfully');
-      console.log('   - PDF header:', pdfHeader);
-      console.log('   - PDF size:', (pdfBase64.length / 1024).toFixed(2), 'KB');
-      console.log('   - Compliance: PDF/A-1b');
+    const response = {
+      success: true,
+      message: 'XML transformed to HTML successfully',
+      stylesheet: stylesheet.id,
+      locale: req.locale,
+      htmlFilename: htmlFilename,
+      htmlPath: htmlPath,
+      html: transformResult.html
+    };
+    if (source.uploaded) {
+      response.filename = filename;
+      response.persisted = true;
+    }
+    if (stored) {
+      response.registrationId = stored.record.registrationId;
+      response.revision = stored.revision.revision;
+    }
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Transformation failed: ${error.message}`
+    });
+  }
+});
 
-      // Cleanup
-      try {
-        fs.unlinkSync(htmlFilePath);
-        fs.unlinkSync(pdfFilePath);
-      } catch (e) {
-        // Ignore cleanup errors
-      }
+// Get list of saved XML files
+// Each item describes the file and the registration revision it holds, with the last validation
+// result and whether a signed container exists. Filters: program, status (comma-separated),
+// from / to (submission date); sort=<field> or -<field> (default -modified); limit and cursor.
+// `files` keeps the plain filenames of the page for older clients.
+app.get('/api/xml-files', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = registrationListing.parseListingQuery(req.query);
+    } catch (error) {
+      if (!(error instanceof registrationListing.ListingError)) throw error;
+      return res.status(400).json({
+        success: false,
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+      });
+    }
 
+    const xmlFiles = await registrations.listXmlFiles();
+    const items = await Promise.all(xmlFiles.map(async (file) => {
+      const description = await registrationListing.describeXmlFile(storage, file);
+      const stored = await registrations.findByFilename(file);
+      // Removed since it was listed
+      if (!description) return null;
       return {
-        success: true,
-        pdfBase64: pdfBase64,
-        type: 'pdf-a1',
-        compliance: 'PDF/A-1b'
+        ...description,
+        validation: (stored && stored.revision.validation) || null,
+        signed: Boolean(stored && stored.revision.signed.length > 0)
       };
-    } catch (libreOfficeError) {
-      console.warn('[PDF/A-1] LibreOffice conversion failed:', libreOfficeError.message);
-      console.log('[PDF/A-1] Falling back to pdfkit (non-compliant)...');
+    }));
+    const page = registrationListing.queryListing(items.filter(Boolean), options);
 
-      // Cleanup
-      try {
-        fs.unlinkSync(htmlFilePath);
-        if (fs.existsSync(pdfFilePath)) fs.unlinkSync(pdfFilePath);
-      } catch (e) {
-        // Ignore cleanup errors
-      }
+    res.json({
+      success: true,
+      files: page.items.map(item => item.filename),
+      items: page.items,
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to list files: ${error.message}`
+    });
+  }
+});
 
-      // Fallback to pdfkit
-      return await generatePDFWithPdfKit(htmlContent);
-    }
+// Form texts of the negotiated locale, plus the locales a client can switch between
+app.get('/api/i18n', async (req, res) => {
+  try {
+    const locales = await Promise.all(i18n.SUPPORTED_LOCALES.map(async locale => {
+      const catalogue = await i18n.loadCatalogue(locale);
+      return { locale, name: catalogue.name };
+    }));
+    res.json({
+      success: true,
+      locale: req.locale,
+      locales: locales,
+      messages: req.catalogue.form
+    });
   } catch (error) {
-    console.error('[PDF/A-1] PDF generation error:', error.message);
-    return {
+    res.status(500).json({
       success: false,
-      error: error.message
-    };
+      error: `Failed to load messages: ${error.message}`
+    });
   }
-};
+});
 
-/**
- * Fallback PDF generation using pdfkit
- * Note: This generates standard PDF, NOT PDF/A-1 compliant
- * Used only when LibreOffice is not available
- */
-const generatePDFWithPdfKit = async (htmlContent) => {
+// List the presentation stylesheets that can be used for transformation and signing
+app.get('/api/stylesheets', async (req, res) => {
   try {
-    const PDFDocument = require('pdfkit');
-    const { stripHtml } = require('string-strip-html');
+    const registry = await stylesheetRegistry.loadRegistry(STYLESHEET_REGISTRY_PATH);
+    res.json({
+      success: true,
+      default: registry.defaultId,
+      stylesheets: registry.stylesheets.map(stylesheet => stylesheetRegistry.describeStylesheet(registry, stylesheet))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to list stylesheets: ${error.message}`
+    });
+  }
+});
 
-    return new Promise((resolve, reject) => {
-      try {
-        // Create a PDF document
-        const doc = new PDFDocument({
-          size: 'A4',
-          margin: 50,
-          bufferPages: true,
-          autoFirstPage: true
-        });
+// Map a saved registration back to form data so it can be edited in the web form
+// Accepts { filename } for stored documents, a multipart "xmlFile" upload or a raw XML body
+app.post('/api/load-xml', upload.single('xmlFile'), rawXml, async (req, res) => {
+  try {
+    const source = await resolveXmlSource(req);
+    if (source.error) {
+      return res.status(source.status).json({
+        success: false,
+        error: source.error
+      });
+    }
 
-        // Extract text from HTML (remove HTML tags)
-        const plainText = stripHtml(htmlContent).result;
-
-        // Add metadata
-        doc.info.Title = 'Student Registration Document';
-        doc.info.Author = 'SIPVS-1 System';
-        doc.info.Subject = 'Student Registration';
-        doc.info.Keywords = 'student, registration, university';
-        doc.info.Producer = 'SIPVS-1';
-        doc.info.Creator = 'SIPVS-1';
-
-        // Add title
-        doc.fontSize(16).font('Helvetica-Bold').text('Student Registration Document', { align: 'center' });
-        doc.moveDown();
-
-        // Add content
-        doc.fontSize(11).font('Helvetica').text(plainText, {
-          align: 'left',
-          width: 500,
-          lineGap: 4
-        });
+    let formData;
+    try {
+      formData = registrationMapper.xmlToFormData(source.xmlContent);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
-        // Collect PDF data
-        const chunks = [];
-        doc.on('data', (chunk) => {
-          chunks.push(chunk);
-        });
+    res.json({
+      success: true,
+      filename: source.filename,
+      formData: formData
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to load XML: ${error.message}`
+    });
+  }
+});
 
-        doc.on('end', () => {
-          const pdfBuffer = Buffer.concat(chunks);
-          const pdfBase64 = pdfBuffer.toString('base64');
+// ============================================================================
+// REGISTRATIONS - stored registrations addressed by registrationId
+// ============================================================================
 
-          console.warn('[PDFKIT] Generated standard PDF (NOT PDF/A-1 compliant)');
-          console.log('   - PDF size:', (pdfBase64.length / 1024).toFixed(2), 'KB');
-          console.log('   - Compliance: Standard PDF (may fail D.Bridge validation)');
+// List stored registrations, most recently updated first
+app.get('/api/registrations', async (req, res) => {
+  try {
+    const records = await registrations.list();
+    res.json({
+      success: true,
+      registrations: records.map(describeRegistration)
+    });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'list registrations');
+  }
+});
 
-          resolve({
-            success: true,
-            pdfBase64: pdfBase64,
-            type: 'pdf',
-            compliance: 'Standard PDF (non-compliant)'
-          });
-        });
+// Create a registration from { formData } or registration XML; the ID in the data is kept unless taken
+app.post('/api/registrations', rawXml, async (req, res) => {
+  try {
+    const form = resolveRegistrationForm(req);
+    if (form.error) {
+      return res.status(form.status).json({
+        success: false,
+        error: form.error
+      });
+    }
 
-        doc.on('error', (error) => {
-          reject(error);
-        });
+    const registrationId = form.formData.registrationId ? String(form.formData.registrationId) : await newRegistrationId();
+    if (await registrations.get(registrationId)) {
+      const conflict = requestError(req, 409, 'REGISTRATION_EXISTS', { registrationId });
+      return res.status(conflict.status).json({
+        success: false,
+        error: conflict.error
+      });
+    }
 
-        // Finalize the PDF
-        doc.end();
-      } catch (error) {
-        reject(error);
-      }
+    const { record } = await saveRegistration(form.formData, registrationId);
+    res.status(201).location(registrationUrl(registrationId)).json({
+      success: true,
+      registration: describeRegistration(record)
     });
   } catch (error) {
-    console.error('[PDFKIT] PDF generation error:', error.message);
-    return {
-      success: false,
-      error: error.message
-    };
+    sendRegistrationError(req, res, error, 'create registration');
   }
-};
-
-// Serve the main form page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Save XML data
-app.post('/api/save-xml', async (req, res) => {
+// A registration's index record and the form data of its latest revision
+app.get('/api/registrations/:registrationId', async (req, res) => {
   try {
-    const { formData } = req.body;
-    
-    // Convert form data to XML
-    const xmlData = buildXMLFromFormData(formData);
-    
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `student-registration-${timestamp}.xml`;
-    const filepath = path.join('data', filename);
-    
-    // Save XML file
-    await fs.writeFile(filepath, xmlData, 'utf8');
-    
+    const { registrationId } = req.params;
+    const record = await registrations.get(registrationId);
+    if (!record) {
+      const missing = requestError(req, 404, 'REGISTRATION_NOT_FOUND', { registrationId });
+      return res.status(missing.status).json({
+        success: false,
+        error: missing.error
+      });
+    }
+
     res.json({
       success: true,
-      message: 'XML saved successfully',
-      filename: filename,
-      filepath: filepath
+      registration: describeRegistration(record),
+      formData: registrationMapper.xmlToFormData(await registrations.readXml(registrationId))
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: `Failed to save XML: ${error.message}`
-    });
+    sendRegistrationError(req, res, error, 'load registration');
   }
 });
 
-// Validate XML against XSD
-app.post('/api/validate-xml', async (req, res) => {
+// One registration in the format asked for by an extension (document.pdf) or the Accept header:
+// XML, form data JSON, HTML (?stylesheet=), PDF/A or plain text; ?revision= picks an older revision.
+// Renditions are cached by the hash of the XML, so repeated requests are not rendered again.
+app.get('/api/registrations/:registrationId/document{.:format}', async (req, res) => {
   try {
-    const { filename } = req.body;
-
-    if (!filename) {
-      return res.status(400).json({
+    const format = renditions.negotiateFormat(req, req.params.format);
+    if (!format) {
+      const unacceptable = requestError(req, 406, 'NOT_ACCEPTABLE', { formats: Object.keys(renditions.FORMATS).join(', ') });
+      return res.status(unacceptable.status).json({
         success: false,
-        error: 'Filename is required'
+        error: unacceptable.error
       });
     }
 
-    const xmlPath = path.join('data', filename);
-    const xsdPath = path.join('schemas', 'student-registration.xsd');
+    const { registrationId } = req.params;
+    const xmlContent = await registrations.readXml(registrationId, req.query.revision);
+    const hash = renditions.hashXml(xmlContent);
+
+    // The variant names everything besides the XML that the output depends on
+    let variant = format;
+    let produce;
+    if (format === 'json') {
+      produce = async () => JSON.stringify(registrationMapper.xmlToFormData(xmlContent), null, 2);
+    } else if (format === 'html') {
+      const selection = await resolveRequestedStylesheet(req);
+      if (selection.error) {
+        return res.status(selection.status).json({
+          success: false,
+          error: selection.error
+        });
+      }
+      const { stylesheet } = selection;
+      const xslHash = renditions.hashXml(await fs.readFile(stylesheet.path, 'utf8')).slice(0, 12);
+      variant = `html.${stylesheet.id}.${xslHash}.${req.locale}`;
+      produce = async () => {
+        const transformResult = await transformXMLToHTML(xmlContent, stylesheet.path, req.catalogue);
+        if (!transformResult.success) {
+          throw Object.assign(new Error(transformResult.error), { errors: transformResult.errors });
+        }
+        return transformResult.html;
+      };
+    } else if (format === 'pdf') {
+      variant = `pdf.${req.locale}`;
+      produce = () => pdfaRenderer.renderRegistrationPdf(xmlContent, req.catalogue);
+    } else if (format === 'txt') {
+      variant = `txt.${req.locale}`;
+      produce = async () => textRenderer.renderRegistrationText(xmlContent, req.catalogue);
+    }
 
-    // Check if files exist
-    if (!await fs.pathExists(xmlPath)) {
-      return res.status(404).json({
+    res.set({
+      ETag: `"${hash.slice(0, 16)}-${variant}"`,
+      Vary: 'Accept, Accept-Language'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // The stored XML is its own rendition
+    const { content, cached } = format === 'xml'
+      ? { content: Buffer.from(xmlContent, 'utf8'), cached: true }
+      : await renditionCache.render(hash, variant, produce);
+    const [mediaType] = renditions.FORMATS[format];
+    res.set({
+      'Content-Type': format === 'pdf' ? mediaType : `${mediaType}; charset=utf-8`,
+      'Content-Disposition': `inline; filename="${registrationId}.${format}"`,
+      'X-Rendition-Cache': cached ? 'hit' : 'miss'
+    });
+    res.send(content);
+  } catch (error) {
+    if (error.errors) {
+      return res.status(500).json({
         success: false,
-        error: 'XML file not found'
+        error: error.message,
+        errors: error.errors
       });
     }
+    sendRegistrationError(req, res, error, 'render registration');
+  }
+});
 
-    if (!await fs.pathExists(xsdPath)) {
-      return res.status(404).json({
+// Store new content of a registration as its next revision
+app.put('/api/registrations/:registrationId', rawXml, async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    if (!await registrations.get(registrationId)) {
+      const missing = requestError(req, 404, 'REGISTRATION_NOT_FOUND', { registrationId });
+      return res.status(missing.status).json({
         success: false,
-        error: 'XSD schema file not found'
+        error: missing.error
       });
     }
 
-    // Read XML content
-    const xmlContent = await fs.readFile(xmlPath, 'utf8');
-
-    // Validate XML
-    const validationResult = await validateXMLAgainstXSD(xmlContent, xsdPath);
+    const form = resolveRegistrationForm(req);
+    if (form.error) {
+      return res.status(form.status).json({
+        success: false,
+        error: form.error
+      });
+    }
+    const given = form.formData.registrationId;
+    if (given && String(given) !== registrationId) {
+      const mismatch = requestError(req, 400, 'REGISTRATION_ID_MISMATCH', { given, registrationId });
+      return res.status(mismatch.status).json({
+        success: false,
+        error: mismatch.error
+      });
+    }
 
+    const { record } = await saveRegistration(form.formData, registrationId);
     res.json({
       success: true,
-      validation: validationResult
+      registration: describeRegistration(record)
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: `Validation failed: ${error.message}`
-    });
+    sendRegistrationError(req, res, error, 'update registration');
   }
 });
 
-// Transform XML to HTML
-app.post('/api/transform-xml', async (req, res) => {
+// Full-text search over stored registrations: every term must match a word prefix, ignoring case
+// and diacritics; "field:term" searches one field (name, email, program, major, minor, course,
+// instructor, info, requests, registrationId). Results carry <mark>-highlighted snippets.
+app.get('/api/search', async (req, res) => {
   try {
-    const { filename } = req.body;
-    
-    if (!filename) {
+    await ensureSearchIndex();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    let found;
+    try {
+      found = registrationSearch.search(req.query.q, { limit });
+    } catch (error) {
+      if (!(error instanceof searchIndex.SearchQueryError)) throw error;
       return res.status(400).json({
         success: false,
-        error: 'Filename is required'
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
       });
     }
-    
-    const xmlPath = path.join('data', filename);
-    const xslPath = path.join('stylesheets', 'student-registration.xsl');
-    
-    // Check if files exist
-    if (!await fs.pathExists(xmlPath)) {
-      return res.status(404).json({
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      total: found.total,
+      results: found.results.map(result => ({
+        ...result.meta,
+        url: registrationUrl(result.docId),
+        score: result.score,
+        highlights: result.highlights
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Search failed: ${error.message}`
+    });
+  }
+});
+
+// Field-level differences between two revisions: ?from= (default: the one before ?to=) and
+// ?to= (default: the latest)
+app.get('/api/registrations/:registrationId/diff', async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    const record = await registrations.get(registrationId);
+    if (!record) {
+      const missing = requestError(req, 404, 'REGISTRATION_NOT_FOUND', { registrationId });
+      return res.status(missing.status).json({
         success: false,
-        error: 'XML file not found'
+        error: missing.error
       });
     }
-    
-    if (!await fs.pathExists(xslPath)) {
-      return res.status(404).json({
-        success: false,
-        error: 'XSL stylesheet not found'
-      });
+    // Both revisions as asked for: whole numbers from 1, of revisions the registration has
+    const requested = {};
+    for (const parameter of ['to', 'from'].filter(name => req.query[name] !== undefined)) {
+      const value = String(req.query[parameter]);
+      if (!/^[1-9]\d*$/.test(value)) {
+        const invalid = requestError(req, 400, 'INVALID_REVISION', { parameter, value });
+        return res.status(invalid.status).json({
+          success: false,
+          error: invalid.error
+        });
+      }
+      requested[parameter] = Number(value);
     }
-    
-    // Read XML content
-    const xmlContent = await fs.readFile(xmlPath, 'utf8');
-    
-    // Transform XML to HTML
-    const transformResult = await transformXMLToHTML(xmlContent);
-    
-    if (transformResult.success) {
-      // Save HTML output
-      const htmlFilename = filename.replace('.xml', '.html');
-      const htmlPath = path.join('output', htmlFilename);
-      await fs.writeFile(htmlPath, transformResult.html, 'utf8');
-      
-      res.json({
-        success: true,
-        message: 'XML transformed to HTML successfully',
-        htmlFilename: htmlFilename,
-        htmlPath: htmlPath,
-        html: transformResult.html
-      });
-    } else {
-      res.status(500).json({
+    const unknown = Object.values(requested).find(revision => !record.revisions.some(r => r.revision === revision));
+    if (unknown !== undefined) {
+      const missing = requestError(req, 404, 'REVISION_NOT_FOUND', { registrationId, revision: unknown });
+      return res.status(missing.status).json({
         success: false,
-        error: transformResult.error
+        error: missing.error
       });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: `Transformation failed: ${error.message}`
+    const to = requested.to !== undefined ? requested.to : record.revision;
+    const from = requested.from !== undefined ? requested.from : Math.max(1, to - 1);
+
+    const [before, after] = await Promise.all([from, to].map(async revision =>
+      registrationMapper.xmlToFormData(await registrations.readXml(registrationId, revision))));
+    const describeRevision = revision => {
+      const { html, pdf, signed, ...entry } = record.revisions.find(r => r.revision === revision);
+      return entry;
+    };
+
+    res.json({
+      success: true,
+      registrationId,
+      from: describeRevision(from),
+      to: describeRevision(to),
+      before,
+      after,
+      diff: registrationDiff.diffRegistrations(before, after)
     });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'compare revisions');
   }
 });
 
-// Get list of saved XML files
-app.get('/api/xml-files', async (req, res) => {
+// Current status of a registration, where it may move next and its audit trail
+app.get('/api/registrations/:registrationId/status', async (req, res) => {
   try {
-    const files = await fs.readdir('data');
-    const xmlFiles = files.filter(file => file.endsWith('.xml'));
-    
+    const { registrationId } = req.params;
+    const current = registrationMapper.xmlToFormData(await registrations.readXml(registrationId));
     res.json({
       success: true,
-      files: xmlFiles
+      registrationId: registrationId,
+      revision: current.revision,
+      status: current.status,
+      allowedTransitions: registrationWorkflow.allowedTransitions(current.status),
+      history: await auditLog.read(registrationId)
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: `Failed to list files: ${error.message}`
-    });
+    sendRegistrationError(req, res, error, 'load registration status');
   }
 });
 
-// Helper function to build XML from form data
-function buildXMLFromFormData(formData) {
-  const timestamp = new Date().toISOString().split('T')[0];
-  const registrationId = `REG-${Date.now()}`;
-  
-  let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<sr:studentRegistration xmlns:sr="http://university.edu/student-registration"
-                       registrationId="${registrationId}"
-                       submissionDate="${timestamp}"
-                       status="pending">
-  
-  <sr:personalInfo>
-    <sr:firstName>${escapeXML(formData.firstName || '')}</sr:firstName>
-    <sr:lastName>${escapeXML(formData.lastName || '')}</sr:lastName>`;
-  
-  if (formData.middleName) {
-    xml += `\n    <sr:middleName>${escapeXML(formData.middleName)}</sr:middleName>`;
-  }
-  
-  xml += `
-    <sr:dateOfBirth>${formData.dateOfBirth || ''}</sr:dateOfBirth>
-    <sr:gender>${formData.gender || ''}</sr:gender>
-    <sr:nationality>${escapeXML(formData.nationality || '')}</sr:nationality>`;
-  
-  if (formData.socialSecurityNumber) {
-    xml += `\n    <sr:socialSecurityNumber>${formData.socialSecurityNumber}</sr:socialSecurityNumber>`;
-  }
-  
-  xml += `
-    <sr:maritalStatus>${formData.maritalStatus || ''}</sr:maritalStatus>
-  </sr:personalInfo>
-
-  <sr:academicInfo>
-    <sr:program>${formData.program || ''}</sr:program>
-    <sr:major>${escapeXML(formData.major || '')}</sr:major>`;
-  
-  if (formData.minor) {
-    xml += `\n    <sr:minor>${escapeXML(formData.minor)}</sr:minor>`;
-  }
-  
-  xml += `
-    <sr:expectedGraduationYear>${formData.expectedGraduationYear || ''}</sr:expectedGraduationYear>`;
-  
-  // Add previous education if provided
-  if (formData.previousEducation && formData.previousEducation.length > 0) {
-    formData.previousEducation.forEach(edu => {
-      xml += `
-    <sr:previousEducation level="${edu.level || ''}">
-      <sr:institutionName>${escapeXML(edu.institutionName || '')}</sr:institutionName>
-      <sr:degree>${edu.degree || ''}</sr:degree>
-      <sr:graduationYear>${edu.graduationYear || ''}</sr:graduationYear>`;
-      if (edu.gpa) {
-        xml += `\n      <sr:gpa>${edu.gpa}</sr:gpa>`;
-      }
-      xml += `\n    </sr:previousEducation>`;
+// Move a registration to another status: { to, actor, reason }. The transition is stored as the
+// next revision (status attribute plus a statusHistory entry) and appended to the audit log.
+app.post('/api/registrations/:registrationId/transitions', async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+
+    // Applied to the latest revision inside the store's write, so concurrent transitions see each other
+    let current;
+    let result;
+    let saved;
+    try {
+      saved = await storeRevision(registrationId, async (stored) => {
+        if (!stored) {
+          throw new registrationStore.RegistrationStoreError('REGISTRATION_NOT_FOUND', `Registration '${registrationId}' not found`, { registrationId });
+        }
+        current = stored;
+        result = registrationWorkflow.applyTransition(current, req.body || {});
+        // Only the status changes; the submission date stays the student's
+        return { formData: result.formData, status: result.transition.to, submissionDate: current.submissionDate };
+      });
+    } catch (error) {
+      if (!(error instanceof registrationWorkflow.WorkflowError)) throw error;
+      return res.status(error.code === 'TRANSITION_NOT_ALLOWED' ? 409 : 400).json({
+        success: false,
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message),
+        allowedTransitions: registrationWorkflow.allowedTransitions(current.status)
+      });
+    }
+
+    await auditLog.append({
+      registrationId,
+      revision: saved.revision.revision,
+      filename: saved.filename,
+      ...result.transition
     });
-  }
-  
-  if (formData.gpa) {
-    xml += `\n    <sr:gpa>${formData.gpa}</sr:gpa>`;
-  }
-  
-  xml += `
-    <sr:isTransferStudent>${formData.isTransferStudent === 'true' ? 'true' : 'false'}</sr:isTransferStudent>`;
-  
-  if (formData.transferCredits) {
-    xml += `\n    <sr:transferCredits>${formData.transferCredits}</sr:transferCredits>`;
-  }
-  
-  xml += `
-  </sr:academicInfo>
-
-  <sr:contactInfo>
-    <sr:address>
-      <sr:street>${escapeXML(formData.street || '')}</sr:street>
-      <sr:city>${escapeXML(formData.city || '')}</sr:city>
-      <sr:state>${escapeXML(formData.state || '')}</sr:state>
-      <sr:zipCode>${formData.zipCode || ''}</sr:zipCode>
-      <sr:country>${escapeXML(formData.country || '')}</sr:country>
-    </sr:address>
-    <sr:phoneNumber>${formData.phoneNumber || ''}</sr:phoneNumber>`;
-  
-  if (formData.alternatePhone) {
-    xml += `\n    <sr:alternatePhone>${formData.alternatePhone}</sr:alternatePhone>`;
-  }
-  
-  xml += `
-    <sr:email>${formData.email || ''}</sr:email>`;
-  
-  if (formData.alternateEmail) {
-    xml += `\n    <sr:alternateEmail>${formData.alternateEmail}</sr:alternateEmail>`;
-  }
-  
-  xml += `
-  </sr:contactInfo>
-
-  <sr:emergencyContacts>`;
-  
-  // Add emergency contacts
-  if (formData.emergencyContacts && formData.emergencyContacts.length > 0) {
-    formData.emergencyContacts.forEach(contact => {
-      xml += `
-    <sr:contact priority="${contact.priority || 'Primary'}">
-      <sr:name>${escapeXML(contact.name || '')}</sr:name>
-      <sr:relationship>${contact.relationship || ''}</sr:relationship>
-      <sr:phoneNumber>${contact.phoneNumber || ''}</sr:phoneNumber>`;
-      if (contact.email) {
-        xml += `\n      <sr:email>${contact.email}</sr:email>`;
-      }
-      xml += `\n    </sr:contact>`;
+
+    res.json({
+      success: true,
+      registration: describeRegistration(saved.record),
+      transition: result.transition,
+      allowedTransitions: registrationWorkflow.allowedTransitions(result.transition.to)
     });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'change registration status');
   }
-  
-  xml += `
-  </sr:emergencyContacts>
-
-  <sr:courses totalCredits="${formData.totalCredits || '0'}">`;
-  
-  // Add courses
-  if (formData.courses && formData.courses.length > 0) {
-    formData.courses.forEach(course => {
-      xml += `
-    <sr:course semester="${course.semester || 'Fall'}">
-      <sr:courseCode>${course.courseCode || ''}</sr:courseCode>
-      <sr:courseName>${escapeXML(course.courseName || '')}</sr:courseName>
-      <sr:credits>${course.credits || '3'}</sr:credits>`;
-      if (course.instructor) {
-        xml += `\n      <sr:instructor>${escapeXML(course.instructor)}</sr:instructor>`;
-      }
-      xml += `
-      <sr:schedule>
-        <sr:days>${course.days || 'MWF'}</sr:days>
-        <sr:startTime>${course.startTime || '09:00:00'}</sr:startTime>
-        <sr:endTime>${course.endTime || '10:00:00'}</sr:endTime>`;
-      if (course.room) {
-        xml += `\n        <sr:room>${escapeXML(course.room)}</sr:room>`;
+});
+
+// Delete a registration with all its revisions and artifacts
+app.delete('/api/registrations/:registrationId', async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    // Cached renditions are keyed by content, so collect the hashes before the XML is gone
+    const record = await registrations.get(registrationId);
+    const hashes = [];
+    for (const revision of record ? record.revisions : []) {
+      try {
+        hashes.push(renditions.hashXml(await registrations.readXml(registrationId, revision.revision)));
+      } catch (error) {
+        // XML already missing; nothing cached can be found for it
       }
-      xml += `
-      </sr:schedule>
-    </sr:course>`;
+    }
+    const { deleted } = await registrations.remove(registrationId);
+    registrationSearch.remove(registrationId);
+    for (const hash of hashes) {
+      await renditionCache.drop(hash);
+    }
+    res.json({
+      success: true,
+      registrationId: registrationId,
+      deleted: deleted
     });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'delete registration');
   }
-  
-  xml += `
-  </sr:courses>`;
-  
-  // Add additional info if provided
-  if (formData.additionalInfo) {
-    xml += `
-
-  <sr:additionalInfo>`;
-    if (formData.additionalInfo.specialNeeds) {
-      xml += `\n    <sr:specialNeeds>${escapeXML(formData.additionalInfo.specialNeeds)}</sr:specialNeeds>`;
-    }
-    if (formData.additionalInfo.medicalConditions) {
-      xml += `\n    <sr:medicalConditions>${escapeXML(formData.additionalInfo.medicalConditions)}</sr:medicalConditions>`;
-    }
-    if (formData.additionalInfo.extracurricularActivities) {
-      xml += `\n    <sr:extracurricularActivities>${escapeXML(formData.additionalInfo.extracurricularActivities)}</sr:extracurricularActivities>`;
-    }
-    if (formData.additionalInfo.workExperience) {
-      xml += `\n    <sr:workExperience>${escapeXML(formData.additionalInfo.workExperience)}</sr:workExperience>`;
-    }
-    xml += `
-    <sr:financialAidRequired>${formData.additionalInfo.financialAidRequired === 'true' ? 'true' : 'false'}</sr:financialAidRequired>
-    <sr:housingRequired>${formData.additionalInfo.housingRequired === 'true' ? 'true' : 'false'}</sr:housingRequired>
-  </sr:additionalInfo>`;
-  }
-  
-  xml += `
+});
 
-</sr:studentRegistration>`;
-  
-  return xml;
-}
+// Attach a signed ASiC-E container to a revision (?revision=, the latest by default),
+// sent as a multipart "signedFile" upload or a raw application/vnd.etsi.asic-e+zip body
+app.post('/api/registrations/:registrationId/signed', upload.single('signedFile'), rawAsice, async (req, res) => {
+  try {
+    const container = req.file ? req.file.buffer : Buffer.isBuffer(req.body) ? req.body : null;
+    if (!container || container.length === 0) {
+      const missing = requestError(req, 400, 'SIGNED_CONTAINER_REQUIRED');
+      return res.status(missing.status).json({
+        success: false,
+        error: missing.error
+      });
+    }
+
+    const { registrationId } = req.params;
+    const revision = req.query.revision !== undefined ? Number(req.query.revision) : null;
+    const artifact = await registrations.writeArtifact(registrationId, revision, 'signed', container,
+      { name: req.file ? req.file.originalname : null });
+
+    res.status(201).json({
+      success: true,
+      registration: describeRegistration(await registrations.get(registrationId)),
+      artifact: artifact
+    });
+  } catch (error) {
+    sendRegistrationError(req, res, error, 'store signed container');
+  }
+});
 
 // ============================================================================
 // SIGNING ENDPOINTS - Slovak eIDAS Digital Signing Integration
@@ -1393,7 +1265,7 @@ app.post('/api/prepare-signing', async (req, res) => {
     if (!filename) {
       return res.status(400).json({
         success: false,
-        error: 'Filename is required'
+        error: i18n.translate(req.catalogue, 'errors.FILENAME_REQUIRED')
       });
     }
 
@@ -1405,16 +1277,26 @@ app.post('/api/prepare-signing', async (req, res) => {
       });
     }
 
+    // Presentation stylesheet embedded into the container (registry default unless chosen)
+    const selection = await resolveRequestedStylesheet(req);
+    if (selection.error) {
+      return res.status(selection.status).json({
+        success: false,
+        error: selection.error
+      });
+    }
+    const { stylesheet } = selection;
+
     // Define file paths
-    const xmlPath = path.join('data', filename);
     const xsdPath = path.join('schemas', 'student-registration.xsd');
-    const xslPath = path.join('stylesheets', 'student-registration.xsl');
+    const xslPath = stylesheet.path;
 
     // Check if XML file exists
-    if (!await fs.pathExists(xmlPath)) {
+    const xmlContent = await registrations.readXmlFile(filename);
+    if (xmlContent === null) {
       return res.status(404).json({
         success: false,
-        error: 'XML file not found. Please save the form first.'
+        error: i18n.translate(req.catalogue, 'errors.XML_FILE_NOT_SAVED')
       });
     }
 
@@ -1422,21 +1304,20 @@ app.post('/api/prepare-signing', async (req, res) => {
     if (!await fs.pathExists(xsdPath)) {
       return res.status(404).json({
         success: false,
-        error: 'XSD schema file not found'
+        error: i18n.translate(req.catalogue, 'errors.XSD_FILE_NOT_FOUND')
       });
     }
 
     if (!await fs.pathExists(xslPath)) {
       return res.status(404).json({
         success: false,
-        error: 'XSLT stylesheet file not found'
+        error: i18n.translate(req.catalogue, 'errors.XSL_FILE_NOT_FOUND')
       });
     }
 
-    // Read all files
-    const xmlContent = await fs.readFile(xmlPath, 'utf8');
+    // Read the schema files; the stylesheet is signed with the labels of the request's language built in
     const xsdContent = await fs.readFile(xsdPath, 'utf8');
-    const xslContent = await fs.readFile(xslPath, 'utf8');
+    const xslContent = i18n.localizeStylesheet(await fs.readFile(xslPath, 'utf8'), req.catalogue);
 
     // Generate unique identifier
     const timestamp = Date.now();
@@ -1460,35 +1341,45 @@ app.post('/api/prepare-signing', async (req, res) => {
     console.log('Generating PDF for multi-object signing...');
 
     let pdfBase64 = null;
+    let pdfaReport = null;
     const ENABLE_PDF_SIGNING = true; // Set to false to disable PDF signing
 
     if (ENABLE_PDF_SIGNING) {
-      try {
-        // First, transform XML to HTML for PDF generation
-        const transformResult = await transformXMLToHTML(xmlContent);
-
-        if (transformResult.success) {
-          console.log('✅ XML transformed to HTML successfully');
-
-          // Now generate PDF from the HTML
-          const pdfResult = await generatePDFFromHTML(transformResult.html);
-          if (pdfResult.success) {
-            pdfBase64 = pdfResult.pdfBase64;
-          } else {
-            console.warn('PDF generation failed:', pdfResult.error);
-          }
+      const pdfResult = await generatePDF(xmlContent, req.catalogue);
+      if (pdfResult.success) {
+        pdfaReport = pdfResult.report;
+        if (pdfaReport.compliant) {
+          pdfBase64 = pdfResult.pdfBase64;
         } else {
-          console.warn('XML to HTML transformation failed:', transformResult.error);
-          console.log('   Continuing with XMLDataContainer only');
+          // D.Signer rejects non-conforming PDFs, so the PDF object is dropped and only the report is sent
+          console.warn('PDF failed the PDF/A pre-check - signing XMLDataContainer only');
         }
-      } catch (error) {
-        console.warn('PDF generation error:', error.message);
+      } else {
+        console.warn('PDF generation failed:', pdfResult.error);
         console.log('   Continuing with XMLDataContainer only');
       }
     } else {
       console.log('PDF signing disabled - signing XMLDataContainer only');
     }
 
+    // The signed PDF of a stored registration is kept with its revision
+    const stored = await registrations.findByFilename(filename);
+    if (stored && pdfBase64) {
+      await registrations.writeArtifact(stored.record.registrationId, stored.revision.revision, 'pdf',
+        Buffer.from(pdfBase64, 'base64'));
+    }
+
+    let txtContent = null;
+    const ENABLE_TXT_SIGNING = true; // Set to false to disable TXT signing
+
+    if (ENABLE_TXT_SIGNING) {
+      try {
+        txtContent = textRenderer.renderRegistrationText(xmlContent, req.catalogue);
+      } catch (error) {
+        console.warn('TXT generation failed:', error.message);
+      }
+    }
+
     // Return signing payload with individual components
     // D.Bridge will build the XMLDataContainer internally
     const fileExtension = path.extname(filename).toLowerCase();
@@ -1498,7 +1389,7 @@ app.post('/api/prepare-signing', async (req, res) => {
     const formatIdentifier = 'http://data.gov.sk/def/container/xmldatacontainer+xml/1.1';
     const xdcVersion = '1.1';
     const xsdReferenceURI = 'student-registration.xsd';
-    const xslReferenceURI = 'student-registration.xsl';
+    const xslReferenceURI = stylesheet.file;
 
     console.log('[SIGNING PAYLOAD DEBUG - D.Bridge 16-Parameter API]');
     console.log('  - Identifier:', identifier, '(length:', identifier.length, ')');
@@ -1509,13 +1400,14 @@ app.post('/api/prepare-signing', async (req, res) => {
     console.log('  - xdcUsedXSD length:', xsdComponent.length);
     console.log('  - xdcUsedXSLT length:', xslComponent.length);
     console.log('  - xsdReferenceURI:', xsdReferenceURI);
-    console.log('  - xslReferenceURI:', xslReferenceURI);
+    console.log('  - xslReferenceURI:', xslReferenceURI, '(stylesheet:', stylesheet.id, ', language:', req.locale, ')');
     console.log('');
 
     // Log multi-object signing status
     console.log('[MULTI-OBJECT SIGNING PAYLOAD]');
     console.log('  - Object 1 (XMLDataContainer): ✅ Included');
-    console.log('  - Object 2 (PDF): ' + (pdfBase64 ? '✅ Included (' + (pdfBase64.length / 1024).toFixed(2) + ' KB)' : '⚠️ Not generated'));
+    console.log('  - Object 2 (PDF): ' + (pdfBase64 ? '✅ Included (' + (pdfBase64.length / 1024).toFixed(2) + ' KB)' : pdfaReport ? '⚠️ Dropped (not PDF/A)' : '⚠️ Not generated'));
+    console.log('  - Object 3 (TXT): ' + (txtContent ? '✅ Included (' + txtContent.split('\n').length + ' lines)' : '⚠️ Not generated'));
     console.log('');
 
     res.json({
@@ -1533,14 +1425,21 @@ app.post('/api/prepare-signing', async (req, res) => {
         xsdReferenceURI: xsdReferenceURI,         // xsdReferenceURI
         xdcUsedXSLT: xslComponent,                // xdcUsedXSLT - RAW XSLT
         xslReferenceURI: xslReferenceURI,         // xslReferenceURI
-        xslMediaDestinationTypeDescription: 'HTML', // xslMediaDestinationTypeDescription
-        xslXSLTLanguage: 'http://www.w3.org/1999/XSL/Transform', // xslXSLTLanguage
-        xslTargetEnvironment: 'HTML',             // xslTargetEnvironment
+        xslMediaDestinationTypeDescription: stylesheet.mediaDestination, // xslMediaDestinationTypeDescription
+        xslXSLTLanguage: req.locale,              // xslXSLTLanguage - language of the stylesheet's labels
+        xslTargetEnvironment: stylesheet.targetEnvironment, // xslTargetEnvironment
         xdcIncludeRefs: true,                     // xdcIncludeRefs
         xdcNamespaceURI: formatIdentifier,        // xdcNamespaceURI
         // Multi-object signing: PDF for second object
-        pdfBase64: pdfBase64,                     // PDF document (if generated successfully)
-        filename: filename
+        pdfBase64: pdfBase64,                     // PDF document (if generated and PDF/A conforming)
+        pdfa: pdfaReport,                         // PDF/A pre-check report (null when no PDF was generated)
+        // Multi-object signing: fixed-width plain text for third object
+        txtContent: txtContent,                   // Plain-text rendition (if generated successfully)
+        stylesheet: stylesheet.id,
+        locale: req.locale,
+        filename: filename,
+        registrationId: stored ? stored.record.registrationId : null,
+        revision: stored ? stored.revision.revision : null
       }
     });
 
@@ -1553,65 +1452,117 @@ app.post('/api/prepare-signing', async (req, res) => {
   }
 });
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
+/**
+ * Sign a saved XML file on the server: the XMLDataContainer, PDF/A and TXT objects that
+ * /api/prepare-signing hands to D.Signer are signed with the configured PKCS#12 keystore
+ * (XAdES-BES in an ASiC-E container). Signed revisions keep the container as a 'signed' artifact.
+ * POST /api/sign
+ */
+app.post('/api/sign', async (req, res) => {
+  try {
+    const { filename } = req.body;
+    if (!filename) {
+      const missing = requestError(req, 400, 'FILENAME_REQUIRED');
+      return res.status(missing.status).json({ success: false, error: missing.error });
+    }
 
-// Helper function to escape XML special characters
-function escapeXML(str) {
-  if (!str) return '';
-  return str.replace(/[<>&'"]/g, function (c) {
-    switch (c) {
-      case '<': return '&lt;';
-      case '>': return '&gt;';
-      case '&': return '&amp;';
-      case '\'': return '&apos;';
-      case '"': return '&quot;';
+    const selection = await resolveRequestedStylesheet(req);
+    if (selection.error) {
+      return res.status(selection.status).json({ success: false, error: selection.error });
     }
-  });
-}
+    const { stylesheet } = selection;
 
-/**
- * Create XMLDataContainer structure for Slovak eIDAS signing
- * Wraps XML content with embedded XSD and XSLT references
- */
-function createXMLDataContainer(xmlContent, xsdContent, xslContent, identifier) {
-  const crypto = require('crypto');
+    let xmlContent;
+    try {
+      xmlContent = await registrations.readXmlFile(filename);
+    } catch (error) {
+      const invalid = requestError(req, 400, 'INVALID_FILENAME');
+      return res.status(invalid.status).json({ success: false, error: invalid.error });
+    }
+    if (xmlContent === null) {
+      const notFound = requestError(req, 404, 'XML_FILE_NOT_SAVED');
+      return res.status(notFound.status).json({ success: false, error: notFound.error });
+    }
 
-  // Calculate SHA-256 digests for XSD and XSLT
-  const xsdDigest = crypto.createHash('sha256').update(xsdContent).digest('base64');
-  const xslDigest = crypto.createHash('sha256').update(xslContent).digest('base64');
+    const xsdPath = path.join('schemas', 'student-registration.xsd');
+    if (!await fs.pathExists(xsdPath) || !await fs.pathExists(stylesheet.path)) {
+      const code = await fs.pathExists(xsdPath) ? 'XSL_FILE_NOT_FOUND' : 'XSD_FILE_NOT_FOUND';
+      const notFound = requestError(req, 404, code);
+      return res.status(notFound.status).json({ success: false, error: notFound.error });
+    }
 
-  // Extract the root element from original XML
-  // Remove XML declaration if present
-  const xmlWithoutDeclaration = xmlContent.replace(/<\?xml[^?]*\?>\s*/g, '');
+    // The same data objects, in the same order, as the D.Bridge payload of /api/prepare-signing
+    const identifier = `student-registration-${Date.now()}`;
+    const description = 'Student Registration Form - University Enrollment';
+    const objects = [{
+      name: `${identifier}.xml`,
+      mimeType: xadesSigner.XDC_MIMETYPE,
+      description,
+      content: xadesSigner.createXmlDataContainer({
+        identifier,
+        xmlContent,
+        xsd: { uri: 'student-registration.xsd', content: await fs.readFile(xsdPath) },
+        xslt: {
+          uri: stylesheet.file,
+          content: i18n.localizeStylesheet(await fs.readFile(stylesheet.path, 'utf8'), req.catalogue),
+          mediaDestination: stylesheet.mediaDestination,
+          targetEnvironment: stylesheet.targetEnvironment,
+          language: req.locale
+        }
+      })
+    }];
 
-  // IMPORTANT: Wrap XML content in CDATA to prevent XML parsing issues
-  // The XMLContent contains XML tags that would otherwise be parsed as part of the container structure
-  // CDATA tells the parser to treat the content as literal text
-  const container = `<?xml version="1.0" encoding="UTF-8"?>
-<xdc:XMLDataContainer xmlns:xdc="http://data.gov.sk/def/container/xmldatacontainer+xml/1.1">
-  <xdc:XMLData ContentType="application/xml; charset=UTF-8" Identifier="${identifier}" Version="1.0">
-    <xdc:XMLContent><![CDATA[${xmlWithoutDeclaration}]]></xdc:XMLContent>
-  </xdc:XMLData>
-  <xdc:UsedSchemasReferenced>
-    <xdc:UsedXSDReference SchemaFileIdentifier="student-registration.xsd">
-      <xdc:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"/>
-      <xdc:DigestValue>${xsdDigest}</xdc:DigestValue>
-      <xdc:TransformAlgorithm Algorithm="http://www.w3.org/TR/2001/REC-xml-c14n-20010315"/>
-    </xdc:UsedXSDReference>
-  </xdc:UsedSchemasReferenced>
-  <xdc:UsedPresentationSchemasReferenced>
-    <xdc:UsedXSLTReference PresentationSchemaFileIdentifier="student-registration.xsl">
-      <xdc:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"/>
-      <xdc:DigestValue>${xslDigest}</xdc:DigestValue>
-      <xdc:TransformAlgorithm Algorithm="http://www.w3.org/TR/2001/REC-xml-c14n-20010315"/>
-    </xdc:UsedXSLTReference>
-  </xdc:UsedPresentationSchemasReferenced>
-</xdc:XMLDataContainer>`;
+    const pdfResult = await generatePDF(xmlContent, req.catalogue);
+    if (pdfResult.success && pdfResult.report.compliant) {
+      objects.push({ name: `${identifier}.pdf`, mimeType: 'application/pdf', description, content: Buffer.from(pdfResult.pdfBase64, 'base64') });
+    }
+    try {
+      objects.push({ name: `${identifier}.txt`, mimeType: 'text/plain', description, content: textRenderer.renderRegistrationText(xmlContent, req.catalogue) });
+    } catch (error) {
+      console.warn('TXT generation failed:', error.message);
+    }
 
-  return container;
-}
+    const signer = await loadSigner();
+    const { container, signingTime } = xadesSigner.signAsice(objects, signer);
+
+    const stored = await registrations.findByFilename(filename);
+    let outputFilename;
+    if (stored) {
+      ({ filename: outputFilename } = await registrations.writeArtifact(stored.record.registrationId, stored.revision.revision,
+        'signed', container, { name: `${identifier}.asice` }));
+    } else {
+      outputFilename = `${filename.replace(/\.xml$/i, '')}-signed-${signingTime.toISOString().replace(/[:.]/g, '-')}.asice`;
+      await storage.write('output', outputFilename, container);
+    }
+
+    res.json({
+      success: true,
+      filename: outputFilename,
+      registrationId: stored ? stored.record.registrationId : null,
+      revision: stored ? stored.revision.revision : null,
+      signingTime: signingTime.toISOString(),
+      signer: { subject: signer.subject, issuer: signer.issuer, serialNumber: signer.serialNumber },
+      objects: objects.map(object => ({ name: object.name, mimeType: object.mimeType }))
+    });
+  } catch (error) {
+    // An unusable keystore or an expired signing certificate is a configuration problem of the server
+    if (error instanceof xadesSigner.SignerError) {
+      return res.status(503).json({
+        success: false,
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+      });
+    }
+    console.error('Server-side signing error:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to sign: ${error.message}`
+    });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
 
 /**
  * Create MINIMAL XMLDataContainer structure for D.Bridge v1.0 compatibility
@@ -1674,10 +1625,10 @@ app.get('/api/download-file', async (req, res) => {
       });
     }
 
-    const filepath = path.join('output', filename);
+    const content = await storage.read('output', filename);
 
     // Check if file exists
-    if (!await fs.pathExists(filepath)) {
+    if (content === null) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
@@ -1685,11 +1636,8 @@ app.get('/api/download-file', async (req, res) => {
     }
 
     // Send file
-    res.download(filepath, filename, (err) => {
-      if (err) {
-        console.error('Download error:', err);
-      }
-    });
+    res.attachment(filename);
+    res.send(content);
 
   } catch (error) {
     console.error('File download error:', error);
@@ -1740,6 +1688,24 @@ app.post('/api/convert-bes-to-t', upload.single('xmlFile'), async (req, res) =>
   }
 });
 
+/**
+ * Canonicalization of the SignatureValue to timestamp: the "canonicalization" form field (an algorithm
+ * URI or 'c14n', 'c14n11', 'exclusive', ...), otherwise the one SignedInfo names.
+ * Answers 400 and returns null when the requested algorithm is not supported.
+ */
+function timestampCanonicalizationFor(req, res, signatureElem) {
+  try {
+    return xadesTExtension.timestampCanonicalization(signatureElem, req.body && req.body.canonicalization);
+  } catch (error) {
+    if (!(error instanceof c14n.CanonicalizationError)) throw error;
+    res.status(400).json({
+      success: false,
+      error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+    });
+    return null;
+  }
+}
+
 /**
  * Handle standalone XML file conversion
  */
@@ -1790,7 +1756,9 @@ async function handleXmlConversion(req, res, fileBuffer, filename) {
 
     // Step 5: Canonicalize SignatureValue
     console.log('[XAdES-T] Canonicalizing SignatureValue...');
-    const canonicalizedBytes = xadesTExtension.canonicalizeSignatureValue(signatureValueElem);
+    const canonicalization = timestampCanonicalizationFor(req, res, signatureElem);
+    if (!canonicalization) return;
+    const canonicalizedBytes = xadesTExtension.canonicalizeSignatureValue(signatureValueElem, canonicalization);
 
     // Step 6: Compute SHA-256 digest
     console.log('[XAdES-T] Computing SHA-256 digest...');
@@ -1834,7 +1802,7 @@ async function handleXmlConversion(req, res, fileBuffer, filename) {
 
     // Step 10: Extend to XAdES-T
     console.log('[XAdES-T] Extending to XAdES-T...');
-    const extendedDoc = xadesTExtension.extendToXAdEST(doc, timestampToken);
+    const extendedDoc = xadesTExtension.extendToXAdEST(doc, timestampToken, canonicalization);
 
     // Step 11: Serialize and save
     console.log('[XAdES-T] Serializing extended signature...');
@@ -1844,7 +1812,7 @@ async function handleXmlConversion(req, res, fileBuffer, filename) {
     const outputFilename = `${filename.replace('.xml', '')}-xades-t-${timestamp}.xml`;
     const outputPath = path.join('output', outputFilename);
 
-    await fs.writeFile(outputPath, extendedXml, 'utf8');
+    await storage.write('output', outputFilename, extendedXml);
     console.log('[XAdES-T] Conversion complete:', outputFilename);
 
     res.json({
@@ -1919,7 +1887,9 @@ async function handleAsiceConversion(req, res, fileBuffer, filename) {
     }
 
     console.log('[ASiC-E] Canonicalizing signature...');
-    const canonicalizedBytes = xadesTExtension.canonicalizeSignatureValue(signatureValueElem);
+    const canonicalization = timestampCanonicalizationFor(req, res, signatureElem);
+    if (!canonicalization) return;
+    const canonicalizedBytes = xadesTExtension.canonicalizeSignatureValue(signatureValueElem, canonicalization);
 
     console.log('[ASiC-E] Computing digest...');
     const digest = xadesTExtension.computeDigest(canonicalizedBytes);
@@ -1958,7 +1928,7 @@ async function handleAsiceConversion(req, res, fileBuffer, filename) {
     }
 
     console.log('[ASiC-E] Extending to XAdES-T...');
-    const extendedDoc = xadesTExtension.extendToXAdEST(doc, timestampToken);
+    const extendedDoc = xadesTExtension.extendToXAdEST(doc, timestampToken, canonicalization);
 
     console.log('[ASiC-E] Updating manifest...');
     const updatedSignature = xadesBesValidator.serializeXML(extendedDoc);
@@ -1972,7 +1942,7 @@ async function handleAsiceConversion(req, res, fileBuffer, filename) {
     const outputFilename = `${baseName}_xades-t_${timestamp}.asice`;
     const outputPath = path.join('output', outputFilename);
 
-    await fs.writeFile(outputPath, newContainerBuffer);
+    await storage.write('output', outputFilename, newContainerBuffer);
     console.log('[ASiC-E] Conversion complete:', outputFilename);
 
     res.json({
@@ -1996,12 +1966,111 @@ async function handleAsiceConversion(req, res, fileBuffer, filename) {
   }
 }
 
+// ============================================================================
+// Signature Verification Endpoint
+// ============================================================================
+
+/**
+ * Verify the XAdES signatures of a standalone XML document or of an ASiC-E container:
+ * SignatureValue, every reference digest and the signing certificate named in SignedProperties,
+ * the signature timestamps and the TSAs that signed them, and the path of the signing certificate to the trust store with the
+ * revocation status of its certificates from the CRL cache.
+ * Sent as a multipart "signedFile" upload or as a raw XML / ASiC-E body.
+ * POST /api/verify
+ */
+app.post('/api/verify', upload.single('signedFile'), rawAsice, rawXml, async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer
+      : Buffer.isBuffer(req.body) ? req.body
+        : typeof req.body === 'string' ? Buffer.from(req.body, 'utf8') : null;
+    if (!content || content.length === 0) {
+      const missing = requestError(req, 400, 'SIGNED_DOCUMENT_REQUIRED');
+      return res.status(missing.status).json({ success: false, error: missing.error });
+    }
+
+    // ZIP magic bytes: an ASiC-E container, anything else is read as XML
+    const isAsice = content[0] === 0x50 && content[1] === 0x4B;
+    const trustStore = await loadTrustStore();
+    const tsaTrustStore = await loadTsaTrustStore();
+    const crls = await loadCrlCache();
+    const options = { trustStore, tsaTrustStore, crls };
+    const report = isAsice ? xadesVerifier.verifyAsice(content, options) : xadesVerifier.verifyXml(content, options);
+    rememberDistributionPoints(report);
+
+    res.json({
+      success: true,
+      valid: report.valid,
+      containerType: isAsice ? 'asice' : 'xml',
+      filename: req.file ? req.file.originalname : null,
+      signatures: report.signatures.map(signature => ({
+        ...signature,
+        errors: i18n.localizeErrors(req.catalogue, signature.errors)
+      })),
+      dataObjects: report.dataObjects || [],
+      warnings: i18n.localizeErrors(req.catalogue, report.warnings || [])
+    });
+  } catch (error) {
+    if (error instanceof xadesVerifier.VerificationError) {
+      return res.status(400).json({
+        success: false,
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+      });
+    }
+    // A missing trust store is a configuration problem of the server
+    if (error instanceof certificateValidator.CertificateError) {
+      return res.status(503).json({
+        success: false,
+        error: i18n.translate(req.catalogue, `errors.${error.code}`, error.params, error.message)
+      });
+    }
+    console.error('Signature verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: `Verification failed: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Refresh the CRL cache from the known distribution points (see refreshCrls), e.g. once the network is back.
+ * Answers with the CRLs downloaded and the URLs that failed; the cached copies of those are kept.
+ * A new refresh only starts CRL_REFRESH_INTERVAL seconds after the last one ended; 429 before that.
+ * POST /api/crls/refresh
+ */
+app.post('/api/crls/refresh', async (req, res) => {
+  try {
+    const wait = Math.ceil((crlRefreshedAt + crlSettings.refreshInterval * 1000 - Date.now()) / 1000);
+    if (!crlRefresh && wait > 0) {
+      const tooSoon = requestError(req, 429, 'CRL_REFRESH_TOO_FREQUENT', { seconds: wait });
+      return res.status(tooSoon.status).set('Retry-After', String(wait)).json({ success: false, error: tooSoon.error });
+    }
+    const { refreshed, failed } = await refreshCrls();
+    const { crls } = await loadCrlCache();
+    res.json({ success: failed.length === 0, refreshed, failed, cached: crls.length });
+  } catch (error) {
+    console.error('CRL refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: `CRL refresh failed: ${error.message}`
+    });
+  }
+});
+
 // Start server
 const startServer = async () => {
   await ensureDirectories();
   app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Server running on http://localhost:${PORT} (storage: ${storage.backend})`);
   });
+  // Fresh CRLs when the network is available; verification works from the cache either way
+  refreshCrls().then(({ refreshed, failed }) => {
+    console.log(`CRL cache: ${refreshed.length} refreshed, ${failed.length} not reachable`);
+  }).catch(error => console.error('CRL refresh error:', error));
 };
 
-startServer().catch(console.error);
+// Started with `node server.js`; tests require the app and drive it with supertest
+if (require.main === module) {
+  startServer().catch(console.error);
+}
+
+module.exports = { app, storage };
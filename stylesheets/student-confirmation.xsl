@@ -0,0 +1,188 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<xsl:stylesheet version="1.0"
+                xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+                xmlns:sr="http://university.edu/student-registration"
+                xmlns:msg="http://university.edu/student-registration/messages"
+                exclude-result-prefixes="sr msg">
+
+  <!-- One-page confirmation handed to the student: who, what program, which courses -->
+  <xsl:output method="html" indent="yes" encoding="UTF-8"/>
+
+  <!-- Texts of the requested language; without them the built-in English labels are used -->
+  <xsl:param name="messages" select="/.."/>
+  <xsl:param name="lang" select="'en'"/>
+
+  <xsl:variable name="labels" select="document('')/*/msg:messages/msg:message"/>
+
+  <xsl:template match="msg:message" mode="label">
+    <xsl:variable name="localized" select="$messages/message[@key = current()/@key]"/>
+    <xsl:choose>
+      <xsl:when test="$localized"><xsl:value-of select="$localized"/></xsl:when>
+      <xsl:otherwise><xsl:value-of select="."/></xsl:otherwise>
+    </xsl:choose>
+  </xsl:template>
+
+  <msg:messages xml:lang="en">
+    <msg:message key="registrationId">Registration ID</msg:message>
+    <msg:message key="status">Status</msg:message>
+    <msg:message key="program">Program</msg:message>
+    <msg:message key="minorNote">minor</msg:message>
+    <msg:message key="totalCredits">Total Credits</msg:message>
+    <msg:message key="course">Course</msg:message>
+    <msg:message key="courseName">Course Name</msg:message>
+    <msg:message key="credits">Credits</msg:message>
+    <msg:message key="semester">Semester</msg:message>
+    <msg:message key="confirmationTitle">Registration Confirmation</msg:message>
+    <msg:message key="greeting">Dear</msg:message>
+    <msg:message key="received">, your registration has been received.</msg:message>
+    <msg:message key="submitted">Submitted</msg:message>
+    <msg:message key="student">Student</msg:message>
+    <msg:message key="programIn">in</msg:message>
+    <msg:message key="contact">Contact</msg:message>
+    <msg:message key="noteBefore">Please keep this confirmation and quote registration ID</msg:message>
+    <msg:message key="noteAfter">in any correspondence with the registrar's office.</msg:message>
+  </msg:messages>
+
+  <xsl:template match="/sr:studentRegistration">
+    <html lang="{$lang}">
+      <head>
+        <title><xsl:apply-templates select="$labels[@key='confirmationTitle']" mode="label"/></title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            max-width: 700px;
+            margin: 0 auto;
+            padding: 20px;
+            color: #2c3e50;
+          }
+          h1 {
+            font-size: 20px;
+            text-align: center;
+            border-bottom: 2px solid #2c3e50;
+            padding-bottom: 10px;
+          }
+          .summary td {
+            padding: 4px 12px 4px 0;
+          }
+          .summary td.label {
+            font-weight: bold;
+          }
+          .courses {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 15px;
+          }
+          .courses th, .courses td {
+            border: 1px solid #ddd;
+            padding: 6px;
+            text-align: left;
+          }
+          .courses th {
+            background-color: #ecf0f1;
+          }
+          .courses tfoot td {
+            font-weight: bold;
+          }
+          .note {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #7f8c8d;
+          }
+        </style>
+      </head>
+      <body>
+        <h1><xsl:apply-templates select="$labels[@key='confirmationTitle']" mode="label"/></h1>
+        <p>
+          <xsl:apply-templates select="$labels[@key='greeting']" mode="label"/>
+          <xsl:text> </xsl:text>
+          <xsl:value-of select="sr:personalInfo/sr:firstName"/>
+          <xsl:apply-templates select="$labels[@key='received']" mode="label"/>
+        </p>
+
+        <table class="summary">
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='registrationId']" mode="label"/></td>
+            <td><xsl:value-of select="@registrationId"/></td>
+          </tr>
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='submitted']" mode="label"/></td>
+            <td><xsl:value-of select="@submissionDate"/></td>
+          </tr>
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='status']" mode="label"/></td>
+            <td><xsl:value-of select="@status"/></td>
+          </tr>
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='student']" mode="label"/></td>
+            <td>
+              <xsl:value-of select="sr:personalInfo/sr:firstName"/>
+              <xsl:if test="sr:personalInfo/sr:middleName">
+                <xsl:text> </xsl:text>
+                <xsl:value-of select="sr:personalInfo/sr:middleName"/>
+              </xsl:if>
+              <xsl:text> </xsl:text>
+              <xsl:value-of select="sr:personalInfo/sr:lastName"/>
+            </td>
+          </tr>
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='program']" mode="label"/></td>
+            <td>
+              <xsl:value-of select="sr:academicInfo/sr:program"/>
+              <xsl:text> </xsl:text>
+              <xsl:apply-templates select="$labels[@key='programIn']" mode="label"/>
+              <xsl:text> </xsl:text>
+              <xsl:value-of select="sr:academicInfo/sr:major"/>
+              <xsl:if test="sr:academicInfo/sr:minor">
+                <xsl:text> (</xsl:text>
+                <xsl:apply-templates select="$labels[@key='minorNote']" mode="label"/>
+                <xsl:text>: </xsl:text>
+                <xsl:value-of select="sr:academicInfo/sr:minor"/>
+                <xsl:text>)</xsl:text>
+              </xsl:if>
+            </td>
+          </tr>
+          <tr>
+            <td class="label"><xsl:apply-templates select="$labels[@key='contact']" mode="label"/></td>
+            <td><xsl:value-of select="sr:contactInfo/sr:email"/></td>
+          </tr>
+        </table>
+
+        <table class="courses">
+          <thead>
+            <tr>
+              <th><xsl:apply-templates select="$labels[@key='course']" mode="label"/></th>
+              <th><xsl:apply-templates select="$labels[@key='courseName']" mode="label"/></th>
+              <th><xsl:apply-templates select="$labels[@key='semester']" mode="label"/></th>
+              <th><xsl:apply-templates select="$labels[@key='credits']" mode="label"/></th>
+            </tr>
+          </thead>
+          <tbody>
+            <xsl:for-each select="sr:courses/sr:course">
+              <tr>
+                <td><xsl:value-of select="sr:courseCode"/></td>
+                <td><xsl:value-of select="sr:courseName"/></td>
+                <td><xsl:value-of select="@semester"/></td>
+                <td><xsl:value-of select="sr:credits"/></td>
+              </tr>
+            </xsl:for-each>
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colspan="3"><xsl:apply-templates select="$labels[@key='totalCredits']" mode="label"/></td>
+              <td><xsl:value-of select="sr:courses/@totalCredits"/></td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <p class="note">
+          <xsl:apply-templates select="$labels[@key='noteBefore']" mode="label"/>
+          <xsl:text> </xsl:text>
+          <xsl:value-of select="@registrationId"/>
+          <xsl:text> </xsl:text>
+          <xsl:apply-templates select="$labels[@key='noteAfter']" mode="label"/>
+        </p>
+      </body>
+    </html>
+  </xsl:template>
+
+</xsl:stylesheet>
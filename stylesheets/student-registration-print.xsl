@@ -0,0 +1,416 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<xsl:stylesheet version="1.0"
+                xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+                xmlns:sr="http://university.edu/student-registration"
+                xmlns:msg="http://university.edu/student-registration/messages"
+                exclude-result-prefixes="sr msg">
+
+  <!-- Print-optimized registrar view: A4 pages, black on white, sections kept on one page -->
+  <xsl:output method="html" indent="yes" encoding="UTF-8"/>
+
+  <!-- Texts of the requested language; without them the built-in English labels are used -->
+  <xsl:param name="messages" select="/.."/>
+  <xsl:param name="lang" select="'en'"/>
+
+  <xsl:variable name="labels" select="document('')/*/msg:messages/msg:message"/>
+
+  <xsl:template match="msg:message" mode="label">
+    <xsl:variable name="localized" select="$messages/message[@key = current()/@key]"/>
+    <xsl:choose>
+      <xsl:when test="$localized"><xsl:value-of select="$localized"/></xsl:when>
+      <xsl:otherwise><xsl:value-of select="."/></xsl:otherwise>
+    </xsl:choose>
+  </xsl:template>
+
+  <msg:messages xml:lang="en">
+    <msg:message key="title">Student Registration Form</msg:message>
+    <msg:message key="heading">University Student Registration Form</msg:message>
+    <msg:message key="registrationId">Registration ID</msg:message>
+    <msg:message key="status">Status</msg:message>
+    <msg:message key="personalInfo">Personal Information</msg:message>
+    <msg:message key="name">Name</msg:message>
+    <msg:message key="dateOfBirth">Date of Birth</msg:message>
+    <msg:message key="gender">Gender</msg:message>
+    <msg:message key="nationality">Nationality</msg:message>
+    <msg:message key="socialSecurityNumber">Social Security Number</msg:message>
+    <msg:message key="maritalStatus">Marital Status</msg:message>
+    <msg:message key="academicInfo">Academic Information</msg:message>
+    <msg:message key="program">Program</msg:message>
+    <msg:message key="major">Major</msg:message>
+    <msg:message key="minor">Minor</msg:message>
+    <msg:message key="expectedGraduationYear">Expected Graduation Year</msg:message>
+    <msg:message key="gpa">Current GPA</msg:message>
+    <msg:message key="transferStudent">Transfer Student</msg:message>
+    <msg:message key="creditsUnit">credits</msg:message>
+    <msg:message key="yes">Yes</msg:message>
+    <msg:message key="no">No</msg:message>
+    <msg:message key="level">Level</msg:message>
+    <msg:message key="institution">Institution</msg:message>
+    <msg:message key="degree">Degree</msg:message>
+    <msg:message key="graduationYear">Graduation Year</msg:message>
+    <msg:message key="gpaShort">GPA</msg:message>
+    <msg:message key="contactInfo">Contact Information</msg:message>
+    <msg:message key="address">Address</msg:message>
+    <msg:message key="phoneNumber">Phone Number</msg:message>
+    <msg:message key="alternatePhone">Alternate Phone</msg:message>
+    <msg:message key="email">Email</msg:message>
+    <msg:message key="alternateEmail">Alternate Email</msg:message>
+    <msg:message key="emergencyContacts">Emergency Contacts</msg:message>
+    <msg:message key="priority">Priority</msg:message>
+    <msg:message key="relationship">Relationship</msg:message>
+    <msg:message key="phone">Phone</msg:message>
+    <msg:message key="courses">Course Registration</msg:message>
+    <msg:message key="totalCredits">Total Credits</msg:message>
+    <msg:message key="courseCode">Course Code</msg:message>
+    <msg:message key="courseName">Course Name</msg:message>
+    <msg:message key="credits">Credits</msg:message>
+    <msg:message key="semester">Semester</msg:message>
+    <msg:message key="instructor">Instructor</msg:message>
+    <msg:message key="schedule">Schedule</msg:message>
+    <msg:message key="room">Room</msg:message>
+    <msg:message key="additionalInfo">Additional Information</msg:message>
+    <msg:message key="specialNeeds">Special Needs</msg:message>
+    <msg:message key="medicalConditions">Medical Conditions</msg:message>
+    <msg:message key="extracurricularActivities">Extracurricular Activities</msg:message>
+    <msg:message key="workExperience">Work Experience</msg:message>
+    <msg:message key="financialAidRequired">Financial Aid Required</msg:message>
+    <msg:message key="housingRequired">Housing Required</msg:message>
+    <msg:message key="submitted">Submitted</msg:message>
+  </msg:messages>
+
+  <xsl:template match="/sr:studentRegistration">
+    <html lang="{$lang}">
+      <head>
+        <title><xsl:apply-templates select="$labels[@key='title']" mode="label"/></title>
+        <style>
+          @page {
+            size: A4;
+            margin: 20mm 15mm;
+          }
+          body {
+            font-family: "Times New Roman", Times, serif;
+            font-size: 11pt;
+            color: #000;
+            background: #fff;
+            margin: 0;
+          }
+          h1 {
+            font-size: 16pt;
+            text-align: center;
+            margin: 0 0 4mm 0;
+          }
+          .meta {
+            text-align: center;
+            margin-bottom: 6mm;
+          }
+          h2 {
+            font-size: 12pt;
+            border-bottom: 1pt solid #000;
+            margin: 6mm 0 2mm 0;
+          }
+          .section {
+            page-break-inside: avoid;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          th, td {
+            border: 0.5pt solid #000;
+            padding: 1mm 2mm;
+            text-align: left;
+            vertical-align: top;
+          }
+          th {
+            font-weight: bold;
+          }
+          table.fields th {
+            width: 35%;
+          }
+        </style>
+      </head>
+      <body>
+        <h1><xsl:apply-templates select="$labels[@key='heading']" mode="label"/></h1>
+        <div class="meta">
+          <xsl:apply-templates select="$labels[@key='registrationId']" mode="label"/>
+          <xsl:text> </xsl:text>
+          <xsl:value-of select="@registrationId"/>
+          <xsl:text> | </xsl:text>
+          <xsl:apply-templates select="$labels[@key='submitted']" mode="label"/>
+          <xsl:text> </xsl:text>
+          <xsl:value-of select="@submissionDate"/>
+          <xsl:text> | </xsl:text>
+          <xsl:apply-templates select="$labels[@key='status']" mode="label"/>
+          <xsl:text>: </xsl:text>
+          <xsl:value-of select="@status"/>
+        </div>
+
+        <xsl:apply-templates select="sr:personalInfo"/>
+        <xsl:apply-templates select="sr:academicInfo"/>
+        <xsl:apply-templates select="sr:contactInfo"/>
+        <xsl:apply-templates select="sr:emergencyContacts"/>
+        <xsl:apply-templates select="sr:courses"/>
+        <xsl:apply-templates select="sr:additionalInfo"/>
+      </body>
+    </html>
+  </xsl:template>
+
+  <!-- One labelled row of a field table; empty optional fields are left out -->
+  <xsl:template name="field">
+    <xsl:param name="label"/>
+    <xsl:param name="value"/>
+    <xsl:if test="string($value)">
+      <tr>
+        <th><xsl:value-of select="$label"/></th>
+        <td><xsl:value-of select="$value"/></td>
+      </tr>
+    </xsl:if>
+  </xsl:template>
+
+  <xsl:template name="yes-no">
+    <xsl:param name="value"/>
+    <xsl:choose>
+      <xsl:when test="$value = 'true'"><xsl:apply-templates select="$labels[@key='yes']" mode="label"/></xsl:when>
+      <xsl:otherwise><xsl:apply-templates select="$labels[@key='no']" mode="label"/></xsl:otherwise>
+    </xsl:choose>
+  </xsl:template>
+
+  <xsl:template match="sr:personalInfo">
+    <div class="section">
+      <h2><xsl:apply-templates select="$labels[@key='personalInfo']" mode="label"/></h2>
+      <table class="fields">
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='name']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="normalize-space(concat(sr:firstName, ' ', sr:middleName, ' ', sr:lastName))"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='dateOfBirth']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:dateOfBirth"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='gender']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:gender"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='nationality']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:nationality"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='socialSecurityNumber']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:socialSecurityNumber"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='maritalStatus']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:maritalStatus"/>
+        </xsl:call-template>
+      </table>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="sr:academicInfo">
+    <div class="section">
+      <h2><xsl:apply-templates select="$labels[@key='academicInfo']" mode="label"/></h2>
+      <table class="fields">
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='program']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:program"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='major']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:major"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='minor']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:minor"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='expectedGraduationYear']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:expectedGraduationYear"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='gpa']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:gpa"/>
+        </xsl:call-template>
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='transferStudent']" mode="label"/></th>
+          <td>
+            <xsl:call-template name="yes-no">
+              <xsl:with-param name="value" select="sr:isTransferStudent"/>
+            </xsl:call-template>
+            <xsl:if test="sr:transferCredits">
+              <xsl:text> (</xsl:text>
+              <xsl:value-of select="sr:transferCredits"/>
+              <xsl:text> </xsl:text>
+              <xsl:apply-templates select="$labels[@key='creditsUnit']" mode="label"/>
+              <xsl:text>)</xsl:text>
+            </xsl:if>
+          </td>
+        </tr>
+      </table>
+      <xsl:if test="sr:previousEducation">
+        <table>
+          <tr>
+            <th><xsl:apply-templates select="$labels[@key='level']" mode="label"/></th>
+            <th><xsl:apply-templates select="$labels[@key='institution']" mode="label"/></th>
+            <th><xsl:apply-templates select="$labels[@key='degree']" mode="label"/></th>
+            <th><xsl:apply-templates select="$labels[@key='graduationYear']" mode="label"/></th>
+            <th><xsl:apply-templates select="$labels[@key='gpaShort']" mode="label"/></th>
+          </tr>
+          <xsl:for-each select="sr:previousEducation">
+            <tr>
+              <td><xsl:value-of select="@level"/></td>
+              <td><xsl:value-of select="sr:institutionName"/></td>
+              <td><xsl:value-of select="sr:degree"/></td>
+              <td><xsl:value-of select="sr:graduationYear"/></td>
+              <td><xsl:value-of select="sr:gpa"/></td>
+            </tr>
+          </xsl:for-each>
+        </table>
+      </xsl:if>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="sr:contactInfo">
+    <div class="section">
+      <h2><xsl:apply-templates select="$labels[@key='contactInfo']" mode="label"/></h2>
+      <table class="fields">
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='address']" mode="label"/></th>
+          <td>
+            <xsl:value-of select="sr:address/sr:street"/>
+            <xsl:text>, </xsl:text>
+            <xsl:value-of select="sr:address/sr:city"/>
+            <xsl:text>, </xsl:text>
+            <xsl:value-of select="sr:address/sr:state"/>
+            <xsl:text> </xsl:text>
+            <xsl:value-of select="sr:address/sr:zipCode"/>
+            <xsl:text>, </xsl:text>
+            <xsl:value-of select="sr:address/sr:country"/>
+          </td>
+        </tr>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='phoneNumber']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:phoneNumber"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='alternatePhone']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:alternatePhone"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='email']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:email"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='alternateEmail']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:alternateEmail"/>
+        </xsl:call-template>
+      </table>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="sr:emergencyContacts">
+    <div class="section">
+      <h2><xsl:apply-templates select="$labels[@key='emergencyContacts']" mode="label"/></h2>
+      <table>
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='priority']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='name']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='relationship']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='phone']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='email']" mode="label"/></th>
+        </tr>
+        <xsl:for-each select="sr:contact">
+          <tr>
+            <td><xsl:value-of select="@priority"/></td>
+            <td><xsl:value-of select="sr:name"/></td>
+            <td><xsl:value-of select="sr:relationship"/></td>
+            <td><xsl:value-of select="sr:phoneNumber"/></td>
+            <td><xsl:value-of select="sr:email"/></td>
+          </tr>
+        </xsl:for-each>
+      </table>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="sr:courses">
+    <div class="section">
+      <h2>
+        <xsl:apply-templates select="$labels[@key='courses']" mode="label"/>
+        <xsl:text> (</xsl:text>
+        <xsl:apply-templates select="$labels[@key='totalCredits']" mode="label"/>
+        <xsl:text>: </xsl:text>
+        <xsl:value-of select="@totalCredits"/>
+        <xsl:text>)</xsl:text>
+      </h2>
+      <table>
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='courseCode']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='courseName']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='credits']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='semester']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='instructor']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='schedule']" mode="label"/></th>
+          <th><xsl:apply-templates select="$labels[@key='room']" mode="label"/></th>
+        </tr>
+        <xsl:for-each select="sr:course">
+          <tr>
+            <td><xsl:value-of select="sr:courseCode"/></td>
+            <td><xsl:value-of select="sr:courseName"/></td>
+            <td><xsl:value-of select="sr:credits"/></td>
+            <td><xsl:value-of select="@semester"/></td>
+            <td><xsl:value-of select="sr:instructor"/></td>
+            <td>
+              <xsl:value-of select="sr:schedule/sr:days"/>
+              <xsl:text> </xsl:text>
+              <xsl:value-of select="sr:schedule/sr:startTime"/>
+              <xsl:text> - </xsl:text>
+              <xsl:value-of select="sr:schedule/sr:endTime"/>
+            </td>
+            <td><xsl:value-of select="sr:schedule/sr:room"/></td>
+          </tr>
+        </xsl:for-each>
+      </table>
+    </div>
+  </xsl:template>
+
+  <xsl:template match="sr:additionalInfo">
+    <div class="section">
+      <h2><xsl:apply-templates select="$labels[@key='additionalInfo']" mode="label"/></h2>
+      <table class="fields">
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='specialNeeds']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:specialNeeds"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='medicalConditions']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:medicalConditions"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='extracurricularActivities']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:extracurricularActivities"/>
+        </xsl:call-template>
+        <xsl:call-template name="field">
+          <xsl:with-param name="label"><xsl:apply-templates select="$labels[@key='workExperience']" mode="label"/></xsl:with-param>
+          <xsl:with-param name="value" select="sr:workExperience"/>
+        </xsl:call-template>
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='financialAidRequired']" mode="label"/></th>
+          <td>
+            <xsl:call-template name="yes-no">
+              <xsl:with-param name="value" select="sr:financialAidRequired"/>
+            </xsl:call-template>
+          </td>
+        </tr>
+        <tr>
+          <th><xsl:apply-templates select="$labels[@key='housingRequired']" mode="label"/></th>
+          <td>
+            <xsl:call-template name="yes-no">
+              <xsl:with-param name="value" select="sr:housingRequired"/>
+            </xsl:call-template>
+          </td>
+        </tr>
+      </table>
+    </div>
+  </xsl:template>
+
+</xsl:stylesheet>
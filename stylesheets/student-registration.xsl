@@ -1,14 +1,89 @@
 <?xml version="1.0" encoding="UTF-8"?>
 <xsl:stylesheet version="1.0" 
                 xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
-                xmlns:sr="http://university.edu/student-registration">
+                xmlns:sr="http://university.edu/student-registration"
+                xmlns:msg="http://university.edu/student-registration/messages"
+                exclude-result-prefixes="sr msg">
 
   <xsl:output method="html" indent="yes" encoding="UTF-8"/>
 
-  <xsl:template match="/">
-    <html>
+  <!-- Texts of the requested language; without them the built-in English labels are used -->
+  <xsl:param name="messages" select="/.."/>
+  <xsl:param name="lang" select="'en'"/>
+
+  <xsl:variable name="labels" select="document('')/*/msg:messages/msg:message"/>
+
+  <xsl:template match="msg:message" mode="label">
+    <xsl:variable name="localized" select="$messages/message[@key = current()/@key]"/>
+    <xsl:choose>
+      <xsl:when test="$localized"><xsl:value-of select="$localized"/></xsl:when>
+      <xsl:otherwise><xsl:value-of select="."/></xsl:otherwise>
+    </xsl:choose>
+  </xsl:template>
+
+  <msg:messages xml:lang="en">
+    <msg:message key="title">Student Registration Form</msg:message>
+    <msg:message key="heading">University Student Registration Form</msg:message>
+    <msg:message key="registrationId">Registration ID</msg:message>
+    <msg:message key="submissionDate">Submission Date</msg:message>
+    <msg:message key="status">Status</msg:message>
+    <msg:message key="personalInfo">Personal Information</msg:message>
+    <msg:message key="name">Name</msg:message>
+    <msg:message key="firstName">First Name</msg:message>
+    <msg:message key="middleName">Middle Name</msg:message>
+    <msg:message key="lastName">Last Name</msg:message>
+    <msg:message key="dateOfBirth">Date of Birth</msg:message>
+    <msg:message key="gender">Gender</msg:message>
+    <msg:message key="nationality">Nationality</msg:message>
+    <msg:message key="socialSecurityNumber">Social Security Number</msg:message>
+    <msg:message key="maritalStatus">Marital Status</msg:message>
+    <msg:message key="academicInfo">Academic Information</msg:message>
+    <msg:message key="program">Program</msg:message>
+    <msg:message key="major">Major</msg:message>
+    <msg:message key="minor">Minor</msg:message>
+    <msg:message key="expectedGraduationYear">Expected Graduation Year</msg:message>
+    <msg:message key="gpa">Current GPA</msg:message>
+    <msg:message key="transferStudent">Transfer Student</msg:message>
+    <msg:message key="yes">Yes</msg:message>
+    <msg:message key="no">No</msg:message>
+    <msg:message key="previousEducation">Previous Education</msg:message>
+    <msg:message key="level">Level</msg:message>
+    <msg:message key="institution">Institution</msg:message>
+    <msg:message key="degree">Degree</msg:message>
+    <msg:message key="graduationYear">Graduation Year</msg:message>
+    <msg:message key="gpaShort">GPA</msg:message>
+    <msg:message key="contactInfo">Contact Information</msg:message>
+    <msg:message key="address">Address</msg:message>
+    <msg:message key="phoneNumber">Phone Number</msg:message>
+    <msg:message key="alternatePhone">Alternate Phone</msg:message>
+    <msg:message key="email">Email</msg:message>
+    <msg:message key="alternateEmail">Alternate Email</msg:message>
+    <msg:message key="emergencyContacts">Emergency Contacts</msg:message>
+    <msg:message key="priority">Priority</msg:message>
+    <msg:message key="relationship">Relationship</msg:message>
+    <msg:message key="phone">Phone</msg:message>
+    <msg:message key="courses">Course Registration</msg:message>
+    <msg:message key="totalCredits">Total Credits</msg:message>
+    <msg:message key="courseCode">Course Code</msg:message>
+    <msg:message key="courseName">Course Name</msg:message>
+    <msg:message key="credits">Credits</msg:message>
+    <msg:message key="semester">Semester</msg:message>
+    <msg:message key="instructor">Instructor</msg:message>
+    <msg:message key="schedule">Schedule</msg:message>
+    <msg:message key="room">Room</msg:message>
+    <msg:message key="additionalInfo">Additional Information</msg:message>
+    <msg:message key="specialNeeds">Special Needs</msg:message>
+    <msg:message key="medicalConditions">Medical Conditions</msg:message>
+    <msg:message key="extracurricularActivities">Extracurricular Activities</msg:message>
+    <msg:message key="workExperience">Work Experience</msg:message>
+    <msg:message key="financialAidRequired">Financial Aid Required</msg:message>
+    <msg:message key="housingRequired">Housing Required</msg:message>
+  </msg:messages>
+
+  <xsl:template match="/sr:studentRegistration">
+    <html lang="{$lang}">
       <head>
-        <title>Student Registration Form</title>
+        <title><xsl:apply-templates select="$labels[@key='title']" mode="label"/></title>
         <style>
           body {
             font-family: Arial, sans-serif;
@@ -29,6 +104,9 @@
             padding-bottom: 20px;
             margin-bottom: 30px;
           }
+          .header h1 {
+            text-transform: uppercase;
+          }
           .section {
             margin-bottom: 25px;
             border: 1px solid #ddd;
@@ -116,58 +194,58 @@
       <body>
         <div class="form-container">
           <div class="header">
-            <h1>UNIVERSITY STUDENT REGISTRATION FORM</h1>
-            <p><strong>Registration ID:</strong> <xsl:value-of select="sr:studentRegistration/@registrationId"/></p>
-            <p><strong>Submission Date:</strong> <xsl:value-of select="sr:studentRegistration/@submissionDate"/></p>
-            <p><strong>Status:</strong>
-              <span class="status-badge status-{sr:studentRegistration/@status}">
-                <xsl:value-of select="sr:studentRegistration/@status"/>
+            <h1><xsl:apply-templates select="$labels[@key='heading']" mode="label"/></h1>
+            <p><strong><xsl:apply-templates select="$labels[@key='registrationId']" mode="label"/>:</strong><xsl:text> </xsl:text><xsl:value-of select="@registrationId"/></p>
+            <p><strong><xsl:apply-templates select="$labels[@key='submissionDate']" mode="label"/>:</strong><xsl:text> </xsl:text><xsl:value-of select="@submissionDate"/></p>
+            <p><strong><xsl:apply-templates select="$labels[@key='status']" mode="label"/>:</strong>
+              <span class="status-badge status-{@status}">
+                <xsl:value-of select="@status"/>
               </span>
             </p>
           </div>
 
           <!-- Personal Information Section -->
           <div class="section">
-            <div class="section-title">Personal Information</div>
+            <div class="section-title"><xsl:apply-templates select="$labels[@key='personalInfo']" mode="label"/></div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">First Name</div>
-                <div class="field-value"><xsl:value-of select="sr:studentRegistration/sr:personalInfo/sr:firstName"/></div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='firstName']" mode="label"/></div>
+                <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:firstName"/></div>
               </div>
               <div class="field">
-                <div class="field-label">Last Name</div>
-                <div class="field-value"><xsl:value-of select="sr:studentRegistration/sr:personalInfo/sr:lastName"/></div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='lastName']" mode="label"/></div>
+                <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:lastName"/></div>
               </div>
-              <xsl:if test="sr:studentRegistration/sr:personalInfo/sr:middleName">
+              <xsl:if test="sr:personalInfo/sr:middleName">
                 <div class="field">
-                  <div class="field-label">Middle Name</div>
-                  <div class="field-value"><xsl:value-of select="sr:studentRegistration/sr:personalInfo/sr:middleName"/></div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='middleName']" mode="label"/></div>
+                  <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:middleName"/></div>
                 </div>
               </xsl:if>
             </div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Date of Birth</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='dateOfBirth']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:dateOfBirth"/></div>
               </div>
               <div class="field">
-                <div class="field-label">Gender</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='gender']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:gender"/></div>
               </div>
               <div class="field">
-                <div class="field-label">Nationality</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='nationality']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:nationality"/></div>
               </div>
             </div>
             <div class="field-group">
               <xsl:if test="sr:personalInfo/sr:socialSecurityNumber">
                 <div class="field">
-                  <div class="field-label">Social Security Number</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='socialSecurityNumber']" mode="label"/></div>
                   <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:socialSecurityNumber"/></div>
                 </div>
               </xsl:if>
               <div class="field">
-                <div class="field-label">Marital Status</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='maritalStatus']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:personalInfo/sr:maritalStatus"/></div>
               </div>
             </div>
@@ -175,43 +253,43 @@
 
           <!-- Academic Information Section -->
           <div class="section">
-            <div class="section-title">Academic Information</div>
+            <div class="section-title"><xsl:apply-templates select="$labels[@key='academicInfo']" mode="label"/></div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Program</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='program']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:academicInfo/sr:program"/></div>
               </div>
               <div class="field">
-                <div class="field-label">Major</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='major']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:academicInfo/sr:major"/></div>
               </div>
               <xsl:if test="sr:academicInfo/sr:minor">
                 <div class="field">
-                  <div class="field-label">Minor</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='minor']" mode="label"/></div>
                   <div class="field-value"><xsl:value-of select="sr:academicInfo/sr:minor"/></div>
                 </div>
               </xsl:if>
             </div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Expected Graduation Year</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='expectedGraduationYear']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:academicInfo/sr:expectedGraduationYear"/></div>
               </div>
               <xsl:if test="sr:academicInfo/sr:gpa">
                 <div class="field">
-                  <div class="field-label">Current GPA</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='gpa']" mode="label"/></div>
                   <div class="field-value"><xsl:value-of select="sr:academicInfo/sr:gpa"/></div>
                 </div>
               </xsl:if>
               <div class="field">
-                <div class="field-label">Transfer Student</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='transferStudent']" mode="label"/></div>
                 <div class="field-value">
                   <xsl:choose>
                     <xsl:when test="sr:academicInfo/sr:isTransferStudent = 'true'">
-                      <span class="boolean-yes">Yes</span>
+                      <span class="boolean-yes"><xsl:apply-templates select="$labels[@key='yes']" mode="label"/></span>
                     </xsl:when>
                     <xsl:otherwise>
-                      <span class="boolean-no">No</span>
+                      <span class="boolean-no"><xsl:apply-templates select="$labels[@key='no']" mode="label"/></span>
                     </xsl:otherwise>
                   </xsl:choose>
                 </div>
@@ -220,15 +298,15 @@
 
             <!-- Previous Education -->
             <xsl:if test="sr:academicInfo/sr:previousEducation">
-              <h4>Previous Education</h4>
+              <h4><xsl:apply-templates select="$labels[@key='previousEducation']" mode="label"/></h4>
               <table class="table">
                 <thead>
                   <tr>
-                    <th>Level</th>
-                    <th>Institution</th>
-                    <th>Degree</th>
-                    <th>Graduation Year</th>
-                    <th>GPA</th>
+                    <th><xsl:apply-templates select="$labels[@key='level']" mode="label"/></th>
+                    <th><xsl:apply-templates select="$labels[@key='institution']" mode="label"/></th>
+                    <th><xsl:apply-templates select="$labels[@key='degree']" mode="label"/></th>
+                    <th><xsl:apply-templates select="$labels[@key='graduationYear']" mode="label"/></th>
+                    <th><xsl:apply-templates select="$labels[@key='gpaShort']" mode="label"/></th>
                   </tr>
                 </thead>
                 <tbody>
@@ -248,14 +326,16 @@
 
           <!-- Contact Information Section -->
           <div class="section">
-            <div class="section-title">Contact Information</div>
+            <div class="section-title"><xsl:apply-templates select="$labels[@key='contactInfo']" mode="label"/></div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Address</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='address']" mode="label"/></div>
                 <div class="field-value">
                   <xsl:value-of select="sr:contactInfo/sr:address/sr:street"/><br/>
-                  <xsl:value-of select="sr:contactInfo/sr:address/sr:city"/>, 
-                  <xsl:value-of select="sr:contactInfo/sr:address/sr:state"/> 
+                  <xsl:value-of select="sr:contactInfo/sr:address/sr:city"/>
+                  <xsl:text>, </xsl:text>
+                  <xsl:value-of select="sr:contactInfo/sr:address/sr:state"/>
+                  <xsl:text> </xsl:text>
                   <xsl:value-of select="sr:contactInfo/sr:address/sr:zipCode"/><br/>
                   <xsl:value-of select="sr:contactInfo/sr:address/sr:country"/>
                 </div>
@@ -263,24 +343,24 @@
             </div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Phone Number</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='phoneNumber']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:contactInfo/sr:phoneNumber"/></div>
               </div>
               <xsl:if test="sr:contactInfo/sr:alternatePhone">
                 <div class="field">
-                  <div class="field-label">Alternate Phone</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='alternatePhone']" mode="label"/></div>
                   <div class="field-value"><xsl:value-of select="sr:contactInfo/sr:alternatePhone"/></div>
                 </div>
               </xsl:if>
             </div>
             <div class="field-group">
               <div class="field">
-                <div class="field-label">Email</div>
+                <div class="field-label"><xsl:apply-templates select="$labels[@key='email']" mode="label"/></div>
                 <div class="field-value"><xsl:value-of select="sr:contactInfo/sr:email"/></div>
               </div>
               <xsl:if test="sr:contactInfo/sr:alternateEmail">
                 <div class="field">
-                  <div class="field-label">Alternate Email</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='alternateEmail']" mode="label"/></div>
                   <div class="field-value"><xsl:value-of select="sr:contactInfo/sr:alternateEmail"/></div>
                 </div>
               </xsl:if>
@@ -289,15 +369,15 @@
 
           <!-- Emergency Contacts Section -->
           <div class="section">
-            <div class="section-title">Emergency Contacts</div>
+            <div class="section-title"><xsl:apply-templates select="$labels[@key='emergencyContacts']" mode="label"/></div>
             <table class="table">
               <thead>
                 <tr>
-                  <th>Priority</th>
-                  <th>Name</th>
-                  <th>Relationship</th>
-                  <th>Phone</th>
-                  <th>Email</th>
+                  <th><xsl:apply-templates select="$labels[@key='priority']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='name']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='relationship']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='phone']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='email']" mode="label"/></th>
                 </tr>
               </thead>
               <tbody>
@@ -316,17 +396,17 @@
 
           <!-- Courses Section -->
           <div class="section">
-            <div class="section-title">Course Registration (Total Credits: <xsl:value-of select="sr:courses/@totalCredits"/>)</div>
+            <div class="section-title"><xsl:apply-templates select="$labels[@key='courses']" mode="label"/> (<xsl:apply-templates select="$labels[@key='totalCredits']" mode="label"/>: <xsl:value-of select="sr:courses/@totalCredits"/>)</div>
             <table class="table">
               <thead>
                 <tr>
-                  <th>Course Code</th>
-                  <th>Course Name</th>
-                  <th>Credits</th>
-                  <th>Semester</th>
-                  <th>Instructor</th>
-                  <th>Schedule</th>
-                  <th>Room</th>
+                  <th><xsl:apply-templates select="$labels[@key='courseCode']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='courseName']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='credits']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='semester']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='instructor']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='schedule']" mode="label"/></th>
+                  <th><xsl:apply-templates select="$labels[@key='room']" mode="label"/></th>
                 </tr>
               </thead>
               <tbody>
@@ -339,7 +419,9 @@
                     <td><xsl:value-of select="sr:instructor"/></td>
                     <td>
                       <xsl:value-of select="sr:schedule/sr:days"/>
-                      <xsl:value-of select="sr:schedule/sr:startTime"/> -
+                      <xsl:text> </xsl:text>
+                      <xsl:value-of select="sr:schedule/sr:startTime"/>
+                      <xsl:text> - </xsl:text>
                       <xsl:value-of select="sr:schedule/sr:endTime"/>
                     </td>
                     <td><xsl:value-of select="sr:schedule/sr:room"/></td>
@@ -352,17 +434,17 @@
           <!-- Additional Information Section -->
           <xsl:if test="sr:additionalInfo">
             <div class="section">
-              <div class="section-title">Additional Information</div>
+              <div class="section-title"><xsl:apply-templates select="$labels[@key='additionalInfo']" mode="label"/></div>
               <div class="field-group">
                 <xsl:if test="sr:additionalInfo/sr:specialNeeds">
                   <div class="field">
-                    <div class="field-label">Special Needs</div>
+                    <div class="field-label"><xsl:apply-templates select="$labels[@key='specialNeeds']" mode="label"/></div>
                     <div class="field-value"><xsl:value-of select="sr:additionalInfo/sr:specialNeeds"/></div>
                   </div>
                 </xsl:if>
                 <xsl:if test="sr:additionalInfo/sr:medicalConditions">
                   <div class="field">
-                    <div class="field-label">Medical Conditions</div>
+                    <div class="field-label"><xsl:apply-templates select="$labels[@key='medicalConditions']" mode="label"/></div>
                     <div class="field-value"><xsl:value-of select="sr:additionalInfo/sr:medicalConditions"/></div>
                   </div>
                 </xsl:if>
@@ -370,40 +452,40 @@
               <div class="field-group">
                 <xsl:if test="sr:additionalInfo/sr:extracurricularActivities">
                   <div class="field">
-                    <div class="field-label">Extracurricular Activities</div>
+                    <div class="field-label"><xsl:apply-templates select="$labels[@key='extracurricularActivities']" mode="label"/></div>
                     <div class="field-value"><xsl:value-of select="sr:additionalInfo/sr:extracurricularActivities"/></div>
                   </div>
                 </xsl:if>
                 <xsl:if test="sr:additionalInfo/sr:workExperience">
                   <div class="field">
-                    <div class="field-label">Work Experience</div>
+                    <div class="field-label"><xsl:apply-templates select="$labels[@key='workExperience']" mode="label"/></div>
                     <div class="field-value"><xsl:value-of select="sr:additionalInfo/sr:workExperience"/></div>
                   </div>
                 </xsl:if>
               </div>
               <div class="field-group">
                 <div class="field">
-                  <div class="field-label">Financial Aid Required</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='financialAidRequired']" mode="label"/></div>
                   <div class="field-value">
                     <xsl:choose>
                       <xsl:when test="sr:additionalInfo/sr:financialAidRequired = 'true'">
-                        <span class="boolean-yes">Yes</span>
+                        <span class="boolean-yes"><xsl:apply-templates select="$labels[@key='yes']" mode="label"/></span>
                       </xsl:when>
                       <xsl:otherwise>
-                        <span class="boolean-no">No</span>
+                        <span class="boolean-no"><xsl:apply-templates select="$labels[@key='no']" mode="label"/></span>
                       </xsl:otherwise>
                     </xsl:choose>
                   </div>
                 </div>
                 <div class="field">
-                  <div class="field-label">Housing Required</div>
+                  <div class="field-label"><xsl:apply-templates select="$labels[@key='housingRequired']" mode="label"/></div>
                   <div class="field-value">
                     <xsl:choose>
                       <xsl:when test="sr:additionalInfo/sr:housingRequired = 'true'">
-                        <span class="boolean-yes">Yes</span>
+                        <span class="boolean-yes"><xsl:apply-templates select="$labels[@key='yes']" mode="label"/></span>
                       </xsl:when>
                       <xsl:otherwise>
-                        <span class="boolean-no">No</span>
+                        <span class="boolean-no"><xsl:apply-templates select="$labels[@key='no']" mode="label"/></span>
                       </xsl:otherwise>
                     </xsl:choose>
                   </div>
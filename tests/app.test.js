@@ -0,0 +1,305 @@
+/**
+ * Application Tests
+ * The real server routes on in-memory storage: nothing is read from or written to data/ or output/.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const request = require('supertest');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const c14n = require('../lib/c14n');
+const registrationMapper = require('../lib/registration-mapper');
+const xadesBesValidator = require('../lib/xades-bes-validator');
+const xadesTExtension = require('../lib/xades-t-extension');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+// A PKCS#12 keystore with a certificate valid today, issued by a CA the server's trust store holds
+const createKeystore = (password) => {
+  const keyPair = () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  };
+  const certificateFor = (key, serialNumber, subject) => {
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    certificate.serialNumber = serialNumber;
+    certificate.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+    certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    certificate.setSubject(subject);
+    return certificate;
+  };
+
+  const caKey = keyPair();
+  const ca = certificateFor(caKey, '01', [{ shortName: 'CN', value: 'Registrar CA' }, { shortName: 'C', value: 'SK' }]);
+  ca.setIssuer(ca.subject.attributes);
+  ca.setExtensions([
+    { name: 'basicConstraints', critical: true, cA: true },
+    { name: 'keyUsage', critical: true, keyCertSign: true },
+    { name: 'cRLDistributionPoints', altNames: [{ type: 6, value: 'http://127.0.0.1:9/registrar-root.crl' }] }
+  ]);
+  ca.sign(caKey, forge.md.sha256.create());
+
+  const key = keyPair();
+  const certificate = certificateFor(key, '0a', [{ shortName: 'CN', value: 'Registrar Signer' }, { shortName: 'C', value: 'SK' }]);
+  certificate.setIssuer(ca.subject.attributes);
+  certificate.setExtensions([{ name: 'keyUsage', critical: true, digitalSignature: true, nonRepudiation: true }]);
+  certificate.sign(caKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [certificate], password, { algorithm: '3des' });
+  return { keystore: Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'), caCertificate: forge.pki.certificateToPem(ca) };
+};
+
+describe('Application on memory storage', () => {
+  let app;
+  let storage;
+  let formData;
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'app-'));
+    const { keystore, caCertificate } = createKeystore('secret');
+    await fs.writeFile(path.join(directory, 'signer.p12'), keystore);
+    await fs.outputFile(path.join(directory, 'trusted', 'registrar-ca.pem'), caCertificate);
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.SIGNING_KEYSTORE = path.join(directory, 'signer.p12');
+    process.env.SIGNING_PASSWORD = 'secret';
+    process.env.TRUST_STORE_DIR = path.join(directory, 'trusted');
+    // Nothing listening on the discard port: a refresh that cannot reach its distribution point
+    await fs.writeFile(path.join(directory, 'crl.txt'), 'http://127.0.0.1:9/registrar-ca.crl\n');
+    process.env.CRL_SOURCES = path.join(directory, 'crl.txt');
+    process.env.CRL_CACHE_DIR = path.join(directory, 'crls');
+    ({ app, storage } = require('../server'));
+    formData = registrationMapper.xmlToFormData(await fs.readFile(VALID_XML_PATH, 'utf8'));
+  });
+
+  afterAll(async () => {
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.SIGNING_KEYSTORE;
+    delete process.env.SIGNING_PASSWORD;
+    delete process.env.TRUST_STORE_DIR;
+    delete process.env.CRL_SOURCES;
+    delete process.env.CRL_CACHE_DIR;
+    await fs.remove(directory);
+  });
+
+  test('should save, list, validate, transform and download through the storage backend', async () => {
+    expect(storage.backend).toBe('memory');
+
+    const saved = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: 'REG-MEM-1' } }).expect(200);
+    const { filename } = saved.body;
+    expect(await storage.readText('data', filename)).toContain('registrationId="REG-MEM-1"');
+    expect(await fs.pathExists(path.join('data', filename))).toBe(false);
+
+    const listed = await request(app).get('/api/xml-files').expect(200);
+    expect(listed.body.files).toEqual([filename]);
+    expect(listed.body.items[0]).toMatchObject({ registrationId: 'REG-MEM-1', revision: 1, status: 'pending' });
+
+    const validated = await request(app).post('/api/validate-xml').send({ filename }).expect(200);
+    expect(validated.body.validation.valid).toBe(true);
+
+    const transformed = await request(app).post('/api/transform-xml').send({ filename }).expect(200);
+    expect(await storage.readText('output', transformed.body.htmlFilename)).toBe(transformed.body.html);
+
+    const downloaded = await request(app).get('/api/download-file').query({ filename: transformed.body.htmlFilename }).expect(200);
+    expect(downloaded.headers['content-disposition']).toContain(transformed.body.htmlFilename);
+    await request(app).get('/api/download-file').query({ filename: 'missing.html' }).expect(404);
+  });
+
+  test('should create a new registration for every save of a form without a registration ID', async () => {
+    // The form sends its hidden registrationId empty unless a stored registration was loaded
+    const first = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: '' } }).expect(200);
+    const second = await request(app).post('/api/save-xml')
+      .send({ formData: { ...formData, registrationId: '', firstName: 'Jana', lastName: 'Kováčová' } })
+      .expect(200);
+    expect(first.body.registrationId).toMatch(/^REG-\d+$/);
+    expect(second.body.registrationId).toMatch(/^REG-\d+$/);
+    expect(second.body.registrationId).not.toBe(first.body.registrationId);
+    expect([first.body.revision, second.body.revision]).toEqual([1, 1]);
+
+    await request(app).delete(`/api/registrations/${first.body.registrationId}`).expect(200);
+    await request(app).delete(`/api/registrations/${second.body.registrationId}`).expect(200);
+  });
+
+  test('should give concurrent saves of a registration revisions of their own', async () => {
+    const saves = await Promise.all(['Anna', 'Eva', 'Zuzana'].map(firstName => request(app).post('/api/save-xml')
+      .send({ formData: { ...formData, registrationId: 'REG-CONCURRENT-1', firstName } })));
+
+    expect(saves.map(save => save.status)).toEqual([200, 200, 200]);
+    expect(saves.map(save => save.body.revision).sort()).toEqual([1, 2, 3]);
+    await request(app).delete('/api/registrations/REG-CONCURRENT-1').expect(200);
+  });
+
+  test('should keep registration revisions, renditions and the audit log in the storage backend', async () => {
+    await request(app).put('/api/registrations/REG-MEM-1').send({ formData: { ...formData, registrationId: 'REG-MEM-1', email: 'new@example.com' } }).expect(200);
+    await request(app).post('/api/registrations/REG-MEM-1/transitions').send({ to: 'approved', actor: 'Registrar' }).expect(200);
+
+    const diff = await request(app).get('/api/registrations/REG-MEM-1/diff').query({ from: 1, to: 3 }).expect(200);
+    expect(diff.body.diff.fields).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'email', before: formData.email, after: 'new@example.com' }),
+      expect.objectContaining({ field: 'status', before: 'pending', after: 'approved' })
+    ]));
+
+    const malformed = await request(app).get('/api/registrations/REG-MEM-1/diff').query({ to: 'abc' }).expect(400);
+    expect(malformed.body.error).toBe("'abc' is not a revision number for to; revisions are whole numbers from 1");
+    await request(app).get('/api/registrations/REG-MEM-1/diff').query({ from: 0, to: 2 }).expect(400);
+    await request(app).get('/api/registrations/REG-MEM-1/diff').query({ to: '1.5' }).expect(400);
+    // The revision asked for is named, not the default from before it
+    const missing = await request(app).get('/api/registrations/REG-MEM-1/diff').query({ to: 7 }).expect(404);
+    expect(missing.body.error).toBe("Registration 'REG-MEM-1' has no revision 7");
+
+    const text = await request(app).get('/api/registrations/REG-MEM-1/document.txt').expect(200);
+    expect(text.headers['x-rendition-cache']).toBe('miss');
+    expect(await storage.list('output', 'renditions')).toHaveLength(1);
+    expect(JSON.parse(await storage.readText('data', 'registrations.json')).registrations['REG-MEM-1'].revision).toBe(3);
+    expect(await storage.readText('data', 'status-history.jsonl')).toContain('"to":"approved"');
+
+    // IDs that name Object.prototype members are unknown like any other
+    await request(app).get('/api/registrations/__proto__/document.txt').expect(404);
+    await request(app).get('/api/registrations/constructor').expect(404);
+
+    await request(app).delete('/api/registrations/REG-MEM-1').expect(200);
+    expect(await storage.list('data')).toEqual(['registrations.json', 'status-history.jsonl']);
+    expect(await storage.list('output', 'renditions')).toEqual([]);
+  });
+
+  test('should sign a stored revision on the server and keep the container with it', async () => {
+    const saved = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: 'REG-SIGN-1' } }).expect(200);
+
+    const signed = await request(app).post('/api/sign').send({ filename: saved.body.filename, stylesheet: 'confirmation' }).expect(200);
+    expect(signed.body).toMatchObject({
+      registrationId: 'REG-SIGN-1',
+      revision: 1,
+      signer: { subject: 'C=SK,CN=Registrar Signer', serialNumber: '10' }
+    });
+    expect(signed.body.objects.map(object => object.mimeType)).toEqual(expect.arrayContaining(['application/vnd.gov.sk.xmldatacontainer+xml', 'text/plain']));
+
+    const zip = new AdmZip(await storage.read('output', signed.body.filename));
+    const xmlDataContainer = zip.readAsText(signed.body.objects[0].name);
+    expect(xmlDataContainer).toContain('registrationId="REG-SIGN-1"');
+    expect(xmlDataContainer).toContain('>student-confirmation.xsl</xdc:UsedXSLTReference>');
+    expect(xmlDataContainer).toContain('Language="en"');
+    const signatures = xadesBesValidator.loadXMLWithPreservation(zip.readAsText('META-INF/signatures.xml'));
+    expect(xadesBesValidator.validateXAdESBES(signatures).valid).toBe(true);
+
+    const registration = await request(app).get('/api/registrations/REG-SIGN-1').expect(200);
+    expect(registration.body.registration.revisions[0].signed).toEqual([
+      expect.objectContaining({ file: signed.body.filename, name: expect.stringMatching(/\.asice$/) })
+    ]);
+
+    await request(app).post('/api/sign').send({ filename: 'missing.xml' }).expect(404);
+  });
+
+  test('should sign the stylesheet with the labels of the language the signer previewed', async () => {
+    const saved = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: 'REG-SIGN-SK' } }).expect(200);
+
+    const prepared = await request(app).post('/api/prepare-signing?lang=sk').send({ filename: saved.body.filename }).expect(200);
+    const { xdcUsedXSLT, xslXSLTLanguage } = prepared.body.payload;
+    expect(xslXSLTLanguage).toBe('sk');
+    expect(xdcUsedXSLT).toContain('<msg:messages xml:lang="sk">');
+    expect(xdcUsedXSLT).toContain('<xsl:param name="lang" select="\'sk\'"/>');
+    expect(xdcUsedXSLT).not.toContain('>Personal Information<');
+
+    const signed = await request(app).post('/api/sign?lang=sk').send({ filename: saved.body.filename }).expect(200);
+    const xmlDataContainer = new AdmZip(await storage.read('output', signed.body.filename)).readAsText(signed.body.objects[0].name);
+    const digest = crypto.createHash('sha256').update(xdcUsedXSLT).digest('base64');
+    expect(xmlDataContainer).toMatch(new RegExp(`<xdc:UsedXSLTReference [^>]*DigestValue="${digest.replace(/[+/]/g, '\\$&')}"[^>]*Language="sk"`));
+
+    await request(app).delete('/api/registrations/REG-SIGN-SK').expect(200);
+  });
+
+  test('should timestamp a signed container with the canonicalization asked for', async () => {
+    const saved = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: 'REG-TIMESTAMP-1' } }).expect(200);
+    const signed = await request(app).post('/api/sign').send({ filename: saved.body.filename }).expect(200);
+    const container = await storage.read('output', signed.body.filename);
+
+    // No TSA here: the conversion falls back to a mock token, the request shows what was timestamped
+    const requests = [];
+    const tsa = jest.spyOn(xadesTExtension, 'requestTimestamp').mockImplementation(async (timeStampReq) => {
+      requests.push(timeStampReq);
+      throw new Error('TSA not reachable');
+    });
+    const convert = async (canonicalization) => {
+      const converting = request(app).post('/api/convert-bes-to-t');
+      if (canonicalization) converting.field('canonicalization', canonicalization);
+      const converted = await converting.attach('xmlFile', container, signed.body.filename).expect(200);
+      const zip = new AdmZip(await storage.read('output', converted.body.filename));
+      const signature = xadesBesValidator.extractSignatureElement(xadesBesValidator.loadXMLWithPreservation(zip.readAsText('META-INF/signatures.xml')));
+      const method = xadesBesValidator.findElement(signature,
+        'ds:Object/xades:QualifyingProperties/xades:UnsignedProperties/xades:UnsignedSignatureProperties/xades:SignatureTimeStamp/ds:CanonicalizationMethod');
+      return { signatureValue: xadesBesValidator.findElement(signature, 'ds:SignatureValue'), algorithm: method.getAttribute('Algorithm') };
+    };
+    const imprintOf = timeStampReq => Buffer.from(forge.asn1.fromDer(timeStampReq.toString('binary')).value[1].value[1].value, 'binary');
+
+    try {
+      const exclusive = await convert('exclusive');
+      expect(exclusive.algorithm).toBe(c14n.ALGORITHMS.exclusive);
+      expect(imprintOf(requests[0])).toEqual(crypto.createHash('sha256')
+        .update(c14n.canonicalizeWith(c14n.ALGORITHMS.exclusive, exclusive.signatureValue)).digest());
+
+      // By default the canonicalization SignedInfo names, inclusive C14N 1.0 for server signatures
+      expect((await convert()).algorithm).toBe(c14n.ALGORITHMS.c14n);
+
+      const unsupported = await request(app).post('/api/convert-bes-to-t')
+        .field('canonicalization', 'http://www.w3.org/2010/xml-c14n2')
+        .attach('xmlFile', container, signed.body.filename)
+        .expect(400);
+      expect(unsupported.body.error).toBe('Unsupported canonicalization algorithm: http://www.w3.org/2010/xml-c14n2');
+    } finally {
+      tsa.mockRestore();
+    }
+  });
+
+  test('should verify a container signed on the server and report changes made after signing', async () => {
+    const saved = await request(app).post('/api/save-xml').send({ formData: { ...formData, registrationId: 'REG-VERIFY-1' } }).expect(200);
+    const signed = await request(app).post('/api/sign').send({ filename: saved.body.filename }).expect(200);
+    const container = await storage.read('output', signed.body.filename);
+
+    const verified = await request(app).post('/api/verify')
+      .attach('signedFile', container, signed.body.filename)
+      .expect(200);
+    expect(verified.body).toMatchObject({ success: true, valid: true, containerType: 'asice', warnings: [] });
+    expect(verified.body.signatures[0]).toMatchObject({
+      signatureValue: true,
+      errors: [],
+      certificate: { subject: 'C=SK,CN=Registrar Signer', issuer: 'C=SK,CN=Registrar CA' },
+      certificateChain: { valid: true, trustAnchor: 'C=SK,CN=Registrar CA' }
+    });
+    // The signer names no CRL distribution point and the cache holds no CRL of the Registrar CA
+    expect(verified.body.signatures[0].certificateChain.chain[0].revocation).toMatchObject({ status: 'unchecked' });
+
+    const zip = new AdmZip(container);
+    zip.updateFile(signed.body.objects[1].name, Buffer.from('changed'));
+    const tampered = await request(app).post('/api/verify?lang=sk')
+      .attach('signedFile', zip.toBuffer(), signed.body.filename)
+      .expect(200);
+    expect(tampered.body.valid).toBe(false);
+    expect(tampered.body.signatures[0].errors).toEqual([
+      expect.objectContaining({ code: 'DIGEST_MISMATCH', message: `Podpísané údaje ${signed.body.objects[1].name} boli po podpísaní zmenené` })
+    ]);
+
+    await request(app).post('/api/verify').expect(400);
+    await request(app).post('/api/verify').attach('signedFile', Buffer.from('<registration/>'), 'unsigned.xml').expect(400);
+  });
+
+  test('should report the distribution points a CRL refresh cannot reach, and refuse refreshing again at once', async () => {
+    const refreshed = await request(app).post('/api/crls/refresh').expect(200);
+    expect(refreshed.body).toMatchObject({
+      success: false,
+      refreshed: [],
+      // CRL_SOURCES, then the distribution point the trust anchor names
+      failed: [
+        { url: 'http://127.0.0.1:9/registrar-ca.crl', error: expect.any(String) },
+        { url: 'http://127.0.0.1:9/registrar-root.crl', error: expect.any(String) }
+      ],
+      cached: 0
+    });
+
+    const again = await request(app).post('/api/crls/refresh?lang=sk').expect(429);
+    expect(Number(again.headers['retry-after'])).toBeGreaterThan(0);
+    expect(again.body).toEqual({ success: false, error: expect.stringMatching(/^Zoznamy zrušených certifikátov boli práve obnovené; skúste to znova o \d+ s$/) });
+  });
+});
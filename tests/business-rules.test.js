@@ -0,0 +1,129 @@
+/**
+ * Business Rules Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const businessRules = require('../lib/business-rules');
+
+const SCH_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.sch');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Business Rules', () => {
+  let rules;
+  let validXml;
+
+  const codesFor = (xml) => businessRules.validate(rules, xml).errors.map(e => e.code);
+
+  beforeAll(async () => {
+    rules = await businessRules.loadRules(SCH_PATH);
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+  });
+
+  describe('Rule set compilation', () => {
+    test('should compile the registration rule set', () => {
+      expect(rules.title).toBe('Student Registration Business Rules');
+      expect(rules.namespaces.sr).toBe('http://university.edu/student-registration');
+      expect(rules.patterns.length).toBeGreaterThan(0);
+    });
+
+    test('should reject a document that is not Schematron', () => {
+      expect(() => businessRules.compileRules('<root/>')).toThrow('root element must be sch:schema');
+    });
+
+    test('should require an id on every assert', () => {
+      const sch = `<sch:schema xmlns:sch="${businessRules.SCH_NS}">
+        <sch:pattern><sch:rule context="a"><sch:assert test="b">x</sch:assert></sch:rule></sch:pattern>
+      </sch:schema>`;
+      expect(() => businessRules.compileRules(sch)).toThrow('needs an id');
+    });
+  });
+
+  describe('Registration rules', () => {
+    test('should accept the valid sample registration', () => {
+      expect(businessRules.validate(rules, validXml)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should require courses to end after they start', () => {
+      const xml = validXml.replace('<sr:endTime>10:00</sr:endTime>', '<sr:endTime>08:30</sr:endTime>');
+      const [error] = businessRules.validate(rules, xml).errors;
+
+      expect(error).toMatchObject({
+        code: 'RULE_COURSE_TIME_ORDER',
+        severity: 'error',
+        xpath: '/sr:studentRegistration/sr:courses/sr:course[1]/sr:schedule/sr:endTime',
+        message: 'Course CS101 must end after it starts (09:00 - 08:30).'
+      });
+      expect(error.line).toBeGreaterThan(0);
+    });
+
+    test('should require total credits to match the course credits', () => {
+      const xml = validXml.replace('totalCredits="15"', 'totalCredits="12"');
+      const result = businessRules.validate(rules, xml);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].code).toBe('RULE_TOTAL_CREDITS');
+      expect(result.errors[0].xpath).toBe('/sr:studentRegistration/sr:courses/@totalCredits');
+    });
+
+    test('should only allow transfer credits for transfer students', () => {
+      const withCredits = validXml.replace(
+        '<sr:isTransferStudent>false</sr:isTransferStudent>',
+        '<sr:isTransferStudent>false</sr:isTransferStudent>\n    <sr:transferCredits>12</sr:transferCredits>'
+      );
+      expect(codesFor(withCredits)).toEqual(['RULE_TRANSFER_CREDITS']);
+      expect(codesFor(withCredits.replace('>false</sr:isTransferStudent>', '>true</sr:isTransferStudent>'))).toEqual([]);
+    });
+
+    test('should require a minimum age at graduation', () => {
+      const xml = validXml.replace('<sr:expectedGraduationYear>2026', '<sr:expectedGraduationYear>2019');
+      expect(codesFor(xml)).toEqual(['RULE_GRADUATION_AGE']);
+    });
+
+    test('should require unique emergency contact priorities', () => {
+      const xml = validXml.replace('priority="Secondary"', 'priority="Primary"');
+      const result = businessRules.validate(rules, xml);
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].code).toBe('RULE_CONTACT_PRIORITY_UNIQUE');
+      expect(result.errors[0].xpath).toBe('/sr:studentRegistration/sr:emergencyContacts/sr:contact[2]/@priority');
+    });
+  });
+
+  describe('Rule semantics', () => {
+    const NS = 'xmlns:sch="http://purl.oclc.org/dsdl/schematron"';
+
+    test('should treat reports as firing when their test is true and honour roles', () => {
+      const compiled = businessRules.compileRules(`<sch:schema ${NS}>
+        <sch:pattern>
+          <sch:rule context="item">
+            <sch:report id="EMPTY_ITEM" role="warning" test="not(normalize-space(.))">Item is empty</sch:report>
+          </sch:rule>
+        </sch:pattern>
+      </sch:schema>`);
+      const result = businessRules.validate(compiled, '<list><item>a</item><item/></list>');
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toMatchObject({ code: 'EMPTY_ITEM', severity: 'warning', xpath: '/list/item[2]' });
+    });
+
+    test('should fire only the first matching rule of a pattern per node', () => {
+      const compiled = businessRules.compileRules(`<sch:schema ${NS}>
+        <sch:let name="limit" value="2"/>
+        <sch:pattern>
+          <sch:rule context="item[@special]">
+            <sch:assert id="SPECIAL" test="false()">special</sch:assert>
+          </sch:rule>
+          <sch:rule context="item">
+            <sch:assert id="LIMIT" test="number(.) &lt;= $limit">over <sch:value-of select="$limit"/></sch:assert>
+          </sch:rule>
+        </sch:pattern>
+      </sch:schema>`);
+      const result = businessRules.validate(compiled, '<list><item special="1">5</item><item>3</item></list>');
+
+      expect(result.errors.map(e => e.code)).toEqual(['SPECIAL', 'LIMIT']);
+      expect(result.errors[1].message).toBe('over 2');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Canonical XML Tests
+ * Expected output of whole documents as produced by libxml2 (xmllint --c14n, --c14n11, --exc-c14n);
+ * element subsets follow the examples of the specifications
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+const c14n = require('../lib/c14n');
+
+const parse = xml => new DOMParser().parseFromString(xml, 'text/xml');
+
+describe('Canonical XML', () => {
+  test('should normalize start and end tags, attribute order and namespace declarations', () => {
+    const doc = parse(`<doc>
+   <e1   />
+   <e2   ></e2>
+   <e3   name = "elem3"   id="elem3"   />
+   <e5 a:attr="out" b:attr="sorted" attr2="all" attr="I'm"
+      xmlns:b="http://www.ietf.org"
+      xmlns:a="http://www.w3.org"
+      xmlns="http://example.org"/>
+   <e6 xmlns="" xmlns:a="http://www.w3.org">
+      <e7 xmlns="http://www.ietf.org">
+         <e8 xmlns="" xmlns:a="http://www.w3.org">
+            <e9 xmlns="" xmlns:a="http://www.ietf.org"/>
+         </e8>
+      </e7>
+   </e6>
+</doc>`);
+
+    expect(c14n.canonicalize(doc)).toBe(`<doc>
+   <e1></e1>
+   <e2></e2>
+   <e3 id="elem3" name="elem3"></e3>
+   <e5 xmlns="http://example.org" xmlns:a="http://www.w3.org" xmlns:b="http://www.ietf.org" attr="I'm" attr2="all" b:attr="sorted" a:attr="out"></e5>
+   <e6 xmlns:a="http://www.w3.org">
+      <e7 xmlns="http://www.ietf.org">
+         <e8 xmlns="">
+            <e9 xmlns:a="http://www.ietf.org"></e9>
+         </e8>
+      </e7>
+   </e6>
+</doc>`);
+  });
+
+  test('should replace character and entity references and escape text and attributes', () => {
+    const doc = parse(`<doc>
+   <text>First line&#x0d;&#10;Second line</text>
+   <value>&#x32;</value>
+   <compute><![CDATA[value>"0" && value<"10" ?"valid":"error"]]></compute>
+   <compute expr='value>"0" &amp;&amp; value&lt;"10" ?"valid":"error"'>valid</compute>
+   <norm attr=' &apos;   &#x20;&#13;&#xa;&#9;   &apos; '/>
+</doc>`);
+
+    expect(c14n.canonicalize(doc)).toBe(`<doc>
+   <text>First line&#xD;
+Second line</text>
+   <value>2</value>
+   <compute>value&gt;"0" &amp;&amp; value&lt;"10" ?"valid":"error"</compute>
+   <compute expr="value>&quot;0&quot; &amp;&amp; value&lt;&quot;10&quot; ?&quot;valid&quot;:&quot;error&quot;">valid</compute>
+   <norm attr=" '    &#xD;&#xA;&#x9;   ' "></norm>
+</doc>`);
+  });
+
+  test('should drop the XML declaration and keep comments only when asked', () => {
+    const doc = parse('<?xml version="1.0"?>\n<!-- before --><doc>Hello<!-- inside --></doc>\n<?pi after?>');
+
+    expect(c14n.canonicalize(doc)).toBe('<doc>Hello</doc>\n<?pi after?>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14nWithComments, doc)).toBe('<!-- before -->\n<doc>Hello<!-- inside --></doc>\n<?pi after?>');
+  });
+
+  test('should give an element the namespaces and xml attributes it inherits', () => {
+    const doc = parse('<a:root xmlns:a="u:a" xmlns="u:d" xml:lang="sk"><b xml:space="preserve" z="1" a:y="2" y="3"><!-- c --><?pi data?>t&gt;</b></a:root>');
+
+    expect(c14n.canonicalize(doc.documentElement.firstChild))
+      .toBe('<b xmlns="u:d" xmlns:a="u:a" y="3" z="1" xml:lang="sk" xml:space="preserve" a:y="2"><?pi data?>t&gt;</b>');
+  });
+
+  test('should leave out an excluded node and reject unknown algorithms', () => {
+    const doc = parse('<root><data>x</data><ds:Signature xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><ds:SignedInfo/></ds:Signature></root>');
+    const signature = doc.getElementsByTagNameNS('http://www.w3.org/2000/09/xmldsig#', 'Signature')[0];
+
+    expect(c14n.canonicalize(doc, { exclude: signature })).toBe('<root><data>x</data></root>');
+    expect(c14n.isSupported('http://www.w3.org/2010/xml-c14n2')).toBe(false);
+    expect(() => c14n.canonicalizeWith('urn:unknown', doc)).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_CANONICALIZATION' }));
+  });
+
+  test('should declare only the namespaces an element uses in exclusive canonicalization', () => {
+    const doc = parse(`<doc xmlns="http://example.org" xmlns:a="http://a" xmlns:unused="http://u">
+   <e1 a:x="1" y="2"/>
+   <a:e2><e3 xmlns=""><e4 xmlns:b="http://b" b:q="z"/></e3></a:e2>
+</doc>`);
+
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.exclusive, doc)).toBe(`<doc xmlns="http://example.org">
+   <e1 xmlns:a="http://a" y="2" a:x="1"></e1>
+   <a:e2 xmlns:a="http://a"><e3 xmlns=""><e4 xmlns:b="http://b" b:q="z"></e4></e3></a:e2>
+</doc>`);
+
+    // Exclusive XML Canonicalization, section 2.2: the subtree does not take its context along
+    const local = parse('<n0:local xmlns:n0="foo:bar" xmlns:n3="ftp://example.org"><n1:elem2 xmlns:n1="http://example.net" xml:lang="en">' +
+      '<n3:stuff xmlns:n3="ftp://example.org"/></n1:elem2></n0:local>');
+    const elem2 = local.documentElement.firstChild;
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14n, elem2))
+      .toBe('<n1:elem2 xmlns:n0="foo:bar" xmlns:n1="http://example.net" xmlns:n3="ftp://example.org" xml:lang="en"><n3:stuff></n3:stuff></n1:elem2>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.exclusive, elem2))
+      .toBe('<n1:elem2 xmlns:n1="http://example.net" xml:lang="en"><n3:stuff xmlns:n3="ftp://example.org"></n3:stuff></n1:elem2>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.exclusive, elem2, { inclusiveNamespaces: ['n0', '#default'] }))
+      .toBe('<n1:elem2 xmlns:n0="foo:bar" xmlns:n1="http://example.net" xml:lang="en"><n3:stuff xmlns:n3="ftp://example.org"></n3:stuff></n1:elem2>');
+  });
+
+  test('should join inherited xml:base values and not inherit xml:id in C14N 1.1', () => {
+    const doc = parse('<doc xmlns="http://www.ietf.org" xmlns:w3c="http://www.w3.org" xml:base="http://www.example.com/something/else">' +
+      '<e1><e2 xmlns="" xml:id="abc" xml:base="../bar/" xml:space="preserve"><e3 id="E3" xml:base="foo"/><e4/></e2></e1></doc>');
+    const [e3] = Array.from(doc.getElementsByTagName('e3'));
+    const [e4] = Array.from(doc.getElementsByTagName('e4'));
+
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14n, e3))
+      .toBe('<e3 xmlns:w3c="http://www.w3.org" id="E3" xml:base="foo" xml:id="abc" xml:space="preserve"></e3>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14n11, e3))
+      .toBe('<e3 xmlns:w3c="http://www.w3.org" id="E3" xml:base="http://www.example.com/bar/foo" xml:space="preserve"></e3>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14n11WithComments, e4))
+      .toBe('<e4 xmlns:w3c="http://www.w3.org" xml:base="http://www.example.com/bar/" xml:space="preserve"></e4>');
+
+    // Relative bases keep the '..' segments they cannot resolve
+    const relative = parse('<a xml:base="a/b/"><b xml:base="../../../c/./d"><c xml:base="?q"/></b></a>');
+    expect(c14n.canonicalizeWith(c14n.ALGORITHMS.c14n11, relative.getElementsByTagName('c')[0])).toBe('<c xml:base="../c/d?q"></c>');
+  });
+
+  test('should read the InclusiveNamespaces PrefixList of a transform', () => {
+    const transform = parse('<ds:Transform xmlns:ds="http://www.w3.org/2000/09/xmldsig#" Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#">' +
+      '<ec:InclusiveNamespaces xmlns:ec="http://www.w3.org/2001/10/xml-exc-c14n#" PrefixList="xades  #default"/></ds:Transform>').documentElement;
+
+    expect(c14n.inclusiveNamespacesOf(transform)).toEqual(['xades', '#default']);
+    expect(c14n.inclusiveNamespacesOf(parse('<ds:Transform xmlns:ds="http://www.w3.org/2000/09/xmldsig#"/>').documentElement)).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Certificate Validator Tests
+ * The FIIT signer against the DITEC Test CA shipped in certificate/, and CA hierarchies generated here
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const certificateValidator = require('../lib/certificate-validator');
+
+const CERTIFICATE_DIR = path.join(__dirname, '..', 'certificate');
+
+const NOT_BEFORE = new Date('2025-01-01T00:00:00Z');
+const NOT_AFTER = new Date('2027-01-01T00:00:00Z');
+const SIGNING_TIME = new Date('2026-01-01T00:00:00Z');
+
+// A certificate signed by the issuer's key (self-signed without an issuer)
+const createCertificate = ({ subject, issuer = null, ca = false, pathLength, keyUsage, notAfter = NOT_AFTER }) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  certificate.serialNumber = crypto.randomBytes(4).toString('hex').replace(/^[89a-f]/, '1');
+  certificate.validity.notBefore = NOT_BEFORE;
+  certificate.validity.notAfter = notAfter;
+  certificate.setSubject([{ shortName: 'CN', value: subject }]);
+  certificate.setIssuer(issuer ? issuer.certificate.subject.attributes : certificate.subject.attributes);
+  const extensions = [{ name: 'basicConstraints', critical: true, cA: ca, ...(pathLength !== undefined && { pathLenConstraint: pathLength }) }];
+  if (keyUsage) extensions.push({ name: 'keyUsage', critical: true, ...keyUsage });
+  certificate.setExtensions(extensions);
+  certificate.sign(issuer ? issuer.key : key, forge.md.sha256.create());
+  const pem = forge.pki.certificateToPem(certificate);
+  return { key, certificate, pem, x509: new crypto.X509Certificate(pem) };
+};
+
+describe('Certificate Validator', () => {
+  const codes = result => result.errors.map(error => error.code);
+  const caUsage = { keyCertSign: true, cRLSign: true };
+  const signingUsage = { digitalSignature: true, nonRepudiation: true };
+
+  test('should chain the FIIT signer to the DITEC Test CA of the default trust store', async () => {
+    expect(certificateValidator.trustStoreConfig({})).toEqual({ directory: 'certificate', tsaDirectory: 'certificate' });
+    expect(certificateValidator.trustStoreConfig({ TRUST_STORE_DIR: 'ca', TSA_TRUST_STORE_DIR: 'tsa' })).toEqual({ directory: 'ca', tsaDirectory: 'tsa' });
+    const trustStore = await certificateValidator.loadTrustStore(CERTIFICATE_DIR);
+    expect(trustStore.anchors.map(anchor => anchor.subject)).toEqual([expect.stringContaining('CN=DITEC Test CA')]);
+    // The signer's own certificate is not a CA, so it is no trust anchor
+    expect(trustStore.ignored).toEqual(['FIITPodpisovatel.cer']);
+
+    const [signer] = certificateValidator.parseCertificates(await fs.readFile(path.join(CERTIFICATE_DIR, 'FIITPodpisovatel.cer')));
+    const valid = certificateValidator.validateCertificate(signer, { trustStore, signingTime: new Date('2025-03-01T10:00:00Z') });
+    expect(valid).toMatchObject({ valid: true, errors: [] });
+    expect(valid.trustAnchor).toContain('CN=DITEC Test CA');
+    expect(valid.chain.map(certificate => certificate.serialNumber)).toEqual(['28', expect.any(String)]);
+
+    // Timestamped after the certificate expired on 2026-09-05
+    const late = certificateValidator.validateCertificate(signer, {
+      trustStore,
+      signingTime: new Date('2025-03-01T10:00:00Z'),
+      timestampTime: new Date('2026-10-01T00:00:00Z')
+    });
+    expect(late.errors).toEqual([{
+      code: 'CERTIFICATE_NOT_VALID_AT_TIMESTAMP',
+      message: expect.any(String),
+      params: { subject: expect.stringContaining('CN=FIIT Podpisovateľ'), time: '2026-10-01T00:00:00.000Z' }
+    }]);
+  });
+
+  test('should build the path through the intermediates and respect path length constraints', () => {
+    const root = createCertificate({ subject: 'Root CA', ca: true, pathLength: 0, keyUsage: caUsage });
+    const intermediate = createCertificate({ subject: 'Issuing CA', issuer: root, ca: true, keyUsage: caUsage });
+    const signer = createCertificate({ subject: 'Signer', issuer: intermediate, keyUsage: signingUsage });
+    const trustStore = { anchors: [root.x509] };
+
+    expect(codes(certificateValidator.validateCertificate(signer.x509, { trustStore, signingTime: SIGNING_TIME })))
+      .toEqual(['CERTIFICATE_UNTRUSTED']);
+
+    const constrained = certificateValidator.validateCertificate(signer.x509, { trustStore, intermediates: [intermediate.x509], signingTime: SIGNING_TIME });
+    expect(constrained.trustAnchor).toBe('CN=Root CA');
+    expect(constrained.chain.map(certificate => certificate.subject)).toEqual(['CN=Signer', 'CN=Issuing CA', 'CN=Root CA']);
+    expect(codes(constrained)).toEqual(['PATH_LENGTH_EXCEEDED']);
+
+    // The intermediate itself trusted: the path ends there
+    const direct = certificateValidator.validateCertificate(signer.x509, { trustStore: { anchors: [intermediate.x509] }, signingTime: SIGNING_TIME });
+    expect(direct).toMatchObject({ valid: true, trustAnchor: 'CN=Issuing CA' });
+  });
+
+  test('should check key usage, basic constraints and validity on the whole path', () => {
+    const root = createCertificate({ subject: 'Root CA', ca: true, keyUsage: caUsage, notAfter: new Date('2026-06-01T00:00:00Z') });
+    const notCa = createCertificate({ subject: 'Not a CA', issuer: root });
+    const encryption = createCertificate({ subject: 'Encryption', issuer: root, keyUsage: { keyEncipherment: true } });
+    const signer = createCertificate({ subject: 'Signer', issuer: notCa, keyUsage: signingUsage });
+    const trustStore = { anchors: [root.x509] };
+
+    expect(codes(certificateValidator.validateCertificate(encryption.x509, { trustStore, signingTime: SIGNING_TIME })))
+      .toEqual(['KEY_USAGE_NOT_SIGNING']);
+    expect(codes(certificateValidator.validateCertificate(signer.x509, { trustStore, intermediates: [notCa.x509], signingTime: SIGNING_TIME })))
+      .toEqual(['ISSUER_NOT_CA']);
+
+    // The root expires before the signer: signed in time, timestamped too late
+    const expired = certificateValidator.validateCertificate(encryption.x509, {
+      trustStore,
+      signingTime: new Date('2026-07-01T00:00:00Z'),
+      timestampTime: new Date('2026-07-01T00:00:05Z')
+    });
+    expect(expired.errors.map(error => [error.code, error.params.subject])).toEqual([
+      ['CERTIFICATE_NOT_VALID_AT_SIGNING_TIME', 'CN=Root CA'],
+      ['CERTIFICATE_NOT_VALID_AT_TIMESTAMP', 'CN=Root CA'],
+      ['KEY_USAGE_NOT_SIGNING', 'CN=Encryption']
+    ]);
+  });
+
+  test('should read PEM bundles and DER files from the trust store directory', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'trust-store-'));
+    try {
+      const first = createCertificate({ subject: 'First CA', ca: true, keyUsage: caUsage });
+      const second = createCertificate({ subject: 'Second CA', ca: true, keyUsage: caUsage });
+      await fs.writeFile(path.join(directory, 'bundle.pem'), first.pem + second.pem);
+      await fs.copy(path.join(CERTIFICATE_DIR, 'dtccert.cer'), path.join(directory, 'ditec.cer'));
+      await fs.writeFile(path.join(directory, 'broken.crt'), 'not a certificate');
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'ignored');
+
+      const trustStore = await certificateValidator.loadTrustStore(directory);
+      expect(trustStore.anchors.map(anchor => anchor.subject.split('\n').pop()))
+        .toEqual(['CN=First CA', 'CN=Second CA', expect.stringContaining('organizationIdentifier')]);
+      expect(trustStore.ignored).toEqual(['broken.crt']);
+    } finally {
+      await fs.remove(directory);
+    }
+
+    await expect(certificateValidator.loadTrustStore(path.join(os.tmpdir(), 'missing-trust-store')))
+      .rejects.toMatchObject({ code: 'TRUST_STORE_NOT_FOUND' });
+  });
+});
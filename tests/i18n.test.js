@@ -0,0 +1,129 @@
+/**
+ * Localization Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const xpath = require('xpath');
+const { DOMParser } = require('@xmldom/xmldom');
+const i18n = require('../lib/i18n');
+const xsdValidator = require('../lib/xsd-validator');
+const businessRules = require('../lib/business-rules');
+const xsltProcessor = require('../lib/xslt-processor');
+const stylesheetRegistry = require('../lib/stylesheet-registry');
+
+const XSD_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.xsd');
+const SCH_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.sch');
+const REGISTRY_PATH = path.join(__dirname, '..', 'stylesheets', 'registry.json');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Localization', () => {
+  let en;
+  let sk;
+  let validXml;
+
+  beforeAll(async () => {
+    en = await i18n.loadCatalogue('en');
+    sk = await i18n.loadCatalogue('sk');
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+  });
+
+  test('should pick the locale from the lang parameter, then Accept-Language', () => {
+    const negotiate = (query, acceptLanguage) => i18n.negotiateLocale({ query, headers: { 'accept-language': acceptLanguage } });
+
+    expect(negotiate({ lang: 'sk' }, 'en-US')).toBe('sk');
+    expect(negotiate({ lang: 'de' }, 'sk-SK,sk;q=0.9')).toBe('sk');
+    expect(negotiate({}, 'de-DE, en;q=0.5, sk;q=0.8')).toBe('sk');
+    expect(negotiate({}, 'sk;q=0, en-GB')).toBe('en');
+    expect(negotiate({}, undefined)).toBe('en');
+  });
+
+  test('should fill placeholders and drop optional segments without values', () => {
+    expect(i18n.format("Element '{element}'[, attribute '{attribute}']", { element: 'sr:gpa' })).toBe("Element 'sr:gpa'");
+    expect(i18n.format("Element '{element}'[, attribute '{attribute}']", { element: 'sr:course', attribute: 'semester' }))
+      .toBe("Element 'sr:course', attribute 'semester'");
+    expect(i18n.format('Course {0} ({1} - {2})', ['CS101', '09:00', '08:30'])).toBe('Course CS101 (09:00 - 08:30)');
+    expect(i18n.format('set {{allowed}}', { allowed: "'a', 'b'" })).toBe("set {'a', 'b'}");
+    expect(i18n.translate(sk, 'form.heading.course', { n: 2 })).toBe('Predmet 2');
+    expect(i18n.translate(sk, 'form.missing.key', {}, 'Fallback')).toBe('Fallback');
+  });
+
+  test('should define the same keys in every catalogue', () => {
+    for (const section of ['form', 'errors', 'output']) {
+      expect(Object.keys(sk[section]).sort()).toEqual(Object.keys(en[section]).sort());
+    }
+  });
+
+  test('should word every error code the modules and the server raise', async () => {
+    const sources = [...(await fs.readdir(path.join(__dirname, '..', 'lib'))).map(file => path.join('lib', file)), 'server.js'];
+    const codes = new Set();
+    for (const source of sources) {
+      const content = await fs.readFile(path.join(__dirname, '..', source), 'utf8');
+      for (const [, code] of content.matchAll(/(?:Error\(|[iI]ssue\(|requestError\(req, \d+, )'([A-Z][A-Z0-9_]+)'/g)) {
+        codes.add(code);
+      }
+    }
+
+    expect(codes.size).toBeGreaterThan(50);
+    expect([...codes].filter(code => !(code in en.errors))).toEqual([]);
+  });
+
+  test('should word validation errors by their code', async () => {
+    const schema = await xsdValidator.loadSchema(XSD_PATH);
+    const rules = await businessRules.loadRules(SCH_PATH);
+    const invalidSchema = validXml
+      .replace('status="pending"', 'status="unknown"')
+      .replace(/<sr:zipCode>[^<]*</, '<sr:zipCode>abc<');
+    const invalidRules = validXml.replace('<sr:endTime>10:00</sr:endTime>', '<sr:endTime>08:30</sr:endTime>');
+    const errors = [...xsdValidator.validate(schema, invalidSchema).errors, ...businessRules.validate(rules, invalidRules).errors];
+    expect(errors.map(e => e.code)).toEqual(['XSD_ENUMERATION', 'XSD_PATTERN', 'RULE_COURSE_TIME_ORDER']);
+
+    // The English catalogue reproduces the validators' own messages
+    expect(i18n.localizeErrors(en, errors).map(e => e.message)).toEqual(errors.map(e => e.message));
+
+    const [enumeration, pattern, timeOrder] = i18n.localizeErrors(sk, errors);
+    expect(enumeration.message).toBe("Element 'sr:studentRegistration', atribút 'status': 'unknown' nie je jedna z povolených hodnôt {'pending', 'approved', 'rejected', 'incomplete'}");
+    expect(pattern.message).toMatch(/^Element 'sr:zipCode': 'abc' nezodpovedá vzoru/);
+    expect(timeOrder).toMatchObject({ code: 'RULE_COURSE_TIME_ORDER', xpath: errors[2].xpath, message: 'Predmet CS101 musí skončiť až po svojom začiatku (09:00 - 08:30).' });
+  });
+
+  test('should provide every stylesheet label with the built-in English text', async () => {
+    const registry = await stylesheetRegistry.loadRegistry(REGISTRY_PATH);
+    for (const stylesheet of registry.stylesheets) {
+      const doc = new DOMParser().parseFromString(await fs.readFile(stylesheet.path, 'utf8'), 'text/xml');
+      const select = xpath.useNamespaces({ msg: 'http://university.edu/student-registration/messages' });
+      const labels = select('/*/msg:messages/msg:message', doc);
+
+      expect(labels.length).toBeGreaterThan(0);
+      for (const label of labels) {
+        const key = label.getAttribute('key');
+        expect([stylesheet.id, key, en.output[key]]).toEqual([stylesheet.id, key, label.textContent]);
+        expect(sk.output).toHaveProperty([key]);
+      }
+    }
+  });
+
+  test('should render the outputs with the labels of the requested language', async () => {
+    const stylesheet = await xsltProcessor.loadStylesheet(path.join(__dirname, '..', 'stylesheets', 'student-registration.xsl'));
+    const html = xsltProcessor.transform(stylesheet, validXml, { messages: i18n.messagesDocument(sk), lang: 'sk' }).output;
+
+    expect(html).toMatch(/^<html lang="sk">/);
+    expect(html).toContain('<p><strong>Číslo registrácie:</strong> REG-2024-001</p>');
+    expect(html).toContain('<div class="section-title">Osobné údaje</div>');
+    expect(html).toContain('Zápis predmetov (Kredity spolu: 15)');
+    expect(html).not.toContain('Personal Information');
+  });
+
+  test('should build the labels of a language into a stylesheet so it renders like the preview', async () => {
+    const registry = await stylesheetRegistry.loadRegistry(REGISTRY_PATH);
+    for (const stylesheet of registry.stylesheets) {
+      const source = await fs.readFile(stylesheet.path, 'utf8');
+      for (const catalogue of [sk, en]) {
+        const preview = xsltProcessor.transform(xsltProcessor.compileStylesheet(source), validXml,
+          { messages: i18n.messagesDocument(catalogue), lang: catalogue.locale }).output;
+        const signed = xsltProcessor.transform(xsltProcessor.compileStylesheet(i18n.localizeStylesheet(source, catalogue)), validXml).output;
+        expect([stylesheet.id, catalogue.locale, signed]).toEqual([stylesheet.id, catalogue.locale, preview]);
+      }
+    }
+  });
+});
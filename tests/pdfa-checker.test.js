@@ -0,0 +1,112 @@
+/**
+ * PDF/A Checker Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const PDFKitDocument = require('pdfkit');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const pdfaChecker = require('../lib/pdfa-checker');
+const pdfaRenderer = require('../lib/pdfa-renderer');
+const i18n = require('../lib/i18n');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+// A plain pdfkit document: standard 14 font, no XMP, no output intent
+const renderPlainPdf = draw => new Promise(resolve => {
+  const doc = new PDFKitDocument();
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  draw(doc);
+  doc.end();
+});
+
+// Load a rendered PDF, change it and save it again
+const modify = async (pdf, change) => {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  change(doc);
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+describe('PDF/A Checker', () => {
+  let en;
+  let pdfa;
+
+  beforeAll(async () => {
+    en = await i18n.loadCatalogue('en');
+    pdfa = await pdfaRenderer.renderRegistrationPdf(await fs.readFile(VALID_XML_PATH, 'utf8'), en);
+  });
+
+  test('should pass the rendered registration on every check', async () => {
+    const report = await pdfaChecker.checkPdfA(pdfa);
+
+    expect(report).toEqual({
+      conformance: 'PDF/A-1b',
+      compliant: true,
+      checks: Object.fromEntries(pdfaChecker.CHECKS.map(check => [check, 'passed'])),
+      issues: []
+    });
+  });
+
+  test('should report unembedded fonts, missing metadata and output intent, and transparency', async () => {
+    const report = await pdfaChecker.checkPdfA(await renderPlainPdf(doc => doc.fillOpacity(0.5).text('Registration')));
+
+    expect(report.compliant).toBe(false);
+    expect(report.checks).toMatchObject({ fonts: 'failed', metadata: 'failed', outputIntent: 'failed', transparency: 'failed', encryption: 'passed', javascript: 'passed' });
+    expect(report.issues.map(issue => issue.code)).toEqual([
+      'PDFA_FONT_NOT_EMBEDDED',
+      'PDFA_XMP_MISSING',
+      'PDFA_OUTPUT_INTENT_MISSING',
+      'PDFA_TRANSPARENCY'
+    ]);
+    expect(report.issues[0]).toMatchObject({ check: 'fonts', message: "Font 'Helvetica' is not embedded", params: { font: 'Helvetica' } });
+    expect(report.issues[3]).toMatchObject({ message: 'Transparency is not allowed (ca 0.5)', object: expect.stringMatching(/^\d+ 0 R$/) });
+  });
+
+  test('should report Info entries that disagree with the XMP metadata', async () => {
+    const changed = await modify(pdfa, doc => doc.setTitle('Another title'));
+    const report = await pdfaChecker.checkPdfA(changed);
+
+    expect(report.checks.metadata).toBe('failed');
+    expect(report.issues).toEqual([expect.objectContaining({
+      code: 'PDFA_XMP_INFO_MISMATCH',
+      message: "Info entry 'Title' does not match XMP property 'dc:title'",
+      params: { key: 'Title', property: 'dc:title', info: 'Another title', xmp: 'Student Registration Document' }
+    })]);
+  });
+
+  test('should report JavaScript and encryption', async () => {
+    const changed = await modify(pdfa, doc => {
+      doc.addJavaScript('init', 'app.alert("hello")');
+      doc.context.trailerInfo.Encrypt = doc.context.obj({ Filter: PDFName.of('Standard'), V: 1, R: 2, O: PDFString.of(''), U: PDFString.of(''), P: -4 });
+    });
+    const report = await pdfaChecker.checkPdfA(changed);
+
+    expect(report.checks).toMatchObject({ encryption: 'failed', javascript: 'failed', fonts: 'passed' });
+    expect(report.issues.map(issue => issue.code)).toEqual(expect.arrayContaining(['PDFA_ENCRYPTED', 'PDFA_JAVASCRIPT']));
+  });
+
+  test('should report files that are not PDFs', async () => {
+    const report = await pdfaChecker.checkPdfA(Buffer.from('not a pdf'));
+
+    expect(report.compliant).toBe(false);
+    expect(report.checks).toEqual({ parse: 'failed' });
+    expect(report.issues[0].code).toBe('PDFA_PARSE_ERROR');
+  });
+
+  test('should word issues in the requested language', async () => {
+    const sk = await i18n.loadCatalogue('sk');
+    const { issues } = await pdfaChecker.checkPdfA(await renderPlainPdf(doc => doc.text('Registration')));
+
+    expect(i18n.localizeErrors(en, issues).map(issue => issue.message)).toEqual(issues.map(issue => issue.message));
+    expect(i18n.localizeErrors(sk, issues)[0].message).toBe("Písmo 'Helvetica' nie je vložené");
+  });
+
+  test('should parse PDF dates with and without a time zone', () => {
+    expect(pdfaChecker.parsePdfDate('D:20241015120000Z')).toBe(Date.parse('2024-10-15T12:00:00Z'));
+    expect(pdfaChecker.parsePdfDate("D:20241015140000+02'00'")).toBe(Date.parse('2024-10-15T12:00:00Z'));
+    expect(pdfaChecker.parsePdfDate('D:2024')).toBe(Date.parse('2024-01-01T00:00:00Z'));
+    expect(pdfaChecker.parsePdfDate('15.10.2024')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * PDF/A Renderer Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PDFDocument, PDFName, PDFDict, PDFStream, decodePDFRawStream } = require('pdf-lib');
+const pdfaRenderer = require('../lib/pdfa-renderer');
+const i18n = require('../lib/i18n');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+const lookup = (doc, dict, key) => doc.context.lookup(dict.get(PDFName.of(key)));
+const decode = stream => Buffer.from(decodePDFRawStream(stream).decode());
+
+// Objects of the given /Type, e.g. 'FontDescriptor'
+const objectsOfType = (doc, type) => doc.context.enumerateIndirectObjects()
+  .map(([, object]) => object)
+  .filter(object => object instanceof PDFDict && object.get(PDFName.of('Type')) === PDFName.of(type));
+
+describe('PDF/A Renderer', () => {
+  let en;
+  let sk;
+  let validXml;
+  let pdf;
+  let doc;
+
+  beforeAll(async () => {
+    en = await i18n.loadCatalogue('en');
+    sk = await i18n.loadCatalogue('sk');
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+    pdf = await pdfaRenderer.renderRegistrationPdf(validXml, en);
+    doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  });
+
+  test('should write a PDF 1.4 file identified as PDF/A-1b', () => {
+    expect(pdfaRenderer.COMPLIANCE).toBe('PDF/A-1b');
+    expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(pdf.toString('latin1')).toMatch(/\/ID \[ ?<[0-9a-f]{32}> <[0-9a-f]{32}> ?\]/);
+
+    const metadata = lookup(doc, doc.catalog, 'Metadata');
+    expect(metadata.dict.get(PDFName.of('Filter'))).toBeUndefined();
+    const xmp = decode(metadata).toString('utf8');
+    expect(xmp).toContain('<pdfaid:part>1</pdfaid:part>');
+    expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>');
+    expect(xmp).toContain('<rdf:li xml:lang="x-default">Student Registration Document</rdf:li>');
+
+    // The Info dictionary and the XMP metadata must agree
+    const info = doc.context.lookup(doc.context.trailerInfo.Info);
+    const producer = lookup(doc, info, 'Producer').decodeText();
+    expect(xmp).toContain(`<pdf:Producer>${producer}</pdf:Producer>`);
+    expect(lookup(doc, info, 'Creator').decodeText()).toBe(producer);
+  });
+
+  test('should carry an sRGB output intent', () => {
+    const intents = lookup(doc, doc.catalog, 'OutputIntents');
+    expect(intents.size()).toBe(1);
+
+    const intent = doc.context.lookup(intents.get(0));
+    expect(intent.get(PDFName.of('S'))).toBe(PDFName.of('GTS_PDFA1'));
+    const profile = lookup(doc, intent, 'DestOutputProfile');
+    expect(profile).toBeInstanceOf(PDFStream);
+    expect(profile.dict.get(PDFName.of('N')).asNumber()).toBe(3);
+  });
+
+  test('should embed every font with a complete CIDSet', () => {
+    const descriptors = objectsOfType(doc, 'FontDescriptor');
+    expect(descriptors.map(d => d.get(PDFName.of('FontName')).asString()).sort())
+      .toEqual([expect.stringMatching(/^\/[A-Z]{6}\+DejaVuSans$/), expect.stringMatching(/^\/[A-Z]{6}\+DejaVuSans-Bold$/)].sort());
+
+    for (const descriptor of descriptors) {
+      const font = decode(lookup(doc, descriptor, 'FontFile2'));
+      const maxp = [...Array(font.readUInt16BE(4)).keys()]
+        .map(i => 12 + i * 16)
+        .find(entry => font.toString('latin1', entry, entry + 4) === 'maxp');
+      const numGlyphs = font.readUInt16BE(font.readUInt32BE(maxp + 8) + 4);
+
+      const cidSet = decode(lookup(doc, descriptor, 'CIDSet'));
+      const marked = [...cidSet].reduce((count, byte) => count + byte.toString(2).split('1').length - 1, 0);
+      expect(numGlyphs).toBeGreaterThan(34);
+      expect(marked).toBe(numGlyphs);
+    }
+
+    // Only embedded fonts: none of the standard 14 fonts pdfkit falls back to
+    for (const font of objectsOfType(doc, 'Font')) {
+      expect(font.get(PDFName.of('Subtype'))).not.toBe(PDFName.of('Type1'));
+    }
+  });
+
+  test('should render in the language of the catalogue', async () => {
+    const skDoc = await PDFDocument.load(await pdfaRenderer.renderRegistrationPdf(validXml, sk), { updateMetadata: false });
+
+    expect(skDoc.catalog.get(PDFName.of('Lang')).decodeText()).toBe('sk');
+    expect(decode(lookup(skDoc, skDoc.catalog, 'Metadata')).toString('utf8')).toContain('Dokument o registrácii študenta');
+    expect(doc.catalog.get(PDFName.of('Lang')).decodeText()).toBe('en');
+  });
+
+  test('should continue long course lists on further pages', async () => {
+    const course = validXml.match(/<sr:course\b[\s\S]*?<\/sr:course>/)[0];
+    const manyCourses = validXml.replace(course, course.repeat(40));
+    const longDoc = await PDFDocument.load(await pdfaRenderer.renderRegistrationPdf(manyCourses, en), { updateMetadata: false });
+
+    expect(doc.getPageCount()).toBe(2);
+    expect(longDoc.getPageCount()).toBeGreaterThan(doc.getPageCount());
+    for (const page of longDoc.getPages()) {
+      expect(page.getSize()).toEqual({ width: 595.28, height: 841.89 });
+    }
+  });
+
+  test('should reject documents that are not registrations', async () => {
+    await expect(pdfaRenderer.renderRegistrationPdf('<other/>', en)).rejects.toThrow('Not a student registration document');
+    await expect(pdfaRenderer.renderRegistrationPdf('<sr:broken', en)).rejects.toThrow('Invalid XML');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Registration Diff Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const registrationDiff = require('../lib/registration-diff');
+const registrationMapper = require('../lib/registration-mapper');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Registration Diff', () => {
+  let formData;
+
+  beforeAll(async () => {
+    formData = registrationMapper.xmlToFormData(await fs.readFile(VALID_XML_PATH, 'utf8'));
+  });
+
+  test('should report no differences between equal revisions', () => {
+    const next = { ...JSON.parse(JSON.stringify(formData)), revision: 2, totalCredits: '15' };
+
+    expect(registrationDiff.diffRegistrations(formData, next)).toEqual({ fields: [], sections: {}, unchanged: true });
+  });
+
+  test('should report changed, added and removed fields', () => {
+    const next = {
+      ...formData,
+      email: 'john.smith@university.edu',
+      alternateEmail: '',
+      nationality: undefined,
+      additionalInfo: { ...formData.additionalInfo, housingRequired: 'false', medicalConditions: 'Asthma' }
+    };
+    const { fields, sections } = registrationDiff.diffRegistrations(formData, next);
+
+    expect(fields).toEqual(expect.arrayContaining([
+      { field: 'email', change: 'changed', before: 'john.smith@email.com', after: 'john.smith@university.edu' },
+      { field: 'alternateEmail', change: 'removed', before: 'j.smith.alt@gmail.com', after: null },
+      { field: 'nationality', change: 'removed', before: 'American', after: null },
+      { field: 'additionalInfo.housingRequired', change: 'changed', before: 'true', after: 'false' },
+      { field: 'additionalInfo.medicalConditions', change: 'added', before: null, after: 'Asthma' }
+    ]));
+    expect(fields).toHaveLength(5);
+    expect(sections).toEqual({});
+  });
+
+  test('should match course entries by code regardless of order', () => {
+    const [cs101, math201, ...rest] = formData.courses;
+    const next = {
+      ...formData,
+      courses: [
+        ...rest.filter(course => course.courseCode !== 'HIST101'),
+        { ...math201, room: 'MATH-301' },
+        cs101,
+        { ...cs101, courseCode: 'CS102', courseName: 'Data Structures' }
+      ]
+    };
+    const { sections } = registrationDiff.diffRegistrations(formData, next);
+
+    expect(sections.courses.added).toEqual([
+      { key: 'CS102', label: 'CS102 Data Structures', entry: expect.objectContaining({ courseCode: 'CS102' }) }
+    ]);
+    expect(sections.courses.removed).toEqual([
+      { key: 'HIST101', label: 'HIST101 World History', entry: expect.objectContaining({ courseCode: 'HIST101' }) }
+    ]);
+    expect(sections.courses.changed).toEqual([
+      { key: 'MATH201', label: 'MATH201 Calculus I', fields: [{ field: 'room', change: 'changed', before: 'MATH-205', after: 'MATH-301' }] }
+    ]);
+    expect(Object.keys(sections)).toEqual(['courses']);
+  });
+
+  test('should match emergency contacts by priority and keep the status but not its history', () => {
+    const next = {
+      ...formData,
+      status: 'approved',
+      statusHistory: [{ from: 'pending', to: 'approved', actor: 'Dean', timestamp: '2024-09-20T08:30:00.000Z' }],
+      emergencyContacts: [{ ...formData.emergencyContacts[0], phoneNumber: '+12175550000' }]
+    };
+    const { fields, sections } = registrationDiff.diffRegistrations(formData, next);
+
+    expect(fields).toEqual([{ field: 'status', change: 'changed', before: 'pending', after: 'approved' }]);
+    expect(sections.emergencyContacts.changed).toEqual([
+      { key: 'Primary', label: 'Mary Smith, Primary', fields: [{ field: 'phoneNumber', change: 'changed', before: '+12175555678', after: '+12175550000' }] }
+    ]);
+    expect(sections.emergencyContacts.removed.map(entry => entry.key)).toEqual(['Secondary']);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Registration Listing Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const registrationListing = require('../lib/registration-listing');
+const { createFileStorage } = require('../lib/storage');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+// Listing entries shaped like describeXmlFile() output
+const entry = (filename, fields) => ({
+  filename,
+  size: 1000,
+  modified: '2024-10-01T10:00:00.000Z',
+  registrationId: null,
+  revision: null,
+  status: null,
+  submissionDate: null,
+  studentName: null,
+  program: null,
+  totalCredits: null,
+  ...fields
+});
+
+const ITEMS = [
+  entry('a.xml', { registrationId: 'REG-1', status: 'pending', program: 'Bachelor', submissionDate: '2024-09-01', totalCredits: 15, modified: '2024-10-03T10:00:00.000Z' }),
+  entry('b.xml', { registrationId: 'REG-2', status: 'approved', program: 'Master', submissionDate: '2024-09-15', totalCredits: 9, modified: '2024-10-01T10:00:00.000Z' }),
+  entry('c.xml', { registrationId: 'REG-3', status: 'pending', program: 'Master', submissionDate: '2024-10-02', totalCredits: 12, modified: '2024-10-02T10:00:00.000Z' }),
+  entry('notes.xml', { modified: '2024-10-04T10:00:00.000Z' })
+];
+
+const list = query => registrationListing.queryListing(ITEMS, registrationListing.parseListingQuery(query));
+
+describe('Registration Listing', () => {
+  test('should describe a stored registration file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'registration-listing-'));
+    try {
+      const storage = createFileStorage({ dataDir: directory });
+      const filePath = path.join(directory, 'registration.xml');
+      await fs.copy(VALID_XML_PATH, filePath);
+      await fs.writeFile(path.join(directory, 'other.xml'), '<other/>');
+
+      expect(await registrationListing.describeXmlFile(storage, 'registration.xml')).toEqual({
+        filename: 'registration.xml',
+        size: (await fs.stat(filePath)).size,
+        modified: (await fs.stat(filePath)).mtime.toISOString(),
+        registrationId: 'REG-2024-001',
+        revision: 1,
+        status: 'pending',
+        submissionDate: '2024-09-15',
+        studentName: 'John Michael Smith',
+        program: 'Bachelor',
+        totalCredits: 15
+      });
+      expect(await registrationListing.describeXmlFile(storage, 'other.xml')).toMatchObject({
+        filename: 'other.xml',
+        registrationId: null,
+        studentName: null
+      });
+      expect(await registrationListing.describeXmlFile(storage, 'missing.xml')).toBeNull();
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+
+  test('should list the most recently modified files first by default', () => {
+    const page = list({});
+
+    expect(page.items.map(item => item.filename)).toEqual(['notes.xml', 'a.xml', 'c.xml', 'b.xml']);
+    expect(page.total).toBe(4);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('should filter by program, status and submission date range', () => {
+    expect(list({ program: 'master' }).items.map(item => item.filename)).toEqual(['c.xml', 'b.xml']);
+    expect(list({ status: 'approved,rejected' }).items.map(item => item.filename)).toEqual(['b.xml']);
+    expect(list({ from: '2024-09-10', to: '2024-10-02' }).items.map(item => item.filename)).toEqual(['c.xml', 'b.xml']);
+    expect(list({ program: 'Master', status: 'pending' }).total).toBe(1);
+  });
+
+  test('should sort on any field with missing values last', () => {
+    expect(list({ sort: 'totalCredits' }).items.map(item => item.filename)).toEqual(['b.xml', 'c.xml', 'a.xml', 'notes.xml']);
+    expect(list({ sort: '-totalCredits' }).items.map(item => item.filename)).toEqual(['a.xml', 'c.xml', 'b.xml', 'notes.xml']);
+    expect(list({ sort: 'program' }).items.map(item => item.filename)).toEqual(['a.xml', 'b.xml', 'c.xml', 'notes.xml']);
+  });
+
+  test('should page with cursors that continue after added files', () => {
+    const first = list({ sort: 'registrationId', limit: '2' });
+    expect(first.items.map(item => item.filename)).toEqual(['a.xml', 'b.xml']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    // A file sorting before the cursor does not shift the next page
+    const grown = [...ITEMS, entry('d.xml', { registrationId: 'REG-0' })];
+    const second = registrationListing.queryListing(grown,
+      registrationListing.parseListingQuery({ sort: 'registrationId', limit: '2', cursor: first.nextCursor }));
+    expect(second.items.map(item => item.filename)).toEqual(['c.xml', 'notes.xml']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('should reject unusable query values', () => {
+    const codeOf = query => {
+      try {
+        registrationListing.parseListingQuery(query);
+      } catch (error) {
+        return error.code;
+      }
+      return null;
+    };
+
+    expect(codeOf({ sort: '-email' })).toBe('INVALID_LISTING_SORT');
+    expect(codeOf({ from: '15.09.2024' })).toBe('INVALID_LISTING_DATE');
+    expect(codeOf({ limit: '0' })).toBe('INVALID_LISTING_LIMIT');
+    expect(codeOf({ cursor: 'garbage' })).toBe('INVALID_LISTING_CURSOR');
+    expect(codeOf({ sort: 'program', cursor: list({ limit: '1' }).nextCursor })).toBe('INVALID_LISTING_CURSOR');
+    expect(registrationListing.parseListingQuery({ limit: '1000' }).limit).toBe(200);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Registration Mapper Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const registrationMapper = require('../lib/registration-mapper');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Registration Mapper', () => {
+  let validXml;
+  let formData;
+
+  beforeAll(async () => {
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+    formData = registrationMapper.xmlToFormData(validXml);
+  });
+
+  test('should map the registration attributes', () => {
+    expect(formData).toMatchObject({
+      registrationId: 'REG-2024-001',
+      revision: 1,
+      submissionDate: '2024-09-15',
+      status: 'pending'
+    });
+  });
+
+  test('should map scalar fields to their form field names', () => {
+    expect(formData).toMatchObject({
+      firstName: 'John',
+      middleName: 'Michael',
+      lastName: 'Smith',
+      dateOfBirth: '2002-05-15',
+      socialSecurityNumber: '123-45-6789',
+      program: 'Bachelor',
+      expectedGraduationYear: '2026',
+      gpa: '3.75',
+      isTransferStudent: 'false',
+      street: '123 Main Street',
+      zipCode: '62701',
+      phoneNumber: '+12175551234',
+      alternateEmail: 'j.smith.alt@gmail.com'
+    });
+    expect(formData.transferCredits).toBeUndefined();
+  });
+
+  test('should keep the address of the student separate from emergency contacts', () => {
+    expect(formData.city).toBe('Springfield');
+    expect(formData.emergencyContacts[0].street).toBeUndefined();
+  });
+
+  test('should map repeated emergency contacts with their priorities', () => {
+    expect(formData.emergencyContacts).toEqual([
+      { name: 'Mary Smith', relationship: 'Parent', phoneNumber: '+12175555678', email: 'mary.smith@email.com', priority: 'Primary' },
+      { name: 'Robert Smith', relationship: 'Parent', phoneNumber: '+12175559876', email: 'robert.smith@email.com', priority: 'Secondary' }
+    ]);
+  });
+
+  test('should flatten course schedules into the course entries', () => {
+    expect(formData.courses).toHaveLength(5);
+    expect(formData.courses[0]).toEqual({
+      courseCode: 'CS101',
+      courseName: 'Introduction to Computer Science',
+      credits: '3',
+      instructor: 'Dr. Johnson',
+      semester: 'Fall',
+      days: 'MWF',
+      startTime: '09:00',
+      endTime: '10:00',
+      room: 'CS-101'
+    });
+    expect(formData.totalCredits).toBe(15);
+  });
+
+  test('should map previous education entries', () => {
+    expect(formData.previousEducation).toEqual([{
+      level: 'High School',
+      institutionName: 'Lincoln High School',
+      degree: 'High School Diploma',
+      graduationYear: '2020',
+      gpa: '3.85'
+    }]);
+  });
+
+  test('should map additional information', () => {
+    expect(formData.additionalInfo).toEqual({
+      specialNeeds: 'None',
+      extracurricularActivities: 'Chess Club, Programming Club',
+      workExperience: 'Part-time tutor for high school students',
+      financialAidRequired: 'true',
+      housingRequired: 'true'
+    });
+  });
+
+  test('should read the revision attribute', () => {
+    const xml = validXml.replace('status="pending"', 'status="pending" revision="4"');
+    expect(registrationMapper.xmlToFormData(xml).revision).toBe(4);
+  });
+
+  test('should reject malformed XML and other documents', () => {
+    expect(() => registrationMapper.xmlToFormData('<sr:studentRegistration')).toThrow('Invalid XML');
+    expect(() => registrationMapper.xmlToFormData('<other/>')).toThrow('Not a student registration document');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Registration Serializer Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const xsdValidator = require('../lib/xsd-validator');
+const registrationMapper = require('../lib/registration-mapper');
+const registrationSerializer = require('../lib/registration-serializer');
+
+const XSD_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.xsd');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Registration Serializer', () => {
+  let schema;
+  let formData;
+  const options = { registrationId: 'REG-2024-001', submissionDate: '2024-09-15', revision: 2 };
+
+  const serialize = (data, opts = options) => registrationSerializer.serializeRegistration(schema, data, opts);
+
+  beforeAll(async () => {
+    schema = await xsdValidator.loadSchema(XSD_PATH);
+    formData = registrationMapper.xmlToFormData(await fs.readFile(VALID_XML_PATH, 'utf8'));
+  });
+
+  test('should produce schema-valid XML that maps back to the same form data', () => {
+    const xml = serialize(formData);
+
+    expect(xsdValidator.validate(schema, xml)).toEqual({ valid: true, errors: [] });
+    expect(registrationMapper.xmlToFormData(xml)).toEqual({ ...formData, revision: 2 });
+  });
+
+  test('should be byte-stable for the same input', () => {
+    const copy = JSON.parse(JSON.stringify(formData));
+    expect(serialize(copy)).toBe(serialize(formData));
+  });
+
+  test('should emit elements in schema order regardless of form data key order', () => {
+    const reversed = Object.fromEntries(Object.entries(formData).reverse());
+    const xml = serialize(reversed);
+
+    expect(xml).toBe(serialize(formData));
+    expect(xml.indexOf('<sr:firstName>')).toBeLessThan(xml.indexOf('<sr:lastName>'));
+    expect(xml.indexOf('<sr:previousEducation')).toBeLessThan(xml.indexOf('<sr:gpa>3.75'));
+  });
+
+  test('should escape text and attribute values', () => {
+    const xml = serialize({
+      ...formData,
+      firstName: 'Tom & "Jerry" <script>',
+      gender: 'Male" extra="1',
+      emergencyContacts: [{ ...formData.emergencyContacts[0], priority: 'Primary"/><x' }]
+    }, { ...options, registrationId: `REG-'1'&"2"` });
+
+    expect(xml).toContain('<sr:firstName>Tom &amp; "Jerry" &lt;script&gt;</sr:firstName>');
+    expect(xml).toContain('<sr:gender>Male" extra="1</sr:gender>');
+    expect(xml).toContain('priority="Primary&quot;/&gt;&lt;x"');
+    expect(registrationMapper.xmlToFormData(xml)).toMatchObject({
+      registrationId: `REG-'1'&"2"`,
+      firstName: 'Tom & "Jerry" <script>'
+    });
+  });
+
+  test('should drop characters that are not allowed in XML', () => {
+    const xml = serialize({ ...formData, major: 'Computer\u0000 Science\u0007' });
+    expect(xml).toContain('<sr:major>Computer Science</sr:major>');
+  });
+
+  test('should omit empty optional elements and keep empty required ones', () => {
+    const xml = serialize({
+      ...formData,
+      middleName: '',
+      minor: '   ',
+      gpa: undefined,
+      lastName: '',
+      courses: [{ ...formData.courses[0], instructor: '', room: '' }]
+    });
+
+    expect(xml).not.toContain('<sr:middleName');
+    expect(xml).not.toContain('<sr:minor');
+    expect(xml).not.toContain('<sr:instructor');
+    expect(xml).not.toContain('<sr:room');
+    expect(xml).toContain('<sr:lastName/>');
+  });
+
+  test('should omit empty repeated entries and optional groups', () => {
+    const xml = serialize({
+      ...formData,
+      emergencyContacts: [formData.emergencyContacts[0], { name: '', phoneNumber: '' }],
+      additionalInfo: undefined
+    });
+
+    expect(xml.match(/<sr:contact /g)).toHaveLength(1);
+    expect(xml).not.toContain('<sr:additionalInfo');
+  });
+
+  test('should serialize every previous education entry in order', () => {
+    const xml = serialize({
+      ...formData,
+      previousEducation: [
+        { level: 'High School', institutionName: 'Lincoln High School', degree: 'High School Diploma', graduationYear: '2020', gpa: '' },
+        { level: '', institutionName: '', degree: '', graduationYear: '', gpa: '' },
+        { level: 'Undergraduate', institutionName: 'State College', degree: 'Associate', graduationYear: '2022', gpa: '3.4' }
+      ]
+    });
+
+    expect(xsdValidator.validate(schema, xml).valid).toBe(true);
+    expect(registrationMapper.xmlToFormData(xml).previousEducation).toEqual([
+      { level: 'High School', institutionName: 'Lincoln High School', degree: 'High School Diploma', graduationYear: '2020' },
+      { level: 'Undergraduate', institutionName: 'State College', degree: 'Associate', graduationYear: '2022', gpa: '3.4' }
+    ]);
+  });
+
+  test('should write the registration attributes', () => {
+    const xml = serialize(formData, { registrationId: 'REG-9', submissionDate: '2025-01-31' });
+    expect(xml).toContain('registrationId="REG-9" submissionDate="2025-01-31" status="pending" revision="1"');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Registration Store Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const registrationStore = require('../lib/registration-store');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+const INVALID_XML_PATH = path.join(__dirname, '..', 'data', 'invalid-student-registration.xml');
+
+// The sample registration under another ID and revision
+const revisionOf = (xml, registrationId, revision) => xml
+  .replace('registrationId="REG-2024-001"', `registrationId="${registrationId}" revision="${revision}"`);
+
+describe('Registration Store', () => {
+  let validXml;
+  let dataDir;
+  let outputDir;
+  let store;
+
+  beforeAll(async () => {
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+  });
+
+  beforeEach(async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'registration-store-'));
+    dataDir = path.join(root, 'data');
+    outputDir = path.join(root, 'output');
+    await fs.ensureDir(dataDir);
+    await fs.ensureDir(outputDir);
+    store = registrationStore.createRegistrationStore({ dataDir, outputDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(path.dirname(dataDir));
+  });
+
+  test('should rebuild the index from the XML files in the data directory', async () => {
+    await fs.writeFile(path.join(dataDir, 'first.xml'), validXml);
+    await fs.writeFile(path.join(dataDir, 'second.xml'), revisionOf(validXml, 'REG-2024-001', 2));
+    await fs.copy(INVALID_XML_PATH, path.join(dataDir, 'invalid.xml'));
+    await fs.writeFile(path.join(dataDir, 'other.xml'), '<other/>');
+    await fs.writeFile(path.join(outputDir, 'second.html'), '<html/>');
+    await fs.writeFile(path.join(outputDir, 'second.compact.html'), '<html/>');
+
+    const records = await store.list();
+
+    expect(records.map(record => record.registrationId)).toEqual(expect.arrayContaining(['REG-2024-001']));
+    expect(records.find(record => record.registrationId === 'REG-2024-001')).toMatchObject({
+      revision: 2,
+      status: 'pending',
+      submissionDate: '2024-09-15',
+      revisions: [
+        expect.objectContaining({ revision: 1, xml: 'first.xml', html: {} }),
+        expect.objectContaining({ revision: 2, xml: 'second.xml', html: { default: 'second.html', compact: 'second.compact.html' } })
+      ]
+    });
+    expect(await fs.pathExists(path.join(dataDir, registrationStore.INDEX_FILE))).toBe(true);
+    expect(await store.listXmlFiles()).toEqual(expect.arrayContaining(['first.xml', 'second.xml', 'invalid.xml', 'other.xml']));
+  });
+
+  test('should store revisions under their registration ID and keep the index on disk', async () => {
+    const first = await store.save(revisionOf(validXml, 'REG-1', 1));
+    const second = await store.save(revisionOf(validXml, 'REG-1', 2));
+
+    expect(first.filename).toMatch(/^student-registration-.+\.xml$/);
+    expect(second.filename).not.toBe(first.filename);
+    expect(second.record.revisions.map(revision => revision.revision)).toEqual([1, 2]);
+    expect(await store.readXml('REG-1')).toContain('revision="2"');
+    expect(await store.readXml('REG-1', 1)).toContain('revision="1"');
+    expect(await store.findByFilename(first.filename)).toMatchObject({ record: { registrationId: 'REG-1' }, revision: { revision: 1 } });
+
+    const proto = await store.save(revisionOf(validXml, '__proto__', 1));
+    const reopened = registrationStore.createRegistrationStore({ dataDir, outputDir });
+    expect(await reopened.get('REG-1')).toEqual(second.record);
+    expect(await reopened.get('__proto__')).toEqual(proto.record);
+  });
+
+  test('should reject taken revisions and documents that are not registrations', async () => {
+    await store.save(revisionOf(validXml, 'REG-1', 1));
+
+    await expect(store.save(revisionOf(validXml, 'REG-1', 1))).rejects.toMatchObject({ code: 'REVISION_EXISTS', params: { registrationId: 'REG-1', revision: 1 } });
+    await expect(store.save('<other/>')).rejects.toMatchObject({ code: 'INVALID_REGISTRATION_XML' });
+    await expect(store.readXml('REG-2')).rejects.toMatchObject({ code: 'REGISTRATION_NOT_FOUND' });
+    await expect(store.readXml('REG-1', 5)).rejects.toMatchObject({ code: 'REVISION_NOT_FOUND' });
+    // Names of Object.prototype are unknown IDs too
+    await expect(store.readXml('__proto__')).rejects.toMatchObject({ code: 'REGISTRATION_NOT_FOUND' });
+    await expect(store.remove('constructor')).rejects.toMatchObject({ code: 'REGISTRATION_NOT_FOUND' });
+    await expect(store.readXmlFile('../secret.xml')).rejects.toBeInstanceOf(registrationStore.RegistrationStoreError);
+
+    // Imports keep the file without indexing it
+    const imported = await store.importXml('<other/>');
+    expect(imported.record).toBeNull();
+    expect(await store.readXmlFile(imported.filename)).toBe('<other/>');
+    expect((await store.list()).map(record => record.registrationId)).toEqual(['REG-1']);
+  });
+
+  test('should record artifacts per revision and delete them with the registration', async () => {
+    const { filename } = await store.save(revisionOf(validXml, 'REG-1', 1));
+    const base = filename.replace(/\.xml$/, '');
+
+    const html = await store.writeArtifact('REG-1', null, 'html', '<html/>', { stylesheet: 'compact' });
+    const view = await store.writeArtifact('REG-1', 1, 'html', '<html/>', { stylesheet: 'registrar', default: true });
+    const pdf = await store.writeArtifact('REG-1', 1, 'pdf', Buffer.from('%PDF-1.4'));
+    const signed = await store.writeArtifact('REG-1', 1, 'signed', Buffer.from('PK'), { name: 'signed.asice' });
+
+    expect([html.filename, view.filename, pdf.filename, signed.filename]).toEqual([`${base}.compact.html`, `${base}.html`, `${base}.pdf`, `${base}.signed-1.asice`]);
+    expect((await store.get('REG-1')).revisions[0]).toMatchObject({
+      html: { compact: html.filename, registrar: view.filename },
+      pdf: pdf.filename,
+      signed: [expect.objectContaining({ file: signed.filename, name: 'signed.asice' })]
+    });
+    await expect(store.writeArtifact('REG-1', 1, 'zip', '')).rejects.toMatchObject({ code: 'INVALID_ARTIFACT' });
+
+    const { deleted } = await store.remove('REG-1');
+
+    expect(deleted).toHaveLength(5);
+    expect(await fs.readdir(outputDir)).toEqual([]);
+    expect(await store.listXmlFiles()).toEqual([]);
+    expect(await store.get('REG-1')).toBeNull();
+    await expect(store.remove('REG-1')).rejects.toMatchObject({ code: 'REGISTRATION_NOT_FOUND' });
+  });
+
+  test('should not lose revisions saved concurrently', async () => {
+    await Promise.all([1, 2, 3, 4].map(revision => store.save(revisionOf(validXml, 'REG-1', revision))));
+
+    const reopened = registrationStore.createRegistrationStore({ dataDir, outputDir });
+    expect((await reopened.get('REG-1')).revisions.map(revision => revision.revision)).toEqual([1, 2, 3, 4]);
+    expect(await reopened.listXmlFiles()).toHaveLength(4);
+  });
+
+  test('should number next revisions saved concurrently one after another', async () => {
+    const saved = await Promise.all([0, 1, 2].map(() => store.saveNextRevision('REG-1', async (revision, record) => {
+      expect(record ? record.revision : 0).toBe(revision - 1);
+      return revisionOf(validXml, 'REG-1', revision);
+    })));
+
+    expect(saved.map(({ revision }) => revision.revision)).toEqual([1, 2, 3]);
+    expect((await store.get('REG-1')).revision).toBe(3);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Registration Workflow Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const xsdValidator = require('../lib/xsd-validator');
+const registrationMapper = require('../lib/registration-mapper');
+const registrationSerializer = require('../lib/registration-serializer');
+const registrationWorkflow = require('../lib/registration-workflow');
+const { createFileStorage } = require('../lib/storage');
+
+const XSD_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.xsd');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Registration Workflow', () => {
+  let formData;
+
+  const codeOf = (data, request) => {
+    try {
+      registrationWorkflow.applyTransition(data, request);
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+
+  beforeAll(async () => {
+    formData = registrationMapper.xmlToFormData(await fs.readFile(VALID_XML_PATH, 'utf8'));
+  });
+
+  test('should move a registration to an allowed status and record the transition', () => {
+    const before = Date.now();
+    const { formData: updated, transition } = registrationWorkflow.applyTransition(formData, {
+      to: 'incomplete',
+      actor: ' Registrar Office ',
+      reason: 'Transcript missing',
+      // The audit time is the server's, whatever the request says
+      timestamp: '2024-09-20T08:30:00.000Z'
+    });
+
+    expect(transition).toEqual({
+      from: 'pending',
+      to: 'incomplete',
+      actor: 'Registrar Office',
+      reason: 'Transcript missing',
+      timestamp: expect.stringMatching(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/)
+    });
+    expect(Date.parse(transition.timestamp)).toBeGreaterThanOrEqual(before);
+    expect(Date.parse(transition.timestamp)).toBeLessThanOrEqual(Date.now());
+    expect(updated.status).toBe('incomplete');
+    expect(updated.statusHistory).toEqual([transition]);
+    expect(formData.status).toBe('pending');
+    expect(formData.statusHistory).toEqual([]);
+  });
+
+  test('should only allow the defined transitions', () => {
+    expect(registrationWorkflow.allowedTransitions('pending')).toEqual(['approved', 'rejected', 'incomplete']);
+    expect(registrationWorkflow.allowedTransitions('rejected')).toEqual(['pending']);
+
+    const approved = { ...formData, status: 'approved' };
+    expect(codeOf(approved, { to: 'rejected', actor: 'Dean', reason: 'Late' })).toBe('TRANSITION_NOT_ALLOWED');
+    expect(codeOf(approved, { to: 'pending', actor: 'Dean' })).toBeNull();
+    expect(codeOf(formData, { to: 'pending', actor: 'Dean' })).toBe('TRANSITION_NOT_ALLOWED');
+    expect(codeOf(formData, { to: 'archived', actor: 'Dean' })).toBe('INVALID_STATUS');
+  });
+
+  test('should require an actor and a reason for rejections and incomplete registrations', () => {
+    expect(codeOf(formData, { to: 'approved' })).toBe('ACTOR_REQUIRED');
+    expect(codeOf(formData, { to: 'approved', actor: '   ' })).toBe('ACTOR_REQUIRED');
+    expect(codeOf(formData, { to: 'approved', actor: 'x'.repeat(101) })).toBe('ACTOR_REQUIRED');
+    expect(codeOf(formData, { to: 'rejected', actor: 'Dean', reason: '  ' })).toBe('REASON_REQUIRED');
+    expect(codeOf(formData, { to: 'incomplete', actor: 'Dean' })).toBe('REASON_REQUIRED');
+    expect(codeOf(formData, { to: 'rejected', actor: 'Dean', reason: 'x'.repeat(1001) })).toBe('REASON_TOO_LONG');
+    expect(codeOf(formData, { to: 'approved', actor: 'Dean' })).toBeNull();
+  });
+
+  test('should keep the status history in schema-valid XML', async () => {
+    const schema = await xsdValidator.loadSchema(XSD_PATH);
+    const first = registrationWorkflow.applyTransition(formData, { to: 'incomplete', actor: 'Ján Kováč', reason: 'Missing <transcript> & photo' });
+    const second = registrationWorkflow.applyTransition(first.formData, { to: 'pending', actor: 'Student Portal' });
+
+    const xml = registrationSerializer.serializeRegistration(schema, second.formData, {
+      registrationId: formData.registrationId,
+      submissionDate: formData.submissionDate,
+      revision: 3,
+      status: 'pending'
+    });
+
+    expect(xsdValidator.validate(schema, xml)).toEqual({ valid: true, errors: [] });
+    const mapped = registrationMapper.xmlToFormData(xml);
+    expect(mapped.statusHistory).toEqual([first.transition, second.transition]);
+    expect(mapped.status).toBe('pending');
+  });
+
+  test('should append audit entries and read them per registration', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'registration-workflow-'));
+    try {
+      const log = registrationWorkflow.createAuditLog(createFileStorage({ dataDir: path.join(directory, 'data') }));
+      expect(await log.read()).toEqual([]);
+
+      await log.append({ registrationId: 'REG-1', revision: 2, from: 'pending', to: 'approved', actor: 'Dean' });
+      await log.append({ registrationId: 'REG-2', revision: 2, from: 'pending', to: 'rejected', actor: 'Dean', reason: 'Late' });
+      await log.append({ registrationId: 'REG-1', revision: 3, from: 'approved', to: 'pending', actor: 'Dean' });
+
+      expect((await log.read('REG-1')).map(entry => entry.revision)).toEqual([2, 3]);
+      expect(await log.read()).toHaveLength(3);
+      expect((await fs.readFile(path.join(directory, 'data', log.filename), 'utf8')).split('\n')).toHaveLength(4);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Renditions Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const renditions = require('../lib/renditions');
+const { createFileStorage } = require('../lib/storage');
+
+const accepting = accept => ({ headers: accept === undefined ? {} : { accept } });
+
+describe('Renditions', () => {
+  test('should pick the format from the extension before the Accept header', () => {
+    expect(renditions.negotiateFormat(accepting('text/html'), 'pdf')).toBe('pdf');
+    expect(renditions.negotiateFormat(accepting('text/html'), 'TXT')).toBe('txt');
+    expect(renditions.negotiateFormat(accepting('text/html'), 'docx')).toBeNull();
+  });
+
+  test('should follow the Accept header by quality, specificity and order', () => {
+    expect(renditions.negotiateFormat(accepting())).toBe('json');
+    expect(renditions.negotiateFormat(accepting('*/*'))).toBe('json');
+    expect(renditions.negotiateFormat(accepting('text/xml'))).toBe('xml');
+    expect(renditions.negotiateFormat(accepting('application/pdf;q=0.5, text/plain'))).toBe('txt');
+    expect(renditions.negotiateFormat(accepting('*/*, application/pdf'))).toBe('pdf');
+    expect(renditions.negotiateFormat(accepting('text/*'))).toBe('html');
+    expect(renditions.negotiateFormat(accepting('image/png, text/plain;q=0.1'))).toBe('txt');
+    expect(renditions.negotiateFormat(accepting('image/png, application/pdf;q=0'))).toBeNull();
+  });
+
+  test('should hash the XML as hex SHA-256', () => {
+    expect(renditions.hashXml('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  describe('cache', () => {
+    let directory;
+    let cache;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'renditions-'));
+      cache = renditions.createRenditionCache({ storage: createFileStorage({ outputDir: directory }) });
+    });
+
+    afterEach(async () => {
+      await fs.remove(directory);
+    });
+
+    test('should render once and serve repeated requests from the cache', async () => {
+      const hash = renditions.hashXml('<registration/>');
+      const produce = jest.fn(async () => 'rendered');
+
+      const [first, second] = await Promise.all([cache.render(hash, 'txt.en', produce), cache.render(hash, 'txt.en', produce)]);
+      const third = await cache.render(hash, 'txt.en', produce);
+
+      expect(produce).toHaveBeenCalledTimes(1);
+      expect([first.cached, second.cached, third.cached]).toEqual([false, false, true]);
+      expect(third.content.toString('utf8')).toBe('rendered');
+      expect(await fs.readdir(path.join(directory, 'renditions'))).toEqual([`${hash}.txt.en`]);
+    });
+
+    test('should keep variants apart, not cache failures and drop renditions by hash', async () => {
+      const hash = renditions.hashXml('<registration/>');
+      const other = renditions.hashXml('<other/>');
+      await cache.render(hash, 'pdf.en', async () => Buffer.from('%PDF'));
+      await cache.render(hash, 'pdf.sk', async () => Buffer.from('%PDF'));
+      await cache.render(other, 'pdf.en', async () => Buffer.from('%PDF'));
+
+      await expect(cache.render(hash, 'html.print', async () => { throw new Error('Stylesheet error'); })).rejects.toThrow('Stylesheet error');
+      await expect(cache.render(hash, '../escape', async () => '')).rejects.toThrow('Invalid rendition key');
+
+      expect(await cache.drop(hash)).toBe(2);
+      expect(await fs.readdir(path.join(directory, 'renditions'))).toEqual([`${other}.pdf.en`]);
+    });
+  });
+});
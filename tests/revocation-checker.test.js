@@ -0,0 +1,217 @@
+/**
+ * Revocation Checker Tests
+ * CRLs of CA hierarchies generated here, signed with pkijs structures and node's crypto
+ */
+
+const asn1js = require('asn1js');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const pkijs = require('pkijs');
+const certificateValidator = require('../lib/certificate-validator');
+const revocationChecker = require('../lib/revocation-checker');
+
+const CERTIFICATE_DIR = path.join(__dirname, '..', 'certificate');
+const DITEC_CRL = 'https://testpki.ditec.sk/CertGen2/Data/pavlik/DITEC%20Test%20CA/Crls/DITEC%20Test%20CA.crl';
+
+const NOT_BEFORE = new Date('2025-01-01T00:00:00Z');
+const NOT_AFTER = new Date('2027-01-01T00:00:00Z');
+const REVOKED_AT = new Date('2026-03-01T00:00:00Z');
+
+// A certificate signed by the issuer's key (self-signed without an issuer), naming a CRL distribution point
+const createCertificate = ({ subject, issuer = null, ca = false, crl = null }) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  certificate.serialNumber = crypto.randomBytes(4).toString('hex').replace(/^[89a-f]/, '1');
+  certificate.validity.notBefore = NOT_BEFORE;
+  certificate.validity.notAfter = NOT_AFTER;
+  certificate.setSubject([{ shortName: 'CN', value: subject }]);
+  certificate.setIssuer(issuer ? issuer.certificate.subject.attributes : certificate.subject.attributes);
+  const extensions = ca
+    ? [{ name: 'basicConstraints', critical: true, cA: true }, { name: 'keyUsage', critical: true, keyCertSign: true, cRLSign: true }]
+    : [{ name: 'keyUsage', critical: true, digitalSignature: true, nonRepudiation: true }];
+  if (crl) extensions.push({ name: 'cRLDistributionPoints', altNames: [{ type: 6, value: crl }] });
+  certificate.setExtensions(extensions);
+  certificate.sign(issuer ? issuer.key : key, forge.md.sha256.create());
+  return { key, privateKey, certificate, x509: new crypto.X509Certificate(forge.pki.certificateToPem(certificate)) };
+};
+
+// A DER CRL of the issuer, listing { certificate, date, reason } entries
+const createCrl = ({ issuer, signer = issuer, thisUpdate, nextUpdate, revoked = [] }) => {
+  const algorithm = () => new pkijs.AlgorithmIdentifier({ algorithmId: '1.2.840.113549.1.1.11', algorithmParams: new asn1js.Null() });
+  const crl = new pkijs.CertificateRevocationList({
+    version: 1,
+    signature: algorithm(),
+    signatureAlgorithm: algorithm(),
+    issuer: pkijs.Certificate.fromBER(issuer.x509.raw).subject,
+    thisUpdate: new pkijs.Time({ type: 0, value: thisUpdate }),
+    ...(nextUpdate ? { nextUpdate: new pkijs.Time({ type: 0, value: nextUpdate }) } : {})
+  });
+  if (revoked.length > 0) {
+    crl.revokedCertificates = revoked.map(({ certificate, date, reason }) => new pkijs.RevokedCertificate({
+      userCertificate: new asn1js.Integer({ valueHex: Buffer.from(certificate.x509.serialNumber, 'hex') }),
+      revocationDate: new pkijs.Time({ type: 0, value: date }),
+      crlEntryExtensions: new pkijs.Extensions({
+        extensions: [new pkijs.Extension({ extnID: '2.5.29.21', extnValue: new asn1js.Enumerated({ value: reason }).toBER(false) })]
+      })
+    }));
+  }
+  crl.tbsView = new Uint8Array(crl.encodeTBS().toBER(false));
+  crl.signatureValue = new asn1js.BitString({ valueHex: crypto.sign('sha256', crl.tbsView, signer.privateKey) });
+  return Buffer.from(crl.toSchema(true).toBER(false));
+};
+
+const toPem = der => `-----BEGIN X509 CRL-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END X509 CRL-----\n`;
+const cacheOf = (...ders) => ({ crls: ders.map((der, index) => ({ file: `${index}.crl`, crl: revocationChecker.parseCrls(der)[0] })) });
+
+describe('Revocation Checker', () => {
+  const codes = result => result.errors.map(error => error.code);
+  let root;
+  let intermediate;
+  let signer;
+  let trustStore;
+
+  beforeAll(() => {
+    root = createCertificate({ subject: 'Root CA', ca: true });
+    intermediate = createCertificate({ subject: 'Issuing CA', issuer: root, ca: true, crl: 'http://crl.example/root.crl' });
+    signer = createCertificate({ subject: 'Signer', issuer: intermediate, crl: 'http://crl.example/issuing.crl' });
+    trustStore = { anchors: [root.x509] };
+  });
+
+  test('should read the distribution points of certificate/crl.txt and of the FIIT signer', async () => {
+    expect(revocationChecker.crlConfig({})).toEqual({ cacheDirectory: path.join('certificate', 'crls'), sources: path.join('certificate', 'crl.txt'), refreshInterval: 60 });
+    expect(revocationChecker.crlConfig({ CRL_REFRESH_INTERVAL: '0' }).refreshInterval).toBe(0);
+    expect(await revocationChecker.readCrlSources(path.join(CERTIFICATE_DIR, 'crl.txt'))).toEqual([DITEC_CRL]);
+    expect(await revocationChecker.readCrlSources(path.join(CERTIFICATE_DIR, 'missing.txt'))).toEqual([]);
+
+    const [fiit] = certificateValidator.parseCertificates(await fs.readFile(path.join(CERTIFICATE_DIR, 'FIITPodpisovatel.cer')));
+    expect(revocationChecker.distributionPoints(fiit)).toEqual([DITEC_CRL]);
+    expect(revocationChecker.distributionPoints(root.x509)).toEqual([]);
+  });
+
+  test('should report the signer revoked before the timestamp time and not after it', () => {
+    const crls = cacheOf(
+      createCrl({ issuer: root, thisUpdate: new Date('2026-05-01T00:00:00Z'), nextUpdate: new Date('2026-06-01T00:00:00Z') }),
+      createCrl({
+        issuer: intermediate,
+        thisUpdate: new Date('2026-05-01T00:00:00Z'),
+        nextUpdate: new Date('2026-06-01T00:00:00Z'),
+        revoked: [{ certificate: signer, date: REVOKED_AT, reason: 1 }]
+      })
+    );
+    const validate = timestampTime => certificateValidator.validateCertificate(signer.x509, {
+      trustStore,
+      intermediates: [intermediate.x509],
+      signingTime: new Date('2026-01-01T00:00:00Z'),
+      timestampTime,
+      crls
+    });
+
+    const revoked = validate(new Date('2026-04-01T00:00:00Z'));
+    expect(revoked.errors).toEqual([{
+      code: 'CERTIFICATE_REVOKED',
+      message: expect.any(String),
+      params: { subject: 'CN=Signer', time: REVOKED_AT.toISOString(), reason: 'keyCompromise' }
+    }]);
+    expect(revoked.chain.map(certificate => certificate.revocation && certificate.revocation.status)).toEqual(['revoked', 'good', undefined]);
+
+    // Timestamped before the revocation: the later CRL proves the signer was good then
+    const good = validate(new Date('2026-02-01T00:00:00Z'));
+    expect(good).toMatchObject({ valid: true, errors: [] });
+    expect(good.chain[0].revocation).toEqual({
+      status: 'good',
+      revocationTime: null,
+      reason: null,
+      crl: { file: '1.crl', thisUpdate: '2026-05-01T00:00:00.000Z' },
+      distributionPoints: ['http://crl.example/issuing.crl']
+    });
+
+    // Without a CRL cache nothing is checked
+    const unchecked = certificateValidator.validateCertificate(signer.x509, { trustStore, intermediates: [intermediate.x509], signingTime: REVOKED_AT });
+    expect(unchecked.chain[0].revocation).toBeUndefined();
+  });
+
+  test('should only trust current CRLs signed by the issuer', () => {
+    const forged = createCertificate({ subject: 'Issuing CA', ca: true });
+    const options = crls => ({ trustStore, intermediates: [intermediate.x509], signingTime: REVOKED_AT, timestampTime: REVOKED_AT, crls });
+    const root2026 = createCrl({ issuer: root, thisUpdate: new Date('2026-02-01T00:00:00Z'), nextUpdate: new Date('2026-04-01T00:00:00Z') });
+
+    // Same issuer name, other key: the revocation it lists does not count
+    const foreign = createCrl({
+      issuer: intermediate,
+      signer: forged,
+      thisUpdate: new Date('2026-05-01T00:00:00Z'),
+      nextUpdate: new Date('2026-06-01T00:00:00Z'),
+      revoked: [{ certificate: signer, date: REVOKED_AT, reason: 1 }]
+    });
+    const result = certificateValidator.validateCertificate(signer.x509, options(cacheOf(root2026, foreign)));
+    expect(codes(result)).toEqual(['REVOCATION_STATUS_UNKNOWN']);
+    expect(result.chain[0].revocation.status).toBe('unknown');
+
+    // Expired before the time to answer for
+    const outdated = createCrl({ issuer: intermediate, thisUpdate: new Date('2026-01-01T00:00:00Z'), nextUpdate: new Date('2026-02-01T00:00:00Z') });
+    expect(codes(certificateValidator.validateCertificate(signer.x509, options(cacheOf(root2026, outdated)))))
+      .toEqual(['REVOCATION_STATUS_UNKNOWN']);
+
+    // Without nextUpdate a CRL says nothing about the time after it was issued
+    const open = createCrl({ issuer: intermediate, thisUpdate: new Date('2026-01-01T00:00:00Z') });
+    expect(codes(certificateValidator.validateCertificate(signer.x509, options(cacheOf(root2026, open)))))
+      .toEqual(['REVOCATION_STATUS_UNKNOWN']);
+    const later = createCrl({ issuer: intermediate, thisUpdate: new Date('2026-04-01T00:00:00Z') });
+    expect(certificateValidator.validateCertificate(signer.x509, options(cacheOf(root2026, later))).chain[0].revocation.status).toBe('good');
+
+    // A certificate without distribution points and no CRL of its issuer is not checked
+    const plain = createCertificate({ subject: 'Plain', issuer: root });
+    const notChecked = certificateValidator.validateCertificate(plain.x509, options(cacheOf()));
+    expect(notChecked).toMatchObject({ valid: true, errors: [] });
+    expect(notChecked.chain[0].revocation.status).toBe('unchecked');
+  });
+
+  test('should load the cache offline and refresh it from the distribution points', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'crl-cache-'));
+    try {
+      const cacheDirectory = path.join(directory, 'crls');
+      expect(await revocationChecker.loadCrlCache(cacheDirectory)).toEqual({ directory: cacheDirectory, crls: [], ignored: [] });
+
+      const issuing = createCrl({ issuer: intermediate, thisUpdate: new Date('2026-05-01T00:00:00Z'), nextUpdate: new Date('2026-06-01T00:00:00Z') });
+      const downloads = { 'http://crl.example/issuing.crl': issuing };
+      const refresh = await revocationChecker.refreshCrlCache({
+        cacheDirectory,
+        urls: ['http://crl.example/issuing.crl', 'http://crl.example/root.crl', 'http://crl.example/issuing.crl'],
+        download: async url => {
+          if (!downloads[url]) throw new Error('getaddrinfo ENOTFOUND crl.example');
+          return downloads[url];
+        }
+      });
+      expect(refresh).toEqual({
+        refreshed: [{
+          url: 'http://crl.example/issuing.crl',
+          file: expect.stringMatching(/^[0-9a-f]{8}-issuing\.crl$/),
+          thisUpdate: '2026-05-01T00:00:00.000Z',
+          nextUpdate: '2026-06-01T00:00:00.000Z'
+        }],
+        failed: [{ url: 'http://crl.example/root.crl', error: 'getaddrinfo ENOTFOUND crl.example' }]
+      });
+
+      await fs.writeFile(path.join(cacheDirectory, 'root.pem'), toPem(createCrl({
+        issuer: root, thisUpdate: new Date('2026-05-01T00:00:00Z'), nextUpdate: new Date('2026-06-01T00:00:00Z')
+      })));
+      await fs.writeFile(path.join(cacheDirectory, 'broken.crl'), 'not a CRL');
+      const cache = await revocationChecker.loadCrlCache(cacheDirectory);
+      expect(cache.crls.map(({ file }) => file)).toEqual([refresh.refreshed[0].file, 'root.pem']);
+      expect(cache.ignored).toEqual(['broken.crl']);
+
+      const result = certificateValidator.validateCertificate(signer.x509, {
+        trustStore, intermediates: [intermediate.x509], signingTime: REVOKED_AT, timestampTime: REVOKED_AT, crls: cache
+      });
+      expect(result.chain.slice(0, 2).map(certificate => certificate.revocation.crl.file)).toEqual([refresh.refreshed[0].file, 'root.pem']);
+      expect(result.valid).toBe(true);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Search Index Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const searchIndex = require('../lib/search-index');
+const registrationMapper = require('../lib/registration-mapper');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Search Index', () => {
+  let john;
+  let index;
+
+  beforeAll(async () => {
+    // The sample registration, without its housing request
+    const sample = registrationMapper.xmlToFormData(await fs.readFile(VALID_XML_PATH, 'utf8'));
+    john = { ...sample, additionalInfo: { ...sample.additionalInfo, housingRequired: 'false' } };
+  });
+
+  beforeEach(() => {
+    index = searchIndex.createSearchIndex();
+    index.add('REG-2024-001', john, { studentName: 'John Michael Smith' });
+    index.add('REG-2', {
+      ...john,
+      registrationId: 'REG-2',
+      firstName: 'Jana',
+      middleName: '',
+      lastName: 'Novák',
+      program: 'Master',
+      email: 'jana.novak@example.sk',
+      alternateEmail: '',
+      additionalInfo: { ...john.additionalInfo, housingRequired: 'true', specialNeeds: 'Needs a <quiet> room for exams & tests' }
+    });
+  });
+
+  test('should find registrations by any indexed field, ignoring case and diacritics', () => {
+    expect(index.search('novak').results.map(result => result.docId)).toEqual(['REG-2']);
+    expect(index.search('NOVÁK master housing').results.map(result => result.docId)).toEqual(['REG-2']);
+    expect(index.search('jana.novak@example.sk').total).toBe(1);
+    expect(index.search('smith').results[0]).toMatchObject({ docId: 'REG-2024-001', meta: { studentName: 'John Michael Smith' } });
+    expect(index.search('cs101').total).toBe(2);
+    expect(index.search('smith novak').total).toBe(0);
+  });
+
+  test('should match word prefixes and rank exact words and rare words higher', () => {
+    expect(index.search('nov').results.map(result => result.docId)).toEqual(['REG-2']);
+
+    const { results } = index.search('master');
+    expect(results[0].docId).toBe('REG-2');
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  test('should restrict field:term to that field', () => {
+    expect(index.search('name:jana').total).toBe(1);
+    expect(index.search('email:smith').results.map(result => result.docId)).toEqual(['REG-2024-001']);
+    expect(index.search('requests:housing').results.map(result => result.docId)).toEqual(['REG-2']);
+    expect(() => index.search('salary:1000')).toThrow(expect.objectContaining({ code: 'UNKNOWN_SEARCH_FIELD', params: expect.objectContaining({ field: 'salary' }) }));
+    expect(() => index.search('  ')).toThrow(expect.objectContaining({ code: 'SEARCH_QUERY_REQUIRED' }));
+  });
+
+  test('should highlight matches in escaped snippets', () => {
+    const [result] = index.search('quiet exam').results;
+
+    expect(result.highlights).toContainEqual({ field: 'info', snippet: 'Needs a &lt;<mark>quiet</mark>&gt; room for <mark>exams</mark> &amp; tests' });
+    expect(result.highlights).toContainEqual({ field: 'email', snippet: 'jana.novak@<mark>example</mark>.sk' });
+    expect(index.search('novák').results[0].highlights).toEqual(expect.arrayContaining([{ field: 'name', snippet: '<mark>Novák</mark>' }]));
+  });
+
+  test('should replace and remove documents', () => {
+    index.add('REG-2', { ...john, registrationId: 'REG-2', lastName: 'Kováč' });
+    expect(index.search('novak').total).toBe(0);
+    expect(index.search('kovac').total).toBe(1);
+
+    expect(index.remove('REG-2')).toBe(true);
+    expect(index.remove('REG-2')).toBe(false);
+    expect(index.search('kovac').total).toBe(0);
+    expect(index.size).toBe(1);
+  });
+});
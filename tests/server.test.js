@@ -5,6 +5,7 @@ const path = require('path');
 // We need to create a mock server for testing since the actual server has dependencies
 // that are difficult to mock properly in a test environment
 const express = require('express');
+const multer = require('multer');
 
 // Create a test version of the server with mocked dependencies
 const createTestApp = () => {
@@ -12,6 +13,10 @@ const createTestApp = () => {
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
+  const upload = multer({ storage: multer.memoryStorage() });
+  const rawXml = express.text({ type: ['application/xml', 'text/xml', 'application/*+xml'] });
+  const persisted = [];
+
   // Mock the XML validation function
   const mockValidateXML = (xmlContent) => {
     if (xmlContent.includes('invalid')) {
@@ -56,8 +61,26 @@ const createTestApp = () => {
     }
   });
 
-  app.post('/api/validate-xml', async (req, res) => {
+  app.post('/api/validate-xml', upload.single('xmlFile'), rawXml, async (req, res) => {
     try {
+      // Uploaded XML (multipart or raw body) is validated without touching data/
+      if (req.file || typeof req.body === 'string') {
+        const xmlContent = req.file ? req.file.buffer.toString('utf8') : req.body;
+        if (!xmlContent.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Request body is empty'
+          });
+        }
+        const response = { success: true, validation: mockValidateXML(xmlContent) };
+        if (req.query.persist === 'true') {
+          response.filename = `test-${Date.now()}.xml`;
+          response.persisted = true;
+          persisted.push(response.filename);
+        }
+        return res.json(response);
+      }
+
       const { filename } = req.body;
       if (!filename) {
         return res.status(400).json({
@@ -153,6 +176,7 @@ const createTestApp = () => {
     }
   });
 
+  app.persisted = persisted;
   return app;
 };
 
@@ -285,6 +309,55 @@ describe('XML Form Processing Server', () => {
     });
   });
 
+  describe('POST /api/validate-xml with uploaded XML', () => {
+    test('should validate a multipart upload', async () => {
+      const response = await request(app)
+        .post('/api/validate-xml')
+        .attach('xmlFile', Buffer.from('<valid/>'), 'partner.xml')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.validation.valid).toBe(true);
+      expect(response.body.persisted).toBeUndefined();
+    });
+
+    test('should validate a raw XML body', async () => {
+      const response = await request(app)
+        .post('/api/validate-xml')
+        .set('Content-Type', 'application/xml')
+        .send('<invalid/>')
+        .expect(200);
+
+      expect(response.body.validation.valid).toBe(false);
+      expect(response.body.validation.errors.length).toBeGreaterThan(0);
+    });
+
+    test('should reject an empty raw body', async () => {
+      const response = await request(app)
+        .post('/api/validate-xml')
+        .set('Content-Type', 'text/xml')
+        .send('   ')
+        .expect(400);
+
+      expect(response.body.error).toBe('Request body is empty');
+    });
+
+    test('should only persist uploads when asked to', async () => {
+      const before = app.persisted.length;
+      await request(app).post('/api/validate-xml').set('Content-Type', 'application/xml').send('<valid/>');
+      expect(app.persisted.length).toBe(before);
+
+      const response = await request(app)
+        .post('/api/validate-xml?persist=true')
+        .set('Content-Type', 'application/xml')
+        .send('<valid/>')
+        .expect(200);
+
+      expect(response.body.persisted).toBe(true);
+      expect(app.persisted).toContain(response.body.filename);
+    });
+  });
+
   describe('POST /api/transform-xml', () => {
     test('should transform XML to HTML successfully', async () => {
       const response = await request(app)
@@ -0,0 +1,110 @@
+/**
+ * Storage Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const storageBackends = require('../lib/storage');
+
+describe('Storage', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(directory);
+  });
+
+  describe.each([
+    ['fs', () => storageBackends.createStorage({ backend: 'fs', dataDir: path.join(directory, 'data'), outputDir: path.join(directory, 'output') })],
+    ['memory', () => storageBackends.createStorage({ backend: 'memory' })],
+    ['sqlite', () => storageBackends.createStorage({ backend: 'sqlite', file: path.join(directory, 'storage.sqlite') })]
+  ])('%s backend', (backend, create) => {
+    let storage;
+
+    beforeAll(() => {
+      storage = create();
+    });
+
+    afterAll(async () => {
+      await storage.close();
+    });
+
+    test('should write, replace, read and remove files', async () => {
+      expect(storage.backend).toBe(backend);
+      expect(await storage.read('data', 'registration.xml')).toBeNull();
+
+      await storage.write('data', 'registration.xml', '<a/>');
+      await storage.write('data', 'registration.xml', '<registration>Novák</registration>');
+      await storage.write('output', 'registration.pdf', Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff]));
+
+      expect(await storage.readText('data', 'registration.xml')).toBe('<registration>Novák</registration>');
+      expect(await storage.read('output', 'registration.pdf')).toEqual(Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff]));
+      expect(await storage.stat('data', 'registration.xml')).toEqual({ size: 35, modified: expect.any(Date) });
+      expect(await storage.exists('output', 'registration.xml')).toBe(false);
+
+      expect(await storage.remove('data', 'registration.xml')).toBe(true);
+      expect(await storage.remove('data', 'registration.xml')).toBe(false);
+      expect(await storage.stat('data', 'registration.xml')).toBeNull();
+    });
+
+    test('should append to files', async () => {
+      await storage.append('data', 'log.jsonl', '{"n":1}\n');
+      await storage.append('data', 'log.jsonl', '{"n":2}\n');
+
+      expect(await storage.readText('data', 'log.jsonl')).toBe('{"n":1}\n{"n":2}\n');
+    });
+
+    test('should list the files directly in a directory of an area', async () => {
+      await storage.write('output', 'b.html', 'b');
+      await storage.write('output', 'a.html', 'a');
+      await storage.write('output', 'renditions/hash.pdf.en', 'pdf');
+
+      expect(await storage.list('output')).toEqual(expect.arrayContaining(['a.html', 'b.html']));
+      expect(await storage.list('output')).not.toContain('hash.pdf.en');
+      expect(await storage.list('output', 'renditions')).toEqual(['hash.pdf.en']);
+      expect(await storage.list('output', 'missing')).toEqual([]);
+    });
+
+    test('should reject names that leave their area', async () => {
+      for (const name of ['../secret.xml', 'renditions/../../x', '/etc/passwd', 'a\\b', '']) {
+        await expect(storage.read('data', name)).rejects.toMatchObject({ code: 'INVALID_FILENAME' });
+      }
+      await expect(storage.write('certificate', 'key.pfx', '')).rejects.toMatchObject({ code: 'INVALID_STORAGE_AREA' });
+    });
+  });
+
+  test('should keep fs files in the configured directories', async () => {
+    const storage = storageBackends.createFileStorage({ dataDir: path.join(directory, 'files') });
+    await storage.write('data', 'nested/file.txt', 'content');
+
+    expect(await fs.readFile(path.join(directory, 'files', 'nested', 'file.txt'), 'utf8')).toBe('content');
+  });
+
+  test('should share sqlite files between instances using the same database', async () => {
+    const file = path.join(directory, 'shared.sqlite');
+    const first = storageBackends.createDatabaseStorage({ file });
+    const second = storageBackends.createDatabaseStorage({ file });
+    try {
+      await first.write('data', 'registration.xml', '<registration/>');
+      await second.append('data', 'log.jsonl', 'second\n');
+      await first.append('data', 'log.jsonl', 'first\n');
+
+      expect(await second.readText('data', 'registration.xml')).toBe('<registration/>');
+      expect(await second.readText('data', 'log.jsonl')).toBe('second\nfirst\n');
+    } finally {
+      await first.close();
+      await second.close();
+    }
+  });
+
+  test('should be selected by configuration', () => {
+    expect(storageBackends.storageConfig({ STORAGE_BACKEND: 'sqlite', STORAGE_DATABASE: '/var/lib/app.sqlite' }))
+      .toMatchObject({ backend: 'sqlite', file: '/var/lib/app.sqlite' });
+    expect(storageBackends.storageConfig({}).backend).toBe('fs');
+    expect(() => storageBackends.createStorage({ backend: 'redis' })).toThrow(expect.objectContaining({ code: 'UNKNOWN_STORAGE_BACKEND' }));
+  });
+});
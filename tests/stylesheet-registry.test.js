@@ -0,0 +1,64 @@
+/**
+ * Stylesheet Registry Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const stylesheetRegistry = require('../lib/stylesheet-registry');
+const xsltProcessor = require('../lib/xslt-processor');
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'stylesheets', 'registry.json');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+const entry = (id, extra = {}) => ({
+  id,
+  title: id,
+  file: `${id}.xsl`,
+  mediaType: 'text/html',
+  mediaDestination: 'HTML',
+  targetEnvironment: 'HTML',
+  ...extra
+});
+
+describe('Stylesheet Registry', () => {
+  let registry;
+
+  beforeAll(async () => {
+    registry = await stylesheetRegistry.loadRegistry(REGISTRY_PATH);
+  });
+
+  test('should load the project registry with the registrar view as default', async () => {
+    expect(registry.stylesheets.map(s => s.id)).toEqual(['registrar', 'confirmation', 'print']);
+    expect(stylesheetRegistry.resolveStylesheet(registry).file).toBe('student-registration.xsl');
+    expect(stylesheetRegistry.resolveStylesheet(registry, 'print').targetEnvironment).toBe('Print');
+    expect(stylesheetRegistry.resolveStylesheet(registry, 'missing')).toBeNull();
+    expect(await stylesheetRegistry.loadRegistry(REGISTRY_PATH)).toBe(registry);
+  });
+
+  test('should describe entries without their location on disk', () => {
+    const described = stylesheetRegistry.describeStylesheet(registry, stylesheetRegistry.resolveStylesheet(registry, 'confirmation'));
+    expect(described).toMatchObject({ id: 'confirmation', file: 'student-confirmation.xsl', default: false });
+    expect(described).not.toHaveProperty('path');
+  });
+
+  test('should transform the sample registration with every registered stylesheet', async () => {
+    const xml = await fs.readFile(VALID_XML_PATH, 'utf8');
+    for (const stylesheet of registry.stylesheets) {
+      const result = xsltProcessor.transform(await xsltProcessor.loadStylesheet(stylesheet.path), xml);
+      expect(result.method).toBe('html');
+      expect(result.output).toContain('REG-2024-001');
+      expect(result.output).not.toContain('xmlns:sr');
+    }
+  });
+
+  test('should reject invalid registries', () => {
+    const compile = definition => () => stylesheetRegistry.compileRegistry(definition, '/tmp');
+
+    expect(compile({ stylesheets: [] })).toThrow('no stylesheets defined');
+    expect(compile({ stylesheets: [entry('a'), entry('a')] })).toThrow("duplicate id 'a'");
+    expect(compile({ default: 'b', stylesheets: [entry('a')] })).toThrow("default 'b' is not a registered stylesheet");
+    expect(compile({ stylesheets: [entry('a', { targetEnvironment: '' })] })).toThrow("entry 1 is missing 'targetEnvironment'");
+    expect(compile({ stylesheets: [entry('a', { file: '../a.xsl' })] })).toThrow('must be a plain file name');
+    expect(compile({ stylesheets: [entry('A b')] })).toThrow('may only contain lowercase letters');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Text Renderer Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const textRenderer = require('../lib/text-renderer');
+const i18n = require('../lib/i18n');
+
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+describe('Text Renderer', () => {
+  let en;
+  let sk;
+  let validXml;
+
+  beforeAll(async () => {
+    en = await i18n.loadCatalogue('en');
+    sk = await i18n.loadCatalogue('sk');
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+  });
+
+  test('should lay out every section as a fixed-width form', () => {
+    const text = textRenderer.renderRegistrationText(validXml, en);
+    const lines = text.split('\n');
+
+    expect(text.endsWith('\n')).toBe(true);
+    expect(text).not.toContain('\r');
+    expect(lines.every(line => [...line].length <= textRenderer.WIDTH && !/\s$/.test(line))).toBe(true);
+    expect(lines[1].trim()).toBe('UNIVERSITY STUDENT REGISTRATION FORM');
+    expect(lines).toContain('Registration ID ........... REG-2024-001');
+    expect(lines).toContain('Name ...................... John Michael Smith');
+    for (const title of ['PERSONAL INFORMATION', 'ACADEMIC INFORMATION', 'CONTACT INFORMATION', 'EMERGENCY CONTACTS', 'COURSE REGISTRATION', 'ADDITIONAL INFORMATION']) {
+      expect(lines).toContain(title);
+    }
+    expect(lines).toContain('Secondary  Robert Smith      Parent        +12175559876   robert.smith@email.com');
+    expect(lines).toContain(`${' '.repeat(63)}Total Credits: 15`);
+    expect(lines).toContain('Financial Aid Required .... Yes');
+  });
+
+  test('should wrap long values and table cells inside their columns', () => {
+    const lines = textRenderer.renderRegistrationText(validXml, en).split('\n');
+
+    const course = lines.findIndex(line => line.startsWith('CS101'));
+    expect(lines.slice(course, course + 3)).toEqual([
+      'CS101    Introduction to 3       Fall     Dr. Johnson  MWF 09:00–10:00 CS-101',
+      `${' '.repeat(9)}Computer`,
+      `${' '.repeat(9)}Science`
+    ]);
+    expect(lines).toContain(`${' '.repeat(28)}States`);
+
+    expect(textRenderer.wrap('a bb ccc', 4)).toEqual(['a bb', 'ccc']);
+    expect(textRenderer.wrap('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+    expect(textRenderer.wrap('', 4)).toEqual(['']);
+  });
+
+  test('should be deterministic and follow the catalogue language', () => {
+    const text = textRenderer.renderRegistrationText(validXml, sk);
+
+    expect(textRenderer.renderRegistrationText(validXml, sk)).toBe(text);
+    expect(text).toContain('REGISTRAČNÝ FORMULÁR ŠTUDENTA UNIVERZITY');
+    expect(text).toContain('OSOBNÉ ÚDAJE');
+    expect(text).toContain('Kredity spolu: 15');
+    expect(text).toContain('Požaduje ubytovanie ....... Áno');
+    expect(text.split('\n').every(line => [...line].length <= textRenderer.WIDTH)).toBe(true);
+  });
+
+  test('should leave out optional values that are not present', () => {
+    const minimal = validXml
+      .replace(/<sr:middleName>[^<]*<\/sr:middleName>\s*/, '')
+      .replace(/<sr:additionalInfo>[\s\S]*<\/sr:additionalInfo>\s*/, '');
+    const text = textRenderer.renderRegistrationText(minimal, en);
+
+    expect(text).toContain('Name ...................... John Smith');
+    expect(text).not.toContain('ADDITIONAL INFORMATION');
+    expect(text).not.toContain('Alternate Phone');
+  });
+
+  test('should reject documents that are not registrations', () => {
+    expect(() => textRenderer.renderRegistrationText('<other/>', en)).toThrow('Not a student registration document');
+  });
+});
@@ -96,7 +96,26 @@ describe('XAdES-T Extension', () => {
     const sigValueElem = xadesBesValidator.findElement(doc, 'ds:Signature/ds:SignatureValue');
     const canonicalized = xadesTExtension.canonicalizeSignatureValue(sigValueElem);
     expect(canonicalized).toBeInstanceOf(Buffer);
-    expect(canonicalized.length).toBeGreaterThan(0);
+    // Inclusive C14N 1.0 by default: the namespaces in scope declared, whitespace kept as it is
+    expect(canonicalized.toString('utf8')).toBe('<ds:SignatureValue xmlns:ds="http://www.w3.org/2000/09/xmldsig#" ' +
+      `xmlns:xades="http://uri.etsi.org/01903/v1.3.2#">${sigValueElem.textContent}</ds:SignatureValue>`);
+
+    const exclusive = xadesTExtension.canonicalizeSignatureValue(sigValueElem, 'http://www.w3.org/2001/10/xml-exc-c14n#');
+    expect(exclusive.toString('utf8')).toBe(`<ds:SignatureValue xmlns:ds="http://www.w3.org/2000/09/xmldsig#">${sigValueElem.textContent}</ds:SignatureValue>`);
+  });
+
+  test('should timestamp with the canonicalization asked for, else the one SignedInfo names', () => {
+    const doc = xadesBesValidator.loadXMLWithPreservation(SAMPLE_XADES_BES);
+    const signature = xadesBesValidator.extractSignatureElement(doc);
+    expect(xadesTExtension.timestampCanonicalization(signature)).toBe('http://www.w3.org/2001/10/xml-exc-c14n#');
+    expect(xadesTExtension.timestampCanonicalization(signature, 'c14n11')).toBe('http://www.w3.org/2006/12/xml-c14n11');
+    expect(xadesTExtension.timestampCanonicalization(signature, 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315'))
+      .toBe('http://www.w3.org/TR/2001/REC-xml-c14n-20010315');
+    expect(() => xadesTExtension.timestampCanonicalization(signature, 'toString')).toThrow('Unsupported canonicalization algorithm: toString');
+
+    const unknown = xadesBesValidator.loadXMLWithPreservation(SAMPLE_XADES_BES.replace('http://www.w3.org/2001/10/xml-exc-c14n#', 'urn:unknown'));
+    expect(xadesTExtension.timestampCanonicalization(xadesBesValidator.extractSignatureElement(unknown)))
+      .toBe('http://www.w3.org/TR/2001/REC-xml-c14n-20010315');
   });
 
   test('should compute SHA-256 digest', () => {
@@ -120,6 +139,7 @@ describe('XAdES-T Extension', () => {
     
     const serialized = xadesBesValidator.serializeXML(extended);
     expect(serialized).toContain('xades:SignatureTimeStamp');
+    expect(serialized).toContain('<ds:CanonicalizationMethod Algorithm="http://www.w3.org/TR/2001/REC-xml-c14n-20010315"/>');
     expect(serialized).toContain('xades:EncapsulatedTimeStamp');
     expect(serialized).toContain(timestampToken);
   });
@@ -0,0 +1,134 @@
+/**
+ * XAdES Signer Tests
+ * Signs with the FIIT test keystore shipped in certificate/, at a time its certificate is valid
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { DOMParser } = require('@xmldom/xmldom');
+const xadesSigner = require('../lib/xades-signer');
+const xadesBesValidator = require('../lib/xades-bes-validator');
+const xadesTExtension = require('../lib/xades-t-extension');
+const asiceHandler = require('../lib/asice-handler');
+
+const KEYSTORE_PATH = path.join(__dirname, '..', 'certificate', 'FIITPodpisovatel.pfx');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+const XSD_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.xsd');
+const XSL_PATH = path.join(__dirname, '..', 'stylesheets', 'student-registration.xsl');
+
+const SIGNING_TIME = new Date('2025-03-01T10:00:00Z');
+
+describe('XAdES Signer', () => {
+  let signer;
+  let objects;
+
+  const sha256 = content => crypto.createHash('sha256').update(content).digest('base64');
+  const elements = (node, namespace, name) => Array.from(node.getElementsByTagNameNS(namespace, name));
+  const { ds, xades } = xadesBesValidator.NAMESPACES;
+
+  beforeAll(async () => {
+    signer = xadesSigner.loadKeystore(await fs.readFile(KEYSTORE_PATH), 'test');
+    const xmlDataContainer = xadesSigner.createXmlDataContainer({
+      identifier: 'student-registration-1',
+      xmlContent: await fs.readFile(VALID_XML_PATH, 'utf8'),
+      xsd: { uri: 'student-registration.xsd', content: await fs.readFile(XSD_PATH) },
+      xslt: { uri: 'student-registration.xsl', content: await fs.readFile(XSL_PATH), mediaDestination: 'HTML', targetEnvironment: 'HTML', language: 'sk' }
+    });
+    objects = [
+      { name: 'student-registration-1.xml', mimeType: xadesSigner.XDC_MIMETYPE, description: 'Registration & <form>', content: xmlDataContainer },
+      { name: 'student-registration-1.txt', mimeType: 'text/plain', content: 'Registrácia REG-2024-001\n' }
+    ];
+  });
+
+  test('should open a PKCS#12 keystore with its password', async () => {
+    expect(signer).toMatchObject({
+      subject: expect.stringContaining('CN=FIIT Podpisovateľ'),
+      issuer: '2.5.4.97=NTRSK-31385401,OU=SWD,L=Bratislava,CN=DITEC Test CA,O=DITEC\\, a.s.,C=SK',
+      serialNumber: '28'
+    });
+
+    const keystore = await fs.readFile(KEYSTORE_PATH);
+    expect(() => xadesSigner.loadKeystore(keystore, 'wrong')).toThrow(expect.objectContaining({ code: 'KEYSTORE_INVALID' }));
+    await expect(xadesSigner.loadSigner({ keystore: 'missing.pfx', password: 'test' })).rejects.toMatchObject({ code: 'KEYSTORE_NOT_FOUND' });
+  });
+
+  test('should embed the registration in an XMLDataContainer with digests of its XSD and XSLT', async () => {
+    const doc = new DOMParser().parseFromString(objects[0].content, 'text/xml');
+    const [xmlData] = elements(doc, xadesSigner.XDC_NAMESPACE, 'XMLData');
+    const [xsdReference] = elements(doc, xadesSigner.XDC_NAMESPACE, 'UsedXSDReference');
+    const [xsltReference] = elements(doc, xadesSigner.XDC_NAMESPACE, 'UsedXSLTReference');
+
+    expect(xmlData.getAttribute('Identifier')).toBe('student-registration-1');
+    expect(elements(xmlData, 'http://university.edu/student-registration', 'studentRegistration')).toHaveLength(1);
+    expect(xsdReference.textContent).toBe('student-registration.xsd');
+    expect(xsdReference.getAttribute('DigestValue')).toBe(sha256(await fs.readFile(XSD_PATH)));
+    expect(xsltReference.getAttribute('DigestValue')).toBe(sha256(await fs.readFile(XSL_PATH)));
+    expect(xsltReference.getAttribute('MediaDestinationTypeDescription')).toBe('HTML');
+  });
+
+  test('should sign the data objects of an ASiC-E container with XAdES-BES', () => {
+    const { container, signature } = xadesSigner.signAsice(objects, signer, { signingTime: SIGNING_TIME, id: 'signature-1' });
+
+    // The mimetype comes first and uncompressed
+    expect(container.toString('latin1', 30, 38)).toBe('mimetype');
+    expect(container.readUInt16LE(8)).toBe(0);
+    const { files, mimetype, manifest, signatures } = asiceHandler.extractAsiceContainer(container);
+    expect(mimetype).toBe('application/vnd.etsi.asic-e+zip');
+    expect(asiceHandler.validateAsiceStructure(files)).toEqual({ valid: true, errors: [] });
+    expect(manifest).toContain('manifest:full-path="student-registration-1.txt"');
+    expect(signatures).toBe(signature);
+
+    const doc = xadesBesValidator.loadXMLWithPreservation(signatures);
+    expect(xadesBesValidator.validateXAdESBES(doc)).toEqual({ valid: true, errors: [], warnings: [] });
+
+    // Every data object is referenced by its name in the container and digested as stored there
+    const references = elements(doc, ds, 'Reference');
+    expect(references).toHaveLength(3);
+    for (const reference of references.slice(0, 2)) {
+      const file = files.get(decodeURI(reference.getAttribute('URI')));
+      expect(elements(reference, ds, 'DigestValue')[0].textContent).toBe(sha256(file.data));
+    }
+    expect(references[2].getAttribute('Type')).toBe('http://uri.etsi.org/01903#SignedProperties');
+    expect(elements(doc, xades, 'DataObjectFormat').map(format => format.getAttribute('ObjectReference')))
+      .toEqual(['#signature-1-reference-1', '#signature-1-reference-2']);
+
+    // The signing certificate in SignedProperties is the one in KeyInfo
+    const certificate = Buffer.from(elements(doc, ds, 'X509Certificate')[0].textContent, 'base64');
+    expect(elements(doc, xades, 'CertDigest')[0].getElementsByTagNameNS(ds, 'DigestValue')[0].textContent).toBe(sha256(certificate));
+    expect(elements(doc, xades, 'SigningTime')[0].textContent).toBe('2025-03-01T10:00:00Z');
+
+    // SignedInfo is signed in its canonical form: the namespaces in scope declared on it
+    const signedInfo = signatures.match(/<ds:SignedInfo>.*<\/ds:SignedInfo>/)[0].replace('<ds:SignedInfo>',
+      '<ds:SignedInfo xmlns:asic="http://uri.etsi.org/02918/v1.2.1#" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" ' +
+      'xmlns:xades="http://uri.etsi.org/01903/v1.3.2#" xmlns:xzep="http://www.ditec.sk/ep/signature_formats/xades_zep/v1.0">');
+    const publicKey = new crypto.X509Certificate(certificate).publicKey;
+    const signatureValue = Buffer.from(elements(doc, ds, 'SignatureValue')[0].textContent, 'base64');
+    expect(crypto.verify('sha256', Buffer.from(signedInfo, 'utf8'), publicKey, signatureValue)).toBe(true);
+    expect(crypto.verify('sha256', Buffer.from(signedInfo.replace('sha256', 'sha512'), 'utf8'), publicKey, signatureValue)).toBe(false);
+  });
+
+  test('should produce containers the XAdES-T conversion extends', () => {
+    const { container } = xadesSigner.signAsice(objects, signer, { signingTime: SIGNING_TIME });
+    const { files, manifest, signatures } = asiceHandler.extractAsiceContainer(container);
+    const doc = xadesBesValidator.loadXMLWithPreservation(signatures);
+
+    const extended = xadesBesValidator.serializeXML(xadesTExtension.extendToXAdEST(doc, 'dGltZXN0YW1w'));
+    const repackaged = asiceHandler.repackageAsiceContainer(files, extended, asiceHandler.updateManifest(manifest, Buffer.from(extended)),
+      asiceHandler.locateSignatureFile(files));
+
+    const zip = new AdmZip(repackaged);
+    expect(zip.readAsText('META-INF/signatures.xml')).toContain('<xades:EncapsulatedTimeStamp>dGltZXN0YW1w</xades:EncapsulatedTimeStamp>');
+    expect(zip.readFile('student-registration-1.xml')).toEqual(files.get('student-registration-1.xml').data);
+  });
+
+  test('should refuse to sign outside the validity of the certificate or with clashing names', () => {
+    expect(() => xadesSigner.signAsice(objects, signer, { signingTime: new Date('2030-01-01T00:00:00Z') }))
+      .toThrow(expect.objectContaining({ code: 'CERTIFICATE_NOT_VALID' }));
+    expect(() => xadesSigner.signAsice([...objects, { ...objects[1] }], signer, { signingTime: SIGNING_TIME }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_DATA_OBJECT' }));
+    expect(() => xadesSigner.signAsice([{ ...objects[1], name: 'META-INF/signatures.xml' }], signer, { signingTime: SIGNING_TIME }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_DATA_OBJECT' }));
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * XAdES Verifier Tests
+ * Containers signed with the FIIT test keystore (see xades-signer.test.js), then tampered with
+ */
+
+const asn1js = require('asn1js');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const forge = require('node-forge');
+const pkijs = require('pkijs');
+const AdmZip = require('adm-zip');
+const { DOMParser } = require('@xmldom/xmldom');
+const xadesSigner = require('../lib/xades-signer');
+const xadesVerifier = require('../lib/xades-verifier');
+const xadesBesValidator = require('../lib/xades-bes-validator');
+const xadesTExtension = require('../lib/xades-t-extension');
+const certificateValidator = require('../lib/certificate-validator');
+const revocationChecker = require('../lib/revocation-checker');
+const c14n = require('../lib/c14n');
+
+const CERTIFICATE_DIR = path.join(__dirname, '..', 'certificate');
+const SIGNING_TIME = new Date('2025-03-01T10:00:00Z');
+const DS = 'http://www.w3.org/2000/09/xmldsig#';
+
+const VALIDITY = [new Date('2024-01-01T00:00:00Z'), new Date('2030-01-01T00:00:00Z')];
+
+// A certificate signed by the issuer's key (self-signed without an issuer)
+const createCertificate = ({ subject, issuer = null, extensions }) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  certificate.serialNumber = crypto.randomBytes(4).toString('hex').replace(/^[89a-f]/, '1');
+  [certificate.validity.notBefore, certificate.validity.notAfter] = VALIDITY;
+  certificate.setSubject([{ shortName: 'CN', value: subject }]);
+  certificate.setIssuer(issuer ? issuer.certificate.subject.attributes : certificate.subject.attributes);
+  certificate.setExtensions(extensions);
+  certificate.sign(issuer ? issuer.key : key, forge.md.sha256.create());
+  return { key, privateKey, certificate, x509: new crypto.X509Certificate(forge.pki.certificateToPem(certificate)) };
+};
+
+// A CA and the certificate it issued to name: a TSA certificate for timestamping unless told otherwise,
+// naming a CRL distribution point if given
+const createAuthority = (name, { timeStamping = true, crl = null } = {}) => {
+  const ca = createCertificate({
+    subject: `${name} CA`,
+    extensions: [{ name: 'basicConstraints', critical: true, cA: true }, { name: 'keyUsage', critical: true, keyCertSign: true, cRLSign: true }]
+  });
+  const extensions = [{ name: 'keyUsage', critical: true, digitalSignature: true, nonRepudiation: true }];
+  if (timeStamping) extensions.push({ name: 'extKeyUsage', critical: true, timeStamping: true });
+  if (crl) extensions.push({ name: 'cRLDistributionPoints', altNames: [{ type: 6, value: crl }] });
+  return { ca, holder: createCertificate({ subject: name, issuer: ca, extensions }), trustStore: { anchors: [ca.x509] } };
+};
+
+// A DER CRL of the CA revoking the given certificates on the given date (keyCompromise)
+const createCrl = (ca, { thisUpdate, nextUpdate, revoked = [] }) => {
+  const algorithm = () => new pkijs.AlgorithmIdentifier({ algorithmId: '1.2.840.113549.1.1.11', algorithmParams: new asn1js.Null() });
+  const crl = new pkijs.CertificateRevocationList({
+    version: 1,
+    signature: algorithm(),
+    signatureAlgorithm: algorithm(),
+    issuer: pkijs.Certificate.fromBER(ca.x509.raw).subject,
+    thisUpdate: new pkijs.Time({ type: 0, value: thisUpdate }),
+    nextUpdate: new pkijs.Time({ type: 0, value: nextUpdate }),
+    revokedCertificates: revoked.map(({ certificate, date }) => new pkijs.RevokedCertificate({
+      userCertificate: new asn1js.Integer({ valueHex: Buffer.from(certificate.x509.serialNumber, 'hex') }),
+      revocationDate: new pkijs.Time({ type: 0, value: date }),
+      crlEntryExtensions: new pkijs.Extensions({
+        extensions: [new pkijs.Extension({ extnID: '2.5.29.21', extnValue: new asn1js.Enumerated({ value: 1 }).toBER(false) })]
+      })
+    }))
+  });
+  crl.tbsView = new Uint8Array(crl.encodeTBS().toBER(false));
+  crl.signatureValue = new asn1js.BitString({ valueHex: crypto.sign('sha256', crl.tbsView, ca.privateKey) });
+  return Buffer.from(crl.toSchema(true).toBER(false));
+};
+
+// A TimeStampToken the TSA issues for a SHA-256 imprint: TSTInfo signed with signed attributes (RFC 3161, 2.4.2)
+const timeStampToken = (imprint, genTime, tsa) => {
+  const sha256 = () => new pkijs.AlgorithmIdentifier({ algorithmId: '2.16.840.1.101.3.4.2.1' });
+  const eContent = Buffer.from(new pkijs.TSTInfo({
+    version: 1,
+    policy: '1.2.3.4',
+    messageImprint: new pkijs.MessageImprint({ hashAlgorithm: sha256(), hashedMessage: new asn1js.OctetString({ valueHex: imprint }) }),
+    serialNumber: new asn1js.Integer({ value: 42 }),
+    genTime
+  }).toSchema().toBER(false));
+
+  const signedAttrs = new pkijs.SignedAndUnsignedAttributes({
+    type: 0,
+    attributes: [
+      new pkijs.Attribute({ type: '1.2.840.113549.1.9.3', values: [new asn1js.ObjectIdentifier({ value: '1.2.840.113549.1.9.16.1.4' })] }),
+      new pkijs.Attribute({ type: '1.2.840.113549.1.9.4', values: [new asn1js.OctetString({ valueHex: crypto.createHash('sha256').update(eContent).digest() })] })
+    ]
+  });
+  const signed = Buffer.from(signedAttrs.toSchema().toBER(false));
+  signed[0] = 0x31;
+
+  const certificate = pkijs.Certificate.fromBER(tsa.holder.x509.raw);
+  const signedData = new pkijs.SignedData({
+    version: 3,
+    digestAlgorithms: [sha256()],
+    encapContentInfo: new pkijs.EncapsulatedContentInfo({ eContentType: '1.2.840.113549.1.9.16.1.4', eContent: new asn1js.OctetString({ valueHex: eContent }) }),
+    certificates: [certificate],
+    signerInfos: [new pkijs.SignerInfo({
+      version: 1,
+      sid: new pkijs.IssuerAndSerialNumber({ issuer: certificate.issuer, serialNumber: certificate.serialNumber }),
+      digestAlgorithm: sha256(),
+      signedAttrs,
+      signatureAlgorithm: new pkijs.AlgorithmIdentifier({ algorithmId: '1.2.840.113549.1.1.11', algorithmParams: new asn1js.Null() }),
+      signature: new asn1js.OctetString({ valueHex: crypto.sign('sha256', signed, tsa.holder.privateKey) })
+    })]
+  });
+  const contentInfo = new pkijs.ContentInfo({ contentType: pkijs.ContentInfo.SIGNED_DATA, content: signedData.toSchema(true) });
+  return Buffer.from(contentInfo.toSchema().toBER(false)).toString('base64');
+};
+
+describe('XAdES Verifier', () => {
+  let signer;
+  let container;
+  let tsa;
+
+  const codes = signature => signature.errors.map(error => error.code);
+
+  // Replace files of a container, the way someone altering it after signing would
+  const alter = (buffer, changes) => {
+    const zip = new AdmZip(buffer);
+    for (const [name, content] of Object.entries(changes)) {
+      if (zip.getEntry(name)) zip.updateFile(name, Buffer.from(content));
+      else zip.addFile(name, Buffer.from(content));
+    }
+    return zip.toBuffer();
+  };
+
+  beforeAll(async () => {
+    tsa = createAuthority('Test TSA');
+    signer = xadesSigner.loadKeystore(await fs.readFile(path.join(CERTIFICATE_DIR, 'FIITPodpisovatel.pfx')), 'test');
+    ({ container } = xadesSigner.signAsice([
+      { name: 'registration.xml', mimeType: 'application/xml', content: '<registration id="REG-1"><name>Ján</name></registration>' },
+      { name: 'registration.txt', mimeType: 'text/plain', content: 'Ján' }
+    ], signer, { signingTime: SIGNING_TIME, id: 'signature-1' }));
+  });
+
+  test('should verify an untouched ASiC-E container', () => {
+    const report = xadesVerifier.verifyAsice(container);
+
+    expect(report.valid).toBe(true);
+    expect(report.dataObjects).toEqual(['registration.xml', 'registration.txt']);
+    expect(report.warnings).toEqual([]);
+    expect(report.signatures).toHaveLength(1);
+    expect(report.signatures[0]).toMatchObject({
+      file: 'META-INF/signatures.xml',
+      id: 'signature-1',
+      signatureValue: true,
+      signingCertificate: true,
+      signingTime: '2025-03-01T10:00:00Z',
+      certificate: { serialNumber: '28', subject: expect.stringContaining('CN=FIIT Podpisovateľ') },
+      errors: []
+    });
+    expect(report.signatures[0].references.map(reference => [reference.file, reference.valid]))
+      .toEqual([['registration.xml', true], ['registration.txt', true], [null, true]]);
+  });
+
+  test('should detect data objects and signed properties changed after signing', () => {
+    const changedData = xadesVerifier.verifyAsice(alter(container, { 'registration.txt': 'Jana' }));
+    expect(changedData.valid).toBe(false);
+    expect(changedData.signatures[0].signatureValue).toBe(true);
+    expect(changedData.signatures[0].errors).toEqual([
+      { code: 'DIGEST_MISMATCH', message: expect.any(String), params: { uri: 'registration.txt' } }
+    ]);
+
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const changedTime = xadesVerifier.verifyAsice(alter(container, {
+      'META-INF/signatures.xml': signatures.replace('2025-03-01T10:00:00Z', '2025-02-01T10:00:00Z')
+    }));
+    expect(codes(changedTime.signatures[0])).toEqual(['DIGEST_MISMATCH']);
+    expect(changedTime.signatures[0].references[2]).toMatchObject({ type: 'http://uri.etsi.org/01903#SignedProperties', valid: false });
+  });
+
+  test('should detect a changed SignedInfo and a replaced certificate', async () => {
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const doc = new DOMParser().parseFromString(signatures, 'text/xml');
+    const digest = doc.getElementsByTagNameNS(DS, 'DigestValue')[1].textContent;
+    const tampered = xadesVerifier.verifyAsice(alter(container, {
+      'registration.txt': 'Jana',
+      'META-INF/signatures.xml': signatures.replace(digest, crypto.createHash('sha256').update('Jana').digest('base64'))
+    }));
+    expect(codes(tampered.signatures[0])).toEqual(['SIGNATURE_VALUE_INVALID']);
+
+    const otherCertificate = (await fs.readFile(path.join(CERTIFICATE_DIR, 'dtccert.cer'))).toString('base64');
+    const certificate = doc.getElementsByTagNameNS(DS, 'X509Certificate')[0].textContent;
+    const replaced = xadesVerifier.verifyAsice(alter(container, {
+      'META-INF/signatures.xml': signatures.replace(certificate, otherCertificate)
+    }));
+    expect(codes(replaced.signatures[0])).toEqual(['SIGNATURE_VALUE_INVALID', 'SIGNING_CERTIFICATE_MISMATCH']);
+  });
+
+  test('should warn about unsigned data objects and report references it cannot resolve', () => {
+    const extended = xadesVerifier.verifyAsice(alter(container, { 'added.txt': 'not signed' }));
+    expect(extended.valid).toBe(true);
+    expect(extended.warnings).toEqual([{ code: 'UNSIGNED_DATA_OBJECT', message: expect.any(String), params: { name: 'added.txt' } }]);
+
+    // The signature document alone: the signed properties verify, the data objects are missing
+    const standalone = xadesVerifier.verifyXml(new AdmZip(container).readAsText('META-INF/signatures.xml'));
+    expect(standalone.valid).toBe(false);
+    expect(codes(standalone.signatures[0])).toEqual(['REFERENCE_NOT_FOUND', 'REFERENCE_NOT_FOUND']);
+    expect(standalone.signatures[0].signatureValue).toBe(true);
+
+    // A URI that is not valid percent-encoding
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const malformed = xadesVerifier.verifyAsice(alter(container, { 'META-INF/signatures.xml': signatures.replace('URI="registration.txt"', 'URI="%E0%A4%A"') }));
+    expect(malformed.signatures[0].errors).toContainEqual({ code: 'REFERENCE_NOT_FOUND', message: expect.any(String), params: { uri: '%E0%A4%A' } });
+  });
+
+  test('should verify an enveloped signature and reject a duplicated Id', () => {
+    const doc = new DOMParser().parseFromString('<registration><name>Ján</name></registration>', 'text/xml');
+    const digest = crypto.createHash('sha256').update(c14n.canonicalize(doc)).digest('base64');
+    const signedInfo = `<ds:SignedInfo xmlns:ds="${DS}"><ds:CanonicalizationMethod Algorithm="${c14n.ALGORITHMS.c14n}"></ds:CanonicalizationMethod>` +
+      '<ds:SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#rsa-sha256"></ds:SignatureMethod>' +
+      '<ds:Reference URI=""><ds:Transforms><ds:Transform Algorithm="http://www.w3.org/2000/09/xmldsig#enveloped-signature"></ds:Transform></ds:Transforms>' +
+      `<ds:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"></ds:DigestMethod><ds:DigestValue>${digest}</ds:DigestValue></ds:Reference></ds:SignedInfo>`;
+    const signatureValue = crypto.sign('sha256', Buffer.from(signedInfo), signer.privateKey).toString('base64');
+    const signed = `<registration><name>Ján</name><ds:Signature xmlns:ds="${DS}">${signedInfo.replace(` xmlns:ds="${DS}"`, '')}` +
+      `<ds:SignatureValue>${signatureValue}</ds:SignatureValue><ds:KeyInfo><ds:X509Data><ds:X509Certificate>${signer.certificateDer.toString('base64')}` +
+      '</ds:X509Certificate></ds:X509Data></ds:KeyInfo></ds:Signature></registration>';
+
+    const report = xadesVerifier.verifyXml(signed);
+    expect(report.signatures[0].signatureValue).toBe(true);
+    expect(report.signatures[0].references[0].valid).toBe(true);
+    // Plain XMLDSig: no XAdES signed properties
+    expect(codes(report.signatures[0])).toEqual(['SIGNED_PROPERTIES_NOT_REFERENCED']);
+    expect(codes(xadesVerifier.verifyXml(signed.replace('Ján', 'Jana')).signatures[0])).toContain('DIGEST_MISMATCH');
+
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const wrapped = signatures.replace('</asic:XAdESSignatures>', '<x Id="signature-1-signed-properties"></x></asic:XAdESSignatures>');
+    expect(codes(xadesVerifier.verifyXml(wrapped).signatures[0])).toContain('DUPLICATE_ID');
+  });
+
+  test('should check that a signature timestamp covers the canonical SignatureValue', () => {
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const extend = (token, canonicalization) => {
+      const doc = xadesBesValidator.loadXMLWithPreservation(signatures);
+      return xadesBesValidator.serializeXML(xadesTExtension.extendToXAdEST(doc, token(doc), canonicalization));
+    };
+    const imprintOf = (doc, canonicalization) => crypto.createHash('sha256')
+      .update(xadesTExtension.canonicalizeSignatureValue(doc.getElementsByTagNameNS(DS, 'SignatureValue')[0], canonicalization)).digest();
+    const genTime = new Date('2025-03-01T10:00:05Z');
+
+    const timestamped = xadesVerifier.verifyXml(extend(doc => timeStampToken(imprintOf(doc), genTime, tsa)), { files: new Map([
+      ['registration.xml', new AdmZip(container).readFile('registration.xml')],
+      ['registration.txt', new AdmZip(container).readFile('registration.txt')]
+    ]), tsaTrustStore: tsa.trustStore });
+    expect(timestamped.valid).toBe(true);
+    expect(timestamped.signatures[0].timestamps).toEqual([{ time: '2025-03-01T10:00:05.000Z', canonicalization: c14n.ALGORITHMS.c14n, valid: true }]);
+
+    // Timestamped over the exclusive form, which the timestamp has to name
+    const exclusive = extend(doc => timeStampToken(imprintOf(doc, c14n.ALGORITHMS.exclusive), genTime, tsa), c14n.ALGORITHMS.exclusive);
+    expect(xadesVerifier.verifyXml(exclusive, { tsaTrustStore: tsa.trustStore }).signatures[0].timestamps[0].valid).toBe(true);
+    const mislabelled = extend(doc => timeStampToken(imprintOf(doc, c14n.ALGORITHMS.exclusive), genTime, tsa));
+    expect(codes(xadesVerifier.verifyXml(mislabelled).signatures[0])).toContain('TIMESTAMP_IMPRINT_MISMATCH');
+
+    expect(codes(xadesVerifier.verifyXml(extend(() => 'dGltZXN0YW1w')).signatures[0])).toContain('TIMESTAMP_INVALID');
+
+    // Covering the SignatureValue is not enough: a TSA of its own, or no trusted TSA at all
+    const forged = xadesVerifier.verifyXml(extend(doc => timeStampToken(imprintOf(doc), genTime, createAuthority('Test TSA'))),
+      { tsaTrustStore: tsa.trustStore }).signatures[0];
+    expect(forged.timestamps).toEqual([{ time: '2025-03-01T10:00:05.000Z', canonicalization: c14n.ALGORITHMS.c14n, valid: false }]);
+    expect(codes(forged)).toContain('TIMESTAMP_TSA_UNTRUSTED');
+    expect(codes(forged)).not.toContain('TIMESTAMP_IMPRINT_MISMATCH');
+    expect(xadesVerifier.verifyXml(exclusive).signatures[0].timestamps[0].valid).toBe(false);
+  });
+
+  test('should only trust timestamp tokens signed by a trusted TSA', () => {
+    const imprint = crypto.createHash('sha256').update('SignatureValue').digest();
+    const genTime = new Date('2025-03-01T10:00:05Z');
+    const codesOf = token => token.errors.map(error => error.code);
+
+    const token = xadesTExtension.readTimeStampToken(timeStampToken(imprint, genTime, tsa), { trustStore: tsa.trustStore });
+    expect(token).toMatchObject({ hashAlgorithm: 'sha256', messageImprint: imprint, genTime, signer: { subject: 'CN=Test TSA' }, errors: [] });
+    expect(codesOf(xadesTExtension.readTimeStampToken(timeStampToken(imprint, genTime, tsa)))).toEqual(['TIMESTAMP_TSA_UNTRUSTED']);
+
+    // A TSA of its own, one not issued for timestamping, and a key that is not the certificate's
+    const forger = createAuthority('Test TSA');
+    expect(xadesTExtension.readTimeStampToken(timeStampToken(imprint, genTime, forger), { trustStore: tsa.trustStore }).errors)
+      .toEqual([{ code: 'TIMESTAMP_TSA_UNTRUSTED', message: expect.any(String), params: { subject: 'CN=Test TSA', detail: expect.stringContaining('No trusted CA') } }]);
+    const signing = createAuthority('Signing CA', { timeStamping: false });
+    expect(codesOf(xadesTExtension.readTimeStampToken(timeStampToken(imprint, genTime, signing), { trustStore: signing.trustStore })))
+      .toEqual(['TIMESTAMP_SIGNATURE_INVALID']);
+    const stolen = { ...tsa, holder: { ...tsa.holder, privateKey: forger.holder.privateKey } };
+    expect(xadesTExtension.readTimeStampToken(timeStampToken(imprint, genTime, stolen), { trustStore: tsa.trustStore }).errors[0].params)
+      .toEqual({ detail: 'the signature does not match the signer certificate' });
+
+    expect(() => xadesTExtension.readTimeStampToken('dGltZXN0YW1w')).toThrow('Invalid TimeStampToken');
+  });
+
+  test('should validate the signing certificate against the trust store when given one', async () => {
+    const trustStore = await certificateValidator.loadTrustStore(CERTIFICATE_DIR);
+    const trusted = xadesVerifier.verifyAsice(container, { trustStore });
+    expect(trusted.valid).toBe(true);
+    expect(trusted.signatures[0].certificateChain).toMatchObject({ valid: true, trustAnchor: expect.stringContaining('CN=DITEC Test CA') });
+    expect(trusted.signatures[0].certificateChain.chain).toHaveLength(2);
+    expect(xadesVerifier.verifyAsice(container).signatures[0].certificateChain).toBeNull();
+
+    const untrusted = xadesVerifier.verifyAsice(container, { trustStore: { anchors: [] } });
+    expect(codes(untrusted.signatures[0])).toEqual(['CERTIFICATE_UNTRUSTED']);
+
+    // A timestamp taken after the certificate expired does not prove the signature was made in time
+    const signatures = new AdmZip(container).readAsText('META-INF/signatures.xml');
+    const doc = xadesBesValidator.loadXMLWithPreservation(signatures);
+    const imprint = crypto.createHash('sha256').update(xadesTExtension.canonicalizeSignatureValue(doc.getElementsByTagNameNS(DS, 'SignatureValue')[0])).digest();
+    const late = xadesBesValidator.serializeXML(xadesTExtension.extendToXAdEST(doc, timeStampToken(imprint, new Date('2026-10-01T00:00:00Z'), tsa)));
+    const lateReport = xadesVerifier.verifyAsice(alter(container, { 'META-INF/signatures.xml': late }), { trustStore, tsaTrustStore: tsa.trustStore });
+    expect(codes(lateReport.signatures[0])).toEqual(['CERTIFICATE_NOT_VALID_AT_TIMESTAMP']);
+
+    // The genTime of a token no trusted TSA signed is not a timestamp time, however it lies
+    const forgedDoc = xadesBesValidator.loadXMLWithPreservation(signatures);
+    const forged = xadesBesValidator.serializeXML(xadesTExtension.extendToXAdEST(forgedDoc,
+      timeStampToken(imprint, new Date('2026-10-01T00:00:00Z'), createAuthority('Test TSA'))));
+    const forgedReport = xadesVerifier.verifyAsice(alter(container, { 'META-INF/signatures.xml': forged }), { trustStore, tsaTrustStore: tsa.trustStore });
+    expect(codes(forgedReport.signatures[0])).toEqual(['TIMESTAMP_TSA_UNTRUSTED']);
+    expect(forgedReport.signatures[0].certificateChain.valid).toBe(true);
+  });
+
+  test('should check revocation at the time of a trusted timestamp, and now for any other', () => {
+    const registry = createAuthority('Registrar', { timeStamping: false, crl: 'http://crl.example/registry.crl' });
+    const { holder, ca } = registry;
+    const registrar = {
+      privateKey: holder.privateKey,
+      certificate: holder.certificate,
+      certificateDer: holder.x509.raw,
+      subject: 'CN=Registrar',
+      issuer: 'CN=Registrar CA',
+      serialNumber: BigInt(`0x${holder.x509.serialNumber}`).toString(),
+      validFrom: VALIDITY[0],
+      validTo: VALIDITY[1]
+    };
+    const { container: signed } = xadesSigner.signAsice([{ name: 'registration.txt', mimeType: 'text/plain', content: 'Ján' }], registrar,
+      { signingTime: new Date('2026-01-01T00:00:00Z') });
+    const crls = {
+      crls: [{
+        file: 'registry.crl',
+        crl: revocationChecker.parseCrls(createCrl(ca, {
+          thisUpdate: new Date('2026-05-01T00:00:00Z'),
+          nextUpdate: VALIDITY[1],
+          revoked: [{ certificate: holder, date: new Date('2026-03-01T00:00:00Z') }]
+        }))[0]
+      }]
+    };
+
+    // Timestamped a month before the key was revoked, by the trusted TSA or by a TSA of its own
+    const timestamped = issuer => {
+      const doc = xadesBesValidator.loadXMLWithPreservation(new AdmZip(signed).readAsText('META-INF/signatures.xml'));
+      const imprint = crypto.createHash('sha256')
+        .update(xadesTExtension.canonicalizeSignatureValue(doc.getElementsByTagNameNS(DS, 'SignatureValue')[0])).digest();
+      const xml = xadesBesValidator.serializeXML(xadesTExtension.extendToXAdEST(doc, timeStampToken(imprint, new Date('2026-02-01T00:00:00Z'), issuer)));
+      return xadesVerifier.verifyAsice(alter(signed, { 'META-INF/signatures.xml': xml }),
+        { trustStore: registry.trustStore, tsaTrustStore: tsa.trustStore, crls }).signatures[0];
+    };
+
+    const trusted = timestamped(tsa);
+    expect(trusted.errors).toEqual([]);
+    expect(trusted.certificateChain.chain[0].revocation.status).toBe('good');
+
+    const forged = timestamped(createAuthority('Test TSA'));
+    expect(codes(forged)).toEqual(['TIMESTAMP_TSA_UNTRUSTED', 'CERTIFICATE_REVOKED']);
+    expect(forged.certificateChain.chain[0].revocation).toMatchObject({ status: 'revoked', revocationTime: '2026-03-01T00:00:00.000Z' });
+  });
+
+  test('should canonicalize SignedInfo with the algorithm it names', () => {
+    const doc = new DOMParser().parseFromString('<registration xmlns="urn:registration"><name>Ján</name></registration>', 'text/xml');
+    const digest = crypto.createHash('sha256').update(c14n.canonicalize(doc, { method: 'exclusive' })).digest('base64');
+    const signedInfo = (declarations) => `<ds:SignedInfo${declarations}><ds:CanonicalizationMethod Algorithm="${c14n.ALGORITHMS.exclusive}"></ds:CanonicalizationMethod>` +
+      '<ds:SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#rsa-sha256"></ds:SignatureMethod>' +
+      `<ds:Reference URI=""><ds:Transforms><ds:Transform Algorithm="http://www.w3.org/2000/09/xmldsig#enveloped-signature"></ds:Transform><ds:Transform Algorithm="${c14n.ALGORITHMS.exclusive}"></ds:Transform></ds:Transforms>` +
+      `<ds:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"></ds:DigestMethod><ds:DigestValue>${digest}</ds:DigestValue></ds:Reference></ds:SignedInfo>`;
+    const sign = canonical => crypto.sign('sha256', Buffer.from(canonical), signer.privateKey).toString('base64');
+    const signed = value => `<registration xmlns="urn:registration"><name>Ján</name><ds:Signature xmlns:ds="${DS}">${signedInfo('')}` +
+      `<ds:SignatureValue>${value}</ds:SignatureValue><ds:KeyInfo><ds:X509Data><ds:X509Certificate>${signer.certificateDer.toString('base64')}` +
+      '</ds:X509Certificate></ds:X509Data></ds:KeyInfo></ds:Signature></registration>';
+
+    // Exclusive: the default namespace of the registration is not part of SignedInfo
+    const exclusive = xadesVerifier.verifyXml(signed(sign(signedInfo(` xmlns:ds="${DS}"`)))).signatures[0];
+    expect(exclusive.signatureValue).toBe(true);
+    expect(exclusive.references[0].valid).toBe(true);
+    const inclusive = xadesVerifier.verifyXml(signed(sign(signedInfo(` xmlns="urn:registration" xmlns:ds="${DS}"`)))).signatures[0];
+    expect(inclusive.signatureValue).toBe(false);
+  });
+
+  test('should reject input without a signature', () => {
+    expect(() => xadesVerifier.verifyXml('<registration/>')).toThrow(expect.objectContaining({ code: 'SIGNATURE_NOT_FOUND' }));
+    expect(() => xadesVerifier.verifyXml('not xml')).toThrow(expect.objectContaining({ code: 'XML_PARSE_ERROR' }));
+    expect(() => xadesVerifier.verifyAsice(Buffer.from('PK not a zip'))).toThrow(expect.objectContaining({ code: 'INVALID_CONTAINER' }));
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * XSD Validation Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const xsdValidator = require('../lib/xsd-validator');
+
+const XSD_PATH = path.join(__dirname, '..', 'schemas', 'student-registration.xsd');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+const INVALID_XML_PATH = path.join(__dirname, '..', 'data', 'invalid-student-registration.xml');
+
+describe('XSD Validator', () => {
+  let schema;
+  let validXml;
+
+  beforeAll(async () => {
+    schema = xsdValidator.compileSchema(await fs.readFile(XSD_PATH, 'utf8'));
+    validXml = await fs.readFile(VALID_XML_PATH, 'utf8');
+  });
+
+  describe('Schema compilation', () => {
+    test('should compile the student registration schema', () => {
+      expect(schema.targetNamespace).toBe('http://university.edu/student-registration');
+      expect(schema.elements.has('studentRegistration')).toBe(true);
+    });
+
+    test('should reject a document that is not an XSD', () => {
+      expect(() => xsdValidator.compileSchema('<root/>')).toThrow('root element must be xs:schema');
+    });
+  });
+
+  describe('Valid documents', () => {
+    test('should accept the valid sample registration', () => {
+      const result = xsdValidator.validate(schema, validXml);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should only flag the HH:MM:SS times in the shared mock registration', () => {
+      const result = xsdValidator.validate(schema, global.testUtils.createMockXML());
+      // The mock uses HH:MM:SS times, which the HourMinuteType pattern rejects
+      expect(result.errors.every(e => /\/sr:(startTime|endTime)$/.test(e.xpath))).toBe(true);
+    });
+  });
+
+  describe('Simple type facets', () => {
+    test('should report every facet violation in the invalid sample', async () => {
+      const invalidXml = await fs.readFile(INVALID_XML_PATH, 'utf8');
+      const result = xsdValidator.validate(schema, invalidXml);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.some(e => e.message.includes("'Unknown' is not an element of the set"))).toBe(true);
+      expect(result.errors.some(e => e.message.includes("'2002-13-45' is not a valid value of the atomic type xs:date"))).toBe(true);
+      expect(result.errors.some(e => e.message.includes("'10' is greater than the maximum value allowed (6)"))).toBe(true);
+      expect(result.errors.some(e => e.message.includes("'ABCDE' is not accepted by the pattern"))).toBe(true);
+    });
+
+    test('should enforce fractionDigits on decimals', () => {
+      const xml = validXml.replace('<sr:gpa>3.75</sr:gpa>', '<sr:gpa>3.755</sr:gpa>');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('fractional digits');
+    });
+
+    test('should check simple values directly', () => {
+      const yearType = schema.elements.get('studentRegistration').type()
+        .content.particles[1].type().content.particles[3].type();
+      expect(xsdValidator.checkSimpleValue(yearType, '2025')).toBeNull();
+      expect(xsdValidator.checkSimpleValue(yearType, '2031')).toMatchObject({
+        code: 'XSD_MAX_INCLUSIVE',
+        message: expect.stringContaining('maximum value')
+      });
+    });
+  });
+
+  describe('Content model', () => {
+    test('should report elements out of order', () => {
+      const xml = validXml.replace(
+        /(<sr:firstName>.*<\/sr:firstName>)\s*(<sr:lastName>.*<\/sr:lastName>)/,
+        '$2$1'
+      );
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toContain("Element 'sr:lastName': this element is not expected");
+    });
+
+    test('should report missing required elements', () => {
+      const xml = validXml.replace(/<sr:personalInfo>[\s\S]*<\/sr:personalInfo>/, '');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('Expected is ( sr:personalInfo )');
+    });
+
+    test('should enforce maxOccurs', () => {
+      const xml = validXml.replace(/(<sr:contact [\s\S]*?<\/sr:contact>)/, '$1$1$1$1');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('maximum number of occurrences (3)');
+    });
+
+    test('should still validate children after a content model error', () => {
+      const xml = validXml
+        .replace('<sr:major>', '<sr:unknown>x</sr:unknown><sr:major>')
+        .replace('<sr:program>Bachelor</sr:program>', '<sr:program>Doctorate</sr:program>');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.errors.some(e => e.message.includes("'sr:unknown'"))).toBe(true);
+      expect(result.errors.some(e => e.message.includes("'Doctorate'"))).toBe(true);
+    });
+  });
+
+  describe('Attributes and namespaces', () => {
+    test('should report missing required attributes', () => {
+      const xml = validXml.replace(/registrationId="[^"]*"/, '');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.errors[0].message).toContain("the attribute 'registrationId' is required but missing");
+    });
+
+    test('should reject undeclared attributes', () => {
+      const xml = validXml.replace('status="pending"', 'status="pending" reviewer="x"');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.errors[0].message).toContain("attribute 'reviewer': the attribute is not allowed");
+    });
+
+    test('should reject a root element in the wrong namespace', () => {
+      const xml = validXml.replace('http://university.edu/student-registration', 'urn:other');
+      const result = xsdValidator.validate(schema, xml);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('No matching global declaration');
+    });
+  });
+
+  describe('Well-formedness', () => {
+    test('should report malformed XML as a parsing error', () => {
+      const result = xsdValidator.validate(schema, validXml.replace('</sr:courses>', ''));
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toContain('XML parsing error');
+    });
+  });
+
+  describe('Error locations', () => {
+    test('should return coded errors with xpath, line and column', () => {
+      const xml = validXml.replace('<sr:program>Bachelor</sr:program>', '<sr:program>Doctorate</sr:program>');
+      const line = xml.split('\n').findIndex(l => l.includes('<sr:program>')) + 1;
+      const [error] = xsdValidator.validate(schema, xml).errors;
+
+      expect(error).toMatchObject({
+        code: 'XSD_ENUMERATION',
+        severity: 'error',
+        xpath: '/sr:studentRegistration/sr:academicInfo/sr:program',
+        line,
+        schemaType: 'ProgramType'
+      });
+      expect(error.column).toBeGreaterThan(0);
+    });
+
+    test('should index repeated elements and point at attributes', () => {
+      const xml = validXml.replace(/(<sr:course [^>]*semester=")[^"]*"/g, (match, prefix) => `${prefix}Winter"`);
+      const result = xsdValidator.validate(schema, xml);
+      const paths = result.errors.map(e => e.xpath);
+
+      expect(paths).toContain('/sr:studentRegistration/sr:courses/sr:course[1]/@semester');
+      expect(result.errors.every(e => e.code === 'XSD_ENUMERATION' && e.line > 0)).toBe(true);
+    });
+
+    test('should report the position of parsing errors', () => {
+      const [error] = xsdValidator.validate(schema, '<a>\n  <b x=1>\n</a>').errors;
+      expect(error.code).toBe('XML_PARSE_ERROR');
+      expect(error.line).toBe(2);
+    });
+  });
+
+  describe('Schema loading', () => {
+    test('should recompile the schema when the file changes', async () => {
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'xsd-'));
+      const tmpXsd = path.join(tmpDir, 'schema.xsd');
+      const original = await fs.readFile(XSD_PATH, 'utf8');
+
+      await fs.writeFile(tmpXsd, original);
+      const first = await xsdValidator.loadSchema(tmpXsd);
+      expect(xsdValidator.validate(first, validXml).valid).toBe(true);
+
+      // Drop "Bachelor" from the program enumeration and bump the mtime
+      await fs.writeFile(tmpXsd, original.replace('<xs:enumeration value="Bachelor"/>\n      <xs:enumeration value="Master"/>', '<xs:enumeration value="Master"/>'));
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(tmpXsd, later, later);
+
+      const second = await xsdValidator.loadSchema(tmpXsd);
+      expect(second).not.toBe(first);
+      expect(xsdValidator.validate(second, validXml).valid).toBe(false);
+
+      await fs.remove(tmpDir);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * XSLT Processor Tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const xsltProcessor = require('../lib/xslt-processor');
+
+const XSL_PATH = path.join(__dirname, '..', 'stylesheets', 'student-registration.xsl');
+const VALID_XML_PATH = path.join(__dirname, '..', 'data', 'valid-student-registration.xml');
+
+const XSL = 'xmlns:xsl="http://www.w3.org/1999/XSL/Transform"';
+
+const stylesheet = (body, attrs = '') =>
+  xsltProcessor.compileStylesheet(`<xsl:stylesheet version="1.0" ${XSL} ${attrs}>${body}</xsl:stylesheet>`);
+
+const run = (body, xml, parameters) =>
+  xsltProcessor.transform(stylesheet(`<xsl:output method="text"/>${body}`), xml, parameters).output;
+
+describe('XSLT Processor', () => {
+  describe('Registration stylesheet', () => {
+    let html;
+
+    beforeAll(async () => {
+      const compiled = await xsltProcessor.loadStylesheet(XSL_PATH);
+      const result = xsltProcessor.transform(compiled, await fs.readFile(VALID_XML_PATH, 'utf8'));
+      expect(result.method).toBe('html');
+      html = result.output;
+    });
+
+    test('should render the registration header', () => {
+      expect(html).toMatch(/^<html lang="en">/);
+      expect(html).toContain('<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">');
+      expect(html).toContain('<p><strong>Registration ID:</strong> REG-2024-001</p>');
+      expect(html).toContain('<span class="status-badge status-pending">pending</span>');
+      expect(html).not.toContain('xmlns:sr');
+    });
+
+    test('should render every section of the document', () => {
+      expect(html).toContain('<div class="field-value">2002-05-15</div>');
+      expect(html).toContain('Springfield, Illinois 62701<br>United States');
+      expect(html).toContain('<td>Lincoln High School</td>');
+      expect(html.match(/<td>\+1217555\d{4}<\/td>/g)).toHaveLength(2);
+      expect(html).toContain('<td>MWF 09:00 - 10:00</td>');
+      expect(html).toContain('Course Registration (Total Credits: 15)');
+      expect(html).toContain('<div class="field-value">Chess Club, Programming Club</div>');
+    });
+
+    test('should reuse the compiled stylesheet until the file changes', async () => {
+      expect(await xsltProcessor.loadStylesheet(XSL_PATH)).toBe(await xsltProcessor.loadStylesheet(XSL_PATH));
+    });
+  });
+
+  describe('Template rules', () => {
+    const xml = '<list><item n="3">b</item><item n="1">a</item><item n="2">c</item></list>';
+
+    test('should pick the matching rule with the highest priority', () => {
+      const output = run(`
+        <xsl:template match="/"><xsl:apply-templates select="list/item"/></xsl:template>
+        <xsl:template match="item">[<xsl:value-of select="."/>]</xsl:template>
+        <xsl:template match="item[@n = 1]">(first)</xsl:template>
+        <xsl:template match="list/item" priority="-1">never</xsl:template>`, xml);
+      expect(output).toBe('[b](first)[c]');
+    });
+
+    test('should fall back to the built-in templates', () => {
+      expect(run('<xsl:template match="item[@n = 2]"/>', xml)).toBe('ba');
+    });
+
+    test('should sort and number nodes with position() and last()', () => {
+      const output = run(`
+        <xsl:template match="/">
+          <xsl:for-each select="list/item">
+            <xsl:sort select="@n" data-type="number" order="descending"/>
+            <xsl:value-of select="concat(position(), '/', last(), ':', .)"/>
+            <xsl:number format=" (a) "/>
+          </xsl:for-each>
+        </xsl:template>`, xml);
+      expect(output).toBe('1/3:b (a) 2/3:c (c) 3/3:a (b) ');
+    });
+
+    test('should pass parameters to named templates and modes', () => {
+      const output = run(`
+        <xsl:param name="suffix" select="'!'"/>
+        <xsl:template match="/">
+          <xsl:call-template name="greet"><xsl:with-param name="who" select="list/item[1]"/></xsl:call-template>
+          <xsl:apply-templates select="list/item[2]" mode="upper"/>
+        </xsl:template>
+        <xsl:template name="greet">
+          <xsl:param name="who"/>
+          <xsl:param name="greeting">hello </xsl:param>
+          <xsl:value-of select="concat($greeting, $who, $suffix)"/>
+        </xsl:template>
+        <xsl:template match="item" mode="upper"><xsl:value-of select="translate(., 'a', 'A')"/></xsl:template>`, xml, { suffix: '?' });
+      expect(output).toBe('hello b?A');
+    });
+
+    test('should look up nodes by key', () => {
+      const output = run(`
+        <xsl:key name="byNumber" match="item" use="@n"/>
+        <xsl:template match="/"><xsl:value-of select="key('byNumber', '2')"/></xsl:template>`, xml);
+      expect(output).toBe('c');
+    });
+
+    test('should keep the zero padding of format-number() patterns', () => {
+      const output = run(`
+        <xsl:template match="/">
+          <xsl:value-of select="concat(format-number(3, '0.00'), '|', format-number(1234.5, '#,##0.00'), '|', format-number(0.125, '0.0#'))"/>
+        </xsl:template>`, xml);
+      expect(output).toBe('3.00|1,234.50|0.13');
+    });
+  });
+
+  describe('Result tree', () => {
+    test('should build elements, attributes and copies with namespace fixup', () => {
+      const compiled = stylesheet(`
+        <xsl:output method="xml" omit-xml-declaration="yes"/>
+        <xsl:template match="/">
+          <result xmlns:r="urn:r" count="{count(//a:item)}" literal="{{x}}">
+            <xsl:element name="r:entry">
+              <xsl:attribute name="id"><xsl:value-of select="generate-id(//a:item)"/></xsl:attribute>
+            </xsl:element>
+            <xsl:copy-of select="//a:item"/>
+          </result>
+        </xsl:template>`, 'xmlns:a="urn:a" exclude-result-prefixes="a"');
+      const { output } = xsltProcessor.transform(compiled, '<a:list xmlns:a="urn:a"><a:item>1 &lt; 2</a:item></a:list>');
+
+      expect(output).toBe('<result xmlns:r="urn:r" count="1" literal="{x}"><r:entry id="id1"/><a:item xmlns:a="urn:a">1 &lt; 2</a:item></result>\n');
+    });
+  });
+
+  describe('Errors', () => {
+    test('should report stylesheet errors with their location', () => {
+      const compile = () => xsltProcessor.compileStylesheet(`<xsl:stylesheet version="1.0" ${XSL}>
+  <xsl:template match="/">
+    <xsl:value-of select="sum(("/>
+  </xsl:template>
+</xsl:stylesheet>`);
+
+      expect(compile).toThrow(xsltProcessor.XsltError);
+      expect(compile).toThrow("xsl:value-of: invalid XPath expression in select: 'sum((' (line 3, column 5)");
+    });
+
+    test('should reject unknown instructions, functions and templates', () => {
+      expect(() => stylesheet('<xsl:template match="/"><xsl:valueof select="."/></xsl:template>')).toThrow('unknown XSLT instruction');
+      expect(() => stylesheet('<xsl:template match="/"><xsl:value-of select="upper-case(.)"/></xsl:template>')).toThrow('unknown function upper-case()');
+      expect(() => stylesheet('<xsl:template match="/"><xsl:call-template name="missing"/></xsl:template>')).toThrow("no template named 'missing'");
+      expect(() => stylesheet('<xsl:template match="x:y"/>')).toThrow("namespace prefix 'x' is not declared");
+    });
+
+    test('should report malformed stylesheets and documents', () => {
+      try {
+        xsltProcessor.compileStylesheet(`<xsl:stylesheet version="1.0" ${XSL}>\n<xsl:template match="/">`);
+        throw new Error('expected a stylesheet error');
+      } catch (error) {
+        expect(error.code).toBe('XSLT_STYLESHEET_ERROR');
+        expect(error.message).toMatch(/^Stylesheet is not well-formed/);
+      }
+
+      expect(() => run('<xsl:template match="/"/>', '<a>')).toThrow('XML parsing error');
+    });
+
+    test('should stop on xsl:message terminate="yes" and collect other messages', () => {
+      const compiled = stylesheet(`<xsl:template match="/">
+        <xsl:message>checking</xsl:message>
+        <xsl:if test="not(/ok)"><xsl:message terminate="yes">not ok</xsl:message></xsl:if>
+      </xsl:template>`);
+
+      expect(xsltProcessor.transform(compiled, '<ok/>').messages).toEqual(['checking']);
+      expect(() => xsltProcessor.transform(compiled, '<bad/>')).toThrow('xsl:message terminated the transformation: not ok (line 3');
+    });
+  });
+});